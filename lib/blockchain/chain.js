@@ -24,6 +24,8 @@ var errors = require('../btc/errors');
 var VerifyError = errors.VerifyError;
 var VerifyResult = errors.VerifyResult;
 var ContentDB = require('./contentdb');
+var TileProof = require('./tileproof');
+var TileTree = require('./tiletree');
 var co = require('../utils/co');
 
 const DX = [0, 1, 0, -1];
@@ -40,6 +42,30 @@ const DY = [1, 0, -1, 0];
  * @param {Number?} options.orphanLimit
  * @param {Number?} options.pendingLimit
  * @param {Boolean?} options.spv
+ * @param {String?} options.contentBackend - Content store
+ * (`"local"`, `"ipfs"` or `"http"`, see {@link ContentDB}).
+ * @param {String?} options.contentGateway - Gateway URL
+ * for the `"http"` content store.
+ * @param {Object?} options.contentStore - Content store instance
+ * (overrides `contentBackend`).
+ * @param {Number?} options.contentFetches - Maximum
+ * concurrent content downloads.
+ * @param {Number?} options.contentKeepVersions - Content
+ * versions to keep per tile (see {@link PrunePolicy}).
+ * @param {Number?} options.contentKeepDepth - Keep content
+ * replaced less than this many blocks ago.
+ * @param {Number?} options.contentMaxSize - Byte budget
+ * for stored tile content.
+ * @param {Number?} options.contentReorgDepth - Never prune
+ * content a reorg of this depth could bring back.
+ * @param {Number?} options.maxTileContent - Maximum size
+ * of a tile's content in bytes.
+ * @param {(Function|String)?} options.contentValidator - Scene
+ * format check, or the path of a module exporting one.
+ * @param {String?} options.loadSnapshot - World state snapshot
+ * to bootstrap a fresh database from (see {@link Snapshot}).
+ * @param {Hash?} options.snapshotHash - Trusted tip of the snapshot.
+ * Without it, the snapshot tip must be a checkpoint.
  * @property {Boolean} loaded
  * @property {ChainDB} db - Note that Chain `options` will be passed
  * to the instantiated ChainDB.
@@ -66,6 +92,9 @@ const DY = [1, 0, -1, 0];
  * @emits Chain#connect
  * @emits Chain#reconnect
  * @emits Chain#disconnect
+ * @emits Chain#tile connect
+ * @emits Chain#tile disconnect
+ * @emits Chain#snapshot
  */
 
 function Chain(options) {
@@ -114,6 +143,20 @@ util.inherits(Chain, AsyncObject);
 Chain.prototype._init = function _init() {
   var self = this;
 
+  // Tile changes are written by the db,
+  // subscribers listen on the chain.
+  this.db.on('tile connect', function(change) {
+    self.emit('tile connect', change);
+  });
+
+  this.db.on('tile disconnect', function(change) {
+    self.emit('tile disconnect', change);
+  });
+
+  this.db.on('snapshot', function(entry, tiles) {
+    self.emit('snapshot', entry, tiles);
+  });
+
   this.on('competitor', function(block, entry) {
     self.logger.warning('Heads up: Competing chain at height %d:'
       + ' tip-height=%d competitor-height=%d'
@@ -180,10 +223,16 @@ Chain.prototype._init = function _init() {
 };
 
 Chain.prototype._fetchAllKnownTiles = co(function* _fetchAllKnownTiles() {
+  var i, tiles, tile;
+
   yield this._open();
-  const { tiles } = yield this._bfs();
 
-  yield* tiles.map(tile => this.content.fetch(tile.x, tile.y, tile.content.toString('hex')));
+  tiles = yield this.db.getTiles();
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+    this.content.fetch(tile.x, tile.y, tile.content.toString('hex'));
+  }
 });
 
 /**
@@ -203,6 +252,7 @@ Chain.prototype._open = co(function* open() {
   if (this.options.coinCache)
     this.logger.info('Coin cache is enabled.');
 
+  yield this.content.open();
   yield this.db.open();
 
   tip = yield this.db.getTip();
@@ -236,9 +286,10 @@ Chain.prototype._open = co(function* open() {
  * @returns {Promise}
  */
 
-Chain.prototype._close = function close() {
-  return this.db.close();
-};
+Chain.prototype._close = co(function* close() {
+  yield this.db.close();
+  yield this.content.close();
+});
 
 /**
  * Perform all necessary contextual verification on a block.
@@ -527,6 +578,10 @@ Chain.prototype.getDeployments = co(function* getDeployments(block, prev) {
     state.flags |= constants.flags.VERIFY_NULLDUMMY;
   }
 
+  // Landbases now commit to the tile state.
+  if (yield this.hasTileCommitment(prev))
+    state.tileState = true;
+
   return state;
 });
 
@@ -554,6 +609,9 @@ Chain.prototype.setDeploymentState = function setDeploymentState(state) {
   if (!this.state.hasCSV() && state.hasCSV())
     this.logger.warning('CSV has been activated.');
 
+  if (!this.state.hasTileState() && state.hasTileState())
+    this.logger.warning('Tile state commitments have been activated.');
+
   this.state = state;
 };
 
@@ -611,10 +669,41 @@ Chain.prototype.setTile = co(function* setTile(x, y, base64content) {
   return contentHash;
 });
 
+Chain.prototype.setTileFiles = co(function* setTileFiles(x, y, files) {
+  return yield this.content.putFiles(x, y, files);
+});
+
+/**
+ * Validate and hash tile content without publishing it.
+ * @param {String} base64content
+ * @returns {Promise} - Returns String (hex multihash).
+ */
+
+Chain.prototype.hashTile = co(function* hashTile(base64content) {
+  return yield this.content.hashFile(base64content);
+});
+
+/**
+ * Validate and hash a multi-file scene without publishing it.
+ * @param {Object[]} files - `{path, data}`.
+ * @returns {Promise} - Returns String (hex multihash).
+ */
+
+Chain.prototype.hashTileFiles = co(function* hashTileFiles(files) {
+  return yield this.content.hashFiles(files);
+});
+
 Chain.prototype.getTileOutpoint = co(function* getTileOutpoint(x, y) {
   return yield this.db.getTileOutpoint(x,y);
 });
 
+/**
+ * Test whether a landbase output is adjacent
+ * (with 4-connectivity) to an existing tile.
+ * @param {TX} coinbase
+ * @returns {Promise} - Returns Boolean.
+ */
+
 Chain.prototype.isAdjacent = co(function* isAdjacent(coinbase) {
   var output = coinbase.outputs[0];
   var x0 = output.x;
@@ -630,6 +719,11 @@ Chain.prototype.isAdjacent = co(function* isAdjacent(coinbase) {
   return false;
 });
 
+/**
+ * Test whether a landbase output claims a free tile.
+ * @param {TX} coinbase
+ * @returns {Promise} - Returns Boolean.
+ */
 
 Chain.prototype.isEmpty = co(function* isEmpty(coinbase) {
   var output = coinbase.outputs[0];
@@ -637,6 +731,114 @@ Chain.prototype.isEmpty = co(function* isEmpty(coinbase) {
   return !tile;
 });
 
+/**
+ * Check the landbase of a block built on the current
+ * tip: it must claim a free tile adjacent to mined land,
+ * and commit to the tile state once that is active.
+ * Tile state is only kept for the tip, so a block on
+ * any other parent is rejected as inconclusive.
+ * @param {Block} block
+ * @param {ChainEntry?} prev - Defaults to the block's parent.
+ * @returns {Promise}
+ * @throws {VerifyError}
+ */
+
+Chain.prototype.checkLandbase = co(function* checkLandbase(block, prev) {
+  var coinbase = block.txs[0];
+  var root;
+
+  if (!prev)
+    prev = yield this.db.getEntry(block.prevBlock);
+
+  if (!prev || block.prevBlock !== prev.hash)
+    throw new VerifyError(block, 'invalid', 'bad-prevblk', 0);
+
+  if (prev.hash !== this.tip.hash) {
+    throw new VerifyError(block,
+      'invalid',
+      'inconclusive-not-best-prevblk',
+      0);
+  }
+
+  if (!coinbase || !coinbase.isCoinbase() || coinbase.outputs.length === 0) {
+    throw new VerifyError(block,
+      'invalid',
+      'bad-cb-missing',
+      100);
+  }
+
+  // Make sure the tile is on the map
+  if (!util.isInt32(coinbase.outputs[0].x)
+      || !util.isInt32(coinbase.outputs[0].y)) {
+    throw new VerifyError(block,
+      'invalid',
+      'bad-cb-coords',
+      100);
+  }
+
+  // Make sure the miner is creating an adjacent tile
+  if (!(yield this.isAdjacent(coinbase))) {
+    throw new VerifyError(block,
+      'invalid',
+      'bad-cb-position',
+      100);
+  }
+
+  // Make sure the miner is not overwriting existing tile
+  if (!(yield this.isEmpty(coinbase))) {
+    throw new VerifyError(block,
+      'invalid',
+      'bad-cb-overwrite',
+      100);
+  }
+
+  // Make sure the landbase commits to
+  // the tile state left by its parent.
+  if (yield this.hasTileCommitment(prev)) {
+    root = TileTree.getCommitment(coinbase);
+
+    if (!root) {
+      throw new VerifyError(block,
+        'invalid',
+        'bad-tilestate-missing',
+        100);
+    }
+
+    if (!util.equal(root, yield this.db.getTileRoot())) {
+      throw new VerifyError(block,
+        'invalid',
+        'bad-tilestate-root',
+        100);
+    }
+  }
+});
+
+/**
+ * Test whether the landbase of a block on top of
+ * an entry must commit to the tile state (once the
+ * `tilestate` deployment is active).
+ * @param {ChainEntry} prev
+ * @returns {Promise} - Returns Boolean.
+ */
+
+Chain.prototype.hasTileCommitment = co(function* hasTileCommitment(prev) {
+  var deployment = this.network.deployments.tilestate;
+
+  if (!deployment)
+    return false;
+
+  return yield this.isActive(prev, deployment);
+});
+
+/**
+ * Calculate the state root of the tiles at the tip,
+ * as committed to by the next landbase.
+ * @returns {Promise} - Returns Buffer.
+ */
+
+Chain.prototype.getTileRoot = co(function* getTileRoot() {
+  return yield this.db.getTileRoot();
+});
 
 /**
  * Check block transactions for all things pertaining
@@ -667,22 +869,8 @@ Chain.prototype.verifyInputs = co(function* verifyInputs(block, prev, state) {
   if (this.options.spv)
     return view;
 
-  // Make sure the miner is creating an adjacent tile
-  var coinbase = block.getCoinbase();
-  if (!this.isAdjacent(coinbase)) {
-    throw new VerifyError(block,
-      'invalid',
-      'bad-cb-position',
-      100);
-  }
-
-  // Make sure the miner is not overwriting existing tile
-  if (!this.isEmpty(coinbase)) {
-    throw new VerifyError(block,
-      'invalid',
-      'bad-cb-overwrite',
-      100);
-  }
+  // Check the landbase against the tiles of the tip.
+  yield this.checkLandbase(block, prev);
 
   // Check all transactions
   for (i = 0; i < block.txs.length; i++) {
@@ -2378,92 +2566,197 @@ Chain.prototype.verifyLocks = co(function* verifyLocks(prev, tx, view, flags) {
   return true;
 });
 
-Chain.prototype._bfsFromLatest = co(function* _bfsFromLatest() {
-  const latest = yield this.db.getTip()
-  const block = yield this.db.getBlock(latest.hash)
-  const coinbase = block.txs[0]
-  const start = coinbase.outputs[0]
+/**
+ * Get all mined tiles, ordered by x then y.
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
 
-  const queue = [];
-  let begin = 0;
-  const seen = {};
-  const isSeen = (x, y) => seen[x] && seen[x][y];
+Chain.prototype.getAllTiles = co(function* getAllTiles() {
+  return yield this.db.getTiles();
+});
 
-  const markSeen = (x, y) => {
-    if (!seen[x]) {
-      seen[x] = {};
-    }
-    seen[x][y] = true;
-  };
+/**
+ * Get all mined tiles within a rectangle (inclusive).
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
 
-  const firstTile = yield this.db.getTile(start.x, start.y);
-  queue.push(start);
-  while (begin < queue.length) {
-    const current = queue[begin++];
-    const random = Math.ceil(Math.random() * 4);
-    for (let i = 0; i < 4; i++) {
-      const j = (i + random) % 4;
-      const x = current.x + DX[j];
-      const y = current.y + DY[j];
-      if (isSeen(x,y)) {
-        continue;
-      }
-      markSeen(x,y);
-      const tile = yield this.db.getTile(x,y);
-      if (!tile) {
-        return { x, y }
-      } else {
-        queue.push({ x, y });
-      }
+Chain.prototype.getTilesInRect = co(function* getTilesInRect(x0, y0, x1, y1) {
+  return yield this.db.getTilesInRect(x0, y0, x1, y1);
+});
 
-    }
-  }
+/**
+ * Get all mined tiles within a radius of a point, nearest first.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} radius
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
+
+Chain.prototype.getTilesNear = co(function* getTilesNear(x, y, radius) {
+  return yield this.db.getTilesNear(x, y, radius);
 });
 
-Chain.prototype._bfs = co(function* getAllTiles() {
-  const queue = [];
-  let begin = 0;
-  const seen = {};
-  const isSeen = (x, y) => seen[x] && seen[x][y];
-  const markSeen = (x, y) => {
-    if (!seen[x]) {
-      seen[x] = {};
-    }
-    seen[x][y] = true;
-  };
-  const available = [];
-  const firstTile = yield this.db.getTile(0, 0);
-  queue.push({ x: 0, y: 0, content: firstTile.content });
-  while (begin < queue.length) {
-    const current = queue[begin++];
-    for (let i = 0; i < 4; i++) {
-      const x = current.x + DX[i];
-      const y = current.y + DY[i];
-      if (isSeen(x,y)) {
-        continue;
-      }
-      markSeen(x,y);
-      const tile = yield this.db.getTile(x,y);
-      if (!tile) {
-        available.push({x,y});
-      } else {
-        queue.push({ x, y, content: tile.content });
-      }
+/**
+ * Get all mined tiles owned by an address.
+ * @param {Address[]} addresses
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
 
-    }
+Chain.prototype.getTilesByAddress = co(function* getTilesByAddress(addresses) {
+  return yield this.db.getTilesByAddress(addresses);
+});
+
+/**
+ * Get the history of a tile, newest first.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number?} limit
+ * @returns {Promise} - Returns {@link TileUpdate}[].
+ */
+
+Chain.prototype.getTileHistory = co(function* getTileHistory(x, y, limit) {
+  return yield this.db.getTileHistory(x, y, limit);
+});
+
+/**
+ * Get all free tiles adjacent to mined land.
+ * @returns {Promise} - Returns Object[] ({x, y}).
+ */
+
+Chain.prototype.getFrontier = co(function* getFrontier() {
+  return yield this.db.getFrontier();
+});
+
+/**
+ * Get the free tiles adjacent to mined land
+ * within a rectangle (inclusive).
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @returns {Promise} - Returns Object[] ({x, y}).
+ */
+
+Chain.prototype.getFrontierInRect = co(function* getFrontierInRect(x0, y0, x1, y1) {
+  return yield this.db.getFrontierInRect(x0, y0, x1, y1);
+});
+
+/**
+ * Get the current state of a mined tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileRecord}.
+ */
+
+Chain.prototype.getTileRecord = co(function* getTileRecord(x, y) {
+  return yield this.db.getTileRecord(x, y);
+});
+
+/**
+ * Create a proof of the state of a tile (mined or not)
+ * for light clients, against the tile state root the
+ * landbase of the tip commits to. The proven state is
+ * the one left by the parent of the tip. If the tip does
+ * not commit to the tile state, an update proof of the
+ * last transaction touching a mined tile is returned.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileProof}.
+ */
+
+Chain.prototype.getTileProof = co(function* getTileProof(x, y) {
+  var unlock = yield this.locker.lock();
+  try {
+    return yield this._getTileProof(x, y);
+  } finally {
+    unlock();
   }
-  return { tiles: queue, available };
-})
+});
 
-Chain.prototype.getAllTiles = co(function* getAllTiles() {
-  const { tiles } = yield this._bfs();
-  return tiles;
+/**
+ * Create a tile proof without a lock.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileProof}.
+ */
+
+Chain.prototype._getTileProof = co(function* getTileProof(x, y) {
+  var prev = yield this.tip.getPrevious();
+  var block, branch, proof;
+
+  if (!prev || !(yield this.hasTileCommitment(prev)))
+    return yield this.getUpdateProof(x, y);
+
+  block = yield this.db.getBlock(this.tip.hash);
+
+  if (!block)
+    throw new Error('Tip block not found.');
+
+  branch = yield this.db.getTileBranch(this.tip, block, x, y);
+  proof = TileProof.fromBranch(branch, block);
+
+  if (!proof.verify())
+    throw new Error('Tile state does not match the tip commitment.');
+
+  return proof;
 });
 
+/**
+ * Create an update proof of a mined tile: its last
+ * transaction and a merkle proof to its block.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileProof}.
+ */
+
+Chain.prototype.getUpdateProof = co(function* getUpdateProof(x, y) {
+  var record = yield this.db.getTileRecord(x, y);
+  var block, index;
+
+  if (!record)
+    throw new Error('Tile not found.');
+
+  block = yield this.db.getBlock(record.height);
+
+  if (!block)
+    throw new Error('Tile block not found.');
+
+  index = block.indexOf(record.hash);
+
+  if (index === -1)
+    throw new Error('Tile transaction not found.');
+
+  return TileProof.fromUpdate(block, block.txs[index], x, y);
+});
+
+/**
+ * Take a snapshot of the world state at the tip,
+ * to bootstrap other nodes from.
+ * @returns {Promise} - Returns {@link Snapshot}.
+ */
+
+Chain.prototype.getSnapshot = co(function* getSnapshot() {
+  var unlock = yield this.locker.lock();
+  try {
+    return yield this.db.getSnapshot();
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Pick a random free tile adjacent to mined land.
+ * @returns {Promise} - Returns Object ({x, y}).
+ */
+
 Chain.prototype.getBoundaryTile = co(function* getBoundaryTile() {
-  // TODO: better way to explore where to mine by using a map of boundary tiles
-  // on a database
-  return this._bfsFromLatest()
+  return yield this.db.getFrontierTile();
 });
 
 
@@ -2473,6 +2766,7 @@ Chain.prototype.getBoundaryTile = co(function* getBoundaryTile() {
  * @property {VerifyFlags} flags
  * @property {LockFlags} lockFlags
  * @property {Boolean} bip34
+ * @property {Boolean} tileState
  */
 
 function DeploymentState() {
@@ -2483,6 +2777,7 @@ function DeploymentState() {
   this.flags &= ~constants.flags.VERIFY_P2SH;
   this.lockFlags = constants.flags.MANDATORY_LOCKTIME_FLAGS;
   this.bip34 = false;
+  this.tileState = false;
 }
 
 /**
@@ -2548,6 +2843,15 @@ DeploymentState.prototype.hasWitness = function hasWitness() {
   return (this.flags & constants.flags.VERIFY_WITNESS) !== 0;
 };
 
+/**
+ * Test whether landbases commit to the tile state.
+ * @returns {Boolean}
+ */
+
+DeploymentState.prototype.hasTileState = function hasTileState() {
+  return this.tileState;
+};
+
 /**
  * LockTimes
  * @constructor
@@ -30,9 +30,20 @@ var Outpoint = require('../primitives/outpoint');
 var Address = require('../primitives/address');
 var ChainEntry = require('./chainentry');
 var TXMeta = require('../primitives/txmeta');
+var TileRecord = require('./tilerecord');
+var TileUpdate = require('./tileupdate');
+var TileChange = require('./tilechange');
+var TileTree = require('./tiletree');
+var TileBranch = require('./tilebranch');
+var Snapshot = require('./snapshot');
+var btcutils = require('../btc/utils');
+var fs = require('fs');
 var U8 = encoding.U8;
 var U32 = encoding.U32;
 var DUMMY = new Buffer([0]);
+var TILE_INDEX_VERSION = 3;
+var MIN_COORD = -0x80000000;
+var MAX_COORD = 0x7fffffff;
 var streamifier = require('streamifier');
 var bs58 = require('bs58');
 
@@ -78,6 +89,12 @@ function ChainDB(chain) {
   this.state = new ChainState();
   this.pending = null;
   this.current = null;
+  this.pendingTiles = null;
+  this.pendingRecords = null;
+  this.pendingChanges = null;
+  this.tileTree = null;
+  this.tileVersion = 0;
+  this.snapshotHeight = -1;
 
   // We want at least 1 retarget interval cached
   // for retargetting, but we need at least two
@@ -147,13 +164,29 @@ ChainDB.prototype._open = co(function* open() {
     // Grab the chainstate if we have one.
     this.state = state;
 
+    // Rebuild the tile indexes if they are outdated.
+    yield this.verifyTileIndex();
+
+    // Blocks below it are missing if we started from a snapshot.
+    this.snapshotHeight = yield this.getSnapshotHeight();
+
+    if (this.chain.options.loadSnapshot)
+      this.logger.warning('ChainDB is not empty, ignoring snapshot.');
+
     this.logger.info('ChainDB successfully loaded.');
+  } else if (this.chain.options.loadSnapshot) {
+    // Database is fresh.
+    // Bootstrap it from a snapshot.
+    yield this.loadSnapshot(this.chain.options.loadSnapshot);
+
+    this.logger.info('ChainDB successfully initialized from snapshot.');
   } else {
     // Database is fresh.
     // Write initial state.
     yield this.saveOptions();
     yield this.saveDeployments();
     yield this.saveGenesis();
+    yield this.saveTileIndexVersion();
 
     this.logger.info('ChainDB successfully initialized.');
   }
@@ -186,6 +219,9 @@ ChainDB.prototype.start = function start() {
 
   this.current = this.db.batch();
   this.pending = this.state.clone();
+  this.pendingTiles = {};
+  this.pendingRecords = {};
+  this.pendingChanges = [];
 
   this.coinCache.start();
   this.cacheHash.start();
@@ -238,6 +274,9 @@ ChainDB.prototype.drop = function drop() {
 
   this.current = null;
   this.pending = null;
+  this.pendingTiles = null;
+  this.pendingRecords = null;
+  this.pendingChanges = null;
 
   this.coinCache.drop();
   this.cacheHash.drop();
@@ -253,6 +292,9 @@ ChainDB.prototype.drop = function drop() {
  */
 
 ChainDB.prototype.commit = co(function* commit() {
+  var changes = this.pendingChanges;
+  var i;
+
   assert(this.current);
   assert(this.pending);
 
@@ -261,6 +303,9 @@ ChainDB.prototype.commit = co(function* commit() {
   } catch (e) {
     this.current = null;
     this.pending = null;
+    this.pendingTiles = null;
+    this.pendingRecords = null;
+    this.pendingChanges = null;
     this.coinCache.drop();
     this.cacheHash.drop();
     this.cacheHeight.drop();
@@ -277,11 +322,25 @@ ChainDB.prototype.commit = co(function* commit() {
 
   this.current = null;
   this.pending = null;
+  this.pendingTiles = null;
+  this.pendingRecords = null;
+  this.pendingChanges = null;
 
   this.coinCache.commit();
   this.cacheHash.commit();
   this.cacheHeight.commit();
   this.stateCache.commit();
+
+  if (changes.length > 0) {
+    this.tileVersion++;
+    if (this.tileTree)
+      yield this.updateTileTree(changes);
+  }
+
+  // Tile changes are only announced
+  // once they are written.
+  for (i = 0; i < changes.length; i++)
+    this.emit('tile ' + changes[i].type, changes[i]);
 });
 
 /**
@@ -616,287 +675,1331 @@ ChainDB.prototype.saveDeployments = function saveDeployments() {
  * @returns {Promise}
  */
 
-ChainDB.prototype.writeDeployments = function writeDeployments(batch) {
-  var bw = new StaticWriter(1 + 9 * this.network.deploys.length);
-  var i, deployment;
-
-  bw.writeU8(this.network.deploys.length);
+ChainDB.prototype.writeDeployments = function writeDeployments(batch) {
+  var bw = new StaticWriter(1 + 9 * this.network.deploys.length);
+  var i, deployment;
+
+  bw.writeU8(this.network.deploys.length);
+
+  for (i = 0; i < this.network.deploys.length; i++) {
+    deployment = this.network.deploys[i];
+    bw.writeU8(deployment.bit);
+    bw.writeU32(deployment.startTime);
+    bw.writeU32(deployment.timeout);
+  }
+
+  batch.put(layout.V, bw.render());
+};
+
+/**
+ * Check for outdated deployments.
+ * @private
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.checkDeployments = co(function* checkDeployments() {
+  var raw = yield this.db.get(layout.V);
+  var invalid = [];
+  var i, br, count, deployment;
+  var bit, start, timeout;
+
+  assert(raw, 'No deployment table found.');
+
+  br = new BufferReader(raw);
+
+  count = br.readU8();
+
+  for (i = 0; i < count; i++) {
+    bit = br.readU8();
+    start = br.readU32();
+    timeout = br.readU32();
+    deployment = this.network.byBit(bit);
+
+    if (deployment
+        && start === deployment.startTime
+        && timeout === deployment.timeout) {
+      continue;
+    }
+
+    invalid.push(bit);
+  }
+
+  return invalid;
+});
+
+/**
+ * Potentially invalidate state cache.
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.verifyDeployments = co(function* verifyDeployments() {
+  var invalid = yield this.checkDeployments();
+  var i, bit, batch;
+
+  if (invalid.length === 0)
+    return true;
+
+  batch = this.db.batch();
+
+  for (i = 0; i < invalid.length; i++) {
+    bit = invalid[i];
+    this.logger.warning('Versionbit deployment params modified.');
+    this.logger.warning('Invalidating cache for bit %d.', bit);
+    yield this.invalidateCache(bit, batch);
+  }
+
+  this.writeDeployments(batch);
+
+  yield batch.write();
+
+  return false;
+});
+
+/**
+ * Invalidate state cache.
+ * @private
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.invalidateCache = co(function* invalidateCache(bit, batch) {
+  var i, keys, key;
+
+  keys = yield this.db.keys({
+    gte: layout.v(bit, constants.ZERO_HASH),
+    lte: layout.v(bit, constants.MAX_HASH)
+  });
+
+  for (i = 0; i < keys.length; i++) {
+    key = keys[i];
+    batch.del(key);
+  }
+});
+
+/**
+ * Get the _next_ block hash (does not work by height).
+ * @param {Hash} hash
+ * @returns {Promise} - Returns {@link Hash}.
+ */
+
+ChainDB.prototype.getNextHash = co(function* getNextHash(hash) {
+  var data = yield this.db.get(layout.n(hash));
+
+  if (!data)
+    return;
+
+  return data.toString('hex');
+});
+
+/**
+ * Check to see if a block is on the main chain.
+ * @param {ChainEntry|Hash} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+ChainDB.prototype.isMainChain = co(function* isMainChain(hash) {
+  var entry;
+
+  assert(typeof hash === 'string');
+
+  if (hash === this.chain.tip.hash
+      || hash === this.network.genesis.hash) {
+    return true;
+  }
+
+  if (hash === constants.NULL_HASH)
+    return false;
+
+  entry = this.cacheHash.get(hash);
+
+  if (entry) {
+    entry = this.cacheHeight.get(entry.height);
+    if (entry)
+      return entry.hash === hash;
+  }
+
+  if (yield this.getNextHash(hash))
+    return true;
+
+  return false;
+});
+
+/**
+ * Get all entries.
+ * @returns {Promise} - Returns {@link ChainEntry}[].
+ */
+
+ChainDB.prototype.getEntries = function getEntries() {
+  var self = this;
+  return this.db.values({
+    gte: layout.e(constants.ZERO_HASH),
+    lte: layout.e(constants.MAX_HASH),
+    parse: function(value) {
+      return ChainEntry.fromRaw(self.chain, value);
+    }
+  });
+};
+
+/**
+ * Get all tip hashes.
+ * @returns {Promise} - Returns {@link Hash}[].
+ */
+
+ChainDB.prototype.getTips = function getTips() {
+  return this.db.keys({
+    gte: layout.p(constants.ZERO_HASH),
+    lte: layout.p(constants.MAX_HASH),
+    parse: layout.pp
+  });
+};
+
+/**
+ * Get a coin (unspents only).
+ * @param {Hash} hash
+ * @param {Number} index
+ * @returns {Promise} - Returns {@link Coin}.
+ */
+
+ChainDB.prototype.getCoin = co(function* getCoin(hash, index) {
+  var state = this.state;
+  var raw;
+
+  if (this.options.spv)
+    return;
+
+  raw = this.coinCache.get(hash);
+
+  if (raw)
+    return Coins.parseCoin(raw, hash, index);
+
+  raw = yield this.db.get(layout.c(hash));
+
+  if (!raw)
+    return;
+
+  if (state === this.state)
+    this.coinCache.set(hash, raw);
+
+  return Coins.parseCoin(raw, hash, index);
+});
+
+/**
+ * Get coins (unspents only).
+ * @param {Hash} hash
+ * @returns {Promise} - Returns {@link Coins}.
+ */
+
+ChainDB.prototype.getCoins = co(function* getCoins(hash) {
+  var raw;
+
+  if (this.options.spv)
+    return;
+
+  raw = this.coinCache.get(hash);
+
+  if (raw)
+    return Coins.fromRaw(raw, hash);
+
+  raw = yield this.db.get(layout.c(hash));
+
+  if (!raw)
+    return;
+
+  return Coins.fromRaw(raw, hash);
+});
+
+/**
+ * Get the current state of a tile. Tile state is
+ * written with each block, so this works without
+ * the transaction index and on pruned nodes.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileRecord}.
+ */
+
+ChainDB.prototype.getTile = function getTile(x, y) {
+  return this.getTileRecord(x, y);
+};
+
+/**
+ * Get the unspent coin of a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link Coin}.
+ */
+
+ChainDB.prototype.getTileAsCoin = co(function* getTileAsCoin(x, y) {
+  var record = yield this.getTileRecord(x, y);
+
+  if (!record)
+    return;
+
+  return yield this.getCoin(record.hash, record.index);
+});
+
+/**
+ * Get the hash of the last transaction touching a
+ * tile. Takes the pending batch into account, so
+ * that several transactions in the same block can
+ * update the same tile.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns Buffer.
+ */
+
+ChainDB.prototype.getTileHash = co(function* getTileHash(x, y) {
+  var key = x + ',' + y;
+
+  if (this.pendingTiles && this.pendingTiles[key] !== undefined)
+    return this.pendingTiles[key];
+
+  return yield this.db.get(layout.M(x, y));
+});
+
+/**
+ * Write a tile to the current batch.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Buffer} hash - Hash of the last transaction touching the tile.
+ * @param {TileRecord?} record - Omitted if it can't be rebuilt.
+ */
+
+ChainDB.prototype.putTile = function putTile(x, y, hash, record) {
+  this.put(layout.M(x, y), hash);
+
+  if (record)
+    this.put(layout.G(x, y), record.toRaw());
+  else
+    this.del(layout.G(x, y));
+
+  this.pendingTiles[x + ',' + y] = hash;
+  this.pendingRecords[x + ',' + y] = record || null;
+};
+
+/**
+ * Remove a tile from the current batch.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ */
+
+ChainDB.prototype.removeTile = function removeTile(x, y) {
+  this.del(layout.M(x, y));
+  this.del(layout.G(x, y));
+  this.pendingTiles[x + ',' + y] = null;
+  this.pendingRecords[x + ',' + y] = null;
+};
+
+/**
+ * Get the current record of a tile, taking
+ * the pending batch into account.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileRecord}.
+ */
+
+ChainDB.prototype.getPendingRecord = co(function* getPendingRecord(x, y) {
+  var key = x + ',' + y;
+
+  if (this.pendingRecords && this.pendingRecords[key] !== undefined)
+    return this.pendingRecords[key];
+
+  return yield this.getTileRecord(x, y);
+});
+
+/**
+ * Update the frontier after a tile was mined:
+ * the tile is no longer free and its free
+ * neighbors become claimable.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.addLand = co(function* addLand(x, y) {
+  var tiles = neighbors(x, y);
+  var i, tile;
+
+  this.del(layout.F(x, y));
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+    if (!(yield this.getTileHash(tile[0], tile[1])))
+      this.put(layout.F(tile[0], tile[1]), DUMMY);
+  }
+});
+
+/**
+ * Update the frontier after a mined tile was
+ * removed by a disconnected block.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.removeLand = co(function* removeLand(x, y) {
+  var tiles = neighbors(x, y);
+  var adjacent = false;
+  var i, tile;
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+
+    if (yield this.getTileHash(tile[0], tile[1])) {
+      adjacent = true;
+      continue;
+    }
+
+    if (!(yield this.hasLandAround(tile[0], tile[1])))
+      this.del(layout.F(tile[0], tile[1]));
+  }
+
+  if (adjacent)
+    this.put(layout.F(x, y), DUMMY);
+});
+
+/**
+ * Test whether any 4-adjacent tile is mined.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns Boolean.
+ */
+
+ChainDB.prototype.hasLandAround = co(function* hasLandAround(x, y) {
+  var tiles = neighbors(x, y);
+  var i;
+
+  for (i = 0; i < tiles.length; i++) {
+    if (yield this.getTileHash(tiles[i][0], tiles[i][1]))
+      return true;
+  }
+
+  return false;
+});
+
+/**
+ * Rebuild a tile record from the transaction index.
+ * @private
+ * @param {Hash} hash
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileRecord}.
+ */
+
+ChainDB.prototype.readTileRecord = co(function* readTileRecord(hash, x, y) {
+  var meta = yield this.getMeta(hash);
+
+  if (!meta)
+    return;
+
+  return toTileRecord(meta, x, y);
+});
+
+/**
+ * Rebuild a tile record from the unspent
+ * outputs of the last transaction touching it.
+ * @private
+ * @param {Hash} hash
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileRecord}.
+ */
+
+ChainDB.prototype.readTileCoin = co(function* readTileCoin(hash, x, y) {
+  var coins = yield this.getCoins(hash.toString('hex'));
+  var i, coin, genesis;
+
+  if (!coins) {
+    // The genesis outputs are never added to the coins.
+    genesis = Block.fromRaw(this.network.genesisBlock, 'hex').txs[0];
+
+    if (genesis.hash('hex') !== hash.toString('hex'))
+      return;
+
+    return toTileRecord({ tx: genesis, height: 0 }, x, y);
+  }
+
+  for (i = coins.length() - 1; i >= 0; i--) {
+    coin = coins.getCoin(i);
+    if (coin && coin.x === x && coin.y === y)
+      return TileRecord.fromCoin(coin);
+  }
+});
+
+/**
+ * Parse a tile undo record: the state of the tile
+ * before a transaction. Undo records written before
+ * tile index version 3 only hold the hash of the
+ * previous transaction, and need the transaction
+ * index to be read.
+ * @private
+ * @param {Buffer} data
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileRecord}.
+ */
+
+ChainDB.prototype.readTileUndo = co(function* readTileUndo(data, x, y) {
+  if (data.length === 32)
+    return yield this.readTileRecord(data, x, y);
+
+  return TileRecord.fromRaw(data);
+});
+
+/**
+ * Get the history of a tile, newest first, by walking
+ * the tile undo index back to the landbase. Block
+ * hashes and times are only known with the
+ * transaction index.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number?} limit - Maximum number of updates.
+ * @returns {Promise} - Returns {@link TileUpdate}[].
+ */
+
+ChainDB.prototype.getTileHistory = co(function* getTileHistory(x, y, limit) {
+  var history = [];
+  var record, update, data, prev;
+
+  record = yield this.getTileRecord(x, y);
+
+  if (!record)
+    return history;
+
+  update = new TileUpdate(record, yield this.getMeta(record.hash));
+
+  for (;;) {
+    data = yield this.db.get(layout.MU(x, y, new Buffer(record.hash, 'hex')));
+    prev = null;
+
+    if (data) {
+      record = yield this.readTileUndo(data, x, y);
+      if (record)
+        prev = new TileUpdate(record, yield this.getMeta(record.hash));
+    }
+
+    history.push(update.setPrevious(prev));
+
+    if (!prev || history.length === limit)
+      break;
+
+    update = prev;
+  }
+
+  return history;
+});
+
+/**
+ * Get a tile record from the spatial index.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileRecord}.
+ */
+
+ChainDB.prototype.getTileRecord = co(function* getTileRecord(x, y) {
+  var data;
+
+  if (this.options.spv)
+    return;
+
+  // Positions outside the map have no tile.
+  if (!util.isInt32(x) || !util.isInt32(y))
+    return;
+
+  data = yield this.db.get(layout.G(x, y));
+
+  if (!data)
+    return;
+
+  return TileRecord.fromRaw(data);
+});
+
+/**
+ * Calculate the state root of the tiles (see {@link TileTree}).
+ * The tree is built on first use, then only the columns
+ * touched by each connected or disconnected block are
+ * rehashed.
+ * @returns {Promise} - Returns Buffer.
+ */
+
+ChainDB.prototype.getTileRoot = co(function* getTileRoot() {
+  var tree = yield this.getTileTree();
+  return tree.getRoot();
+});
+
+/**
+ * Get the tile tree, building it on first use.
+ * @private
+ * @returns {Promise} - Returns {@link TileTree}.
+ */
+
+ChainDB.prototype.getTileTree = co(function* getTileTree() {
+  var version, records;
+
+  while (!this.tileTree) {
+    version = this.tileVersion;
+    records = yield this.getTiles();
+
+    // Start over if a block was
+    // written in the meantime.
+    if (version === this.tileVersion)
+      this.tileTree = TileTree.fromRecords(records);
+  }
+
+  return this.tileTree;
+});
+
+/**
+ * Rehash the columns of the tile tree touched by
+ * a batch of tile changes. Runs once the batch is
+ * written, so it never rejects: if the columns
+ * can't be read, the tree is dropped and rebuilt
+ * on next use.
+ * @private
+ * @param {TileChange[]} changes
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.updateTileTree = co(function* updateTileTree(changes) {
+  var tree = this.tileTree;
+  var version = this.tileVersion;
+  var seen = {};
+  var keys = [];
+  var columns = [];
+  var i, x;
+
+  for (i = 0; i < changes.length; i++) {
+    x = changes[i].x;
+    if (!seen[x]) {
+      seen[x] = true;
+      keys.push(x);
+    }
+  }
+
+  // Readers rebuild the tree from the
+  // database until it is up to date.
+  this.tileTree = null;
+
+  try {
+    for (i = 0; i < keys.length; i++) {
+      x = keys[i];
+      columns.push(yield this.getTilesInRect(x, MIN_COORD, x, MAX_COORD));
+    }
+  } catch (e) {
+    this.logger.warning('Could not update tile tree: %s.', e.message);
+    return;
+  }
+
+  // Another block may have been written
+  // (or the tree rebuilt) meanwhile.
+  if (this.tileTree || this.tileVersion !== version)
+    return;
+
+  for (i = 0; i < keys.length; i++)
+    tree.setColumn(keys[i], columns[i]);
+
+  this.tileTree = tree;
+});
+
+/**
+ * Create a branch proving the state of a position as
+ * committed to by the landbase of the tip: the state
+ * left by its parent. The tiles touched by the tip
+ * block are rolled back through the tile undo index.
+ * @param {ChainEntry} entry - The tip.
+ * @param {Block} block - Block of the tip.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileBranch}.
+ */
+
+ChainDB.prototype.getTileBranch = co(function* getTileBranch(entry, block, x, y) {
+  var tree = (yield this.getTileTree()).clone();
+  var seen = {};
+  var keys = [];
+  var columns = {};
+  var i, j, tx, output, cx, records, record, data;
+
+  assert(entry.hash === this.state.hash(), 'Only the tip can be proven.');
+  assert(block.hash('hex') === entry.hash, 'Block does not match entry.');
+
+  for (i = 0; i < block.txs.length; i++) {
+    tx = block.txs[i];
+    for (j = 0; j < tx.outputs.length; j++) {
+      output = tx.outputs[j];
+      if (!seen[output.x]) {
+        seen[output.x] = true;
+        keys.push(output.x);
+      }
+    }
+  }
+
+  for (i = 0; i < keys.length; i++) {
+    cx = keys[i];
+    records = yield this.getTilesInRect(cx, MIN_COORD, cx, MAX_COORD);
+    columns[cx] = [];
+
+    for (j = 0; j < records.length; j++) {
+      record = records[j];
+
+      // Walk back to the state left by the parent.
+      while (record && record.height >= entry.height) {
+        data = yield this.db.get(layout.MU(record.x, record.y,
+          new Buffer(record.hash, 'hex')));
+
+        if (!data) {
+          record = null;
+          break;
+        }
+
+        record = yield this.readTileUndo(data, records[j].x, records[j].y);
+
+        if (!record)
+          throw new Error('Tile undo record not found.');
+      }
+
+      if (record)
+        columns[cx].push(record);
+    }
+
+    tree.setColumn(cx, columns[cx]);
+  }
+
+  records = columns[x];
+
+  if (!records)
+    records = yield this.getTilesInRect(x, MIN_COORD, x, MAX_COORD);
+
+  return TileBranch.fromTree(tree, x, y, records);
+});
+
+/**
+ * Get all tile records, ordered by x then y.
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
+
+ChainDB.prototype.getTiles = function getTiles() {
+  if (this.options.spv)
+    return Promise.resolve([]);
+
+  return this.db.values({
+    gte: layout.G(MIN_COORD, MIN_COORD),
+    lte: layout.G(MAX_COORD, MAX_COORD),
+    parse: TileRecord.fromRaw
+  });
+};
+
+/**
+ * Get all tile records within a rectangle (inclusive),
+ * ordered by x then y. Empty columns are skipped by
+ * seeking to the next key, so the cost is bounded by
+ * the number of occupied columns and matching tiles.
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
+
+ChainDB.prototype.getTilesInRect = function getTilesInRect(x0, y0, x1, y1) {
+  return this.scanRect(layout.G, layout.Gg, x0, y0, x1, y1, function(key, value) {
+    return TileRecord.fromRaw(value);
+  });
+};
+
+/**
+ * Scan a rectangle (inclusive) of a spatially keyed
+ * index, ordered by x then y.
+ * @private
+ * @param {Function} prefix - Key builder, e.g. `layout.G`.
+ * @param {Function} parse - Key parser, e.g. `layout.Gg`.
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @param {Function} map - Called with the parsed key and value.
+ * @returns {Promise} - Returns Array.
+ */
+
+ChainDB.prototype.scanRect = co(function* scanRect(prefix, parse, x0, y0, x1, y1, map) {
+  var items = [];
+  var x = x0;
+  var iter, item, key;
+
+  assert(x0 <= x1 && y0 <= y1, 'Invalid rectangle.');
+
+  if (this.options.spv)
+    return items;
+
+  while (x <= x1) {
+    iter = this.db.iterator({
+      gte: prefix(x, y0),
+      lte: prefix(x1, y1),
+      keys: true,
+      values: true
+    });
+
+    for (;;) {
+      item = yield iter.next();
+
+      if (!item)
+        return items;
+
+      key = parse(item.key);
+
+      if (key[1] < y0 || key[1] > y1)
+        break;
+
+      items.push(map(key, item.value));
+    }
+
+    yield iter.end();
+
+    // Seek to the next column which can
+    // still hold an entry inside the rectangle.
+    x = key[1] < y0 ? key[0] : key[0] + 1;
+  }
+
+  return items;
+});
+
+/**
+ * Get all tile records within a euclidean
+ * distance of a point, nearest first.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} radius
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
+
+ChainDB.prototype.getTilesNear = co(function* getTilesNear(x, y, radius) {
+  var x0 = Math.max(x - radius, MIN_COORD);
+  var y0 = Math.max(y - radius, MIN_COORD);
+  var x1 = Math.min(x + radius, MAX_COORD);
+  var y1 = Math.min(y + radius, MAX_COORD);
+  var tiles = yield this.getTilesInRect(x0, y0, x1, y1);
+  var max = radius * radius;
+
+  tiles = tiles.filter(function(tile) {
+    return distance(tile, x, y) <= max;
+  });
+
+  tiles.sort(function(a, b) {
+    return distance(a, x, y) - distance(b, x, y);
+  });
+
+  return tiles;
+});
+
+/**
+ * Get all free tiles adjacent to mined land,
+ * ordered by x then y.
+ * @returns {Promise} - Returns Object[] ({x, y}).
+ */
+
+ChainDB.prototype.getFrontier = function getFrontier() {
+  if (this.options.spv)
+    return Promise.resolve([]);
+
+  return this.db.keys({
+    gte: layout.F(MIN_COORD, MIN_COORD),
+    lte: layout.F(MAX_COORD, MAX_COORD),
+    parse: function(key) {
+      key = layout.Ff(key);
+      return { x: key[0], y: key[1] };
+    }
+  });
+};
+
+/**
+ * Get the free tiles adjacent to mined land
+ * within a rectangle (inclusive).
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @returns {Promise} - Returns Object[] ({x, y}).
+ */
+
+ChainDB.prototype.getFrontierInRect = function getFrontierInRect(x0, y0, x1, y1) {
+  return this.scanRect(layout.F, layout.Ff, x0, y0, x1, y1, function(key) {
+    return { x: key[0], y: key[1] };
+  });
+};
+
+/**
+ * Pick a random free tile adjacent to mined land.
+ * Picks a column between the outermost ones, then
+ * a row within that column's span, using a fixed
+ * number of seeks regardless of the frontier size.
+ * @returns {Promise} - Returns Object ({x, y}).
+ */
+
+ChainDB.prototype.getFrontierTile = co(function* getFrontierTile() {
+  var first, last, x, y;
+
+  if (this.options.spv)
+    return;
+
+  first = yield this.seekFrontier(MIN_COORD, MIN_COORD, MAX_COORD, false);
+
+  if (!first)
+    return;
+
+  last = yield this.seekFrontier(MAX_COORD, MAX_COORD, MIN_COORD, true);
+
+  x = random(first.x, last.x);
+  first = yield this.seekFrontier(x, MIN_COORD, MAX_COORD, false);
+  last = yield this.seekFrontier(first.x, MAX_COORD, MIN_COORD, true);
+
+  y = random(first.y, last.y);
+
+  return yield this.seekFrontier(first.x, y, MAX_COORD, false);
+});
+
+/**
+ * Find the first frontier tile from a position,
+ * scanning forward or backward through the keys.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} end - X coordinate to stop at.
+ * @param {Boolean} reverse
+ * @returns {Promise} - Returns Object ({x, y}).
+ */
+
+ChainDB.prototype.seekFrontier = co(function* seekFrontier(x, y, end, reverse) {
+  var start = layout.F(x, y);
+  var stop = layout.F(end, reverse ? MIN_COORD : MAX_COORD);
+  var iter, item, key;
+
+  iter = this.db.iterator({
+    gte: reverse ? stop : start,
+    lte: reverse ? start : stop,
+    keys: true,
+    reverse: reverse,
+    limit: 1
+  });
+
+  item = yield iter.next();
+
+  if (!item)
+    return;
+
+  yield iter.end();
+
+  key = layout.Ff(item.key);
+
+  return { x: key[0], y: key[1] };
+});
+
+/**
+ * Rebuild the tile indexes if they were
+ * written by an older version.
+ * @private
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.verifyTileIndex = co(function* verifyTileIndex() {
+  var data = yield this.db.get(layout.I);
 
-  for (i = 0; i < this.network.deploys.length; i++) {
-    deployment = this.network.deploys[i];
-    bw.writeU8(deployment.bit);
-    bw.writeU32(deployment.startTime);
-    bw.writeU32(deployment.timeout);
-  }
+  if (data && data.readUInt32LE(0, true) === TILE_INDEX_VERSION)
+    return;
 
-  batch.put(layout.V, bw.render());
-};
+  yield this.reindexTiles();
+});
 
 /**
- * Check for outdated deployments.
- * @private
+ * Rebuild the tile state records and the frontier
+ * from the tile map and the unspent coins, and
+ * upgrade the tile undo records.
  * @returns {Promise}
  */
 
-ChainDB.prototype.checkDeployments = co(function* checkDeployments() {
-  var raw = yield this.db.get(layout.V);
-  var invalid = [];
-  var i, br, count, deployment;
-  var bit, start, timeout;
+ChainDB.prototype.reindexTiles = co(function* reindexTiles() {
+  var batch = this.db.batch();
+  var mined = {};
+  var i, j, keys, items, item, x, y, record, tiles, tile, undo;
 
-  assert(raw, 'No deployment table found.');
+  this.logger.info('Rebuilding tile index...');
 
-  br = new BufferReader(raw);
+  keys = yield this.db.keys({
+    gte: layout.G(MIN_COORD, MIN_COORD),
+    lte: layout.G(MAX_COORD, MAX_COORD)
+  });
 
-  count = br.readU8();
+  for (i = 0; i < keys.length; i++)
+    batch.del(keys[i]);
 
-  for (i = 0; i < count; i++) {
-    bit = br.readU8();
-    start = br.readU32();
-    timeout = br.readU32();
-    deployment = this.network.byBit(bit);
+  keys = yield this.db.keys({
+    gte: layout.F(MIN_COORD, MIN_COORD),
+    lte: layout.F(MAX_COORD, MAX_COORD)
+  });
 
-    if (deployment
-        && start === deployment.startTime
-        && timeout === deployment.timeout) {
+  for (i = 0; i < keys.length; i++)
+    batch.del(keys[i]);
+
+  // Tile map keys are little-endian: (0, 0)
+  // and (-1, -1) are the lowest and highest.
+  items = yield this.db.range({
+    gte: layout.M(0, 0),
+    lte: layout.M(-1, -1)
+  });
+
+  for (i = 0; i < items.length; i++) {
+    item = items[i];
+    x = encoding.read64(item.key, 1);
+    y = encoding.read64(item.key, 9);
+    mined[x + ',' + y] = true;
+    record = yield this.readTileCoin(item.value, x, y);
+
+    if (!record) {
+      this.logger.warning('Could not find the coin of tile %d,%d.', x, y);
       continue;
     }
 
-    invalid.push(bit);
+    batch.put(layout.G(x, y), record.toRaw());
   }
 
-  return invalid;
-});
+  // Undo records used to hold the previous
+  // transaction hash: replace them with the
+  // previous tile state while we still can.
+  undo = yield this.db.range({
+    gte: layout.MU(0, 0, constants.ZERO_HASH),
+    lte: layout.MU(-1, -1, constants.MAX_HASH)
+  });
 
-/**
- * Potentially invalidate state cache.
- * @returns {Promise}
- */
+  for (i = 0; i < undo.length; i++) {
+    item = undo[i];
 
-ChainDB.prototype.verifyDeployments = co(function* verifyDeployments() {
-  var invalid = yield this.checkDeployments();
-  var i, bit, batch;
+    if (item.value.length !== 32)
+      continue;
 
-  if (invalid.length === 0)
-    return true;
+    x = encoding.read64(item.key, 1);
+    y = encoding.read64(item.key, 9);
+    record = yield this.readTileRecord(item.value, x, y);
 
-  batch = this.db.batch();
+    if (record)
+      batch.put(item.key, record.toRaw());
+  }
 
-  for (i = 0; i < invalid.length; i++) {
-    bit = invalid[i];
-    this.logger.warning('Versionbit deployment params modified.');
-    this.logger.warning('Invalidating cache for bit %d.', bit);
-    yield this.invalidateCache(bit, batch);
+  for (i = 0; i < items.length; i++) {
+    x = encoding.read64(items[i].key, 1);
+    y = encoding.read64(items[i].key, 9);
+    tiles = neighbors(x, y);
+
+    for (j = 0; j < tiles.length; j++) {
+      tile = tiles[j];
+      if (!mined[tile[0] + ',' + tile[1]])
+        batch.put(layout.F(tile[0], tile[1]), DUMMY);
+    }
   }
 
-  this.writeDeployments(batch);
+  this.writeTileIndexVersion(batch);
 
   yield batch.write();
 
-  return false;
+  this.tileTree = null;
+  this.tileVersion++;
+
+  this.logger.info('Indexed %d tiles.', items.length);
 });
 
 /**
- * Invalidate state cache.
- * @private
+ * Save the tile index version.
  * @returns {Promise}
  */
 
-ChainDB.prototype.invalidateCache = co(function* invalidateCache(bit, batch) {
-  var i, keys, key;
+ChainDB.prototype.saveTileIndexVersion = function saveTileIndexVersion() {
+  var batch = this.db.batch();
+  this.writeTileIndexVersion(batch);
+  return batch.write();
+};
 
-  keys = yield this.db.keys({
-    gte: layout.v(bit, constants.ZERO_HASH),
-    lte: layout.v(bit, constants.MAX_HASH)
-  });
+/**
+ * Write the tile index version to a batch.
+ * @private
+ * @param {Batch} batch
+ */
 
-  for (i = 0; i < keys.length; i++) {
-    key = keys[i];
-    batch.del(key);
-  }
-});
+ChainDB.prototype.writeTileIndexVersion = function writeTileIndexVersion(batch) {
+  batch.put(layout.I, U32(TILE_INDEX_VERSION));
+};
 
 /**
- * Get the _next_ block hash (does not work by height).
- * @param {Hash} hash
- * @returns {Promise} - Returns {@link Hash}.
+ * Get the height of the snapshot the database
+ * was bootstrapped from.
+ * @returns {Promise} - Returns Number (-1 if none).
  */
 
-ChainDB.prototype.getNextHash = co(function* getNextHash(hash) {
-  var data = yield this.db.get(layout.n(hash));
+ChainDB.prototype.getSnapshotHeight = co(function* getSnapshotHeight() {
+  var data = yield this.db.get(layout.S);
 
   if (!data)
-    return;
+    return -1;
 
-  return data.toString('hex');
+  return data.readUInt32LE(0, true);
 });
 
 /**
- * Check to see if a block is on the main chain.
- * @param {ChainEntry|Hash} hash
- * @returns {Promise} - Returns Boolean.
+ * Take a snapshot of the world state at the tip.
+ * Must be called with the chain locked.
+ * @returns {Promise} - Returns {@link Snapshot}.
  */
 
-ChainDB.prototype.isMainChain = co(function* isMainChain(hash) {
-  var entry;
+ChainDB.prototype.getSnapshot = co(function* getSnapshot() {
+  var entries = [];
+  var i, tip, entry, tiles, coins;
 
-  assert(typeof hash === 'string');
+  if (this.options.spv)
+    throw new Error('Cannot snapshot the world state in SPV mode.');
 
-  if (hash === this.chain.tip.hash
-      || hash === this.network.genesis.hash) {
-    return true;
-  }
+  tip = yield this.getTip();
 
-  if (hash === constants.NULL_HASH)
-    return false;
+  for (i = 0; i <= tip.height; i++) {
+    entry = yield this.getEntryByHeight(i);
 
-  entry = this.cacheHash.get(hash);
+    if (!entry)
+      throw new Error('Chain entry not found.');
 
-  if (entry) {
-    entry = this.cacheHeight.get(entry.height);
-    if (entry)
-      return entry.hash === hash;
+    entries.push(entry);
   }
 
-  if (yield this.getNextHash(hash))
-    return true;
+  tiles = yield this.getTiles();
 
-  return false;
+  coins = yield this.db.range({
+    gte: layout.c(constants.ZERO_HASH),
+    lte: layout.c(constants.MAX_HASH),
+    parse: function(key, value) {
+      return Coins.fromRaw(value, layout.pp(key));
+    }
+  });
+
+  return Snapshot.fromOptions({
+    network: this.network,
+    entries: entries,
+    tiles: tiles,
+    coins: coins,
+    tx: this.state.tx,
+    coin: this.state.coin
+  });
 });
 
 /**
- * Get all entries.
- * @returns {Promise} - Returns {@link ChainEntry}[].
+ * Bootstrap a fresh database from a snapshot file.
+ * @param {String} file
+ * @returns {Promise}
  */
 
-ChainDB.prototype.getEntries = function getEntries() {
-  var self = this;
-  return this.db.values({
-    gte: layout.e(constants.ZERO_HASH),
-    lte: layout.e(constants.MAX_HASH),
-    parse: function(value) {
-      return ChainEntry.fromRaw(self.chain, value);
-    }
-  });
-};
+ChainDB.prototype.loadSnapshot = co(function* loadSnapshot(file) {
+  var data, snapshot;
 
-/**
- * Get all tip hashes.
- * @returns {Promise} - Returns {@link Hash}[].
- */
+  this.logger.info('Loading snapshot from %s.', file);
 
-ChainDB.prototype.getTips = function getTips() {
-  return this.db.keys({
-    gte: layout.p(constants.ZERO_HASH),
-    lte: layout.p(constants.MAX_HASH),
-    parse: layout.pp
-  });
-};
+  data = yield readFile(file);
+  snapshot = Snapshot.fromRaw(data);
+
+  yield this.importSnapshot(snapshot);
+});
 
 /**
- * Get a coin (unspents only).
- * @param {Hash} hash
- * @param {Number} index
- * @returns {Promise} - Returns {@link Coin}.
+ * Write a snapshot to a fresh database, after checking
+ * it against the header chain (see {@link ChainDB#verifySnapshot}).
+ * Blocks below the snapshot height are not available
+ * afterwards, like on a pruned node, and the chain can't
+ * be reorganized past it.
+ * @param {Snapshot} snapshot
+ * @returns {Promise}
  */
 
-ChainDB.prototype.getCoin = co(function* getCoin(hash, index) {
-  var state = this.state;
-  var raw;
+ChainDB.prototype.importSnapshot = co(function* importSnapshot(snapshot) {
+  var batch = this.db.batch();
+  var genesis = new Buffer(this.network.genesisBlock, 'hex');
+  var tip = snapshot.getTip();
+  var mined = {};
+  var i, j, entry, hash, coins, record, tiles, tile, state;
+
+  assert(!this.state.committed, 'ChainDB is not empty.');
 
   if (this.options.spv)
-    return;
+    throw new Error('Cannot load a snapshot in SPV mode.');
 
-  raw = this.coinCache.get(hash);
+  if (this.options.indexTX || this.options.indexAddress)
+    throw new Error('Cannot load a snapshot with transaction indexing.');
 
-  if (raw)
-    return Coins.parseCoin(raw, hash, index);
+  this.verifySnapshot(snapshot);
 
-  raw = yield this.db.get(layout.c(hash));
+  batch.put(layout.O, this.options.toRaw());
+  this.writeDeployments(batch);
+  this.writeTileIndexVersion(batch);
+
+  // The genesis block is the only one we have.
+  batch.put(layout.b(this.network.genesis.hash), genesis);
+
+  for (i = 0; i < snapshot.entries.length; i++) {
+    entry = snapshot.entries[i];
+    hash = new Buffer(entry.hash, 'hex');
+    batch.put(layout.h(hash), U32(entry.height));
+    batch.put(layout.e(hash), entry.toRaw());
+    batch.put(layout.n(entry.prevBlock), hash);
+    batch.put(layout.H(entry.height), hash);
+  }
 
-  if (!raw)
-    return;
+  batch.put(layout.p(tip.hash), DUMMY);
 
-  if (state === this.state)
-    this.coinCache.set(hash, raw);
+  for (i = 0; i < snapshot.coins.length; i++) {
+    coins = snapshot.coins[i];
+    batch.put(layout.c(coins.hash), coins.toRaw());
+  }
 
-  return Coins.parseCoin(raw, hash, index);
-});
+  for (i = 0; i < snapshot.tiles.length; i++) {
+    record = snapshot.tiles[i];
+    mined[record.x + ',' + record.y] = true;
+    batch.put(layout.M(record.x, record.y), new Buffer(record.hash, 'hex'));
+    batch.put(layout.G(record.x, record.y), record.toRaw());
+  }
 
-/**
- * Get coins (unspents only).
- * @param {Hash} hash
- * @returns {Promise} - Returns {@link Coins}.
- */
+  for (i = 0; i < snapshot.tiles.length; i++) {
+    record = snapshot.tiles[i];
+    tiles = neighbors(record.x, record.y);
 
-ChainDB.prototype.getCoins = co(function* getCoins(hash) {
-  var raw;
+    for (j = 0; j < tiles.length; j++) {
+      tile = tiles[j];
+      if (!mined[tile[0] + ',' + tile[1]])
+        batch.put(layout.F(tile[0], tile[1]), DUMMY);
+    }
+  }
 
-  if (this.options.spv)
-    return;
+  state = new ChainState();
+  state.tx = snapshot.tx;
+  state.coin = snapshot.coin;
 
-  raw = this.coinCache.get(hash);
+  batch.put(layout.R, state.commit(tip.hash));
+  batch.put(layout.S, U32(tip.height));
 
-  if (raw)
-    return Coins.fromRaw(raw, hash);
+  yield batch.write();
 
-  raw = yield this.db.get(layout.c(hash));
+  this.state = state;
+  this.snapshotHeight = tip.height;
+  this.tileTree = null;
+  this.tileVersion++;
 
-  if (!raw)
-    return;
+  this.logger.info(
+    'Imported snapshot at height %d (%d tiles, %d coins).',
+    tip.height, snapshot.tiles.length, snapshot.coins.length);
 
-  return Coins.fromRaw(raw, hash);
+  this.emit('snapshot', yield this.getEntry(tip.hash), snapshot.tiles);
 });
 
-ChainDB.prototype.getTile = co(function* getTile(x, y) {
+/**
+ * Check a snapshot before importing it. Its tip must be
+ * the trusted snapshot hash, or a checkpoint if none is
+ * set. The header chain must start at our genesis block,
+ * link up, carry valid proof of work, difficulty and
+ * chainwork, and match the checkpoints. Every tile must
+ * be backed by an unspent coin (or the genesis block)
+ * with the same state.
+ * @param {Snapshot} snapshot
+ * @throws on an inconsistent snapshot
+ */
+
+ChainDB.prototype.verifySnapshot = function verifySnapshot(snapshot) {
+  var pow = this.network.pow;
+  var entries = snapshot.entries;
+  var tip = snapshot.getTip();
+  var trusted = this.chain.options.snapshotHash;
+  var genesis = Block.fromRaw(this.network.genesisBlock, 'hex').txs[0];
+  var coins = {};
+  var seen = {};
+  var prev = null;
+  var last = null;
+  var i, entry, ancestors, checkpoint, record, key, coin, expected;
+
+  if (snapshot.network !== this.network)
+    throw new Error('Snapshot is for another network.');
+
+  if (trusted) {
+    if (tip.hash !== trusted)
+      throw new Error('Snapshot tip is not the trusted snapshot hash.');
+  } else if (this.network.checkpoints[tip.height] !== tip.hash) {
+    throw new Error('Snapshot tip is neither trusted nor a checkpoint.');
+  }
 
-  if (this.options.spv)
-    return;
+  if (entries[0].hash !== this.network.genesis.hash)
+    throw new Error('Snapshot does not start at the genesis block.');
 
-  const tileKey = layout.M(x, y);
-  const txid = yield this.db.get(tileKey);
-  if (!txid) 
-    return;
+  for (i = 0; i < entries.length; i++) {
+    entry = entries[i];
 
-  const tx = yield this.getTX(txid);
-  if (!tx)
-    return;
+    if (entry.height !== i)
+      throw new Error(util.fmt('Snapshot entry %d has a bad height.', i));
 
-  const matchingCoords = (output) => output.x === x && output.y === y;
-  const matchingOutputs = tx.outputs.filter(matchingCoords);
-  if (matchingOutputs.length === 0)
-    return;
+    if (prev) {
+      if (entry.prevBlock !== prev.hash)
+        throw new Error(util.fmt('Snapshot headers are broken at %d.', i));
 
-  return matchingOutputs[matchingOutputs.length - 1];
-});
+      if (!btcutils.verifyPOW(entry.hash, entry.bits))
+        throw new Error(util.fmt('Snapshot header %d has bad work.', i));
 
-ChainDB.prototype.getTileAsCoin = co(function* getTileOutpoint(x, y) {
+      ancestors = null;
 
-  if (this.options.spv)
-    return;
+      // A retarget needs the whole interval, but the
+      // testnet rule only walks back to the last header
+      // with real bits, which we keep track of.
+      if (i % pow.retargetInterval === 0) {
+        ancestors = entries.slice(i - pow.retargetInterval, i);
+        ancestors.reverse();
+      } else if (pow.difficultyReset) {
+        ancestors = [prev, last];
+      }
 
-  const tileKey = layout.M(x, y);
-  const txid = yield this.db.get(tileKey);
-  if (!txid) 
-    return;
+      if (entry.bits !== this.chain.getTarget(entry, prev, ancestors))
+        throw new Error(util.fmt('Snapshot header %d has bad bits.', i));
+    }
 
-  const tx = yield this.getTX(txid);
-  if (!tx)
-    return;
+    if (!entry.getChainwork(prev).eq(entry.chainwork))
+      throw new Error(util.fmt('Snapshot header %d has bad chainwork.', i));
 
-  const matchingCoords = (output) => output.x === x && output.y === y;
+    checkpoint = this.network.checkpoints[i];
 
-  for (var i = 0; i < tx.outputs.length; i++) {
-      tx.outputs[i].index = i
+    if (checkpoint && checkpoint !== entry.hash)
+      throw new Error(util.fmt('Snapshot header %d misses a checkpoint.', i));
+
+    if (i % pow.retargetInterval === 0 || entry.bits !== pow.bits)
+      last = entry;
+
+    prev = entry;
   }
-  let index = tx.outputs.filter(matchingCoords)
-  if (!index.length) 
-      return
-  index = index[0].index
 
-  const coins = yield this.getCoin(txid, index)
-  return coins
-});
+  for (i = 0; i < snapshot.coins.length; i++)
+    coins[snapshot.coins[i].hash] = snapshot.coins[i];
+
+  for (i = 0; i < snapshot.tiles.length; i++) {
+    record = snapshot.tiles[i];
+    key = record.x + ',' + record.y;
+
+    if (seen[key])
+      throw new Error(util.fmt('Snapshot has tile %s twice.', key));
+
+    seen[key] = true;
+
+    // The genesis outputs are never added to the coins.
+    if (record.hash === genesis.hash('hex')) {
+      expected = toTileRecord({ tx: genesis, height: 0 }, record.x, record.y);
+    } else {
+      coin = coins[record.hash] && coins[record.hash].getCoin(record.index);
+      expected = coin ? TileRecord.fromCoin(coin) : null;
+    }
+
+    if (!expected || !util.equal(expected.toRaw(), record.toRaw()))
+      throw new Error(util.fmt('Snapshot tile %s is not unspent.', key));
+  }
+};
 
 /**
  * Check whether coins are still unspent. Necessary for bip30.
@@ -1141,6 +2244,24 @@ ChainDB.prototype.getCoinsByAddress = co(function* getCoinsByAddress(addresses)
   return coins;
 });
 
+/**
+ * Get the current state of all tiles owned by
+ * an address, ordered by x then y.
+ * @param {Address[]} addresses
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
+
+ChainDB.prototype.getTilesByAddress = co(function* getTilesByAddress(addresses) {
+  var coins = yield this.getCoinsByAddress(addresses);
+  var tiles = coins.map(TileRecord.fromCoin);
+
+  tiles.sort(function(a, b) {
+    return a.x - b.x || a.y - b.y;
+  });
+
+  return tiles;
+});
+
 /**
  * Get all transaction hashes to an address.
  * @param {Address[]} addresses
@@ -1753,7 +2874,7 @@ ChainDB.prototype.connectBlock = co(function* connectBlock(entry, block, view) {
     }
 
     // Index the transaction if enabled.
-    this.indexTX(tx, view, entry, i);
+    yield this.indexTX(tx, view, entry, i);
   }
 
   // Commit new coin state.
@@ -1813,7 +2934,7 @@ ChainDB.prototype.disconnectBlock = co(function* disconnectBlock(entry, block) {
     }
 
     // Remove from transaction index.
-    this.unindexTX(tx, view);
+    yield this.unindexTX(tx, view, entry);
   }
 
   // Undo coins should be empty.
@@ -1880,7 +3001,7 @@ ChainDB.prototype.saveOptions = function saveOptions() {
 ChainDB.prototype.indexTX = co(function* indexTX(tx, view, entry, index) {
   var hash = tx.hash();
   var i, meta, input, output;
-  var prevout, hashes, addr;
+  var prevout, hashes, addr, prevHash, prev, record;
 
   if (this.options.indexTX) {
     meta = TXMeta.fromTX(tx, entry, index);
@@ -1897,19 +3018,23 @@ ChainDB.prototype.indexTX = co(function* indexTX(tx, view, entry, index) {
   }
 
   // index map (x,y) -> last tx
-  for (i = 0; i<tx.outputs.length; i++) {
+  for (i = 0; i < tx.outputs.length; i++) {
     output = tx.outputs[i];
-    const xyKey = layout.M(output.x, output.y);
     // save previous tile for undo
-    var prevHash = yield this.db.get(xyKey);
-    if (prevHash) {
-      this.db.put(layout.MU(output.x, output.y, hash), prevHash);
+    prevHash = yield this.getTileHash(output.x, output.y);
+    prev = prevHash ? yield this.getPendingRecord(output.x, output.y) : null;
+    if (prevHash && !util.equal(prevHash, hash)) {
+      this.put(layout.MU(output.x, output.y, hash),
+        prev ? prev.toRaw() : prevHash);
     }
     // save current tile
-    this.db.put(xyKey, hash);
-    // fetch content for tile
-    this.content.fetch(output.x, output.y, output.content.toString('hex'));
-
+    record = TileRecord.fromTX(tx, i, entry.height);
+    this.putTile(output.x, output.y, hash, record);
+    // claim new land
+    if (!prevHash)
+      yield this.addLand(output.x, output.y);
+    this.pendingChanges.push(TileChange.fromRecords(
+      TileChange.types.CONNECT, prev, record, tx.hash('hex'), entry));
   }
 
   if (!this.options.indexAddress)
@@ -1959,11 +3084,12 @@ ChainDB.prototype.forceFetch = co(function* forceFetch(x, y) {
  * @private
  * @param {TX} tx
  * @param {CoinView} view
+ * @param {ChainEntry} entry
  */
 
-ChainDB.prototype.unindexTX = co(function* unindexTX(tx, view) {
+ChainDB.prototype.unindexTX = co(function* unindexTX(tx, view, entry) {
   var hash = tx.hash();
-  var i, input, output, prevout, hashes, addr;
+  var i, input, output, prevout, hashes, addr, data, prevHash, record, undone;
 
   if (this.options.indexTX) {
     this.del(layout.t(hash));
@@ -1976,19 +3102,27 @@ ChainDB.prototype.unindexTX = co(function* unindexTX(tx, view) {
     }
   }
 
-  for (i = 0; i<tx.outputs.length; i++) {
+  for (i = 0; i < tx.outputs.length; i++) {
     output = tx.outputs[i];
     // retrieve previous tile for undo
-    var prevHash = yield this.db.get(layout.MU(output.x, output.y, hash));
-    if (!prevHash) {
-      this.del(layout.M(output.x, output.y));
+    data = yield this.db.get(layout.MU(output.x, output.y, hash));
+    undone = TileRecord.fromTX(tx, i, entry.height);
+    if (!data) {
+      this.removeTile(output.x, output.y);
+      yield this.removeLand(output.x, output.y);
+      this.pendingChanges.push(TileChange.fromRecords(
+        TileChange.types.DISCONNECT, undone, null, tx.hash('hex'), entry));
       continue;
     }
-       
+
     // save previous tile
-    this.put(layout.M(output.x, output.y), prevHash);
+    record = yield this.readTileUndo(data, output.x, output.y);
+    prevHash = record ? new Buffer(record.hash, 'hex') : data;
+    this.putTile(output.x, output.y, prevHash, record);
     // remove undo record
     this.del(layout.MU(output.x, output.y, hash));
+    this.pendingChanges.push(TileChange.fromRecords(
+      TileChange.types.DISCONNECT, undone, record, tx.hash('hex'), entry));
   }
 
   if (!this.options.indexAddress)
@@ -2329,6 +3463,50 @@ function getSize(value) {
   return value.length + 80;
 }
 
+function distance(tile, x, y) {
+  var dx = tile.x - x;
+  var dy = tile.y - y;
+  return dx * dx + dy * dy;
+}
+
+function neighbors(x, y) {
+  var tiles = [];
+
+  if (y < MAX_COORD)
+    tiles.push([x, y + 1]);
+
+  if (x < MAX_COORD)
+    tiles.push([x + 1, y]);
+
+  if (y > MIN_COORD)
+    tiles.push([x, y - 1]);
+
+  if (x > MIN_COORD)
+    tiles.push([x - 1, y]);
+
+  return tiles;
+}
+
+function toTileRecord(meta, x, y) {
+  var i, output;
+
+  for (i = meta.tx.outputs.length - 1; i >= 0; i--) {
+    output = meta.tx.outputs[i];
+    if (output.x === x && output.y === y)
+      return TileRecord.fromTX(meta.tx, i, meta.height);
+  }
+}
+
+function readFile(file) {
+  return new Promise(function(resolve, reject) {
+    fs.readFile(file, co.wrap(resolve, reject));
+  });
+}
+
+function random(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
 function BlockPair(hash, height) {
   this.hash = hash;
   this.height = height;
@@ -11,88 +11,253 @@
 
 'use strict';
 
+var assert = require('assert');
 var fs = require('fs');
+var nodeCrypto = require('crypto');
 var mkdirp = require('mkdirp');
 var path = require('path');
-var EventEmitter = require('events').EventEmitter;
-var pass = require('stream').PassThrough;
-var fs = require('fs');
 
 var constants = require('../protocol/constants');
 var util = require('../utils/util');
 var co = require('../utils/co');
+var base58 = require('../utils/base58');
+var AsyncObject = require('../utils/async');
+var Locker = require('../utils/locker');
+var LDB = require('../db/ldb');
+var backends = require('../content/backends');
+var multihash = require('../content/multihash');
+var ContentValidator = require('../content/validator');
+var Manifest = require('../content/manifest');
+var ContentError = ContentValidator.ContentError;
+var ContentQueue = require('./contentqueue');
+
+var readdir = co.promisify(fs.readdir);
+var readFile = co.promisify(fs.readFile);
+var writeFile = co.promisify(fs.writeFile);
+var stat = co.promisify(fs.stat);
+var unlink = co.promisify(fs.unlink);
+var rename = co.promisify(fs.rename);
+var open = co.promisify(fs.open);
+var read = co.promisify(fs.read);
+var close = co.promisify(fs.close);
+
+/*
+ * Version index layout:
+ *   v[x][y][hash] -> content version (height, replaced)
+ */
 
-const wrtc = require('electron-webrtc');
-const WStar = require('libp2p-webrtc-star');
-const IPFS = require('ipfs');
-const bs58 = require('bs58');
+var UNREPLACED = 0xffffffff;
 
 /**
- * WebTorrent-based content database
+ * Tile content database. Keeps the current and
+ * historical content files of every tile on disk,
+ * and exchanges content with the network through
+ * a pluggable content store (see {@link module:content}).
+ * Content can also be downloaded from other sources, such
+ * as peers (see {@link ContentDB#addSource}), before the store.
+ * Historical versions are indexed by the heights at which
+ * they became current and were replaced, so a retention
+ * policy can prune them as blocks connect. The files of
+ * multi-file scenes (see {@link Manifest}) are stored once
+ * by hash and shared between tiles.
  * @exports ContentDB
+ * @constructor
+ * @param {Chain} chain
+ * @param {Number?} chain.options.contentKeepVersions - Versions to
+ * keep per tile, including the current one.
+ * @param {Number?} chain.options.contentKeepDepth - Keep versions
+ * replaced less than this many blocks ago.
+ * @param {Number?} chain.options.contentMaxSize - Byte budget
+ * for the tile directory.
+ * @param {Number?} chain.options.contentReorgDepth - Never prune
+ * versions a reorg of this depth could bring back.
+ * @param {Number?} chain.options.maxTileContent - Maximum size
+ * of a tile's content in bytes.
+ * @param {(Function|String)?} chain.options.contentValidator - Scene
+ * format check (see {@link ContentValidator}).
  */
+
 function ContentDB(chain) {
   if (!(this instanceof ContentDB))
     return new ContentDB(chain);
 
-  EventEmitter.call(this);
+  AsyncObject.call(this);
 
-  var self = this;
   this.chain = chain;
   this.logger = chain.logger;
   this.network = chain.network;
   this.options = chain.options;
+  this.store = this.options.contentStore || ContentDB.createStore(chain);
+  this.validator = new ContentValidator({
+    maxSize: this.options.maxTileContent,
+    validate: this.options.contentValidator
+  });
+  this.queue = new ContentQueue(this, {
+    maxActive: this.options.contentFetches
+  });
 
-  const wstar = new WStar({
-    wrtc
+  this.db = LDB({
+    location: this.options.prefix + 'contentindex',
+    db: this.options.db,
+    maxFiles: 64,
+    cacheSize: 1 << 20,
+    bufferKeys: !util.isBrowser
   });
 
-  var ipfsReady;
-  this.ipfsReady = new Promise(resolve => ipfsReady = resolve);
-
-  this.ipfs = new IPFS({
-    repo: this.options.prefix + 'ipfs',
-    config: { // overload the default IPFS node config
-      "Bootstrap": [
-        "/ip6/2001:bc8:4400:2100::b:71d/tcp/4001/ipfs/QmfLPuDykBf26hyQV5xgn4ZxBvJJKnVhUVsiKxsWxYS6Y4",
-        "/ip4/163.172.175.248/tcp/4001/ipfs/QmfLPuDykBf26hyQV5xgn4ZxBvJJKnVhUVsiKxsWxYS6Y4",
-        "/ip6/2604:a880:1:20::1d9:6001/tcp/4001/ipfs/QmSoLju6m7xTh3DuokvT3886QRYqxAzb1kShaanJgW36yx",
-        "/ip4/104.236.151.122/tcp/4001/ipfs/QmSoLju6m7xTh3DuokvT3886QRYqxAzb1kShaanJgW36yx",
-        "/ip6/2604:a880:1:20::1f9:9001/tcp/4001/ipfs/QmSoLnSGccFuZQJzRadHn95W2CrSFmZuTdDWP8HXaHca9z",
-        "/ip4/104.236.176.52/tcp/4001/ipfs/QmSoLnSGccFuZQJzRadHn95W2CrSFmZuTdDWP8HXaHca9z",
-        "/ip6/2604:a880:1:20::203:d001/tcp/4001/ipfs/QmSoLPppuBtQSGwKDZT2M73ULpjvfd3aZ6ha4oFGL1KrGM",
-        "/ip4/104.236.179.241/tcp/4001/ipfs/QmSoLPppuBtQSGwKDZT2M73ULpjvfd3aZ6ha4oFGL1KrGM",
-        "/ip4/104.131.131.82/tcp/4001/ipfs/QmaCpDMGvV2BGHeYERUEnRQAwe3N8SzbUtfsmvsqQLuvuJ",
-      ]
-    },
-    libp2p: {
-      modules: {
-        transport: [wstar],
-        discovery: [wstar.discovery]
-      }
+  this.locker = new Locker();
+  this.policy = new PrunePolicy(this.options, this.network);
+  this.pruning = false;
+
+  this.sources = [];
+  this.files = {};
+  this.verified = {};
+
+  this._init();
+}
+
+util.inherits(ContentDB, AsyncObject);
+
+/**
+ * Instantiate the content store selected by the
+ * chain options. Regtest defaults to the local
+ * store so it never touches the network.
+ * @param {Chain} chain
+ * @returns {Object}
+ */
+
+ContentDB.createStore = function createStore(chain) {
+  var options = chain.options;
+  var name = options.contentBackend;
+  var Store;
+
+  if (!name)
+    name = chain.network.type === 'regtest' ? 'local' : 'ipfs';
+
+  Store = backends.get(name);
+
+  switch (name) {
+    case 'local':
+      return new Store({
+        location: options.contentLocation || options.prefix + 'content',
+        logger: chain.logger
+      });
+    case 'ipfs':
+      return new Store({
+        location: options.prefix + 'ipfs',
+        bootstrap: options.ipfsBootstrap,
+        logger: chain.logger
+      });
+    case 'http':
+      return new Store({
+        url: options.contentGateway,
+        logger: chain.logger
+      });
+  }
+};
+
+/**
+ * Keep the version index in sync with the chain.
+ * @private
+ */
+
+ContentDB.prototype._init = function _init() {
+  var self = this;
+
+  if (typeof this.chain.on !== 'function')
+    return;
+
+  this.chain.on('connect', co(function* (entry, block) {
+    try {
+      yield self.connectBlock(entry, block);
+      if (self.policy.isActive())
+        yield self.maybePrune();
+    } catch (e) {
+      self.logger.error('ContentDB could not index block %d: %s',
+        entry.height, e.message);
     }
-  });
+  }));
+
+  this.chain.on('disconnect', co(function* (entry, block) {
+    try {
+      yield self.disconnectBlock(entry, block);
+    } catch (e) {
+      self.logger.error('ContentDB could not unindex block %d: %s',
+        entry.height, e.message);
+    }
+  }));
 
-  this.ipfs.on('error',(err)=>{
-    this.logger.error('IPFS Error: '+err);
+  this.chain.on('tile connect', function(change) {
+    self.fetch(change.x, change.y, change.content.toString('hex'));
   });
-  this.ipfs.on('ready',()=>{
-    this.logger.info('IPFS ready');
-    ipfsReady();
+
+  // A reorg may bring back content we never stored.
+  this.chain.on('tile disconnect', function(change) {
+    if (change.content)
+      self.fetch(change.x, change.y, change.content.toString('hex'));
   });
 
-  var dirPath = this._dirPath();
-  mkdirp.sync(dirPath);
+  // A snapshot brings in tiles without blocks.
+  this.chain.on('snapshot', co(function* (entry, tiles) {
+    var i, tile;
+
+    try {
+      yield self.indexTiles(tiles);
+    } catch (e) {
+      self.logger.error('ContentDB could not index snapshot %d: %s',
+        entry.height, e.message);
+    }
+
+    for (i = 0; i < tiles.length; i++) {
+      tile = tiles[i];
+      self.fetch(tile.x, tile.y, tile.content.toString('hex'));
+    }
+  }));
+};
+
+/**
+ * Open the content store and start seeding
+ * the current version of every stored tile.
+ * @alias ContentDB#open
+ * @returns {Promise}
+ */
+
+ContentDB.prototype._open = co(function* open() {
+  mkdirp.sync(this._dirPath());
+  mkdirp.sync(this._quarantinePath());
+  mkdirp.sync(this._filesPath());
+
+  yield this.db.open();
+  yield this.store.open();
 
   this.startSeeding();
-}
-util.inherits(ContentDB, EventEmitter);
+});
+
+/**
+ * Close the content store.
+ * @alias ContentDB#close
+ * @returns {Promise}
+ */
+
+ContentDB.prototype._close = co(function* close() {
+  this.queue.close();
+  yield this.store.close();
+  yield this.db.close();
+});
 
 ContentDB.prototype.startSeeding = function () {
   // Explore directory for latest version
   const testFolder = this._dirPath();
   fs.readdir(testFolder, (err, files) => {
+    if (err) {
+      this.logger.error('ContentDB could not read %s: %s', testFolder, err.message);
+      return;
+    }
     files.forEach(file => {
+      const version = FILE_REGEX.exec(file);
+      if (version) {
+        this.files[version[3]] = file;
+        return;
+      }
       if (!this._nameMatch(file)) {
         return;
       }
@@ -103,6 +268,10 @@ ContentDB.prototype.startSeeding = function () {
 };
 
 const NAME_REGEX = new RegExp('^(-?\\d+)\\.(-?\\d+)\.lnd$');
+const VERSION_REGEX = /^([1-9A-HJ-NP-Za-km-z]+)\.lnd$/;
+const FILE_REGEX = /^(-?\d+)\.(-?\d+)\.([1-9A-HJ-NP-Za-km-z]+)\.lnd$/;
+const QUARANTINE_REGEX =
+  /^(-?\d+)\.(-?\d+)\.([1-9A-HJ-NP-Za-km-z]+)\.([1-9A-HJ-NP-Za-km-z]+)\.lnd$/;
 
 ContentDB.prototype._nameMatch = function (file) {
   return !!NAME_REGEX.exec(file);
@@ -117,6 +286,14 @@ ContentDB.prototype._dirPath = function () {
   return this.options.prefix + 'tiles' + path.sep;
 };
 
+ContentDB.prototype._quarantinePath = function () {
+  return this.options.prefix + 'quarantine' + path.sep;
+};
+
+ContentDB.prototype._filesPath = function () {
+  return this.options.prefix + 'files' + path.sep;
+};
+
 ContentDB.prototype._pathFor = function (x, y, hash) {
   var dirPath = this._dirPath();
   var namePath = x + '.' + y;
@@ -128,23 +305,213 @@ ContentDB.prototype._pathFor = function (x, y, hash) {
   return fullPath;
 };
 
-ContentDB.prototype._seed = co(function* _seed(x, y) {
-  var self = this;
-  const file = this._pathFor(x,y);
-  const infoHash = yield new Promise((resolve,reject)=>{
-    this.ipfsReady.then(()=>{
-      return self.ipfs.files.add(fs.createReadStream(file), (err,result)=>{
-        if(err) { reject(err); }
-        var hash = result[0].hash;
-        self.logger.info('IPFS seeding', hash);
-        var hashBuf = bs58.decode(hash);
-        var hashHex = hashBuf.toString('hex');
-        resolve(hashHex);
-      });
+/**
+ * Get the path of a stored tile file.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {String?} hash - Base58 multihash of a
+ * historical version. The current file if omitted.
+ * @returns {String}
+ */
+
+ContentDB.prototype.getPath = function getPath(x, y, hash) {
+  return this._pathFor(x, y, hash);
+};
+
+/**
+ * Record a verified version written to disk
+ * and announce that it can be served.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @param {String} id - Base58 multihash.
+ */
+
+ContentDB.prototype._addFile = function _addFile(x, y, id) {
+  this.files[id] = x + '.' + y + '.' + id + '.lnd';
+  this.emit('available', base58.decode(id));
+};
+
+/**
+ * Forget a version removed from disk.
+ * @private
+ * @param {String} file
+ * @param {String} id - Base58 multihash.
+ */
+
+ContentDB.prototype._removeFile = function _removeFile(file, id) {
+  if (this.files[id] === file) {
+    delete this.files[id];
+    delete this.verified[id];
+  }
+};
+
+/**
+ * Add a source to download content from before
+ * the store is asked, e.g. the peer pool.
+ * @param {Object} source - Implements `getContent(hash)`,
+ * returning a Promise for a Buffer or null.
+ */
+
+ContentDB.prototype.addSource = function addSource(source) {
+  assert(typeof source.getContent === 'function',
+    'Content source must implement getContent.');
+  this.sources.push(source);
+};
+
+/**
+ * Read locally stored content by multihash, for
+ * serving to others. Never touches the network.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Buffer, or null if not stored.
+ */
+
+ContentDB.prototype.getContent = co(function* getContent(hash) {
+  var id = base58.encode(hash);
+  var file = this.files[id];
+  var data;
+
+  if (!file) {
+    data = yield readOptional(this.getFilePath(id));
+    if (!data || !multihash.verify(data, hash))
+      return null;
+    return data;
+  }
+
+  data = yield readOptional(this._dirPath() + file);
+
+  if (!data || !multihash.verify(data, hash)) {
+    this._removeFile(file, id);
+    return null;
+  }
+
+  return data;
+});
+
+/**
+ * Read a range of locally stored content, for serving
+ * it chunk by chunk. A file is only hashed in full on
+ * its first read (or once it changes on disk); later
+ * reads only read the range.
+ * @param {Buffer} hash
+ * @param {Number} offset
+ * @param {Number} size - Maximum number of bytes to read.
+ * @returns {Promise} - Returns Object ({total, data}),
+ * or null if not stored.
+ */
+
+ContentDB.prototype.readContent = co(function* readContent(hash, offset, size) {
+  var id = base58.encode(hash);
+  var file = this.files[id];
+  var info, data, fd, result;
+
+  if (file)
+    file = this._dirPath() + file;
+  else
+    file = this.getFilePath(id);
+
+  info = yield statOptional(file);
+
+  if (!info)
+    return null;
+
+  if (this.verified[id] !== getStamp(info)) {
+    data = yield this.getContent(hash);
+
+    if (!data)
+      return null;
+
+    info = yield statOptional(file);
+
+    if (info && info.size === data.length)
+      this.verified[id] = getStamp(info);
+
+    return {
+      total: data.length,
+      data: data.slice(offset, offset + size)
+    };
+  }
+
+  size = Math.max(0, Math.min(size, info.size - offset));
+  data = new Buffer(size);
+  fd = yield open(file, 'r');
+
+  try {
+    result = yield read(fd, data, 0, size, offset);
+  } finally {
+    yield close(fd);
+  }
+
+  return {
+    total: info.size,
+    data: data.slice(0, result)
+  };
+});
+
+/**
+ * List the stored versions of a tile, newest first.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns Object[] ({hash, size, time}).
+ */
+
+ContentDB.prototype.getVersions = co(function* getVersions(x, y) {
+  var prefix = x + '.' + y + '.';
+  var versions = [];
+  var i, files, file, match, info;
+
+  files = yield readdir(this._dirPath());
+
+  for (i = 0; i < files.length; i++) {
+    file = files[i];
+
+    if (file.indexOf(prefix) !== 0)
+      continue;
+
+    match = VERSION_REGEX.exec(file.substring(prefix.length));
+
+    if (!match)
+      continue;
+
+    info = yield stat(this._dirPath() + file);
+
+    versions.push({
+      hash: match[1],
+      size: info.size,
+      time: info.mtime.getTime() / 1000 | 0
     });
-  }).catch(error => self.logger.error('ContentDB could not read file', file, error, error.stack));
+  }
+
+  versions.sort(function(a, b) {
+    return b.time - a.time;
+  });
 
-  return infoHash;
+  return versions;
+});
+
+/**
+ * Add the current content of a tile to the store.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns String (hex multihash).
+ */
+
+ContentDB.prototype._seed = co(function* _seed(x, y) {
+  var file = this._pathFor(x, y);
+  var data, hash;
+
+  try {
+    data = yield readFile(file);
+    hash = yield this.store.put(data);
+  } catch (e) {
+    this.logger.error('ContentDB could not seed %s: %s', file, e.message);
+    return;
+  }
+
+  this.logger.info('Seeding %s for (%d, %d).', base58.encode(hash), x, y);
+
+  return hash.toString('hex');
 });
 
 ContentDB.prototype._copy = co(function* _copy(from, to) {
@@ -152,19 +519,13 @@ ContentDB.prototype._copy = co(function* _copy(from, to) {
     .pipe(fs.createWriteStream(to));
 });
 
-ContentDB.prototype._dump = co(function* _dump(base64content, to) {
-  var content = Buffer.from(base64content, 'base64');
-  var stream = new pass();
-  stream.end(content);
-  yield stream.pipe(fs.createWriteStream(to));
-});
-
 ContentDB.prototype.save = co(function* save(x, y, hash, stream, isCurrent) {
   const currentPath = this._pathFor(x, y);
   const historicPath = this._pathFor(x, y, hash);
   var save = stream.pipe(fs.createWriteStream(historicPath));
   var self = this;
   save.on('finish', () => {
+    self._addFile(x, y, hash);
     if (isCurrent) {
       self.logger.info(`Saving new version of ${x}, ${y} at ${historicPath}`);
       this._copy(historicPath, currentPath);
@@ -173,54 +534,1350 @@ ContentDB.prototype.save = co(function* save(x, y, hash, stream, isCurrent) {
   });
 });
 
+/**
+ * Queue a download of tile content, unless
+ * it is empty or already on disk.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {String} hashHex - Hex multihash.
+ * @returns {ContentJob|null}
+ */
+
 ContentDB.prototype.fetch = function fetch(x, y, hashHex) {
-  
+  var hash;
+
   // if null content, save default tile without downloading object
-  if (hashHex === constants.IPFS_NULL_HASH) {
+  if (hashHex === constants.IPFS_NULL_HASH)
+    return null;
+
+  hash = new Buffer(hashHex, 'hex');
+
+  // check if we already have that file
+  if (fs.existsSync(this._pathFor(x, y, base58.encode(hash)))) {
+    this._resumeFiles(x, y, hash);
+    return null;
+  }
+
+  return this.queue.add(x, y, hash);
+};
+
+/**
+ * Queue downloads for the files of a manifest
+ * that are not stored yet.
+ * @param {Manifest} manifest
+ * @returns {Number} Files queued.
+ */
+
+ContentDB.prototype.fetchFiles = function fetchFiles(manifest) {
+  var hashes = manifest.getHashes();
+  var count = 0;
+  var i, hash;
+
+  for (i = 0; i < hashes.length; i++) {
+    hash = hashes[i];
+
+    if (fs.existsSync(this.getFilePath(base58.encode(hash))))
+      continue;
+
+    this.queue.addFile(hash);
+    count++;
+  }
+
+  return count;
+};
+
+/**
+ * Queue the missing files of a stored manifest, e.g.
+ * downloads that were interrupted by a restart.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Buffer} hash
+ * @returns {Promise}
+ */
+
+ContentDB.prototype._resumeFiles = co(function* _resumeFiles(x, y, hash) {
+  var manifest;
+
+  try {
+    manifest = yield this.getManifest(x, y, base58.encode(hash));
+  } catch (e) {
+    this.logger.warning('ContentDB could not read manifest for (%d, %d): %s',
+      x, y, e.message);
     return;
   }
-  
-  // Encode hash
-  var hashBuf = new Buffer(hashHex, 'hex');
-  var hash = bs58.encode(hashBuf);
 
-  // check if we already have that file
-  if (fs.existsSync(this._pathFor(x, y, hash))) {
+  if (manifest)
+    this.fetchFiles(manifest);
+});
+
+/**
+ * Read a stored version of a tile as a manifest.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {String} id - Base58 multihash of the version.
+ * @returns {Promise} - Returns {@link Manifest}, or null
+ * if the version is not stored or is a single file.
+ */
+
+ContentDB.prototype.getManifest = co(function* getManifest(x, y, id) {
+  var file = this._pathFor(x, y, id);
+  var info, data;
+
+  try {
+    info = yield stat(file);
+  } catch (e) {
+    if (e.code === 'ENOENT')
+      return null;
+    throw e;
+  }
+
+  if (info.size > Manifest.MAX_SIZE)
+    return null;
+
+  data = yield readFile(file);
+
+  if (!Manifest.isManifest(data))
+    return null;
+
+  return Manifest.fromRaw(data);
+});
+
+/**
+ * Get the path of a stored manifest file.
+ * @param {String} id - Base58 multihash of the file.
+ * @returns {String}
+ */
+
+ContentDB.prototype.getFilePath = function getFilePath(id) {
+  return this._filesPath() + id;
+};
+
+/**
+ * Retry the downloads for a tile right away.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Buffer} hash - On-chain multihash, queued
+ * if nothing is pending for the tile.
+ * @returns {ContentJob[]}
+ */
+
+ContentDB.prototype.retry = function retry(x, y, hash) {
+  var jobs = this.queue.getJobs(x, y);
+  var i, job;
+
+  if (jobs.length === 0) {
+    job = this.fetch(x, y, hash.toString('hex'));
+    return job ? [job] : [];
+  }
+
+  for (i = 0; i < jobs.length; i++)
+    this.queue.retry(jobs[i]);
+
+  return jobs;
+};
+
+/**
+ * Check tile content against the size limit
+ * and the scene validator. For a manifest, the
+ * limit applies to the total size of its files.
+ * @param {Buffer} data
+ * @returns {Promise}
+ * @throws {ContentError}
+ */
+
+ContentDB.prototype.validate = co(function* validate(data) {
+  var manifest;
+
+  if (!Manifest.isManifest(data)) {
+    yield this.validator.check(data);
     return;
   }
 
-  var self = this;
+  try {
+    manifest = Manifest.fromRaw(data);
+  } catch (e) {
+    throw new ContentError('bad manifest (' + e.message + ').');
+  }
 
-  // TBI: Detect already acquiring
-  this.logger.info('ContentDB asked to fetch content for', x, y, hash);
-  this.ipfsReady.then(()=>{
-    this.ipfs.files.cat(hash, (err, stream)=>{
-      if (err) {
-        self.logger.error('IPFS fetch error: '+err);
-        throw err;
-      }
-      self.logger.info('IPFS fetching', x, y, hash);
-      var data = Buffer.alloc(0);
-      stream.on('data',(chunk)=>{
-        const numBytes = chunk.length;
-        self.logger.info('IPFS received '+numBytes+' bytes for', hash);
-        data = Buffer.concat([data,chunk]);
-      });
-      stream.on('end',()=>{
-        self.logger.info('IPFS finished downloading', hash);
-        self.emit('content', x, y, data, hash);
-      });
+  this.validator.checkSize(manifest.getSize());
+});
+
+/**
+ * Download the content of a queued job and emit it for
+ * every tile waiting on it. Content that does not match
+ * its multihash is quarantined, never emitted. Content
+ * that fails validation is neither stored nor served.
+ * Manifest files are stored by hash, and the files of
+ * a downloaded manifest are queued in turn.
+ * @param {ContentJob} job
+ * @returns {Promise} - Returns String (final job state),
+ * or null if the content was not found.
+ */
+
+ContentDB.prototype.download = co(function* download(job) {
+  var id = job.id();
+  var i, tile, data;
+
+  this.logger.info('ContentDB fetching %s for %d tile(s).',
+    id, job.tiles.length);
+
+  for (i = 0; i < this.sources.length && !data; i++)
+    data = yield this.sources[i].getContent(job.hash);
+
+  if (!data)
+    data = yield this.store.get(job.hash);
+
+  if (!data)
+    return null;
+
+  if (!multihash.verify(data, job.hash)) {
+    // Nothing to quarantine for: try another source.
+    if (job.tiles.length === 0)
+      throw new Error('Content does not match its hash.');
+
+    for (i = 0; i < job.tiles.length; i++) {
+      tile = job.tiles[i];
+      yield this.quarantine(tile.x, tile.y, job.hash, data);
+    }
+    return ContentQueue.states.QUARANTINED;
+  }
+
+  try {
+    if (job.tiles.length > 0)
+      yield this.validate(data);
+    else
+      this.validator.checkSize(data.length);
+  } catch (e) {
+    if (e.type !== 'ContentError')
+      throw e;
+    this.logger.warning('ContentDB rejected %s: %s', id, e.reason);
+    this.emit('invalid', job.hash, e.reason);
+    return ContentQueue.states.INVALID;
+  }
+
+  if (job.file)
+    yield this._putBlob(job.hash, data);
+
+  if (job.tiles.length > 0 && Manifest.isManifest(data))
+    this.fetchFiles(Manifest.fromRaw(data));
+
+  for (i = 0; i < job.tiles.length; i++) {
+    tile = job.tiles[i];
+    this.emit('content', tile.x, tile.y, data, id);
+  }
+
+  return ContentQueue.states.DONE;
+});
+
+/**
+ * Set aside content that does not match the
+ * multihash it was requested for.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Buffer} hash - Expected multihash.
+ * @param {Buffer} data
+ * @returns {Promise}
+ */
+
+ContentDB.prototype.quarantine = co(function* quarantine(x, y, hash, data) {
+  var expected = base58.encode(hash);
+  var actual = base58.encode(multihash.hash(data));
+  var file = this._quarantinePath()
+    + x + '.' + y + '.' + expected + '.' + actual + '.lnd';
+
+  this.logger.warning(
+    'Content for (%d, %d) does not match %s (got %s), quarantining.',
+    x, y, expected, actual);
+
+  try {
+    yield writeFile(file, data);
+  } catch (e) {
+    this.logger.error('ContentDB could not quarantine %s: %s', file, e.message);
+  }
+
+  this.emit('quarantine', x, y, expected, actual);
+});
+
+/**
+ * List quarantined downloads.
+ * @param {Number?} x - Only list downloads for this tile.
+ * @param {Number?} y
+ * @returns {Promise} - Returns Object[]
+ * ({x, y, expected, actual, size, time}).
+ */
+
+ContentDB.prototype.getQuarantined = co(function* getQuarantined(x, y) {
+  var items = [];
+  var i, files, match, info;
+
+  try {
+    files = yield readdir(this._quarantinePath());
+  } catch (e) {
+    if (e.code === 'ENOENT')
+      return items;
+    throw e;
+  }
+
+  for (i = 0; i < files.length; i++) {
+    match = QUARANTINE_REGEX.exec(files[i]);
+
+    if (!match)
+      continue;
+
+    if (x != null && (+match[1] !== x || +match[2] !== y))
+      continue;
+
+    info = yield stat(this._quarantinePath() + files[i]);
+
+    items.push({
+      x: +match[1],
+      y: +match[2],
+      expected: match[3],
+      actual: match[4],
+      size: info.size,
+      time: info.mtime.getTime() / 1000 | 0
     });
+  }
+
+  return items;
+});
+
+/**
+ * Report what the node holds for a tile's on-chain content.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Buffer} hash - On-chain multihash.
+ * @returns {Promise} - Returns Object.
+ */
+
+ContentDB.prototype.getStatus = co(function* getStatus(x, y, hash) {
+  var id = base58.encode(hash);
+  var quarantined = yield this.getQuarantined(x, y);
+  var job = this.queue.jobs[hash.toString('hex')];
+  var status;
+
+  quarantined = quarantined.filter(function(item) {
+    return item.expected === id;
   });
-};
 
-ContentDB.prototype.putFile = co(function* putFile(x, y, base64content) {
-  var self = this;
+  if (hash.toString('hex') === constants.IPFS_NULL_HASH)
+    status = 'empty';
+  else if (!multihash.isSHA256(hash))
+    status = 'unsupported';
+  else if (fs.existsSync(this._pathFor(x, y, id)))
+    status = 'verified';
+  else if (quarantined.length > 0)
+    status = 'quarantined';
+  else if (job)
+    status = job.state === ContentQueue.states.FAILED ? 'failed' : 'queued';
+  else
+    status = 'missing';
 
-  const copyPath = this._pathFor(x,y);
-  yield this._dump(base64content, copyPath);
-  self.logger.info('Tile file ('+x+','+y+') copy finished, starting to seed');
-  return this._seed(x, y);
+  return {
+    x: x,
+    y: y,
+    hash: id,
+    status: status,
+    fetch: job ? job.toJSON() : null,
+    quarantined: quarantined
+  };
 });
 
-module.exports = ContentDB;
+/**
+ * Check the stored content of every tile against its
+ * current on-chain hash. A tile is `missing` when no
+ * valid copy is on disk, `corrupt` when its version
+ * file does not match the hash, and `stale` when a
+ * valid copy exists but the version file or the
+ * `x.y.lnd` copy is absent or outdated. In rebuild
+ * mode, stale tiles are fixed from the valid copy,
+ * corrupt files are quarantined, and downloads are
+ * queued for everything else.
+ * @param {Boolean?} rebuild
+ * @returns {Promise} - Returns Object
+ * ({checked, ok, missing, stale, corrupt, queued}).
+ */
+
+ContentDB.prototype.verify = co(function* verify(rebuild) {
+  var result = {
+    checked: 0,
+    ok: 0,
+    missing: [],
+    stale: [],
+    corrupt: [],
+    queued: 0
+  };
+  var i, tiles, tile, item;
+
+  tiles = yield this.chain.db.getTiles();
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+
+    if (tile.content.toString('hex') === constants.IPFS_NULL_HASH)
+      continue;
+
+    // Only sha2-256 content can be checked.
+    if (!multihash.isSHA256(tile.content))
+      continue;
+
+    result.checked++;
+
+    item = yield this.verifyTile(tile.x, tile.y, tile.content, rebuild);
+
+    switch (item.status) {
+      case 'ok':
+        result.ok++;
+        continue;
+      case 'missing':
+        result.missing.push(item);
+        break;
+      case 'stale':
+        result.stale.push(item);
+        break;
+      case 'corrupt':
+        result.corrupt.push(item);
+        break;
+    }
+
+    if (item.queued)
+      result.queued++;
+  }
+
+  if (rebuild) {
+    this.logger.info(
+      'Content rebuild: %d missing, %d stale, %d corrupt, %d queued.',
+      result.missing.length, result.stale.length,
+      result.corrupt.length, result.queued);
+  }
+
+  return result;
+});
+
+/**
+ * Check, and optionally rebuild, the stored content
+ * of a single tile (see {@link ContentDB#verify}).
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Buffer} hash - On-chain multihash.
+ * @param {Boolean?} rebuild
+ * @returns {Promise} - Returns Object ({x, y, hash, status, queued}).
+ */
+
+ContentDB.prototype.verifyTile = co(function* verifyTile(x, y, hash, rebuild) {
+  var id = base58.encode(hash);
+  var versionPath = this._pathFor(x, y, id);
+  var currentPath = this._pathFor(x, y);
+  var version = yield readOptional(versionPath);
+  var current = yield readOptional(currentPath);
+  var item = { x: x, y: y, hash: id, status: 'ok', queued: false };
+  var valid = null;
+  var self = this;
+
+  if (version && multihash.verify(version, hash))
+    valid = version;
+  else if (current && multihash.verify(current, hash))
+    valid = current;
+
+  if (valid) {
+    if (valid === version && current && util.equal(current, version))
+      return item;
+
+    item.status = version && valid !== version ? 'corrupt' : 'stale';
+
+    if (!rebuild)
+      return item;
+
+    if (version && valid !== version)
+      yield this.quarantine(x, y, hash, version);
+
+    yield writeFile(versionPath, valid);
+    yield writeFile(currentPath, valid);
+
+    this._addFile(x, y, id);
+
+    this.store.put(valid).catch(function(e) {
+      self.logger.error('ContentDB could not seed (%d, %d): %s',
+        x, y, e.message);
+    });
+
+    return item;
+  }
+
+  item.status = version ? 'corrupt' : 'missing';
+
+  if (!rebuild)
+    return item;
+
+  // Move the bad copy aside so the download
+  // is not skipped.
+  if (version) {
+    yield this.quarantine(x, y, hash, version);
+    yield unlink(versionPath);
+    this._removeFile(path.basename(versionPath), id);
+  }
+
+  item.queued = !!this.fetch(x, y, hash.toString('hex'));
+
+  return item;
+});
+
+/**
+ * Validate new content for a tile and compute its
+ * multihash without storing it, so that the transaction
+ * committing to it can be built before it is published
+ * with {@link ContentDB#putFile}.
+ * @param {String} base64content
+ * @returns {Promise} - Returns String (hex multihash).
+ */
+
+ContentDB.prototype.hashFile = co(function* hashFile(base64content) {
+  var data = new Buffer(base64content, 'base64');
+
+  yield this.validate(data);
+
+  return multihash.hash(data).toString('hex');
+});
+
+/**
+ * Write new content for a tile and add it to the store.
+ * The multihash is computed locally, so this does not
+ * wait for the store.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {String} base64content
+ * @returns {Promise} - Returns String (hex multihash).
+ */
+
+ContentDB.prototype.putFile = co(function* putFile(x, y, base64content) {
+  var data = new Buffer(base64content, 'base64');
+  var hash = multihash.hash(data);
+
+  yield this.validate(data);
+
+  yield writeFile(this._pathFor(x, y, base58.encode(hash)), data);
+
+  yield this._publish(x, y, hash, data);
+
+  return hash.toString('hex');
+});
+
+/**
+ * Write new content for a tile as it streams in. The
+ * content is hashed and written to disk chunk by chunk,
+ * and the upload is aborted once it exceeds the size
+ * limit. The scene validator runs when it is complete.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {ReadableStream} stream
+ * @returns {Promise} - Returns Buffer (multihash).
+ */
+
+ContentDB.prototype.putStream = co(function* putStream(x, y, stream) {
+  var tmp = this._dirPath() + '.upload.' + x + '.' + y + '.'
+    + nodeCrypto.randomBytes(8).toString('hex');
+  var hash, data, result;
+
+  try {
+    result = yield this._receive(stream, tmp);
+    hash = result.hash;
+    data = result.data;
+    yield this.validate(data);
+    yield rename(tmp, this._pathFor(x, y, base58.encode(hash)));
+  } catch (e) {
+    yield unlink(tmp).catch(function() {});
+    throw e;
+  }
+
+  yield this._publish(x, y, hash, data);
+
+  return hash;
+});
+
+/**
+ * Write a stream to a file, hashing it on the way. The
+ * chunks are kept too (up to the size limit), so that
+ * the file never has to be read back.
+ * @private
+ * @param {ReadableStream} stream
+ * @param {String} file
+ * @returns {Promise} - Returns Object ({hash, data}).
+ */
+
+ContentDB.prototype._receive = function _receive(stream, file) {
+  var validator = this.validator;
+
+  return new Promise(function(resolve, reject) {
+    var out = fs.createWriteStream(file);
+    var sha = nodeCrypto.createHash('sha256');
+    var chunks = [];
+    var size = 0;
+    var done = false;
+
+    function fail(err) {
+      if (done)
+        return;
+      done = true;
+      stream.unpipe(out);
+      stream.removeListener('data', onData);
+      out.on('close', function() {
+        reject(err);
+      });
+      out.destroy();
+    }
+
+    function onData(data) {
+      size += data.length;
+
+      try {
+        validator.checkSize(size);
+      } catch (e) {
+        fail(e);
+        return;
+      }
+
+      sha.update(data);
+      chunks.push(data);
+    }
+
+    stream.on('data', onData);
+
+    stream.on('error', fail);
+
+    stream.on('aborted', function() {
+      fail(new Error('Upload aborted.'));
+    });
+
+    out.on('error', fail);
+
+    out.on('finish', function() {
+      if (done)
+        return;
+      done = true;
+      resolve({
+        hash: Buffer.concat([multihash.PREFIX, sha.digest()]),
+        data: Buffer.concat(chunks, size)
+      });
+    });
+
+    stream.pipe(out);
+  });
+};
+
+/**
+ * Publish a multi-file scene for a tile: store each
+ * file by hash, then make a manifest listing them the
+ * tile's content. Scene (`.lnd`) files go through the
+ * scene validator, and the size limit applies to the
+ * total size of the files.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Object[]} files - `{path, data}`.
+ * @returns {Promise} - Returns String (hex multihash of the manifest).
+ */
+
+ContentDB.prototype.putFiles = co(function* putFiles(x, y, files) {
+  var self = this;
+  var data = yield this._checkFiles(files);
+  var hash = multihash.hash(data);
+  var i;
+
+  for (i = 0; i < files.length; i++)
+    yield this._putBlob(multihash.hash(files[i].data), files[i].data);
+
+  files.forEach(function(file) {
+    self.store.put(file.data).catch(function(e) {
+      self.logger.error('ContentDB could not seed %s: %s', file.path, e.message);
+    });
+  });
+
+  yield writeFile(this._pathFor(x, y, base58.encode(hash)), data);
+  yield this._publish(x, y, hash, data);
+
+  return hash.toString('hex');
+});
+
+/**
+ * Validate a multi-file scene and compute the multihash
+ * of its manifest without storing anything (see
+ * {@link ContentDB#hashFile} and {@link ContentDB#putFiles}).
+ * @param {Object[]} files - `{path, data}`.
+ * @returns {Promise} - Returns String (hex multihash of the manifest).
+ */
+
+ContentDB.prototype.hashFiles = co(function* hashFiles(files) {
+  var data = yield this._checkFiles(files);
+  return multihash.hash(data).toString('hex');
+});
+
+/**
+ * Validate the files of a multi-file scene and
+ * build their manifest.
+ * @private
+ * @param {Object[]} files - `{path, data}`.
+ * @returns {Promise} - Returns Buffer (serialized manifest).
+ */
+
+ContentDB.prototype._checkFiles = co(function* _checkFiles(files) {
+  var i, manifest, data;
+
+  try {
+    manifest = Manifest.fromFiles(files);
+  } catch (e) {
+    throw new ContentError('bad manifest (' + e.message + ').');
+  }
+
+  for (i = 0; i < files.length; i++) {
+    if (/\.lnd$/i.test(files[i].path))
+      yield this.validator.check(files[i].data);
+  }
+
+  data = manifest.toRaw();
+
+  yield this.validate(data);
+
+  return data;
+});
+
+/**
+ * Store a manifest file by hash and announce it.
+ * @private
+ * @param {Buffer} hash
+ * @param {Buffer} data
+ * @returns {Promise}
+ */
+
+ContentDB.prototype._putBlob = co(function* _putBlob(hash, data) {
+  var file = this.getFilePath(base58.encode(hash));
+
+  if (!fs.existsSync(file))
+    yield writeFile(file, data);
+
+  this.emit('available', hash);
+});
+
+/**
+ * Make stored content the current version of
+ * a tile and add it to the content store.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Buffer} hash
+ * @param {Buffer} data
+ * @returns {Promise}
+ */
+
+ContentDB.prototype._publish = co(function* _publish(x, y, hash, data) {
+  var self = this;
+
+  yield writeFile(this._pathFor(x, y), data);
+
+  this._addFile(x, y, base58.encode(hash));
+
+  this.logger.info('Tile file ('+x+','+y+') copy finished, starting to seed');
+
+  this.store.put(data).catch(function(e) {
+    self.logger.error('ContentDB could not seed (%d, %d): %s', x, y, e.message);
+  });
+});
+
+/**
+ * Get the indexed versions of a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link ContentVersion}[].
+ */
+
+ContentDB.prototype.getIndexedVersions = function getIndexedVersions(x, y) {
+  return this.db.range({
+    gte: versionKey(x, y, MIN_HASH),
+    lte: versionKey(x, y, MAX_HASH),
+    parse: function(key, value) {
+      return ContentVersion.fromRaw(key.slice(9), value);
+    }
+  });
+};
+
+/**
+ * Get the indexed version of a tile which is
+ * still current.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link ContentVersion} or null.
+ */
+
+ContentDB.prototype.getCurrentVersion = co(function* getCurrentVersion(x, y) {
+  var versions = yield this.getIndexedVersions(x, y);
+  var i;
+
+  for (i = 0; i < versions.length; i++) {
+    if (versions[i].isCurrent())
+      return versions[i];
+  }
+
+  return null;
+});
+
+/**
+ * Index the current content versions of tiles
+ * imported from a snapshot. A version is taken
+ * to be current since the last transaction
+ * touching its tile.
+ * @param {TileRecord[]} tiles
+ * @returns {Promise}
+ */
+
+ContentDB.prototype.indexTiles = co(function* indexTiles(tiles) {
+  var unlock = yield this.locker.lock();
+  try {
+    return yield this._indexTiles(tiles);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Index snapshot tiles (without a lock).
+ * @private
+ * @param {TileRecord[]} tiles
+ * @returns {Promise}
+ */
+
+ContentDB.prototype._indexTiles = co(function* indexTiles(tiles) {
+  var batch = this.db.batch();
+  var i, tile, version;
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+
+    if (yield this.getCurrentVersion(tile.x, tile.y))
+      continue;
+
+    version = new ContentVersion(tile.content, tile.height);
+    batch.put(versionKey(tile.x, tile.y, version.hash), version.toRaw());
+  }
+
+  yield batch.write();
+});
+
+/**
+ * Index the content versions set by a block.
+ * @param {ChainEntry} entry
+ * @param {Block} block
+ * @returns {Promise}
+ */
+
+ContentDB.prototype.connectBlock = co(function* connectBlock(entry, block) {
+  var unlock = yield this.locker.lock();
+  try {
+    return yield this._connectBlock(entry, block);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Index the content versions set by a block (without a lock).
+ * @private
+ * @param {ChainEntry} entry
+ * @param {Block} block
+ * @returns {Promise}
+ */
+
+ContentDB.prototype._connectBlock = co(function* connectBlock(entry, block) {
+  var batch = this.db.batch();
+  var current = {};
+  var i, j, tx, output, key, prev, version;
+
+  if (!block.txs)
+    return;
+
+  for (i = 0; i < block.txs.length; i++) {
+    tx = block.txs[i];
+    for (j = 0; j < tx.outputs.length; j++) {
+      output = tx.outputs[j];
+      key = output.x + ',' + output.y;
+
+      prev = current[key];
+
+      if (prev === undefined)
+        prev = yield this.getCurrentVersion(output.x, output.y);
+
+      if (prev && util.equal(prev.hash, output.content))
+        continue;
+
+      if (prev) {
+        prev.replaced = entry.height;
+        batch.put(versionKey(output.x, output.y, prev.hash), prev.toRaw());
+      }
+
+      version = new ContentVersion(output.content, entry.height);
+      batch.put(versionKey(output.x, output.y, version.hash), version.toRaw());
+
+      current[key] = version;
+    }
+  }
+
+  yield batch.write();
+});
+
+/**
+ * Undo the content versions set by a block.
+ * @param {ChainEntry} entry
+ * @param {Block} block
+ * @returns {Promise}
+ */
+
+ContentDB.prototype.disconnectBlock = co(function* disconnectBlock(entry, block) {
+  var unlock = yield this.locker.lock();
+  try {
+    return yield this._disconnectBlock(entry, block);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Undo the content versions set by a block (without a lock).
+ * @private
+ * @param {ChainEntry} entry
+ * @param {Block} block
+ * @returns {Promise}
+ */
+
+ContentDB.prototype._disconnectBlock = co(function* disconnectBlock(entry, block) {
+  var batch = this.db.batch();
+  var seen = {};
+  var i, j, k, tx, output, key, versions, version, vkey;
+
+  if (!block.txs)
+    return;
+
+  for (i = 0; i < block.txs.length; i++) {
+    tx = block.txs[i];
+    for (j = 0; j < tx.outputs.length; j++) {
+      output = tx.outputs[j];
+      key = output.x + ',' + output.y;
+
+      if (seen[key])
+        continue;
+
+      seen[key] = true;
+
+      versions = yield this.getIndexedVersions(output.x, output.y);
+
+      for (k = 0; k < versions.length; k++) {
+        version = versions[k];
+        vkey = versionKey(output.x, output.y, version.hash);
+
+        if (version.height === entry.height && version.isCurrent()) {
+          batch.del(vkey);
+          continue;
+        }
+
+        if (version.replaced === entry.height) {
+          version.replaced = UNREPLACED;
+          batch.put(vkey, version.toRaw());
+        }
+      }
+    }
+  }
+
+  yield batch.write();
+});
+
+/**
+ * Prune after a block connects, unless
+ * a previous run is still going.
+ * @private
+ * @returns {Promise}
+ */
+
+ContentDB.prototype.maybePrune = co(function* maybePrune() {
+  var result;
+
+  if (this.pruning)
+    return;
+
+  this.pruning = true;
+
+  try {
+    result = yield this.prune();
+  } finally {
+    this.pruning = false;
+  }
+
+  if (result.files > 0) {
+    this.logger.info('Pruned %d content version(s) (%d bytes).',
+      result.files, result.bytes);
+  }
+});
+
+/**
+ * Delete historical versions outside of the retention
+ * policy. The current version of a tile, and versions
+ * a reorg within the policy's reorg depth could bring
+ * back, are never deleted.
+ * @param {PrunePolicy?} policy - Defaults to the configured policy.
+ * @returns {Promise} - Returns Object ({files, bytes, size}).
+ */
+
+ContentDB.prototype.prune = co(function* prune(policy) {
+  var unlock = yield this.locker.lock();
+  try {
+    return yield this._prune(policy || this.policy);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Delete historical versions (without a lock).
+ * @private
+ * @param {PrunePolicy} policy
+ * @returns {Promise} - Returns Object ({files, bytes, size}).
+ */
+
+ContentDB.prototype._prune = co(function* prune(policy) {
+  var tip = this.chain.height;
+  var dir = this._dirPath();
+  var tiles = {};
+  var size = 0;
+  var kept = [];
+  var removed = [];
+  var batch = this.db.batch();
+  var bytes = 0;
+  var i, j, files, file, match, key, tile, info, record, current;
+  var indexed, version, item, age;
+
+  files = yield readdir(dir);
+
+  for (i = 0; i < files.length; i++) {
+    file = files[i];
+
+    if (NAME_REGEX.test(file)) {
+      info = yield stat(dir + file);
+      size += info.size;
+      continue;
+    }
+
+    match = FILE_REGEX.exec(file);
+
+    if (!match)
+      continue;
+
+    key = match[1] + ',' + match[2];
+    tile = tiles[key];
+
+    if (!tile) {
+      tile = { x: +match[1], y: +match[2], versions: [] };
+      tiles[key] = tile;
+    }
+
+    info = yield stat(dir + file);
+
+    tile.versions.push({
+      x: tile.x,
+      y: tile.y,
+      hash: match[3],
+      file: file,
+      size: info.size,
+      time: info.mtime.getTime() / 1000 | 0,
+      replaced: 0
+    });
+  }
+
+  files = Object.keys(tiles);
+
+  for (i = 0; i < files.length; i++) {
+    tile = tiles[files[i]];
+    record = yield this.chain.getTileRecord(tile.x, tile.y);
+    current = record ? base58.encode(record.content) : null;
+    indexed = {};
+
+    (yield this.getIndexedVersions(tile.x, tile.y)).forEach(function(version) {
+      indexed[base58.encode(version.hash)] = version;
+    });
+
+    tile.versions = tile.versions.filter(function(item) {
+      version = indexed[item.hash];
+
+      if (item.hash === current || (version && version.isCurrent())) {
+        size += item.size;
+        return false;
+      }
+
+      // Recent unindexed files may be waiting
+      // for the tx publishing them to confirm.
+      if (!version && policy.isPending(item.time)) {
+        size += item.size;
+        return false;
+      }
+
+      // Other unindexed files predate the index
+      // or were never current on this chain.
+      if (version)
+        item.replaced = version.replaced;
+
+      return true;
+    });
+
+    tile.versions.sort(function(a, b) {
+      return b.replaced - a.replaced;
+    });
+
+    for (j = 0; j < tile.versions.length; j++) {
+      item = tile.versions[j];
+      age = tip - item.replaced;
+
+      if (age < policy.reorgDepth) {
+        size += item.size;
+        continue;
+      }
+
+      if (policy.keeps(j + 1, age)) {
+        size += item.size;
+        kept.push(item);
+        continue;
+      }
+
+      removed.push(item);
+    }
+  }
+
+  // Go over budget by dropping the versions
+  // which were replaced the longest ago.
+  if (policy.maxSize != null && size > policy.maxSize) {
+    kept.sort(function(a, b) {
+      return a.replaced - b.replaced;
+    });
+
+    for (i = 0; i < kept.length && size > policy.maxSize; i++) {
+      removed.push(kept[i]);
+      size -= kept[i].size;
+    }
+  }
+
+  for (i = 0; i < removed.length; i++) {
+    item = removed[i];
+
+    try {
+      yield unlink(dir + item.file);
+    } catch (e) {
+      if (e.code !== 'ENOENT')
+        throw e;
+      continue;
+    }
+
+    batch.del(versionKey(item.x, item.y, base58.decode(item.hash)));
+    this._removeFile(item.file, item.hash);
+    bytes += item.size;
+
+    this.logger.debug('Pruned content %s for (%d, %d).',
+      item.hash, item.x, item.y);
+  }
+
+  yield batch.write();
+
+  return {
+    files: removed.length,
+    bytes: bytes,
+    size: size
+  };
+});
+
+/**
+ * Retention policy for historical tile content.
+ * A historical version is kept while it is among the
+ * newest `keepVersions` versions of its tile or was
+ * replaced less than `keepDepth` blocks ago. With
+ * neither set, every version is kept until the tile
+ * directory goes over `maxSize` bytes.
+ * @constructor
+ * @param {Object?} options
+ * @param {Number?} options.contentKeepVersions
+ * @param {Number?} options.contentKeepDepth
+ * @param {Number?} options.contentMaxSize
+ * @param {Number?} options.contentReorgDepth - Defaults
+ * to the network's `keepBlocks`.
+ * @param {Network} network
+ */
+
+function PrunePolicy(options, network) {
+  if (!(this instanceof PrunePolicy))
+    return new PrunePolicy(options, network);
+
+  if (!options)
+    options = {};
+
+  this.keepVersions = null;
+  this.keepDepth = null;
+  this.maxSize = null;
+  this.reorgDepth = network.block.keepBlocks;
+  this.spacing = network.pow.targetSpacing;
+
+  if (options.contentKeepVersions != null) {
+    assert(util.isNumber(options.contentKeepVersions)
+      && options.contentKeepVersions >= 1,
+      'Versions to keep must be at least 1.');
+    this.keepVersions = options.contentKeepVersions;
+  }
+
+  if (options.contentKeepDepth != null) {
+    assert(util.isNumber(options.contentKeepDepth));
+    this.keepDepth = options.contentKeepDepth;
+  }
+
+  if (options.contentMaxSize != null) {
+    assert(util.isNumber(options.contentMaxSize));
+    this.maxSize = options.contentMaxSize;
+  }
+
+  if (options.contentReorgDepth != null) {
+    assert(util.isNumber(options.contentReorgDepth));
+    this.reorgDepth = options.contentReorgDepth;
+  }
+}
+
+/**
+ * Test whether the policy can prune anything.
+ * @returns {Boolean}
+ */
+
+PrunePolicy.prototype.isActive = function isActive() {
+  return this.keepVersions != null
+    || this.keepDepth != null
+    || this.maxSize != null;
+};
+
+/**
+ * Test whether a file not in the version index is
+ * recent enough to be content whose tx has yet to
+ * confirm: it was written less than the time the
+ * reorg depth takes to mine.
+ * @param {Number} time - Modification time.
+ * @returns {Boolean}
+ */
+
+PrunePolicy.prototype.isPending = function isPending(time) {
+  return util.now() - time < this.reorgDepth * this.spacing;
+};
+
+/**
+ * Test whether a historical version is retained
+ * regardless of the byte budget.
+ * @param {Number} rank - 1 for the newest historical version.
+ * @param {Number} age - Blocks since it was replaced.
+ * @returns {Boolean}
+ */
+
+PrunePolicy.prototype.keeps = function keeps(rank, age) {
+  if (this.keepVersions == null && this.keepDepth == null)
+    return true;
+
+  // The current version counts towards keepVersions.
+  if (this.keepVersions != null && rank < this.keepVersions)
+    return true;
+
+  if (this.keepDepth != null && age < this.keepDepth)
+    return true;
+
+  return false;
+};
+
+/**
+ * A tile content version in the version index.
+ * @constructor
+ * @param {Buffer} hash - Content multihash.
+ * @param {Number} height - Height at which it became current.
+ * @param {Number?} replaced - Height at which it was replaced.
+ */
+
+function ContentVersion(hash, height, replaced) {
+  this.hash = hash;
+  this.height = height;
+  this.replaced = replaced != null ? replaced : UNREPLACED;
+}
+
+/**
+ * Test whether the version is still current.
+ * @returns {Boolean}
+ */
+
+ContentVersion.prototype.isCurrent = function isCurrent() {
+  return this.replaced === UNREPLACED;
+};
+
+/**
+ * Serialize the version.
+ * @returns {Buffer}
+ */
+
+ContentVersion.prototype.toRaw = function toRaw() {
+  var data = new Buffer(8);
+  data.writeUInt32LE(this.height, 0, true);
+  data.writeUInt32LE(this.replaced, 4, true);
+  return data;
+};
+
+/**
+ * Instantiate a version from its index entry.
+ * @param {Buffer} hash
+ * @param {Buffer} data
+ * @returns {ContentVersion}
+ */
+
+ContentVersion.fromRaw = function fromRaw(hash, data) {
+  return new ContentVersion(
+    hash,
+    data.readUInt32LE(0, true),
+    data.readUInt32LE(4, true));
+};
+
+/*
+ * Helpers
+ */
+
+function readOptional(file) {
+  return readFile(file).catch(function(err) {
+    if (err.code === 'ENOENT')
+      return null;
+    throw err;
+  });
+}
+
+function statOptional(file) {
+  return stat(file).catch(function(err) {
+    if (err.code === 'ENOENT')
+      return null;
+    throw err;
+  });
+}
+
+function getStamp(info) {
+  return info.size + ':' + info.mtime.getTime();
+}
+
+var MIN_HASH = new Buffer(0);
+var MAX_HASH = new Buffer(64);
+MAX_HASH.fill(0xff);
+
+function versionKey(x, y, hash) {
+  var key = new Buffer(9 + hash.length);
+  key[0] = 0x76;
+  key.writeUInt32BE((x ^ 0x80000000) >>> 0, 1, true);
+  key.writeUInt32BE((y ^ 0x80000000) >>> 0, 5, true);
+  hash.copy(key, 9);
+  return key;
+}
+
+/*
+ * Expose
+ */
+
+exports = ContentDB;
+exports.PrunePolicy = PrunePolicy;
+exports.ContentVersion = ContentVersion;
+
+module.exports = exports;
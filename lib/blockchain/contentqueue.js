@@ -0,0 +1,509 @@
+/*!
+ * contentqueue.js - tile content download queue for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+var util = require('../utils/util');
+var co = require('../utils/co');
+var base58 = require('../utils/base58');
+
+/**
+ * Download queue for tile content. Jobs are keyed by
+ * content hash, so tiles sharing content cause a single
+ * download. At most `maxActive` downloads run at once,
+ * and failures are retried with exponential backoff.
+ * A tile is dropped from a job once newer content is
+ * queued for it, so a syncing node only downloads the
+ * versions that are still current. Files of multi-file
+ * scenes are queued without tiles and never superseded.
+ * @exports ContentQueue
+ * @constructor
+ * @param {ContentDB} content
+ * @param {Object?} options
+ * @param {Number?} options.maxActive
+ * @param {Number?} options.maxAttempts
+ * @param {Number?} options.retryDelay - Initial backoff in ms.
+ * @param {Number?} options.maxRetryDelay
+ * @param {Number?} options.historySize - Finished jobs to remember.
+ * @emits ContentQueue#finish
+ */
+
+function ContentQueue(content, options) {
+  if (!(this instanceof ContentQueue))
+    return new ContentQueue(content, options);
+
+  EventEmitter.call(this);
+
+  assert(content, 'Content queue requires a content db.');
+
+  if (!options)
+    options = {};
+
+  this.content = content;
+  this.logger = content.logger;
+
+  this.maxActive = options.maxActive || 4;
+  this.maxAttempts = options.maxAttempts || 8;
+  this.retryDelay = options.retryDelay || 5000;
+  this.maxRetryDelay = options.maxRetryDelay || 10 * 60 * 1000;
+  this.historySize = options.historySize || 100;
+
+  this.jobs = {};
+  this.latest = {};
+  this.pending = [];
+  this.active = 0;
+  this.completed = [];
+  this.closed = false;
+}
+
+util.inherits(ContentQueue, EventEmitter);
+
+/**
+ * Job states.
+ * @enum {String}
+ */
+
+ContentQueue.states = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  RETRYING: 'retrying',
+  FAILED: 'failed',
+  DONE: 'done',
+  SUPERSEDED: 'superseded',
+  QUARANTINED: 'quarantined',
+  INVALID: 'invalid'
+};
+
+var states = ContentQueue.states;
+
+/**
+ * Queue a download of tile content. Adding a tile
+ * to a job that is already queued or running does
+ * not start another download.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Buffer} hash
+ * @returns {ContentJob}
+ */
+
+ContentQueue.prototype.add = function add(x, y, hash) {
+  var key = hash.toString('hex');
+  var job = this.jobs[key];
+
+  this.latest[x + ',' + y] = key;
+
+  if (job) {
+    job.addTile(x, y);
+
+    // A failed job is revived by new interest.
+    if (job.state === states.FAILED)
+      this.retry(job);
+
+    return job;
+  }
+
+  job = new ContentJob(hash);
+  job.addTile(x, y);
+
+  this.jobs[key] = job;
+  this.pending.push(job);
+
+  this.flush();
+
+  return job;
+};
+
+/**
+ * Queue a download of a manifest file.
+ * @param {Buffer} hash
+ * @returns {ContentJob}
+ */
+
+ContentQueue.prototype.addFile = function addFile(hash) {
+  var key = hash.toString('hex');
+  var job = this.jobs[key];
+
+  if (job) {
+    job.file = true;
+
+    if (job.state === states.FAILED)
+      this.retry(job);
+
+    return job;
+  }
+
+  job = new ContentJob(hash);
+  job.file = true;
+
+  this.jobs[key] = job;
+  this.pending.push(job);
+
+  this.flush();
+
+  return job;
+};
+
+/**
+ * Find the live jobs for a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {ContentJob[]}
+ */
+
+ContentQueue.prototype.getJobs = function getJobs(x, y) {
+  var result = [];
+  var keys = Object.keys(this.jobs);
+  var i, job;
+
+  for (i = 0; i < keys.length; i++) {
+    job = this.jobs[keys[i]];
+    if (job.hasTile(x, y))
+      result.push(job);
+  }
+
+  return result;
+};
+
+/**
+ * Retry a job now, resetting its backoff.
+ * @param {ContentJob} job
+ */
+
+ContentQueue.prototype.retry = function retry(job) {
+  if (job.state === states.ACTIVE || job.state === states.PENDING)
+    return;
+
+  if (job.timer != null) {
+    clearTimeout(job.timer);
+    job.timer = null;
+  }
+
+  job.attempts = 0;
+  job.retryAt = 0;
+  job.state = states.PENDING;
+
+  this.pending.push(job);
+  this.flush();
+};
+
+/**
+ * Start pending jobs while slots are free.
+ * @private
+ */
+
+ContentQueue.prototype.flush = function flush() {
+  var job;
+
+  while (!this.closed && this.active < this.maxActive) {
+    job = this.pending.shift();
+
+    if (!job)
+      break;
+
+    this.run(job);
+  }
+};
+
+/**
+ * Run a single download attempt.
+ * @private
+ * @param {ContentJob} job
+ * @returns {Promise}
+ */
+
+ContentQueue.prototype.run = co(function* run(job) {
+  var result;
+
+  if (!this.prune(job)) {
+    this.finish(job, states.SUPERSEDED);
+    this.flush();
+    return;
+  }
+
+  this.active++;
+
+  job.state = states.ACTIVE;
+  job.attempts++;
+  job.error = null;
+
+  try {
+    result = yield this.content.download(job);
+  } catch (e) {
+    job.error = e.message;
+    result = null;
+  }
+
+  this.active--;
+
+  if (this.closed)
+    return;
+
+  switch (result) {
+    case states.DONE:
+    case states.SUPERSEDED:
+    case states.QUARANTINED:
+    case states.INVALID:
+      this.finish(job, result);
+      break;
+    default:
+      if (!job.error)
+        job.error = 'Content not found.';
+      this.fail(job);
+      break;
+  }
+
+  this.flush();
+});
+
+/**
+ * Drop tiles that have newer content queued.
+ * @private
+ * @param {ContentJob} job
+ * @returns {Boolean} Whether the content is still needed.
+ */
+
+ContentQueue.prototype.prune = function prune(job) {
+  var key = job.hash.toString('hex');
+  var tiles = [];
+  var i, tile;
+
+  for (i = 0; i < job.tiles.length; i++) {
+    tile = job.tiles[i];
+    if (this.latest[tile.x + ',' + tile.y] === key)
+      tiles.push(tile);
+  }
+
+  if (tiles.length < job.tiles.length) {
+    this.logger.debug('Skipping superseded content %s for %d tile(s).',
+      job.id(), job.tiles.length - tiles.length);
+  }
+
+  job.tiles = tiles;
+
+  return tiles.length > 0 || job.file;
+};
+
+/**
+ * Schedule a retry, or give up after too many attempts.
+ * @private
+ * @param {ContentJob} job
+ */
+
+ContentQueue.prototype.fail = function fail(job) {
+  var self = this;
+  var delay;
+
+  if (job.attempts >= this.maxAttempts) {
+    job.state = states.FAILED;
+    this.logger.warning('Giving up on content %s after %d attempts: %s',
+      job.id(), job.attempts, job.error);
+    return;
+  }
+
+  delay = Math.min(
+    this.retryDelay * Math.pow(2, job.attempts - 1),
+    this.maxRetryDelay);
+
+  job.state = states.RETRYING;
+  job.retryAt = util.now() + Math.ceil(delay / 1000);
+
+  this.logger.debug('Retrying content %s in %ds: %s',
+    job.id(), Math.ceil(delay / 1000), job.error);
+
+  job.timer = setTimeout(function() {
+    job.timer = null;
+    job.state = states.PENDING;
+    self.pending.push(job);
+    self.flush();
+  }, delay);
+};
+
+/**
+ * Move a job to the finished history.
+ * @private
+ * @param {ContentJob} job
+ * @param {String} state
+ */
+
+ContentQueue.prototype.finish = function finish(job, state) {
+  var key = job.hash.toString('hex');
+  var i, tile;
+
+  job.state = state;
+  job.finishedAt = util.now();
+
+  delete this.jobs[key];
+
+  for (i = 0; i < job.tiles.length; i++) {
+    tile = job.tiles[i];
+    if (this.latest[tile.x + ',' + tile.y] === key)
+      delete this.latest[tile.x + ',' + tile.y];
+  }
+
+  this.completed.unshift(job);
+
+  if (this.completed.length > this.historySize)
+    this.completed.pop();
+
+  this.emit('finish', job);
+};
+
+/**
+ * Stop all downloads and timers.
+ */
+
+ContentQueue.prototype.close = function close() {
+  var keys = Object.keys(this.jobs);
+  var i, job;
+
+  this.closed = true;
+
+  for (i = 0; i < keys.length; i++) {
+    job = this.jobs[keys[i]];
+    if (job.timer != null) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+  }
+
+  this.pending.length = 0;
+};
+
+/**
+ * Convert the queue to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+ContentQueue.prototype.toJSON = function toJSON() {
+  var keys = Object.keys(this.jobs);
+  var json = {
+    active: [],
+    pending: [],
+    failed: [],
+    completed: []
+  };
+  var i, job;
+
+  for (i = 0; i < keys.length; i++) {
+    job = this.jobs[keys[i]];
+    switch (job.state) {
+      case states.ACTIVE:
+        json.active.push(job.toJSON());
+        break;
+      case states.FAILED:
+      case states.RETRYING:
+        json.failed.push(job.toJSON());
+        break;
+      default:
+        json.pending.push(job.toJSON());
+        break;
+    }
+  }
+
+  for (i = 0; i < this.completed.length; i++)
+    json.completed.push(this.completed[i].toJSON());
+
+  return json;
+};
+
+/**
+ * A queued content download.
+ * @constructor
+ * @param {Buffer} hash
+ * @property {Buffer} hash
+ * @property {Object[]} tiles - Tiles ({x, y}) waiting for the content.
+ * @property {Boolean} file - Whether the content is a manifest file.
+ * @property {String} state
+ * @property {Number} attempts
+ * @property {String?} error - Last error.
+ * @property {Number} retryAt
+ * @property {Number} finishedAt
+ */
+
+function ContentJob(hash) {
+  if (!(this instanceof ContentJob))
+    return new ContentJob(hash);
+
+  this.hash = hash;
+  this.tiles = [];
+  this.file = false;
+  this.state = states.PENDING;
+  this.attempts = 0;
+  this.error = null;
+  this.retryAt = 0;
+  this.finishedAt = 0;
+  this.timer = null;
+}
+
+/**
+ * Get the base58 multihash of the job.
+ * @returns {String}
+ */
+
+ContentJob.prototype.id = function id() {
+  return base58.encode(this.hash);
+};
+
+/**
+ * Test whether the job serves a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Boolean}
+ */
+
+ContentJob.prototype.hasTile = function hasTile(x, y) {
+  var i;
+
+  for (i = 0; i < this.tiles.length; i++) {
+    if (this.tiles[i].x === x && this.tiles[i].y === y)
+      return true;
+  }
+
+  return false;
+};
+
+/**
+ * Add a tile waiting for the content.
+ * @param {Number} x
+ * @param {Number} y
+ */
+
+ContentJob.prototype.addTile = function addTile(x, y) {
+  if (!this.hasTile(x, y))
+    this.tiles.push({ x: x, y: y });
+};
+
+/**
+ * Convert the job to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+ContentJob.prototype.toJSON = function toJSON() {
+  return {
+    hash: this.id(),
+    tiles: this.tiles.slice(),
+    file: this.file,
+    state: this.state,
+    attempts: this.attempts,
+    error: this.error,
+    retryAt: this.retryAt || null,
+    finishedAt: this.finishedAt || null
+  };
+};
+
+/*
+ * Expose
+ */
+
+exports = ContentQueue;
+exports.ContentJob = ContentJob;
+
+module.exports = exports;
@@ -3,3 +3,10 @@
 exports.Chain = require('./chain');
 exports.ChainDB = require('./chaindb');
 exports.ChainEntry = require('./chainentry');
+exports.TileRecord = require('./tilerecord');
+exports.TileUpdate = require('./tileupdate');
+exports.TileChange = require('./tilechange');
+exports.TileProof = require('./tileproof');
+exports.TileTree = require('./tiletree');
+exports.TileBranch = require('./tilebranch');
+exports.Snapshot = require('./snapshot');
@@ -7,6 +7,7 @@
 
 'use strict';
 
+var assert = require('assert');
 var util = require('../utils/util');
 var pad8 = util.pad8;
 var pad32 = util.pad32;
@@ -15,6 +16,8 @@ var layout = {
   R: 'R',
   O: 'O',
   V: 'v',
+  I: 'I',
+  S: 'S',
   e: function e(hash) {
     return 'e' + hex(hash);
   },
@@ -45,6 +48,18 @@ var layout = {
   v: function v(bit, hash) {
     return 'v' + pad8(bit) + hex(hash);
   },
+  G: function G(x, y) {
+    return 'z' + tile(x, y);
+  },
+  Gg: function Gg(key) {
+    return untile(key);
+  },
+  F: function F(x, y) {
+    return 'F' + tile(x, y);
+  },
+  Ff: function Ff(key) {
+    return untile(key);
+  },
   vv: function vv(key) {
     return [+key.slice(1, 4), key.slice(4, 36)];
   },
@@ -97,6 +112,29 @@ function hex(hash) {
   return hash;
 }
 
+/*
+ * Coordinates are signed. Flipping the sign bit
+ * and padding them keeps the keys sorted in the
+ * same order as the original values.
+ */
+
+function coord(num) {
+  assert(util.isInt32(num), 'Coordinate out of range.');
+  return pad32((num ^ 0x80000000) >>> 0);
+}
+
+function uncoord(str) {
+  return (+str ^ 0x80000000) | 0;
+}
+
+function tile(x, y) {
+  return coord(x) + coord(y);
+}
+
+function untile(key) {
+  return [uncoord(key.slice(1, 11)), uncoord(key.slice(11, 21))];
+}
+
 /*
  * Expose
  */
@@ -7,6 +7,8 @@
 
 'use strict';
 
+var assert = require('assert');
+var util = require('../utils/util');
 var BufferWriter = require('../utils/writer');
 
 /*
@@ -29,13 +31,19 @@ var BufferWriter = require('../utils/writer');
  *   W+T[witaddr-hash][hash] -> dummy (tx by address)
  *   W+C[witaddr-hash][hash][index] -> dummy (coin by address)
  *   M[x][y] -> txhash
- *   MU[x][y][hash] -> undo tx hash
+ *   MU[x][y][hash] -> tile record before tx (undo)
+ *   G[x][y] -> tile record (current state, spatial index)
+ *   F[x][y] -> dummy (free tile next to mined land)
+ *   I -> tile index version
+ *   S -> snapshot height
  */
 
 var layout = {
   R: new Buffer([0x52]),
   O: new Buffer([0x4f]),
   V: new Buffer([0x76]),
+  I: new Buffer([0x49]),
+  S: new Buffer([0x53]),
   e: function e(hash) {
     return pair(0x65, hash);
   },
@@ -85,6 +93,18 @@ var layout = {
     key.writeBytes(hash);
     return key.render();
   },
+  G: function G(x, y) {
+    return tile(0x7a, x, y);
+  },
+  Gg: function Gg(key) {
+    return untile(key);
+  },
+  F: function F(x, y) {
+    return tile(0x46, x, y);
+  },
+  Ff: function Ff(key) {
+    return untile(key);
+  },
   vv: function vv(key) {
     return [key[1], key.toString('hex', 2, 34)];
   },
@@ -172,6 +192,34 @@ function pair(prefix, hash) {
   return key;
 }
 
+/*
+ * Coordinates are signed. Flipping the sign bit
+ * maps them onto uint32s which sort in the same
+ * order as the original values, so that a range
+ * of keys covers a contiguous span of the map.
+ */
+
+function coord(num) {
+  assert(util.isInt32(num), 'Coordinate out of range.');
+  return (num ^ 0x80000000) >>> 0;
+}
+
+function uncoord(num) {
+  return (num ^ 0x80000000) | 0;
+}
+
+function tile(prefix, x, y) {
+  var key = new Buffer(9);
+  key[0] = prefix;
+  key.writeUInt32BE(coord(x), 1, true);
+  key.writeUInt32BE(coord(y), 5, true);
+  return key;
+}
+
+function untile(key) {
+  return [uncoord(key.readUInt32BE(1, true)), uncoord(key.readUInt32BE(5, true))];
+}
+
 function ipair(prefix, num) {
   var key = new Buffer(5);
   key[0] = prefix;
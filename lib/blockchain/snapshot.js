@@ -0,0 +1,301 @@
+/*!
+ * snapshot.js - world state snapshots for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var util = require('../utils/util');
+var crypto = require('../crypto/crypto');
+var Network = require('../protocol/network');
+var Coins = require('../coins/coins');
+var BufferWriter = require('../utils/writer');
+var BufferReader = require('../utils/reader');
+var ChainEntry = require('./chainentry');
+var TileRecord = require('./tilerecord');
+var TileTree = require('./tiletree');
+
+/**
+ * Snapshot of the world state at a height: the header
+ * chain up to it, every tile record and every unspent
+ * coin. Lets a new node skip replaying the chain.
+ *
+ * Serialization:
+ *
+ * - magic (`SNAP`, big-endian), version, network
+ *   magic and height as uint32s.
+ * - tip hash and tile state root (see {@link TileTree}).
+ * - transaction and coin counts as uint64s.
+ * - varint count and chain entries, from the genesis
+ *   block to the tip.
+ * - varint count and tile records.
+ * - varint count and unspent coins, each as a hash
+ *   and the serialized {@link Coins}.
+ * - 4-byte checksum (hash256) of everything above.
+ * @exports Snapshot
+ * @constructor
+ * @param {Object?} options
+ * @property {Network} network
+ * @property {ChainEntry[]} entries
+ * @property {TileRecord[]} tiles
+ * @property {Coins[]} coins
+ * @property {Number} tx - Transaction count of the chain state.
+ * @property {Number} coin - Coin count of the chain state.
+ */
+
+function Snapshot(options) {
+  if (!(this instanceof Snapshot))
+    return new Snapshot(options);
+
+  this.network = Network.primary;
+  this.entries = [];
+  this.tiles = [];
+  this.coins = [];
+  this.tx = 0;
+  this.coin = 0;
+  this.root = null;
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Snapshot file magic (`SNAP`).
+ * @const {Number}
+ * @default
+ */
+
+Snapshot.MAGIC = 0x534e4150;
+
+/**
+ * Current snapshot version.
+ * @const {Number}
+ * @default
+ */
+
+Snapshot.VERSION = 1;
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ * @returns {Snapshot}
+ */
+
+Snapshot.prototype.fromOptions = function fromOptions(options) {
+  assert(Array.isArray(options.entries), 'Entries must be an array.');
+  assert(options.entries.length > 0, 'Snapshot needs the genesis entry.');
+  assert(Array.isArray(options.tiles), 'Tiles must be an array.');
+  assert(Array.isArray(options.coins), 'Coins must be an array.');
+
+  this.network = Network.get(options.network);
+  this.entries = options.entries;
+  this.tiles = options.tiles;
+  this.coins = options.coins;
+
+  if (options.tx != null) {
+    assert(util.isNumber(options.tx));
+    this.tx = options.tx;
+  }
+
+  if (options.coin != null) {
+    assert(util.isNumber(options.coin));
+    this.coin = options.coin;
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate a snapshot from options object.
+ * @param {Object} options
+ * @returns {Snapshot}
+ */
+
+Snapshot.fromOptions = function fromOptions(options) {
+  return new Snapshot().fromOptions(options);
+};
+
+/**
+ * Get the tip entry.
+ * @returns {ChainEntry}
+ */
+
+Snapshot.prototype.getTip = function getTip() {
+  return this.entries[this.entries.length - 1];
+};
+
+/**
+ * Get the height of the snapshot.
+ * @returns {Number}
+ */
+
+Snapshot.prototype.getHeight = function getHeight() {
+  return this.getTip().height;
+};
+
+/**
+ * Calculate the tile state root of the snapshot.
+ * @returns {Buffer}
+ */
+
+Snapshot.prototype.getRoot = function getRoot() {
+  if (!this.root)
+    this.root = TileTree.fromRecords(this.tiles).getRoot();
+
+  return this.root;
+};
+
+/**
+ * Convert the snapshot to a summary object
+ * suitable for JSON serialization.
+ * @returns {Object}
+ */
+
+Snapshot.prototype.toJSON = function toJSON() {
+  var tip = this.getTip();
+
+  return {
+    network: this.network.type,
+    version: Snapshot.VERSION,
+    height: tip.height,
+    hash: tip.rhash(),
+    root: this.getRoot().toString('hex'),
+    tx: this.tx,
+    coin: this.coin,
+    tiles: this.tiles.length,
+    coins: this.coins.length
+  };
+};
+
+/**
+ * Serialize the snapshot.
+ * @returns {Buffer}
+ */
+
+Snapshot.prototype.toRaw = function toRaw() {
+  var bw = new BufferWriter();
+  var tip = this.getTip();
+  var i, coins;
+
+  bw.writeU32BE(Snapshot.MAGIC);
+  bw.writeU32(Snapshot.VERSION);
+  bw.writeU32(this.network.magic);
+  bw.writeU32(tip.height);
+  bw.writeHash(tip.hash);
+  bw.writeHash(this.getRoot());
+  bw.writeU64(this.tx);
+  bw.writeU64(this.coin);
+
+  bw.writeVarint(this.entries.length);
+
+  for (i = 0; i < this.entries.length; i++)
+    bw.writeBytes(this.entries[i].toRaw());
+
+  bw.writeVarint(this.tiles.length);
+
+  for (i = 0; i < this.tiles.length; i++)
+    this.tiles[i].toWriter(bw);
+
+  bw.writeVarint(this.coins.length);
+
+  for (i = 0; i < this.coins.length; i++) {
+    coins = this.coins[i];
+    bw.writeHash(coins.hash);
+    bw.writeVarBytes(coins.toRaw());
+  }
+
+  bw.writeChecksum();
+
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data. The magic,
+ * version, network and checksum are checked before
+ * anything else is parsed, and the tip and root read
+ * from the header must match the body.
+ * @private
+ * @param {Buffer} data
+ * @returns {Snapshot}
+ */
+
+Snapshot.prototype.fromRaw = function fromRaw(data) {
+  var br = new BufferReader(data);
+  var i, version, height, tip, root, count, hash, checksum;
+
+  if (data.length < 100)
+    throw new Error('Snapshot is truncated.');
+
+  if (br.readU32BE() !== Snapshot.MAGIC)
+    throw new Error('Not a snapshot file.');
+
+  version = br.readU32();
+
+  if (version !== Snapshot.VERSION)
+    throw new Error('Unsupported snapshot version: ' + version + '.');
+
+  checksum = crypto.hash256(data.slice(0, -4)).readUInt32LE(0, true);
+
+  if (checksum !== data.readUInt32LE(data.length - 4, true))
+    throw new Error('Snapshot checksum mismatch.');
+
+  this.network = Network.fromMagic(br.readU32());
+
+  height = br.readU32();
+  tip = br.readHash('hex');
+  root = br.readHash();
+
+  this.tx = br.readU53();
+  this.coin = br.readU53();
+
+  count = br.readVarint();
+
+  for (i = 0; i < count; i++)
+    this.entries.push(ChainEntry.fromRaw(null, br.readBytes(116)));
+
+  count = br.readVarint();
+
+  for (i = 0; i < count; i++)
+    this.tiles.push(TileRecord.fromReader(br));
+
+  count = br.readVarint();
+
+  for (i = 0; i < count; i++) {
+    hash = br.readHash('hex');
+    this.coins.push(Coins.fromRaw(br.readVarBytes(), hash));
+  }
+
+  if (br.left() !== 4)
+    throw new Error('Snapshot has trailing data.');
+
+  if (this.entries.length === 0)
+    throw new Error('Snapshot has no chain entries.');
+
+  if (this.getTip().hash !== tip || this.getHeight() !== height)
+    throw new Error('Snapshot tip does not match its header.');
+
+  if (!util.equal(this.getRoot(), root))
+    throw new Error('Snapshot tile root does not match its header.');
+
+  return this;
+};
+
+/**
+ * Instantiate a snapshot from serialized data.
+ * @param {Buffer} data
+ * @returns {Snapshot}
+ */
+
+Snapshot.fromRaw = function fromRaw(data) {
+  return new Snapshot().fromRaw(data);
+};
+
+/*
+ * Expose
+ */
+
+module.exports = Snapshot;
@@ -0,0 +1,426 @@
+/*!
+ * tilebranch.js - tile state branches for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var util = require('../utils/util');
+var crypto = require('../crypto/crypto');
+var constants = require('../protocol/constants');
+var BufferWriter = require('../utils/writer');
+var BufferReader = require('../utils/reader');
+var TileRecord = require('./tilerecord');
+var TileTree = require('./tiletree');
+
+/**
+ * Branch proving the state of a position against a
+ * tile state root (see {@link TileTree}). It holds the
+ * column of the position, or the columns around it if
+ * there is none, each with a merkle branch to the root.
+ * Inside the column, it holds the tile's leaf, or the
+ * leaves around it if the tile is not mined.
+ * @exports TileBranch
+ * @constructor
+ * @property {Number} x
+ * @property {Number} y
+ * @property {Number} count - Number of columns.
+ * @property {Object[]} columns - Column index, x, tile
+ * count, leaf root and branch.
+ * @property {Object[]} leaves - Leaf index, record and branch.
+ */
+
+function TileBranch() {
+  if (!(this instanceof TileBranch))
+    return new TileBranch();
+
+  this.x = 0;
+  this.y = 0;
+  this.count = 0;
+  this.columns = [];
+  this.leaves = [];
+}
+
+/**
+ * Maximum depth of a merkle branch.
+ * @const {Number}
+ * @default
+ */
+
+TileBranch.MAX_DEPTH = 32;
+
+/**
+ * Create a branch from a tile tree.
+ * @param {TileTree} tree
+ * @param {Number} x
+ * @param {Number} y
+ * @param {TileRecord[]} records - Every record of column x.
+ * @returns {TileBranch}
+ */
+
+TileBranch.fromTree = function fromTree(tree, x, y, records) {
+  var branch = new TileBranch();
+  var keys = tree.getKeys();
+  var hashes = tree.getHashes(keys);
+  var column = tree.columns[x];
+  var i, index, ys, leaves, around;
+
+  branch.x = x;
+  branch.y = y;
+  branch.count = keys.length;
+
+  around = getAround(keys, x);
+
+  for (i = 0; i < around.length; i++) {
+    index = around[i];
+    branch.columns.push({
+      index: index,
+      x: keys[index],
+      count: tree.columns[keys[index]].count,
+      root: tree.columns[keys[index]].root,
+      branch: crypto.createMerkleBranch(index, hashes.slice())
+    });
+  }
+
+  if (!column) {
+    assert(records.length === 0, 'Records do not match the column.');
+    return branch;
+  }
+
+  records = TileTree.sortColumn(x, records);
+  leaves = records.map(TileTree.hashRecord);
+
+  assert(records.length === column.count
+    && util.equal(crypto.createMerkleRoot(leaves.slice()).hash, column.root),
+    'Records do not match the column.');
+
+  ys = records.map(function(record) {
+    return record.y;
+  });
+
+  around = getAround(ys, y);
+
+  for (i = 0; i < around.length; i++) {
+    index = around[i];
+    branch.leaves.push({
+      index: index,
+      record: records[index],
+      branch: crypto.createMerkleBranch(index, leaves.slice())
+    });
+  }
+
+  return branch;
+};
+
+/**
+ * Get the column of the position, if it is proven.
+ * @private
+ * @returns {Object|null}
+ */
+
+TileBranch.prototype.getColumn = function getColumn() {
+  var i;
+
+  for (i = 0; i < this.columns.length; i++) {
+    if (this.columns[i].x === this.x)
+      return this.columns[i];
+  }
+
+  return null;
+};
+
+/**
+ * Verify the branch against a state root: the columns
+ * and leaves must hash up to the root, and must either
+ * be the position or sit right around it.
+ * @param {Buffer} root
+ * @returns {Boolean}
+ */
+
+TileBranch.prototype.verify = function verify(root) {
+  var x = this.x;
+  var column = this.getColumn();
+  var hash, i;
+
+  hash = getRoot(this.columns, this.count, function(column) {
+    return TileTree.hashColumn(column.x, column.count, column.root);
+  });
+
+  if (!hash || !util.equal(TileTree.hashRoot(this.count, hash), root))
+    return false;
+
+  if (!isAround(this.columns, this.count, x, getX))
+    return false;
+
+  if (!column)
+    return this.leaves.length === 0;
+
+  for (i = 0; i < this.leaves.length; i++) {
+    if (this.leaves[i].record.x !== x)
+      return false;
+  }
+
+  hash = getRoot(this.leaves, column.count, function(leaf) {
+    return TileTree.hashRecord(leaf.record);
+  });
+
+  if (!hash || !util.equal(hash, column.root))
+    return false;
+
+  return isAround(this.leaves, column.count, this.y, getY);
+};
+
+/**
+ * Get the proven tile state. Only meaningful
+ * once the branch is verified.
+ * @returns {TileRecord|null} Null if the tile is not mined.
+ */
+
+TileBranch.prototype.getRecord = function getRecord() {
+  var leaf = this.leaves[0];
+
+  if (this.leaves.length !== 1)
+    return null;
+
+  if (leaf.record.x !== this.x || leaf.record.y !== this.y)
+    return null;
+
+  return leaf.record;
+};
+
+/**
+ * Write the branch to a buffer writer.
+ * @param {BufferWriter} bw
+ */
+
+TileBranch.prototype.toWriter = function toWriter(bw) {
+  var i, column, leaf;
+
+  bw.write32(this.x);
+  bw.write32(this.y);
+  bw.writeU32(this.count);
+
+  bw.writeU8(this.columns.length);
+
+  for (i = 0; i < this.columns.length; i++) {
+    column = this.columns[i];
+    bw.writeU32(column.index);
+    bw.write32(column.x);
+    bw.writeU32(column.count);
+    bw.writeHash(column.root);
+    writeBranch(bw, column.branch);
+  }
+
+  bw.writeU8(this.leaves.length);
+
+  for (i = 0; i < this.leaves.length; i++) {
+    leaf = this.leaves[i];
+    bw.writeU32(leaf.index);
+    leaf.record.toWriter(bw);
+    writeBranch(bw, leaf.branch);
+  }
+
+  return bw;
+};
+
+/**
+ * Serialize the branch.
+ * @returns {Buffer}
+ */
+
+TileBranch.prototype.toRaw = function toRaw() {
+  return this.toWriter(new BufferWriter()).render();
+};
+
+/**
+ * Inject properties from buffer reader.
+ * @private
+ * @param {BufferReader} br
+ * @returns {TileBranch}
+ */
+
+TileBranch.prototype.fromReader = function fromReader(br) {
+  var i, count;
+
+  this.x = br.read32();
+  this.y = br.read32();
+  this.count = br.readU32();
+
+  count = br.readU8();
+
+  if (count > 2)
+    throw new Error('Too many columns in tile branch.');
+
+  for (i = 0; i < count; i++) {
+    this.columns.push({
+      index: br.readU32(),
+      x: br.read32(),
+      count: br.readU32(),
+      root: br.readHash(),
+      branch: readBranch(br)
+    });
+  }
+
+  count = br.readU8();
+
+  if (count > 2)
+    throw new Error('Too many leaves in tile branch.');
+
+  for (i = 0; i < count; i++) {
+    this.leaves.push({
+      index: br.readU32(),
+      record: TileRecord.fromReader(br),
+      branch: readBranch(br)
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate a branch from buffer reader.
+ * @param {BufferReader} br
+ * @returns {TileBranch}
+ */
+
+TileBranch.fromReader = function fromReader(br) {
+  return new TileBranch().fromReader(br);
+};
+
+/**
+ * Instantiate a branch from serialized data.
+ * @param {Buffer} data
+ * @returns {TileBranch}
+ */
+
+TileBranch.fromRaw = function fromRaw(data) {
+  return new TileBranch().fromReader(new BufferReader(data));
+};
+
+/*
+ * Helpers
+ */
+
+function getX(column) {
+  return column.x;
+}
+
+function getY(leaf) {
+  return leaf.record.y;
+}
+
+function getDepth(count) {
+  var depth = 0;
+
+  while (count > 1) {
+    count = (count + 1) >>> 1;
+    depth++;
+  }
+
+  return depth;
+}
+
+function getAround(keys, key) {
+  var i;
+
+  for (i = 0; i < keys.length; i++) {
+    if (keys[i] === key)
+      return [i];
+
+    if (keys[i] > key)
+      return i === 0 ? [i] : [i - 1, i];
+  }
+
+  if (keys.length === 0)
+    return [];
+
+  return [keys.length - 1];
+}
+
+function getRoot(items, count, hash) {
+  var depth = getDepth(count);
+  var root = null;
+  var i, item, node;
+
+  if (count === 0)
+    return items.length === 0 ? constants.ZERO_HASH : null;
+
+  if (items.length === 0)
+    return null;
+
+  for (i = 0; i < items.length; i++) {
+    item = items[i];
+
+    if (item.index >= count || item.branch.length !== depth)
+      return null;
+
+    node = crypto.verifyMerkleBranch(hash(item), item.branch, item.index);
+
+    if (root && !util.equal(node, root))
+      return null;
+
+    root = node;
+  }
+
+  return root;
+}
+
+function isAround(items, count, key, getKey) {
+  var first, last;
+
+  if (count === 0)
+    return items.length === 0;
+
+  first = getKey(items[0]);
+
+  if (items.length === 1) {
+    if (first === key)
+      return true;
+
+    if (items[0].index === 0 && key < first)
+      return true;
+
+    return items[0].index === count - 1 && key > first;
+  }
+
+  if (items.length !== 2)
+    return false;
+
+  last = getKey(items[1]);
+
+  return items[1].index === items[0].index + 1
+    && first < key && key < last;
+}
+
+function writeBranch(bw, branch) {
+  var i;
+
+  bw.writeU8(branch.length);
+
+  for (i = 0; i < branch.length; i++)
+    bw.writeHash(branch[i]);
+}
+
+function readBranch(br) {
+  var branch = [];
+  var i, count;
+
+  count = br.readU8();
+
+  if (count > TileBranch.MAX_DEPTH)
+    throw new Error('Tile branch is too deep.');
+
+  for (i = 0; i < count; i++)
+    branch.push(br.readHash());
+
+  return branch;
+}
+
+/*
+ * Expose
+ */
+
+module.exports = TileBranch;
@@ -0,0 +1,243 @@
+/*!
+ * tilechange.js - tile change events for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var util = require('../utils/util');
+var Network = require('../protocol/network');
+var Address = require('../primitives/address');
+
+/**
+ * A change to a tile made by connecting or
+ * disconnecting a block, as emitted by the
+ * chain with `tile connect` and `tile disconnect`.
+ * For a disconnect, the "previous" state is the
+ * one being undone.
+ * @exports TileChange
+ * @constructor
+ * @param {Object?} options
+ * @property {String} type - `connect` or `disconnect`.
+ * @property {Number} x
+ * @property {Number} y
+ * @property {Address|null} prevOwner - Null for a new tile.
+ * @property {Address|null} owner - Null if the tile is gone.
+ * @property {Buffer|null} prevContent
+ * @property {Buffer|null} content
+ * @property {Hash} hash - Transaction being (dis)connected.
+ * @property {Hash} block
+ * @property {Number} height
+ */
+
+function TileChange(options) {
+  if (!(this instanceof TileChange))
+    return new TileChange(options);
+
+  this.type = TileChange.types.CONNECT;
+  this.x = 0;
+  this.y = 0;
+  this.prevOwner = null;
+  this.owner = null;
+  this.prevContent = null;
+  this.content = null;
+  this.hash = null;
+  this.block = null;
+  this.height = -1;
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Change types.
+ * @enum {String}
+ */
+
+TileChange.types = {
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect'
+};
+
+/**
+ * Inject properties from options.
+ * @private
+ * @param {Object} options
+ * @returns {TileChange}
+ */
+
+TileChange.prototype.fromOptions = function fromOptions(options) {
+  assert(util.isInt32(options.x) && util.isInt32(options.y));
+
+  if (options.type != null) {
+    assert(options.type === TileChange.types.CONNECT
+      || options.type === TileChange.types.DISCONNECT);
+    this.type = options.type;
+  }
+
+  this.x = options.x;
+  this.y = options.y;
+
+  if (options.prevOwner)
+    this.prevOwner = options.prevOwner;
+
+  if (options.owner)
+    this.owner = options.owner;
+
+  if (options.prevContent)
+    this.prevContent = options.prevContent;
+
+  if (options.content)
+    this.content = options.content;
+
+  if (options.hash)
+    this.hash = options.hash;
+
+  if (options.block)
+    this.block = options.block;
+
+  if (options.height != null)
+    this.height = options.height;
+
+  return this;
+};
+
+/**
+ * Instantiate a change from options.
+ * @param {Object} options
+ * @returns {TileChange}
+ */
+
+TileChange.fromOptions = function fromOptions(options) {
+  return new TileChange().fromOptions(options);
+};
+
+/**
+ * Describe the change between two tile records.
+ * @param {String} type
+ * @param {TileRecord?} prev - State before the change.
+ * @param {TileRecord?} record - State after the change.
+ * @param {Hash} hash
+ * @param {ChainEntry} entry
+ * @returns {TileChange}
+ */
+
+TileChange.fromRecords = function fromRecords(type, prev, record, hash, entry) {
+  var tile = record || prev;
+
+  assert(tile, 'Tile change without records.');
+
+  return TileChange.fromOptions({
+    type: type,
+    x: tile.x,
+    y: tile.y,
+    prevOwner: prev ? prev.getAddress() : null,
+    owner: record ? record.getAddress() : null,
+    prevContent: prev ? prev.content : null,
+    content: record ? record.content : null,
+    hash: hash,
+    block: entry.hash,
+    height: entry.height
+  });
+};
+
+/**
+ * Test whether the owner changed.
+ * @returns {Boolean}
+ */
+
+TileChange.prototype.ownerChanged = function ownerChanged() {
+  if (!this.prevOwner || !this.owner)
+    return this.prevOwner !== this.owner;
+
+  return !util.equal(this.prevOwner.toRaw(), this.owner.toRaw());
+};
+
+/**
+ * Test whether the content changed.
+ * @returns {Boolean}
+ */
+
+TileChange.prototype.contentChanged = function contentChanged() {
+  if (!this.prevContent || !this.content)
+    return this.prevContent !== this.content;
+
+  return !util.equal(this.prevContent, this.content);
+};
+
+/**
+ * Convert the change to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+TileChange.prototype.toJSON = function toJSON() {
+  return this.getJSON();
+};
+
+/**
+ * Convert the change to an object suitable
+ * for JSON serialization.
+ * @param {Network?} network
+ * @returns {Object}
+ */
+
+TileChange.prototype.getJSON = function getJSON(network) {
+  network = Network.get(network);
+
+  return {
+    type: this.type,
+    x: this.x,
+    y: this.y,
+    prevOwner: this.prevOwner ? this.prevOwner.toBase58(network) : null,
+    owner: this.owner ? this.owner.toBase58(network) : null,
+    prevContent: this.prevContent ? this.prevContent.toString('hex') : null,
+    content: this.content ? this.content.toString('hex') : null,
+    txid: this.hash ? util.revHex(this.hash) : null,
+    block: this.block ? util.revHex(this.block) : null,
+    height: this.height
+  };
+};
+
+/**
+ * Inject properties from json object.
+ * @private
+ * @param {Object} json
+ * @returns {TileChange}
+ */
+
+TileChange.prototype.fromJSON = function fromJSON(json) {
+  assert(json && typeof json === 'object', 'Invalid tile change.');
+
+  return this.fromOptions({
+    type: json.type,
+    x: json.x,
+    y: json.y,
+    prevOwner: json.prevOwner ? Address.fromBase58(json.prevOwner) : null,
+    owner: json.owner ? Address.fromBase58(json.owner) : null,
+    prevContent: json.prevContent ? new Buffer(json.prevContent, 'hex') : null,
+    content: json.content ? new Buffer(json.content, 'hex') : null,
+    hash: json.txid ? util.revHex(json.txid) : null,
+    block: json.block ? util.revHex(json.block) : null,
+    height: json.height
+  });
+};
+
+/**
+ * Instantiate a change from a json object.
+ * @param {Object} json
+ * @returns {TileChange}
+ */
+
+TileChange.fromJSON = function fromJSON(json) {
+  return new TileChange().fromJSON(json);
+};
+
+/*
+ * Expose
+ */
+
+module.exports = TileChange;
@@ -0,0 +1,311 @@
+/*!
+ * tileproof.js - tile ownership proofs for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var util = require('../utils/util');
+var MerkleBlock = require('../primitives/merkleblock');
+var TX = require('../primitives/tx');
+var BufferWriter = require('../utils/writer');
+var BufferReader = require('../utils/reader');
+var TileTree = require('./tiletree');
+var TileBranch = require('./tilebranch');
+var TileRecord = require('./tilerecord');
+
+/**
+ * Proof of the state of a tile for light clients,
+ * against the tile state root committed to by a
+ * landbase (see {@link TileTree}): the landbase and a
+ * merkle proof to its block, and a branch from the
+ * root to the tile. The proven state is the one left
+ * by the parent of that block. Since the branch can
+ * also prove that a position is not mined, nothing is
+ * left for the serving node to vouch for.
+ *
+ * Before the `tilestate` deployment is active, an
+ * update proof is served instead: the transaction which
+ * last touched the tile and a merkle proof to its block,
+ * like `gettxoutproof`. It proves the tile was in that
+ * state, but not that it was not updated since, nor
+ * that a position is not mined.
+ * @exports TileProof
+ * @constructor
+ * @param {Object?} options
+ * @property {TileProof.types} type
+ * @property {Number} x
+ * @property {Number} y
+ * @property {MerkleBlock} block
+ * @property {TX|null} coinbase - Committing landbase (state proofs).
+ * @property {TileBranch|null} branch - Branch to the tile (state proofs).
+ * @property {TX|null} tx - Last update of the tile (update proofs).
+ */
+
+function TileProof(options) {
+  if (!(this instanceof TileProof))
+    return new TileProof(options);
+
+  this.type = TileProof.types.STATE;
+  this.x = 0;
+  this.y = 0;
+  this.block = null;
+  this.coinbase = null;
+  this.branch = null;
+  this.tx = null;
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Proof types.
+ * @enum {Number}
+ */
+
+TileProof.types = {
+  STATE: 0,
+  UPDATE: 1
+};
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ * @returns {TileProof}
+ */
+
+TileProof.prototype.fromOptions = function fromOptions(options) {
+  assert(options.block instanceof MerkleBlock, 'Block must be a merkleblock.');
+
+  if (options.tx) {
+    assert(options.tx instanceof TX, 'TX must be a transaction.');
+    assert(util.isInt32(options.x) && util.isInt32(options.y));
+    this.type = TileProof.types.UPDATE;
+    this.x = options.x;
+    this.y = options.y;
+    this.block = options.block;
+    this.tx = options.tx;
+    return this;
+  }
+
+  assert(options.coinbase instanceof TX, 'Coinbase must be a transaction.');
+  assert(options.branch instanceof TileBranch, 'Branch must be a tilebranch.');
+
+  this.type = TileProof.types.STATE;
+  this.x = options.branch.x;
+  this.y = options.branch.y;
+  this.block = options.block;
+  this.coinbase = options.coinbase;
+  this.branch = options.branch;
+
+  return this;
+};
+
+/**
+ * Instantiate a proof from options object.
+ * @param {Object} options
+ * @returns {TileProof}
+ */
+
+TileProof.fromOptions = function fromOptions(options) {
+  return new TileProof().fromOptions(options);
+};
+
+/**
+ * Create a proof from a tile branch and the full
+ * block whose landbase commits to its root.
+ * @param {TileBranch} branch
+ * @param {Block} block
+ * @returns {TileProof}
+ */
+
+TileProof.fromBranch = function fromBranch(branch, block) {
+  var coinbase = block.txs[0];
+
+  return TileProof.fromOptions({
+    block: MerkleBlock.fromHashes(block, [coinbase.hash()]),
+    coinbase: coinbase,
+    branch: branch
+  });
+};
+
+/**
+ * Create an update proof from the block holding
+ * the transaction which last touched a tile.
+ * @param {Block} block
+ * @param {TX} tx
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {TileProof}
+ */
+
+TileProof.fromUpdate = function fromUpdate(block, tx, x, y) {
+  return TileProof.fromOptions({
+    block: MerkleBlock.fromHashes(block, [tx.hash()]),
+    tx: tx,
+    x: x,
+    y: y
+  });
+};
+
+/**
+ * Test whether the proof is an update proof,
+ * which does not rely on a state commitment.
+ * @returns {Boolean}
+ */
+
+TileProof.prototype.isUpdate = function isUpdate() {
+  return this.type === TileProof.types.UPDATE;
+};
+
+/**
+ * Get the index of the tile's output
+ * within the proven update.
+ * @private
+ * @returns {Number} Index (-1 if not found).
+ */
+
+TileProof.prototype.getIndex = function getIndex() {
+  var i, output;
+
+  for (i = 0; i < this.tx.outputs.length; i++) {
+    output = this.tx.outputs[i];
+    if (output.x === this.x && output.y === this.y)
+      return i;
+  }
+
+  return -1;
+};
+
+/**
+ * Verify the proof: the merkle proof must hold and
+ * commit to the landbase, and the branch must hash up
+ * to the state root the landbase commits to. Whether
+ * the block enforces its commitment (i.e. whether the
+ * `tilestate` deployment is active) is left to the
+ * caller. An update proof only needs its transaction
+ * to be in the block and to touch the tile.
+ * @returns {Boolean}
+ */
+
+TileProof.prototype.verify = function verify() {
+  var root;
+
+  if (!this.block.verify())
+    return false;
+
+  if (this.isUpdate()) {
+    if (this.block.indexOf(this.tx.hash('hex')) === -1)
+      return false;
+
+    return this.getIndex() !== -1;
+  }
+
+  if (this.block.indexOf(this.coinbase.hash('hex')) !== 0)
+    return false;
+
+  if (!this.coinbase.isCoinbase())
+    return false;
+
+  root = TileTree.getCommitment(this.coinbase);
+
+  if (!root)
+    return false;
+
+  if (this.branch.x !== this.x || this.branch.y !== this.y)
+    return false;
+
+  return this.branch.verify(root);
+};
+
+/**
+ * Get the proven tile state. The height of an
+ * update proof is left to the caller, which
+ * knows the height of its block.
+ * @returns {TileRecord|null} Null if the tile is not mined.
+ */
+
+TileProof.prototype.getRecord = function getRecord() {
+  if (this.isUpdate())
+    return TileRecord.fromTX(this.tx, this.getIndex(), -1);
+
+  return this.branch.getRecord();
+};
+
+/**
+ * Serialize the proof.
+ * @returns {Buffer}
+ */
+
+TileProof.prototype.toRaw = function toRaw() {
+  var bw = new BufferWriter();
+
+  bw.writeU8(this.type);
+  bw.writeVarBytes(this.block.toRaw());
+
+  if (this.isUpdate()) {
+    bw.write32(this.x);
+    bw.write32(this.y);
+    bw.writeVarBytes(this.tx.toRaw());
+    return bw.render();
+  }
+
+  bw.writeVarBytes(this.coinbase.toRaw());
+  this.branch.toWriter(bw);
+
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ * @returns {TileProof}
+ */
+
+TileProof.prototype.fromRaw = function fromRaw(data) {
+  var br = new BufferReader(data);
+
+  this.type = br.readU8();
+  this.block = MerkleBlock.fromRaw(br.readVarBytes());
+
+  if (this.type === TileProof.types.UPDATE) {
+    this.x = br.read32();
+    this.y = br.read32();
+    this.tx = TX.fromRaw(br.readVarBytes());
+    return this;
+  }
+
+  if (this.type !== TileProof.types.STATE)
+    throw new Error('Unknown tile proof type.');
+
+  this.coinbase = TX.fromRaw(br.readVarBytes());
+  this.branch = TileBranch.fromReader(br);
+  this.x = this.branch.x;
+  this.y = this.branch.y;
+
+  return this;
+};
+
+/**
+ * Instantiate a proof from serialized data.
+ * @param {Buffer} data
+ * @param {String?} enc
+ * @returns {TileProof}
+ */
+
+TileProof.fromRaw = function fromRaw(data, enc) {
+  if (typeof data === 'string')
+    data = new Buffer(data, enc);
+  return new TileProof().fromRaw(data);
+};
+
+/*
+ * Expose
+ */
+
+module.exports = TileProof;
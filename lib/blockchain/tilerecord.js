@@ -0,0 +1,336 @@
+/*!
+ * tilerecord.js - tile index record for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var util = require('../utils/util');
+var constants = require('../protocol/constants');
+var Network = require('../protocol/network');
+var Script = require('../script/script');
+var StaticWriter = require('../utils/staticwriter');
+var BufferReader = require('../utils/reader');
+
+/**
+ * The current state of a single tile: the
+ * output which last touched it, its owner
+ * and its content hash.
+ * @exports TileRecord
+ * @constructor
+ * @param {Object?} options
+ * @property {Number} x
+ * @property {Number} y
+ * @property {Hash} hash - Hash of the last transaction touching the tile.
+ * @property {Number} index - Output index within that transaction.
+ * @property {Number} height - Height of the block containing it.
+ * @property {Buffer} content - Content multihash.
+ * @property {Script} script - Owner script.
+ */
+
+function TileRecord(options) {
+  if (!(this instanceof TileRecord))
+    return new TileRecord(options);
+
+  this.x = 0;
+  this.y = 0;
+  this.hash = constants.NULL_HASH;
+  this.index = 0;
+  this.height = -1;
+  this.content = new Buffer(constants.IPFS_NULL_HASH, 'hex');
+  this.script = new Script();
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ */
+
+TileRecord.prototype.fromOptions = function fromOptions(options) {
+  assert(util.isInt32(options.x), 'X must be an int32.');
+  assert(util.isInt32(options.y), 'Y must be an int32.');
+  assert(typeof options.hash === 'string', 'Hash must be a string.');
+  assert(util.isUInt32(options.index), 'Index must be a uint32.');
+
+  this.x = options.x;
+  this.y = options.y;
+  this.hash = options.hash;
+  this.index = options.index;
+
+  if (options.height != null) {
+    assert(util.isNumber(options.height));
+    this.height = options.height;
+  }
+
+  if (options.content) {
+    assert(Buffer.isBuffer(options.content));
+    assert(options.content.length === constants.CONTENT_LENGHT);
+    this.content = options.content;
+  }
+
+  if (options.script)
+    this.script.fromOptions(options.script);
+
+  return this;
+};
+
+/**
+ * Instantiate tile record from options.
+ * @param {Object} options
+ * @returns {TileRecord}
+ */
+
+TileRecord.fromOptions = function fromOptions(options) {
+  return new TileRecord().fromOptions(options);
+};
+
+/**
+ * Inject properties from a transaction output.
+ * @private
+ * @param {TX} tx
+ * @param {Number} index
+ * @param {Number} height
+ */
+
+TileRecord.prototype.fromTX = function fromTX(tx, index, height) {
+  var output = tx.outputs[index];
+
+  assert(output, 'Output not found.');
+  assert(typeof height === 'number');
+
+  this.x = output.x;
+  this.y = output.y;
+  this.hash = tx.hash('hex');
+  this.index = index;
+  this.height = height;
+  this.content = output.content;
+  this.script = output.script;
+
+  return this;
+};
+
+/**
+ * Instantiate tile record from a transaction output.
+ * @param {TX} tx
+ * @param {Number} index
+ * @param {Number} height
+ * @returns {TileRecord}
+ */
+
+TileRecord.fromTX = function fromTX(tx, index, height) {
+  return new TileRecord().fromTX(tx, index, height);
+};
+
+/**
+ * Inject properties from an unspent tile.
+ * @private
+ * @param {Tile} coin
+ */
+
+TileRecord.prototype.fromCoin = function fromCoin(coin) {
+  this.x = coin.x;
+  this.y = coin.y;
+  this.hash = coin.hash;
+  this.index = coin.index;
+  this.height = coin.height;
+  this.content = coin.content;
+  this.script = coin.script;
+  return this;
+};
+
+/**
+ * Instantiate tile record from an unspent tile.
+ * @param {Tile} coin
+ * @returns {TileRecord}
+ */
+
+TileRecord.fromCoin = function fromCoin(coin) {
+  return new TileRecord().fromCoin(coin);
+};
+
+/**
+ * Get the owner address.
+ * @returns {Address|null}
+ */
+
+TileRecord.prototype.getAddress = function getAddress() {
+  return this.script.getAddress();
+};
+
+/**
+ * Get the owner address hash.
+ * @param {String?} enc
+ * @returns {Hash|null}
+ */
+
+TileRecord.prototype.getHash = function getHash(enc) {
+  var address = this.getAddress();
+
+  if (!address)
+    return;
+
+  return address.getHash(enc);
+};
+
+/**
+ * Convert the record to a more user-friendly object.
+ * @returns {Object}
+ */
+
+TileRecord.prototype.inspect = function inspect() {
+  return {
+    x: this.x,
+    y: this.y,
+    hash: util.revHex(this.hash),
+    index: this.index,
+    height: this.height,
+    content: this.content.toString('hex'),
+    script: this.script,
+    address: this.getAddress()
+  };
+};
+
+/**
+ * Convert the record to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+TileRecord.prototype.toJSON = function toJSON() {
+  return this.getJSON();
+};
+
+/**
+ * Convert the record to an object suitable
+ * for JSON serialization.
+ * @param {Network?} network
+ * @returns {Object}
+ */
+
+TileRecord.prototype.getJSON = function getJSON(network) {
+  var address = this.getAddress();
+
+  network = Network.get(network);
+
+  if (address)
+    address = address.toBase58(network);
+
+  return {
+    x: this.x,
+    y: this.y,
+    owner: address,
+    content: this.content.toString('hex'),
+    hash: util.revHex(this.hash),
+    index: this.index,
+    height: this.height
+  };
+};
+
+/**
+ * Calculate serialization size.
+ * @returns {Number}
+ */
+
+TileRecord.prototype.getSize = function getSize() {
+  return 4 + 4 + 32 + 4 + 4 + constants.CONTENT_LENGHT
+    + this.script.getVarSize();
+};
+
+/**
+ * Write the record to a buffer writer.
+ * @param {BufferWriter} bw
+ */
+
+TileRecord.prototype.toWriter = function toWriter(bw) {
+  var height = this.height;
+
+  if (height === -1)
+    height = 0x7fffffff;
+
+  bw.write32(this.x);
+  bw.write32(this.y);
+  bw.writeHash(this.hash);
+  bw.writeU32(this.index);
+  bw.writeU32(height);
+  bw.writeBytes(this.content);
+  bw.writeVarBytes(this.script.toRaw());
+
+  return bw;
+};
+
+/**
+ * Serialize the record.
+ * @returns {Buffer}
+ */
+
+TileRecord.prototype.toRaw = function toRaw() {
+  var size = this.getSize();
+  return this.toWriter(new StaticWriter(size)).render();
+};
+
+/**
+ * Inject properties from buffer reader.
+ * @private
+ * @param {BufferReader} br
+ */
+
+TileRecord.prototype.fromReader = function fromReader(br) {
+  this.x = br.read32();
+  this.y = br.read32();
+  this.hash = br.readHash('hex');
+  this.index = br.readU32();
+  this.height = br.readU32();
+  this.content = br.readBytes(constants.CONTENT_LENGHT);
+  this.script.fromRaw(br.readVarBytes());
+
+  if (this.height === 0x7fffffff)
+    this.height = -1;
+
+  return this;
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ */
+
+TileRecord.prototype.fromRaw = function fromRaw(data) {
+  return this.fromReader(new BufferReader(data));
+};
+
+/**
+ * Instantiate a tile record from a buffer reader.
+ * @param {BufferReader} br
+ * @returns {TileRecord}
+ */
+
+TileRecord.fromReader = function fromReader(br) {
+  return new TileRecord().fromReader(br);
+};
+
+/**
+ * Instantiate a tile record from serialized data.
+ * @param {Buffer} data
+ * @param {String?} enc
+ * @returns {TileRecord}
+ */
+
+TileRecord.fromRaw = function fromRaw(data, enc) {
+  if (typeof data === 'string')
+    data = new Buffer(data, enc);
+  return new TileRecord().fromRaw(data);
+};
+
+/*
+ * Expose
+ */
+
+module.exports = TileRecord;
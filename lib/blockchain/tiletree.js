@@ -0,0 +1,278 @@
+/*!
+ * tiletree.js - merkleized tile state for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var crypto = require('../crypto/crypto');
+var StaticWriter = require('../utils/staticwriter');
+
+/**
+ * Merkle tree over the state of every tile, committed
+ * to by landbases once the `tilestate` deployment is
+ * active. Tiles are grouped in columns (tiles sharing
+ * an x coordinate):
+ *
+ * - A tile leaf is `hash256(record)`, with the
+ *   serialized {@link TileRecord}.
+ * - A column hash is `hash256(x || count || root)`,
+ *   with the merkle root of its leaves ordered by y.
+ * - The state root is `hash256(count || root)`, with
+ *   the merkle root of the column hashes ordered by x.
+ *
+ * Counts are little-endian uint32s and x is an int32.
+ * Leaves are sorted and the counts are committed to, so
+ * a branch to two neighbouring leaves (or to the first
+ * or last one) also proves that a tile is not mined
+ * (see {@link TileBranch}). Only the columns touched by
+ * a block need rehashing.
+ * @exports TileTree
+ * @constructor
+ * @property {Object} columns - Column nodes by x, each
+ * with its tile count, leaf root and hash.
+ */
+
+function TileTree() {
+  if (!(this instanceof TileTree))
+    return new TileTree();
+
+  this.columns = {};
+  this.root = null;
+}
+
+/**
+ * Commitment magic (`TILE`).
+ * @const {Number}
+ * @default
+ */
+
+TileTree.MAGIC = 0x54494c45;
+
+/**
+ * Hash a tile record.
+ * @param {TileRecord} record
+ * @returns {Buffer}
+ */
+
+TileTree.hashRecord = function hashRecord(record) {
+  return crypto.hash256(record.toRaw());
+};
+
+/**
+ * Hash a column.
+ * @param {Number} x
+ * @param {Number} count - Number of tiles in the column.
+ * @param {Buffer} root - Merkle root of the tile leaves.
+ * @returns {Buffer}
+ */
+
+TileTree.hashColumn = function hashColumn(x, count, root) {
+  var bw = new StaticWriter(40);
+  bw.write32(x);
+  bw.writeU32(count);
+  bw.writeHash(root);
+  return crypto.hash256(bw.render());
+};
+
+/**
+ * Hash the state root.
+ * @param {Number} count - Number of columns.
+ * @param {Buffer} root - Merkle root of the column hashes.
+ * @returns {Buffer}
+ */
+
+TileTree.hashRoot = function hashRoot(count, root) {
+  var bw = new StaticWriter(36);
+  bw.writeU32(count);
+  bw.writeHash(root);
+  return crypto.hash256(bw.render());
+};
+
+/**
+ * Sort the records of a column by y.
+ * @param {Number} x
+ * @param {TileRecord[]} records
+ * @returns {TileRecord[]} A sorted copy.
+ */
+
+TileTree.sortColumn = function sortColumn(x, records) {
+  var i;
+
+  for (i = 0; i < records.length; i++)
+    assert(records[i].x === x, 'Record is not in the column.');
+
+  return records.slice().sort(function(a, b) {
+    return a.y - b.y;
+  });
+};
+
+/**
+ * Set the records of a column.
+ * @param {Number} x
+ * @param {TileRecord[]} records - Empty to remove the column.
+ */
+
+TileTree.prototype.setColumn = function setColumn(x, records) {
+  var leaves, root;
+
+  this.root = null;
+
+  if (records.length === 0) {
+    delete this.columns[x];
+    return;
+  }
+
+  leaves = TileTree.sortColumn(x, records).map(TileTree.hashRecord);
+  root = crypto.createMerkleRoot(leaves).hash;
+
+  this.columns[x] = {
+    count: records.length,
+    root: root,
+    hash: TileTree.hashColumn(x, records.length, root)
+  };
+};
+
+/**
+ * Get the x coordinates of the columns, in order.
+ * @returns {Number[]}
+ */
+
+TileTree.prototype.getKeys = function getKeys() {
+  return Object.keys(this.columns).map(Number).sort(function(a, b) {
+    return a - b;
+  });
+};
+
+/**
+ * Get the column hashes, ordered by x.
+ * @param {Number[]} keys
+ * @returns {Buffer[]}
+ */
+
+TileTree.prototype.getHashes = function getHashes(keys) {
+  var hashes = [];
+  var i;
+
+  for (i = 0; i < keys.length; i++)
+    hashes.push(this.columns[keys[i]].hash);
+
+  return hashes;
+};
+
+/**
+ * Calculate the state root.
+ * @returns {Buffer}
+ */
+
+TileTree.prototype.getRoot = function getRoot() {
+  var keys, root;
+
+  if (this.root)
+    return this.root;
+
+  keys = this.getKeys();
+  root = crypto.createMerkleRoot(this.getHashes(keys)).hash;
+
+  this.root = TileTree.hashRoot(keys.length, root);
+
+  return this.root;
+};
+
+/**
+ * Clone the tree.
+ * @returns {TileTree}
+ */
+
+TileTree.prototype.clone = function clone() {
+  var tree = new TileTree();
+  var keys = Object.keys(this.columns);
+  var i;
+
+  for (i = 0; i < keys.length; i++)
+    tree.columns[keys[i]] = this.columns[keys[i]];
+
+  tree.root = this.root;
+
+  return tree;
+};
+
+/**
+ * Instantiate a tree from every tile record.
+ * @param {TileRecord[]} records
+ * @returns {TileTree}
+ */
+
+TileTree.fromRecords = function fromRecords(records) {
+  var tree = new TileTree();
+  var columns = {};
+  var keys = [];
+  var i, record;
+
+  for (i = 0; i < records.length; i++) {
+    record = records[i];
+
+    if (!columns[record.x]) {
+      columns[record.x] = [];
+      keys.push(record.x);
+    }
+
+    columns[record.x].push(record);
+  }
+
+  for (i = 0; i < keys.length; i++)
+    tree.setColumn(keys[i], columns[keys[i]]);
+
+  return tree;
+};
+
+/**
+ * Create the landbase commitment to a state root,
+ * pushed in the coinbase input script.
+ * @param {Buffer} root
+ * @returns {Buffer}
+ */
+
+TileTree.createCommitment = function createCommitment(root) {
+  var bw = new StaticWriter(36);
+  bw.writeU32BE(TileTree.MAGIC);
+  bw.writeHash(root);
+  return bw.render();
+};
+
+/**
+ * Find the state root committed to by a landbase.
+ * @param {TX} coinbase
+ * @returns {Buffer|null}
+ */
+
+TileTree.getCommitment = function getCommitment(coinbase) {
+  var input = coinbase.inputs[0];
+  var i, data;
+
+  if (!input)
+    return null;
+
+  for (i = 0; i < input.script.code.length; i++) {
+    data = input.script.code[i].data;
+
+    if (!data || data.length !== 36)
+      continue;
+
+    if (data.readUInt32BE(0, true) !== TileTree.MAGIC)
+      continue;
+
+    return data.slice(4, 36);
+  }
+
+  return null;
+};
+
+/*
+ * Expose
+ */
+
+module.exports = TileTree;
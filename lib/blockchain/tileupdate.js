@@ -0,0 +1,114 @@
+/*!
+ * tileupdate.js - tile history entry for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var util = require('../utils/util');
+var TileRecord = require('./tilerecord');
+
+/**
+ * A single step in the history of a tile: the
+ * state it was left in by one transaction, and
+ * how that differs from the state before it.
+ * @exports TileUpdate
+ * @constructor
+ * @param {TileRecord} record
+ * @param {TXMeta} meta - Transaction which wrote the record.
+ * @property {TileRecord} record
+ * @property {Hash|null} block
+ * @property {Number} ts
+ * @property {String} type - `landbase`, `transfer` or `update`.
+ * @property {Boolean} ownerChanged
+ * @property {Boolean} contentChanged
+ */
+
+function TileUpdate(record, meta) {
+  if (!(this instanceof TileUpdate))
+    return new TileUpdate(record, meta);
+
+  this.record = record || new TileRecord();
+  this.block = meta ? meta.block : null;
+  this.ts = meta ? meta.ts : 0;
+  this.type = TileUpdate.types.LANDBASE;
+  this.ownerChanged = true;
+  this.contentChanged = true;
+}
+
+/**
+ * Update types.
+ * @enum {String}
+ */
+
+TileUpdate.types = {
+  LANDBASE: 'landbase',
+  TRANSFER: 'transfer',
+  UPDATE: 'update'
+};
+
+/**
+ * Compare against the previous state of the
+ * tile and classify the update.
+ * @param {TileUpdate?} prev - Null for the landbase.
+ * @returns {TileUpdate}
+ */
+
+TileUpdate.prototype.setPrevious = function setPrevious(prev) {
+  var record = this.record;
+
+  if (!prev) {
+    this.type = TileUpdate.types.LANDBASE;
+    this.ownerChanged = true;
+    this.contentChanged = true;
+    return this;
+  }
+
+  this.ownerChanged = !util.equal(record.script.toRaw(),
+    prev.record.script.toRaw());
+
+  this.contentChanged = !util.equal(record.content, prev.record.content);
+
+  this.type = this.ownerChanged
+    ? TileUpdate.types.TRANSFER
+    : TileUpdate.types.UPDATE;
+
+  return this;
+};
+
+/**
+ * Convert the update to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+TileUpdate.prototype.toJSON = function toJSON() {
+  return this.getJSON();
+};
+
+/**
+ * Convert the update to an object suitable
+ * for JSON serialization.
+ * @param {Network?} network
+ * @returns {Object}
+ */
+
+TileUpdate.prototype.getJSON = function getJSON(network) {
+  var json = this.record.getJSON(network);
+
+  json.block = this.block ? util.revHex(this.block) : null;
+  json.time = this.ts;
+  json.type = this.type;
+  json.ownerChanged = this.ownerChanged;
+  json.contentChanged = this.contentChanged;
+
+  return json;
+};
+
+/*
+ * Expose
+ */
+
+module.exports = TileUpdate;
@@ -130,23 +130,9 @@ function skipOutput(br) {
   // Skip past the x, y, and content.
   br.seek(8 + 8 + constants.CONTENT_LENGHT);
 
-  // Skip past the compressed scripts.
-  switch (br.readU8()) {
-    case 0:
-    case 1:
-      br.seek(20);
-      break;
-    case 2:
-    case 3:
-    case 4:
-    case 5:
-      br.seek(32);
-      break;
-    default:
-      br.offset -= 1;
-      br.seek(br.readVarint() - COMPRESS_TYPES);
-      break;
-  }
+  // Skip past the script. Scripts are
+  // written uncompressed (see compressScript).
+  br.seek(br.readVarint());
 
   return br.offset - start;
 }
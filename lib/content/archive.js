@@ -0,0 +1,218 @@
+/*!
+ * archive.js - read scene files from directories and tarballs
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ * @module content/archive
+ */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+
+/**
+ * Test whether a file name looks like a tarball.
+ * @param {String} file
+ * @returns {Boolean}
+ */
+
+exports.isArchive = function isArchive(file) {
+  return /\.(tar|tgz|tar\.gz)$/i.test(file);
+};
+
+/**
+ * Read the files of a scene from a directory or a
+ * tarball (`.tar`, `.tar.gz` or `.tgz`), with paths
+ * relative to its root.
+ * @param {String} file
+ * @returns {Object[]|null} `{path, data}`, or null if
+ * the file is neither a directory nor an archive.
+ */
+
+exports.read = function read(file) {
+  if (fs.statSync(file).isDirectory())
+    return exports.readDirectory(file);
+
+  if (exports.isArchive(file))
+    return exports.readTar(fs.readFileSync(file));
+
+  return null;
+};
+
+/**
+ * Read every regular file below a directory.
+ * Hidden files and symlinks are skipped.
+ * @param {String} dir
+ * @returns {Object[]} `{path, data}`.
+ */
+
+exports.readDirectory = function readDirectory(dir) {
+  var files = [];
+
+  (function walk(prefix) {
+    var names = fs.readdirSync(path.join(dir, prefix));
+    var i, name, file, info;
+
+    names.sort();
+
+    for (i = 0; i < names.length; i++) {
+      name = names[i];
+
+      if (name[0] === '.')
+        continue;
+
+      file = prefix ? prefix + '/' + name : name;
+      info = fs.lstatSync(path.join(dir, file));
+
+      if (info.isDirectory()) {
+        walk(file);
+        continue;
+      }
+
+      if (!info.isFile())
+        continue;
+
+      files.push({
+        path: file,
+        data: fs.readFileSync(path.join(dir, file))
+      });
+    }
+  })('');
+
+  return files;
+};
+
+/**
+ * Read the regular files of a tarball, gzipped or not.
+ * A single top-level directory is stripped from the paths.
+ * @param {Buffer} data
+ * @returns {Object[]} `{path, data}`.
+ * @throws on absolute paths and `..` segments
+ */
+
+exports.readTar = function readTar(data) {
+  var files = [];
+  var offset = 0;
+  var longName = null;
+  var header, name, prefix, size, type, body;
+
+  if (data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b)
+    data = zlib.gunzipSync(data);
+
+  while (offset + 512 <= data.length) {
+    header = data.slice(offset, offset + 512);
+
+    // Two zero blocks end the archive.
+    if (isZero(header))
+      break;
+
+    name = readString(header, 0, 100);
+    size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    type = String.fromCharCode(header[156] || 0x30);
+    prefix = readString(header, 345, 155);
+
+    assert(size >= 0 && offset + 512 + size <= data.length,
+      'Truncated tar archive.');
+
+    body = data.slice(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    switch (type) {
+      case 'L':
+        // GNU long name.
+        longName = readString(body, 0, body.length);
+        continue;
+      case 'x':
+        // PAX extended header.
+        longName = readPaxPath(body) || longName;
+        continue;
+      case '0':
+      case '7':
+        break;
+      default:
+        longName = null;
+        continue;
+    }
+
+    if (longName) {
+      name = longName;
+      longName = null;
+    } else if (prefix) {
+      name = prefix + '/' + name;
+    }
+
+    name = name.replace(/^(\.\/)+/, '');
+
+    assert(!isUnsafe(name), 'Unsafe path in tar archive: ' + name + '.');
+
+    if (name.split('/').some(isHidden))
+      continue;
+
+    files.push({ path: name, data: body });
+  }
+
+  return stripRoot(files);
+};
+
+/*
+ * Helpers
+ */
+
+function isZero(block) {
+  var i;
+
+  for (i = 0; i < block.length; i++) {
+    if (block[i] !== 0)
+      return false;
+  }
+
+  return true;
+}
+
+function isUnsafe(name) {
+  return name[0] === '/' || name.split('/').indexOf('..') !== -1;
+}
+
+function isHidden(name) {
+  return name[0] === '.';
+}
+
+function readString(data, start, length) {
+  var end = start + length;
+  var i;
+
+  for (i = start; i < end; i++) {
+    if (data[i] === 0)
+      break;
+  }
+
+  return data.toString('utf8', start, i);
+}
+
+function readPaxPath(body) {
+  var text = body.toString('utf8');
+  var match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(text);
+  return match ? match[1] : null;
+}
+
+function stripRoot(files) {
+  var root, i;
+
+  if (files.length === 0)
+    return files;
+
+  root = files[0].path.split('/')[0] + '/';
+
+  for (i = 0; i < files.length; i++) {
+    if (files[i].path.indexOf(root) !== 0)
+      return files;
+  }
+
+  for (i = 0; i < files.length; i++)
+    files[i].path = files[i].path.substring(root.length);
+
+  return files;
+}
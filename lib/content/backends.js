@@ -0,0 +1,29 @@
+/**
+ * backends.js - content store backends for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+/**
+ * Get a content store constructor by name. Stores
+ * are loaded lazily so that IPFS and its transports
+ * are only required when actually used.
+ * @param {String} name - `"local"`, `"ipfs"` or `"http"`.
+ * @returns {Function}
+ */
+
+exports.get = function get(name) {
+  switch (name) {
+    case 'local':
+      return require('./localstore');
+    case 'ipfs':
+      return require('./ipfsstore');
+    case 'http':
+      return require('./httpstore');
+    default:
+      throw new Error('Unknown content backend: "' + name + '".');
+  }
+};
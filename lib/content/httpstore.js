@@ -0,0 +1,195 @@
+/*!
+ * httpstore.js - http gateway content store for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+var util = require('../utils/util');
+var co = require('../utils/co');
+var base58 = require('../utils/base58');
+var AsyncObject = require('../utils/async');
+var Logger = require('../node/logger');
+var multihash = require('./multihash');
+
+/**
+ * Content store talking to an HTTP gateway that
+ * addresses blobs by their base58 sha2-256 multihash:
+ * `GET` and `HEAD /<hash>` read, and `PUT /<hash>`
+ * uploads when the gateway is writable. The gateway
+ * decides what it keeps, so seeding only checks
+ * that the blob is still served.
+ * @exports HTTPStore
+ * @constructor
+ * @param {Object} options
+ * @param {String} options.url - Gateway URL.
+ * @param {Number?} options.timeout - Request timeout in ms.
+ * @param {Logger?} options.logger
+ */
+
+function HTTPStore(options) {
+  if (!(this instanceof HTTPStore))
+    return new HTTPStore(options);
+
+  AsyncObject.call(this);
+
+  assert(options, 'HTTP store requires options.');
+  assert(typeof options.url === 'string', 'Gateway URL is required.');
+
+  this.url = url.parse(options.url.replace(/\/+$/, ''));
+  this.timeout = options.timeout || 60000;
+  this.logger = options.logger || Logger.global;
+
+  assert(this.url.protocol === 'http:' || this.url.protocol === 'https:',
+    'Gateway URL must be http or https.');
+}
+
+util.inherits(HTTPStore, AsyncObject);
+
+/**
+ * Open the store.
+ * @alias HTTPStore#open
+ * @returns {Promise}
+ */
+
+HTTPStore.prototype._open = function open() {
+  this.logger.info('Using content gateway %s.', url.format(this.url));
+  return Promise.resolve();
+};
+
+/**
+ * Close the store.
+ * @alias HTTPStore#close
+ * @returns {Promise}
+ */
+
+HTTPStore.prototype._close = function close() {
+  return Promise.resolve();
+};
+
+/**
+ * Make a request to the gateway.
+ * @private
+ * @param {String} method
+ * @param {String} endpoint
+ * @param {Buffer?} body
+ * @returns {Promise} - Returns {status, headers, body}.
+ */
+
+HTTPStore.prototype._request = function _request(method, endpoint, body) {
+  var self = this;
+  var backend = this.url.protocol === 'https:' ? https : http;
+  var headers = {};
+
+  if (body) {
+    headers['Content-Type'] = 'application/octet-stream';
+    headers['Content-Length'] = body.length + '';
+  }
+
+  return new Promise(function(resolve, reject) {
+    var req = backend.request({
+      method: method,
+      host: self.url.hostname,
+      port: self.url.port,
+      path: (self.url.pathname || '').replace(/\/+$/, '') + endpoint,
+      auth: self.url.auth,
+      headers: headers
+    }, function(res) {
+      var chunks = [];
+
+      res.on('data', function(data) {
+        chunks.push(data);
+      });
+
+      res.on('error', reject);
+
+      res.on('end', function() {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks)
+        });
+      });
+    });
+
+    req.setTimeout(self.timeout, function() {
+      req.abort();
+      reject(new Error('Gateway request timed out.'));
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+/**
+ * Upload a blob to a writable gateway.
+ * @param {Buffer} data
+ * @returns {Promise} - Returns Buffer (multihash).
+ */
+
+HTTPStore.prototype.put = co(function* put(data) {
+  var hash = multihash.hash(data);
+  var id = base58.encode(hash);
+  var res = yield this._request('PUT', '/' + id, data);
+
+  if (res.status !== 200 && res.status !== 201 && res.status !== 204)
+    throw new Error('Gateway refused content (status=' + res.status + ').');
+
+  this.logger.info('Gateway stored %s.', id);
+
+  return hash;
+});
+
+/**
+ * Retrieve a blob from the gateway.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Buffer, or null if not found.
+ */
+
+HTTPStore.prototype.get = co(function* get(hash) {
+  var id = base58.encode(hash);
+  var res = yield this._request('GET', '/' + id);
+
+  if (res.status === 404)
+    return null;
+
+  if (res.status !== 200)
+    throw new Error('Gateway error for ' + id + ' (status=' + res.status + ').');
+
+  return res.body;
+});
+
+/**
+ * Test whether the gateway serves a blob.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+HTTPStore.prototype.has = co(function* has(hash) {
+  var res = yield this._request('HEAD', '/' + base58.encode(hash));
+  return res.status === 200;
+});
+
+/**
+ * Gateways cannot be asked to pin; report
+ * whether the blob is still served.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+HTTPStore.prototype.seed = function seed(hash) {
+  return this.has(hash);
+};
+
+/*
+ * Expose
+ */
+
+module.exports = HTTPStore;
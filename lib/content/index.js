@@ -0,0 +1,9 @@
+'use strict';
+
+exports.archive = require('./archive');
+exports.backends = require('./backends');
+exports.HTTPStore = require('./httpstore');
+exports.IPFSStore = require('./ipfsstore');
+exports.LocalStore = require('./localstore');
+exports.Manifest = require('./manifest');
+exports.ContentValidator = require('./validator');
@@ -0,0 +1,231 @@
+/*!
+ * ipfsstore.js - ipfs content store for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var util = require('../utils/util');
+var base58 = require('../utils/base58');
+var AsyncObject = require('../utils/async');
+var Logger = require('../node/logger');
+var multihash = require('./multihash');
+var IPFS, WStar, wrtc, CID;
+
+/**
+ * Content store backed by an in-process js-ipfs
+ * node. Tile content is stored as a single raw
+ * block, so its IPFS address carries the same
+ * sha2-256 multihash that outputs commit to.
+ * Blocks stay in the repo and are provided to
+ * the network over bitswap.
+ * @exports IPFSStore
+ * @constructor
+ * @param {Object} options
+ * @param {String} options.location - IPFS repo directory.
+ * @param {String[]?} options.bootstrap - Bootstrap multiaddrs.
+ * @param {Logger?} options.logger
+ */
+
+function IPFSStore(options) {
+  if (!(this instanceof IPFSStore))
+    return new IPFSStore(options);
+
+  AsyncObject.call(this);
+
+  assert(options, 'IPFS store requires options.');
+  assert(typeof options.location === 'string', 'Location is required.');
+
+  this.location = options.location;
+  this.bootstrap = options.bootstrap || IPFSStore.BOOTSTRAP;
+  this.logger = options.logger || Logger.global;
+  this.ipfs = null;
+
+  assert(Array.isArray(this.bootstrap), 'Bootstrap must be an array.');
+}
+
+util.inherits(IPFSStore, AsyncObject);
+
+/**
+ * Default bootstrap peers.
+ * @const {String[]}
+ */
+
+IPFSStore.BOOTSTRAP = [
+  '/ip6/2001:bc8:4400:2100::b:71d/tcp/4001/ipfs/QmfLPuDykBf26hyQV5xgn4ZxBvJJKnVhUVsiKxsWxYS6Y4',
+  '/ip4/163.172.175.248/tcp/4001/ipfs/QmfLPuDykBf26hyQV5xgn4ZxBvJJKnVhUVsiKxsWxYS6Y4',
+  '/ip6/2604:a880:1:20::1d9:6001/tcp/4001/ipfs/QmSoLju6m7xTh3DuokvT3886QRYqxAzb1kShaanJgW36yx',
+  '/ip4/104.236.151.122/tcp/4001/ipfs/QmSoLju6m7xTh3DuokvT3886QRYqxAzb1kShaanJgW36yx',
+  '/ip6/2604:a880:1:20::1f9:9001/tcp/4001/ipfs/QmSoLnSGccFuZQJzRadHn95W2CrSFmZuTdDWP8HXaHca9z',
+  '/ip4/104.236.176.52/tcp/4001/ipfs/QmSoLnSGccFuZQJzRadHn95W2CrSFmZuTdDWP8HXaHca9z',
+  '/ip6/2604:a880:1:20::203:d001/tcp/4001/ipfs/QmSoLPppuBtQSGwKDZT2M73ULpjvfd3aZ6ha4oFGL1KrGM',
+  '/ip4/104.236.179.241/tcp/4001/ipfs/QmSoLPppuBtQSGwKDZT2M73ULpjvfd3aZ6ha4oFGL1KrGM',
+  '/ip4/104.131.131.82/tcp/4001/ipfs/QmaCpDMGvV2BGHeYERUEnRQAwe3N8SzbUtfsmvsqQLuvuJ'
+];
+
+/**
+ * Start the IPFS node.
+ * @alias IPFSStore#open
+ * @returns {Promise}
+ */
+
+IPFSStore.prototype._open = function open() {
+  var self = this;
+  var wstar;
+
+  ensureRequires();
+
+  wstar = new WStar({ wrtc: wrtc });
+
+  this.ipfs = new IPFS({
+    repo: this.location,
+    config: {
+      Bootstrap: this.bootstrap
+    },
+    libp2p: {
+      modules: {
+        transport: [wstar],
+        discovery: [wstar.discovery]
+      }
+    }
+  });
+
+  this.ipfs.on('error', function(err) {
+    self.logger.error('IPFS error: %s', err.message);
+  });
+
+  return new Promise(function(resolve, reject) {
+    self.ipfs.once('ready', function() {
+      self.logger.info('IPFS ready.');
+      resolve();
+    });
+  });
+};
+
+/**
+ * Stop the IPFS node.
+ * @alias IPFSStore#close
+ * @returns {Promise}
+ */
+
+IPFSStore.prototype._close = function close() {
+  var ipfs = this.ipfs;
+
+  this.ipfs = null;
+
+  return new Promise(function(resolve, reject) {
+    ipfs.stop(function(err) {
+      if (err)
+        return reject(err);
+      resolve();
+    });
+  });
+};
+
+/**
+ * Add a blob as a raw block.
+ * @param {Buffer} data
+ * @returns {Promise} - Returns Buffer (multihash).
+ */
+
+IPFSStore.prototype.put = function put(data) {
+  var self = this;
+  var hash = multihash.hash(data);
+  var cid = new CID(multihash.toCID(hash));
+
+  assert(this.ipfs, 'IPFS store is not open.');
+
+  return new Promise(function(resolve, reject) {
+    self.ipfs.block.put(data, { cid: cid }, function(err) {
+      if (err)
+        return reject(err);
+
+      self.logger.info('IPFS seeding %s.', base58.encode(hash));
+
+      resolve(hash);
+    });
+  });
+};
+
+/**
+ * Retrieve a blob from the local repo or the network.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Buffer.
+ */
+
+IPFSStore.prototype.get = function get(hash) {
+  var self = this;
+  var id = base58.encode(hash);
+
+  assert(this.ipfs, 'IPFS store is not open.');
+
+  self.logger.info('IPFS fetching %s.', id);
+
+  return new Promise(function(resolve, reject) {
+    self.ipfs.block.get(multihash.toCID(hash), function(err, block) {
+      if (err)
+        return reject(err);
+
+      self.logger.info('IPFS finished downloading %s.', id);
+
+      resolve(block.data);
+    });
+  });
+};
+
+/**
+ * Test whether a blob is in the local repo.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+IPFSStore.prototype.has = function has(hash) {
+  var self = this;
+  var cid = new CID(multihash.toCID(hash));
+
+  assert(this.ipfs, 'IPFS store is not open.');
+
+  return new Promise(function(resolve, reject) {
+    self.ipfs._repo.blocks.has(cid, function(err, result) {
+      resolve(!err && result);
+    });
+  });
+};
+
+/**
+ * Blocks in the repo are provided as long as
+ * the node runs; report whether the blob is there.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+IPFSStore.prototype.seed = function seed(hash) {
+  return this.has(hash);
+};
+
+/*
+ * Helpers
+ */
+
+function ensureRequires() {
+  if (!IPFS)
+    IPFS = require('ipfs');
+
+  if (!WStar)
+    WStar = require('libp2p-webrtc-star');
+
+  if (!wrtc)
+    wrtc = require('electron-webrtc');
+
+  if (!CID)
+    CID = require('cids');
+}
+
+/*
+ * Expose
+ */
+
+module.exports = IPFSStore;
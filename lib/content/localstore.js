@@ -0,0 +1,154 @@
+/*!
+ * localstore.js - content-addressed filesystem store for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var util = require('../utils/util');
+var co = require('../utils/co');
+var base58 = require('../utils/base58');
+var AsyncObject = require('../utils/async');
+var Logger = require('../node/logger');
+var multihash = require('./multihash');
+
+var readFile = co.promisify(fs.readFile);
+var writeFile = co.promisify(fs.writeFile);
+var rename = co.promisify(fs.rename);
+
+/**
+ * Content store keeping every blob in a single
+ * directory, named after the base58 sha2-256
+ * multihash of its bytes. Works without any
+ * network access, and several nodes can point
+ * at the same directory to share content.
+ * @exports LocalStore
+ * @constructor
+ * @param {Object} options
+ * @param {String} options.location - Store directory.
+ * @param {Logger?} options.logger
+ */
+
+function LocalStore(options) {
+  if (!(this instanceof LocalStore))
+    return new LocalStore(options);
+
+  AsyncObject.call(this);
+
+  assert(options, 'Local store requires options.');
+  assert(typeof options.location === 'string', 'Location is required.');
+
+  this.location = options.location;
+  this.logger = options.logger || Logger.global;
+}
+
+util.inherits(LocalStore, AsyncObject);
+
+/**
+ * Open the store.
+ * @alias LocalStore#open
+ * @returns {Promise}
+ */
+
+LocalStore.prototype._open = function open() {
+  util.mkdir(this.location);
+  return Promise.resolve();
+};
+
+/**
+ * Close the store.
+ * @alias LocalStore#close
+ * @returns {Promise}
+ */
+
+LocalStore.prototype._close = function close() {
+  return Promise.resolve();
+};
+
+/**
+ * Get the path of a blob.
+ * @param {Buffer} hash
+ * @returns {String}
+ */
+
+LocalStore.prototype.getPath = function getPath(hash) {
+  return path.join(this.location, base58.encode(hash));
+};
+
+/**
+ * Store a blob.
+ * @param {Buffer} data
+ * @returns {Promise} - Returns Buffer (multihash).
+ */
+
+LocalStore.prototype.put = co(function* put(data) {
+  var hash = multihash.hash(data);
+  var file = this.getPath(hash);
+  var tmp = file + '.' + util.nonce().toString('hex') + '.tmp';
+
+  if (yield this.has(hash))
+    return hash;
+
+  // Write under a temporary name first so
+  // readers never see a partial blob.
+  yield writeFile(tmp, data);
+  yield rename(tmp, file);
+
+  this.logger.debug('Stored %s (%d bytes).', base58.encode(hash), data.length);
+
+  return hash;
+});
+
+/**
+ * Retrieve a blob.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Buffer, or null if not stored.
+ */
+
+LocalStore.prototype.get = co(function* get(hash) {
+  try {
+    return yield readFile(this.getPath(hash));
+  } catch (e) {
+    if (e.code === 'ENOENT')
+      return null;
+    throw e;
+  }
+});
+
+/**
+ * Test whether a blob is stored.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+LocalStore.prototype.has = function has(hash) {
+  var file = this.getPath(hash);
+  return new Promise(function(resolve, reject) {
+    fs.stat(file, function(err, info) {
+      resolve(!err && info.isFile());
+    });
+  });
+};
+
+/**
+ * Keep a blob available to others. Everything
+ * in the directory is already available, so
+ * this only reports whether the blob exists.
+ * @param {Buffer} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+LocalStore.prototype.seed = function seed(hash) {
+  return this.has(hash);
+};
+
+/*
+ * Expose
+ */
+
+module.exports = LocalStore;
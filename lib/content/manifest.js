@@ -0,0 +1,349 @@
+/*!
+ * manifest.js - multi-file scene manifests for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var util = require('../utils/util');
+var base58 = require('../utils/base58');
+var multihash = require('./multihash');
+
+/**
+ * A scene made of several content-addressed files
+ * (the scene itself, textures, models, scripts...).
+ * A tile publishing a manifest commits to the hash of
+ * the manifest; the files are stored and exchanged
+ * by their own hashes, so tiles reusing a file share
+ * a single copy.
+ *
+ * Manifests are serialized as canonical JSON, with
+ * the files sorted by path:
+ *
+ * ```
+ * {"type":"decentraland/manifest","version":1,
+ *  "files":[{"path":"scene.lnd","hash":"Qm...","size":123}]}
+ * ```
+ *
+ * Content is a manifest if it starts with {@link Manifest.MAGIC}.
+ * @exports Manifest
+ * @constructor
+ * @param {Object?} options
+ * @param {Object[]?} options.files - `{path, hash, size}`.
+ * @property {Object[]} files
+ */
+
+function Manifest(options) {
+  if (!(this instanceof Manifest))
+    return new Manifest(options);
+
+  this.files = [];
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Manifest type tag.
+ * @const {String}
+ * @default
+ */
+
+Manifest.TYPE = 'decentraland/manifest';
+
+/**
+ * Manifest format version.
+ * @const {Number}
+ * @default
+ */
+
+Manifest.VERSION = 1;
+
+/**
+ * Prefix of every serialized manifest.
+ * @const {Buffer}
+ */
+
+Manifest.MAGIC = new Buffer('{"type":"' + Manifest.TYPE + '"', 'ascii');
+
+/**
+ * Maximum number of files.
+ * @const {Number}
+ * @default
+ */
+
+Manifest.MAX_FILES = 1000;
+
+/**
+ * Maximum size of a serialized manifest.
+ * @const {Number}
+ * @default
+ */
+
+Manifest.MAX_SIZE = 1 << 20;
+
+/**
+ * Inject properties from options.
+ * @private
+ * @param {Object} options
+ * @returns {Manifest}
+ */
+
+Manifest.prototype.fromOptions = function fromOptions(options) {
+  var seen = {};
+  var i, file;
+
+  assert(Array.isArray(options.files), 'Manifest files must be an array.');
+  assert(options.files.length > 0, 'Manifest has no files.');
+  assert(options.files.length <= Manifest.MAX_FILES,
+    'Manifest has too many files.');
+
+  for (i = 0; i < options.files.length; i++) {
+    file = options.files[i];
+
+    assert(file && typeof file === 'object', 'Invalid manifest file.');
+    assert(Manifest.isPath(file.path), 'Invalid file path: ' + file.path);
+    assert(!seen[file.path], 'Duplicate file path: ' + file.path);
+    assert(Buffer.isBuffer(file.hash) && multihash.isSHA256(file.hash),
+      'Invalid file hash: ' + file.path);
+    assert(util.isUInt53(file.size), 'Invalid file size: ' + file.path);
+
+    seen[file.path] = true;
+
+    this.files.push({
+      path: file.path,
+      hash: file.hash,
+      size: file.size
+    });
+  }
+
+  this.files.sort(function(a, b) {
+    return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+  });
+
+  return this;
+};
+
+/**
+ * Instantiate a manifest from options.
+ * @param {Object} options
+ * @returns {Manifest}
+ */
+
+Manifest.fromOptions = function fromOptions(options) {
+  return new Manifest().fromOptions(options);
+};
+
+/**
+ * Build a manifest for a set of files.
+ * @param {Object[]} files - `{path, data}`.
+ * @returns {Manifest}
+ */
+
+Manifest.fromFiles = function fromFiles(files) {
+  return Manifest.fromOptions({
+    files: files.map(function(file) {
+      assert(Buffer.isBuffer(file.data), 'File data must be a buffer.');
+      return {
+        path: file.path,
+        hash: multihash.hash(file.data),
+        size: file.data.length
+      };
+    })
+  });
+};
+
+/**
+ * Test whether a path is valid inside a manifest:
+ * relative, slash-separated, and without `.` or
+ * `..` segments.
+ * @param {String} path
+ * @returns {Boolean}
+ */
+
+Manifest.isPath = function isPath(path) {
+  var parts, i;
+
+  if (typeof path !== 'string')
+    return false;
+
+  if (path.length === 0 || path.length > 255)
+    return false;
+
+  if (/[\\\x00-\x1f]/.test(path))
+    return false;
+
+  parts = path.split('/');
+
+  for (i = 0; i < parts.length; i++) {
+    if (parts[i] === '' || parts[i] === '.' || parts[i] === '..')
+      return false;
+  }
+
+  return true;
+};
+
+/**
+ * Test whether content is a manifest.
+ * @param {Buffer} data
+ * @returns {Boolean}
+ */
+
+Manifest.isManifest = function isManifest(data) {
+  if (data.length > Manifest.MAX_SIZE)
+    return false;
+
+  if (data.length < Manifest.MAGIC.length)
+    return false;
+
+  return data.slice(0, Manifest.MAGIC.length).equals(Manifest.MAGIC);
+};
+
+/**
+ * Find a file by path.
+ * @param {String} path
+ * @returns {Object|null} `{path, hash, size}`.
+ */
+
+Manifest.prototype.getFile = function getFile(path) {
+  var i;
+
+  for (i = 0; i < this.files.length; i++) {
+    if (this.files[i].path === path)
+      return this.files[i];
+  }
+
+  return null;
+};
+
+/**
+ * Get the distinct file hashes.
+ * @returns {Buffer[]}
+ */
+
+Manifest.prototype.getHashes = function getHashes() {
+  var seen = {};
+  var hashes = [];
+  var i, key;
+
+  for (i = 0; i < this.files.length; i++) {
+    key = this.files[i].hash.toString('hex');
+
+    if (seen[key])
+      continue;
+
+    seen[key] = true;
+    hashes.push(this.files[i].hash);
+  }
+
+  return hashes;
+};
+
+/**
+ * Get the total size of the files.
+ * @returns {Number}
+ */
+
+Manifest.prototype.getSize = function getSize() {
+  var size = 0;
+  var i;
+
+  for (i = 0; i < this.files.length; i++)
+    size += this.files[i].size;
+
+  return size;
+};
+
+/**
+ * Convert the manifest to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+Manifest.prototype.toJSON = function toJSON() {
+  return {
+    type: Manifest.TYPE,
+    version: Manifest.VERSION,
+    files: this.files.map(function(file) {
+      return {
+        path: file.path,
+        hash: base58.encode(file.hash),
+        size: file.size
+      };
+    })
+  };
+};
+
+/**
+ * Inject properties from json object.
+ * @private
+ * @param {Object} json
+ * @returns {Manifest}
+ */
+
+Manifest.prototype.fromJSON = function fromJSON(json) {
+  assert(json && json.type === Manifest.TYPE, 'Not a manifest.');
+  assert(json.version === Manifest.VERSION, 'Unknown manifest version.');
+  assert(Array.isArray(json.files), 'Manifest files must be an array.');
+
+  return this.fromOptions({
+    files: json.files.map(function(file) {
+      assert(file && typeof file.hash === 'string', 'Invalid file hash.');
+      return {
+        path: file.path,
+        hash: base58.decode(file.hash),
+        size: file.size
+      };
+    })
+  });
+};
+
+/**
+ * Instantiate a manifest from a json object.
+ * @param {Object} json
+ * @returns {Manifest}
+ */
+
+Manifest.fromJSON = function fromJSON(json) {
+  return new Manifest().fromJSON(json);
+};
+
+/**
+ * Serialize the manifest.
+ * @returns {Buffer}
+ */
+
+Manifest.prototype.toRaw = function toRaw() {
+  return new Buffer(JSON.stringify(this.toJSON()), 'utf8');
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ * @returns {Manifest}
+ */
+
+Manifest.prototype.fromRaw = function fromRaw(data) {
+  assert(Manifest.isManifest(data), 'Not a manifest.');
+  return this.fromJSON(JSON.parse(data.toString('utf8')));
+};
+
+/**
+ * Instantiate a manifest from serialized data.
+ * @param {Buffer} data
+ * @returns {Manifest}
+ */
+
+Manifest.fromRaw = function fromRaw(data) {
+  return new Manifest().fromRaw(data);
+};
+
+/*
+ * Expose
+ */
+
+module.exports = Manifest;
@@ -0,0 +1,77 @@
+/*!
+ * multihash.js - tile content hashing for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ * @module content/multihash
+ */
+
+'use strict';
+
+var crypto = require('../crypto/crypto');
+var base58 = require('../utils/base58');
+var constants = require('../protocol/constants');
+
+/**
+ * Multihash prefix for sha2-256
+ * (function code and digest length).
+ * @const {Buffer}
+ */
+
+exports.PREFIX = new Buffer([0x12, 0x20]);
+
+/**
+ * CIDv1 prefix for a raw block
+ * (version and codec).
+ * @const {Buffer}
+ */
+
+exports.RAW_CID = new Buffer([0x01, 0x55]);
+
+/**
+ * Compute the sha2-256 multihash of tile content.
+ * This is what outputs commit to.
+ * @param {Buffer} data
+ * @returns {Buffer} 34 bytes.
+ */
+
+exports.hash = function hash(data) {
+  return Buffer.concat([exports.PREFIX, crypto.sha256(data)]);
+};
+
+/**
+ * Test whether content matches a multihash.
+ * @param {Buffer} data
+ * @param {Buffer} hash
+ * @returns {Boolean}
+ */
+
+exports.verify = function verify(data, hash) {
+  if (!exports.isSHA256(hash))
+    return false;
+
+  return crypto.ccmp(crypto.sha256(data), hash.slice(2));
+};
+
+/**
+ * Test whether a buffer is a sha2-256 multihash.
+ * @param {Buffer} hash
+ * @returns {Boolean}
+ */
+
+exports.isSHA256 = function isSHA256(hash) {
+  return hash.length === constants.CONTENT_LENGHT
+    && hash[0] === exports.PREFIX[0]
+    && hash[1] === exports.PREFIX[1];
+};
+
+/**
+ * Get the base58btc CIDv1 addressing a multihash as a raw
+ * block, so IPFS returns the bytes instead of a dag node.
+ * @param {Buffer} hash
+ * @returns {String}
+ */
+
+exports.toCID = function toCID(hash) {
+  return 'z' + base58.encode(Buffer.concat([exports.RAW_CID, hash]));
+};
@@ -0,0 +1,133 @@
+/*!
+ * validator.js - tile content validation for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var util = require('../utils/util');
+var co = require('../utils/co');
+
+/**
+ * Checks tile content before it is published,
+ * and before downloaded content is stored and
+ * served: a size limit, then a pluggable check
+ * of the `.lnd` scene format.
+ * @exports ContentValidator
+ * @constructor
+ * @param {Object?} options
+ * @param {Number?} options.maxSize - Maximum content size in bytes.
+ * @param {(Function|String)?} options.validate - Scene format check,
+ * or the path of a module exporting one. It is called with the
+ * content and throws (or rejects) if the content is invalid.
+ */
+
+function ContentValidator(options) {
+  if (!(this instanceof ContentValidator))
+    return new ContentValidator(options);
+
+  if (!options)
+    options = {};
+
+  this.maxSize = ContentValidator.MAX_SIZE;
+  this.validate = null;
+
+  if (options.maxSize != null) {
+    assert(util.isNumber(options.maxSize) && options.maxSize > 0,
+      'Max tile content size must be positive.');
+    this.maxSize = options.maxSize;
+  }
+
+  if (options.validate != null) {
+    if (typeof options.validate === 'string')
+      this.validate = require(path.resolve(options.validate));
+    else
+      this.validate = options.validate;
+
+    assert(typeof this.validate === 'function',
+      'Content validator must be a function.');
+  }
+}
+
+/**
+ * Default maximum content size.
+ * @const {Number}
+ * @default
+ */
+
+ContentValidator.MAX_SIZE = 8 << 20;
+
+/**
+ * Check the size of tile content. Uploads
+ * call this as data arrives.
+ * @param {Number} size
+ * @throws {ContentError}
+ */
+
+ContentValidator.prototype.checkSize = function checkSize(size) {
+  if (size > this.maxSize) {
+    throw new ContentError(util.fmt(
+      'too large (%d bytes, limit is %d).',
+      size, this.maxSize));
+  }
+};
+
+/**
+ * Check tile content.
+ * @param {Buffer} data
+ * @returns {Promise}
+ * @throws {ContentError}
+ */
+
+ContentValidator.prototype.check = co(function* check(data) {
+  this.checkSize(data.length);
+
+  if (!this.validate)
+    return;
+
+  try {
+    yield this.validate(data);
+  } catch (e) {
+    if (e.type === 'ContentError')
+      throw e;
+    throw new ContentError('bad scene (' + e.message + ').');
+  }
+});
+
+/**
+ * An error thrown for tile content that
+ * fails validation.
+ * @exports ContentError
+ * @constructor
+ * @extends Error
+ * @param {String} reason
+ * @property {String} reason
+ * @property {Number} statusCode - HTTP status for clients.
+ */
+
+function ContentError(reason) {
+  Error.call(this);
+
+  if (Error.captureStackTrace)
+    Error.captureStackTrace(this, ContentError);
+
+  this.type = 'ContentError';
+  this.reason = reason;
+  this.statusCode = 400;
+  this.message = 'Invalid content: ' + reason;
+}
+
+util.inherits(ContentError, Error);
+
+/*
+ * Expose
+ */
+
+exports = ContentValidator;
+exports.ContentError = ContentError;
+
+module.exports = exports;
@@ -86,12 +86,22 @@ var lazy = require('./utils/lazy');
  * @property {Function} chainentry - {@link ChainEntry} constructor.
  * @property {Function} chaindb - {@link ChainDB} constructor.
  * @property {Function} chain - {@link Chain} constructor.
+ * @property {Function} tilerecord - {@link TileRecord} constructor.
+ * @property {Function} tileupdate - {@link TileUpdate} constructor.
+ * @property {Function} tilechange - {@link TileChange} constructor.
+ * @property {Function} tileproof - {@link TileProof} constructor.
+ * @property {Function} tiletree - {@link TileTree} constructor.
+ * @property {Function} tilebranch - {@link TileBranch} constructor.
+ * @property {Function} snapshot - {@link Snapshot} constructor.
+ * @property {Object} content - See {@link module:content}.
+ * @property {Function} localstore - {@link LocalStore} constructor.
  * @property {Function} mempool - {@link Mempool} constructor.
  * @property {Function} mempoolentry - {@link MempoolEntry} constructor.
  * @property {Function} hd - {@link HD} constructor.
  * @property {Function} address - {@link Address} constructor.
  * @property {Function} wallet - {@link Wallet} constructor.
  * @property {Function} walletdb - {@link WalletDB} constructor.
+ * @property {Function} swapoffer - {@link SwapOffer} constructor.
  * @property {Function} peer - {@link Peer} constructor.
  * @property {Function} pool - {@link Pool} constructor.
  * @property {Function} miner - {@link Miner} constructor.
@@ -119,6 +129,13 @@ function Environment() {
   this['chain'] = require('./blockchain/chain');
   this['chaindb'] = require('./blockchain/chaindb');
   this['chainentry'] = require('./blockchain/chainentry');
+  this['tilerecord'] = require('./blockchain/tilerecord');
+  this['tileupdate'] = require('./blockchain/tileupdate');
+  this['tilechange'] = require('./blockchain/tilechange');
+  this['tileproof'] = require('./blockchain/tileproof');
+  this['tiletree'] = require('./blockchain/tiletree');
+  this['tilebranch'] = require('./blockchain/tilebranch');
+  this['snapshot'] = require('./blockchain/snapshot');
 
   // BTC
   this['btc'] = require('./btc');
@@ -130,6 +147,10 @@ function Environment() {
   this['coins'] = require('./coins');
   this['coinview'] = require('./coins/coinview');
 
+  // Content
+  this['content'] = require('./content');
+  this['localstore'] = require('./content/localstore');
+
   // Crypto
   this['crypto'] = require('./crypto');
   this['ec'] = require('./crypto/ec');
@@ -221,6 +242,7 @@ function Environment() {
   this['wallet'] = require('./wallet');
   this['path'] = require('./wallet/path');
   this['walletkey'] = require('./wallet/walletkey');
+  this['swapoffer'] = require('./wallet/swapoffer');
   this['walletdb'] = require('./wallet/walletdb');
 
   // Workers
@@ -124,13 +124,19 @@ HTTPBase.prototype._initRouter = function _initRouter() {
 
     self.emit('request', req, res);
 
-    parseBody(req, function(err) {
+    parseBody(req, self.isUpload(req), function(err) {
       var method, routes, i;
 
       if (err)
         return done(err);
 
       method = (req.method || 'GET').toLowerCase();
+
+      // HEAD is a GET without a body: node
+      // discards anything written to it.
+      if (method === 'head')
+        method = 'get';
+
       routes = self.routes[method];
       i = 0;
 
@@ -368,6 +374,53 @@ HTTPBase.prototype.put = function put(path, callback, ctx) {
   this.routes.put.push({ ctx: ctx, path: path, callback: callback });
 };
 
+/**
+ * Add a PUT route which streams its own body: raw
+ * (`application/octet-stream`) and `multipart/form-data`
+ * bodies are left unparsed for it.
+ * @param {String} path
+ * @param {RouteCallback} callback
+ */
+
+HTTPBase.prototype.upload = function upload(path, callback, ctx) {
+  var compiled = compilePath(path);
+
+  this.routes.put.push({
+    ctx: ctx,
+    path: path,
+    callback: callback,
+    regex: compiled.regex,
+    map: compiled.map,
+    upload: true
+  });
+};
+
+/**
+ * Test whether a request is an upload
+ * to a route streaming its own body.
+ * @param {HTTPRequest} req
+ * @returns {Boolean}
+ */
+
+HTTPBase.prototype.isUpload = function isUpload(req) {
+  var routes = this.routes.put;
+  var i, route;
+
+  if ((req.method || '').toLowerCase() !== 'put')
+    return false;
+
+  if (!isUploadType(req))
+    return false;
+
+  for (i = 0; i < routes.length; i++) {
+    route = routes[i];
+    if (route.upload && route.regex.test(req.pathname))
+      return true;
+  }
+
+  return false;
+};
+
 /**
  * Add a DELETE route.
  * @param {String?} path
@@ -502,7 +555,7 @@ function compilePath(path) {
   };
 }
 
-function parseBody(req, callback) {
+function parseBody(req, upload, callback) {
   var StringDecoder = require('string_decoder').StringDecoder;
   var decode = new StringDecoder('utf8');
   var total = 0;
@@ -513,6 +566,10 @@ function parseBody(req, callback) {
   if (req.method === 'GET')
     return callback();
 
+  // Uploads are left for the route to stream.
+  if (upload)
+    return callback();
+
   req.on('data', function(data) {
     total += data.length;
 
@@ -543,6 +600,12 @@ function parseBody(req, callback) {
   });
 }
 
+function isUploadType(req) {
+  var type = req.headers['content-type'] || '';
+  return /^application\/octet-stream/i.test(type)
+    || /^multipart\/form-data/i.test(type);
+}
+
 function parsePairs(str) {
   var parts = str.split('&');
   var data = {};
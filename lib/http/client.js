@@ -352,6 +352,40 @@ HTTPClient.prototype.getBlock = function getBlock(block) {
   return this._get('/block/' + block);
 };
 
+/**
+ * Retrieve the current state of a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link TileRecord}.
+ */
+
+HTTPClient.prototype.getTile = function getTile(x, y) {
+  return this._get('/tile/' + x + '/' + y);
+};
+
+/**
+ * Retrieve all tiles within a rectangle (inclusive).
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
+
+HTTPClient.prototype.getTilesInRect = function getTilesInRect(x0, y0, x1, y1) {
+  return this._get('/tiles', { bbox: [x0, y0, x1, y1].join(',') });
+};
+
+/**
+ * Retrieve all tiles owned by an address.
+ * @param {Base58Address} address
+ * @returns {Promise} - Returns {@link TileRecord}[].
+ */
+
+HTTPClient.prototype.getTilesByAddress = function getTilesByAddress(address) {
+  return this._get('/address/' + address + '/tiles');
+};
+
 /**
  * Add a transaction to the mempool and broadcast it.
  * @param {TX} tx
@@ -618,6 +652,72 @@ HTTPClient.prototype.getWalletCoin = function getWalletCoin(id, account, hash, i
   return this._get(path, options);
 };
 
+/**
+ * Update the content of several owned tiles in one transaction.
+ * @param {WalletID} id
+ * @param {Object[]} tiles - `{x, y, content}` with base64 content.
+ * @param {String?} passphrase
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.setTiles = function setTiles(id, tiles, passphrase) {
+  var options = { tiles: tiles, passphrase: passphrase };
+  return this._post('/wallet/' + id + '/tile/content', options);
+};
+
+/**
+ * Transfer several owned tiles in one transaction.
+ * @param {WalletID} id
+ * @param {Object[]} tiles - `{x, y}`.
+ * @param {Base58Address} address
+ * @param {String?} passphrase
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.transferTiles = function transferTiles(id, tiles, address, passphrase) {
+  var options = { tiles: tiles, address: address, passphrase: passphrase };
+  return this._post('/wallet/' + id + '/tile/transfer', options);
+};
+
+/**
+ * Offer a tile in exchange for another one.
+ * @param {WalletID} id
+ * @param {Object} options
+ * @param {Number} options.x - Offered tile.
+ * @param {Number} options.y - Offered tile.
+ * @param {Object} options.want - Requested tile ({x, y}).
+ * @param {Base58Address} options.address - Counterparty.
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.createSwapOffer = function createSwapOffer(id, options) {
+  return this._post('/wallet/' + id + '/swap', options);
+};
+
+/**
+ * Decode a swap offer.
+ * @param {WalletID} id
+ * @param {String} offer - Hex string.
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.inspectSwapOffer = function inspectSwapOffer(id, offer) {
+  return this._post('/wallet/' + id + '/swap/inspect', { offer: offer });
+};
+
+/**
+ * Complete and broadcast a swap offer.
+ * @param {WalletID} id
+ * @param {String} offer - Hex string.
+ * @param {String?} passphrase
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.acceptSwapOffer = function acceptSwapOffer(id, offer, passphrase) {
+  var options = { offer: offer, passphrase: passphrase };
+  return this._post('/wallet/' + id + '/swap/accept', options);
+};
+
 /**
  * Create a transaction, fill, sign, and broadcast.
  * @param {WalletID} id
@@ -0,0 +1,436 @@
+/*!
+ * contentserver.js - tile content server for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var util = require('../utils/util');
+var co = require('../utils/co');
+var base58 = require('../utils/base58');
+var constants = require('../protocol/constants');
+var HTTPBase = require('./base');
+var con = co.con;
+
+/*
+ * Constants
+ */
+
+var GENESIS_PATH = path.join(__dirname, '..', '..', 'data', 'genesis.tld');
+var IMMUTABLE = 'public, max-age=31536000, immutable';
+var REVALIDATE = 'public, max-age=0, must-revalidate';
+
+/**
+ * Serves tile content over plain HTTP. The current
+ * version of a tile lives at `/tile/x.y.lnd`, every
+ * stored version at `/tile/x.y/<hash>.lnd`, and
+ * `/tile/x.y` lists the stored versions. When the current
+ * version is a {@link Manifest}, its files are served
+ * at `/tile/x.y/<path>`.
+ * @exports ContentServer
+ * @constructor
+ * @param {Object} options
+ * @param {Chain} options.chain
+ * @param {Number} options.port
+ * @param {String?} options.host
+ * @param {Logger?} options.logger
+ */
+
+function ContentServer(options) {
+  if (!(this instanceof ContentServer))
+    return new ContentServer(options);
+
+  EventEmitter.call(this);
+
+  assert(options, 'Content server requires options.');
+  assert(options.chain, 'Content server requires a blockchain.');
+
+  this.options = options;
+  this.chain = options.chain;
+  this.content = this.chain.content;
+  this.network = this.chain.network;
+  this.logger = options.logger || this.chain.logger;
+
+  this.server = new HTTPBase({
+    port: options.port,
+    host: options.host || '0.0.0.0',
+    key: options.key,
+    cert: options.cert
+  });
+
+  this._init();
+}
+
+util.inherits(ContentServer, EventEmitter);
+
+/**
+ * Initialize routes.
+ * @private
+ */
+
+ContentServer.prototype._init = function _init() {
+  var self = this;
+
+  this.server.on('request', function(req, res) {
+    self.logger.spam('Content request for method=%s path=%s (%s).',
+      req.method, req.pathname, req.socket.remoteAddress);
+  });
+
+  this.server.on('listening', function(address) {
+    self.logger.info('Content server listening on %s (port=%d).',
+      address.address, address.port);
+  });
+
+  this.server.on('error', function(err) {
+    self.emit('error', err);
+  });
+
+  this.use(function(req, res, send, next) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,HEAD');
+    res.setHeader('Access-Control-Allow-Headers', 'Range,If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers',
+      'ETag,Content-Length,Content-Range,Accept-Ranges');
+
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 200;
+      return res.end();
+    }
+
+    next();
+  });
+
+  // Version index
+  this.get(/^\/tile\/(-?\d+)\.(-?\d+)$/, con(function* (req, res, send, next) {
+    var coords = parseCoords(req.params);
+    var current = yield this.getCurrentHash(coords.x, coords.y);
+    var versions = yield this.content.getVersions(coords.x, coords.y);
+
+    if (!current && versions.length === 0)
+      return send(404);
+
+    send(200, {
+      x: coords.x,
+      y: coords.y,
+      current: current,
+      versions: versions.map(function(version) {
+        return {
+          hash: version.hash,
+          size: version.size,
+          time: version.time,
+          current: version.hash === current,
+          url: '/tile/' + coords.x + '.' + coords.y + '/' + version.hash + '.lnd'
+        };
+      })
+    });
+  }));
+
+  // Current version
+  this.get(/^\/tile\/(-?\d+)\.(-?\d+)\.lnd$/, con(function* (req, res, send, next) {
+    var coords = parseCoords(req.params);
+    var hash = yield this.getCurrentHash(coords.x, coords.y);
+    var file;
+
+    // Serve the stored copy of the version
+    // the chain points to when we have it.
+    if (hash) {
+      file = this.content.getPath(coords.x, coords.y, hash);
+      if (yield exists(file))
+        return yield this.sendFile(req, res, send, file, hash, false);
+    }
+
+    file = this.content.getPath(coords.x, coords.y);
+
+    if (!(yield exists(file))) {
+      if (coords.x !== 0 || coords.y !== 0)
+        return send(404);
+      file = GENESIS_PATH;
+    }
+
+    yield this.sendFile(req, res, send, file, null, false);
+  }));
+
+  // Historical version
+  this.get(/^\/tile\/(-?\d+)\.(-?\d+)\/([1-9A-HJ-NP-Za-km-z]+)\.lnd$/,
+    con(function* (req, res, send, next) {
+    var coords = parseCoords(req.params);
+    var hash = req.params[2];
+    var file = this.content.getPath(coords.x, coords.y, hash);
+
+    if (!(yield exists(file)))
+      return send(404);
+
+    yield this.sendFile(req, res, send, file, hash, true);
+  }));
+
+  // File of the current manifest
+  this.get(/^\/tile\/(-?\d+)\.(-?\d+)\/(.+)$/, con(function* (req, res, send, next) {
+    var coords = parseCoords(req.params);
+    var hash = yield this.getCurrentHash(coords.x, coords.y);
+    var manifest, entry, id, file;
+
+    if (!hash)
+      return send(404);
+
+    manifest = yield this.content.getManifest(coords.x, coords.y, hash);
+
+    if (!manifest)
+      return send(404);
+
+    entry = manifest.getFile(req.params[2]);
+
+    if (!entry)
+      return send(404);
+
+    id = base58.encode(entry.hash);
+    file = this.content.getFilePath(id);
+
+    if (!(yield exists(file)))
+      return send(404);
+
+    yield this.sendFile(req, res, send, file, id, false);
+  }));
+};
+
+/**
+ * Get the base58 multihash the chain
+ * currently records for a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns String.
+ */
+
+ContentServer.prototype.getCurrentHash = co(function* getCurrentHash(x, y) {
+  var record = yield this.chain.getTileRecord(x, y);
+  var hash;
+
+  if (!record)
+    return;
+
+  hash = record.content.toString('hex');
+
+  if (hash === constants.IPFS_NULL_HASH)
+    return;
+
+  return base58.encode(record.content);
+});
+
+/**
+ * Stream a tile file, honoring conditional
+ * and range requests.
+ * @private
+ * @param {HTTPRequest} req
+ * @param {HTTPResponse} res
+ * @param {Function} send
+ * @param {String} file
+ * @param {String?} hash - Content hash, used as a strong ETag.
+ * @param {Boolean} immutable - Whether the URL always
+ * refers to the same bytes.
+ * @returns {Promise}
+ */
+
+ContentServer.prototype.sendFile = co(function* sendFile(req, res, send, file, hash, immutable) {
+  var info = yield stat(file);
+  var size = info.size;
+  var etag, range, start, end;
+
+  etag = hash
+    ? '"' + hash + '"'
+    : 'W/"' + size.toString(16) + '-' + info.mtime.getTime().toString(16) + '"';
+
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', immutable ? IMMUTABLE : REVALIDATE);
+  res.setHeader('Last-Modified', info.mtime.toUTCString());
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Type', 'application/octet-stream');
+
+  if (isFresh(req.headers['if-none-match'], etag)) {
+    res.statusCode = 304;
+    res.end();
+    return;
+  }
+
+  range = parseRange(req.headers['range'], size);
+
+  if (range === -1) {
+    res.setHeader('Content-Range', 'bytes */' + size);
+    send(416, { error: 'Range not satisfiable.' });
+    return;
+  }
+
+  if (range) {
+    start = range.start;
+    end = range.end;
+    res.statusCode = 206;
+    res.setHeader('Content-Range', 'bytes ' + start + '-' + end + '/' + size);
+  } else {
+    start = 0;
+    end = size - 1;
+    res.statusCode = 200;
+  }
+
+  res.setHeader('Content-Length', (end - start + 1) + '');
+
+  if (req.method === 'HEAD' || size === 0) {
+    res.end();
+    return;
+  }
+
+  yield pipe(fs.createReadStream(file, { start: start, end: end }), res);
+});
+
+/**
+ * Open the server.
+ * @returns {Promise}
+ */
+
+ContentServer.prototype.open = co(function* open() {
+  yield this.server.open();
+  this.logger.info('Content server loaded.');
+});
+
+/**
+ * Close the server.
+ * @returns {Promise}
+ */
+
+ContentServer.prototype.close = function close() {
+  return this.server.close();
+};
+
+/**
+ * @see HTTPBase#use
+ */
+
+ContentServer.prototype.use = function use(path, callback) {
+  return this.server.use(path, callback, this);
+};
+
+/**
+ * @see HTTPBase#get
+ */
+
+ContentServer.prototype.get = function get(path, callback) {
+  return this.server.get(path, callback, this);
+};
+
+/**
+ * @see HTTPBase#address
+ */
+
+ContentServer.prototype.address = function address() {
+  return this.server.address();
+};
+
+/*
+ * Helpers
+ */
+
+function parseCoords(params) {
+  var x = Number(params[0]);
+  var y = Number(params[1]);
+  var err;
+
+  if (!util.isInt32(x) || !util.isInt32(y)) {
+    err = new Error('Invalid coordinates.');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  return { x: x, y: y };
+}
+
+function isFresh(header, etag) {
+  var tags, i;
+
+  if (!header)
+    return false;
+
+  if (header.trim() === '*')
+    return true;
+
+  tags = header.split(',');
+
+  for (i = 0; i < tags.length; i++) {
+    if (tags[i].trim().replace(/^W\//, '') === etag.replace(/^W\//, ''))
+      return true;
+  }
+
+  return false;
+}
+
+/**
+ * Parse a single `bytes=` range.
+ * @private
+ * @param {String?} header
+ * @param {Number} size
+ * @returns {Object|Number|null} Range, -1 if it
+ * cannot be satisfied, or null to send everything.
+ */
+
+function parseRange(header, size) {
+  var match, start, end;
+
+  if (!header)
+    return null;
+
+  match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+  // Multiple or malformed ranges: ignore
+  // the header and send the whole file.
+  if (!match || (!match[1] && !match[2]))
+    return null;
+
+  if (!match[1]) {
+    // Suffix range: the last n bytes.
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end)
+    return -1;
+
+  return { start: start, end: end };
+}
+
+function exists(file) {
+  return new Promise(function(resolve, reject) {
+    fs.stat(file, function(err, info) {
+      resolve(!err && info.isFile());
+    });
+  });
+}
+
+function stat(file) {
+  return new Promise(function(resolve, reject) {
+    fs.stat(file, function(err, info) {
+      if (err)
+        return reject(err);
+      resolve(info);
+    });
+  });
+}
+
+function pipe(stream, res) {
+  return new Promise(function(resolve, reject) {
+    stream.on('error', reject);
+    res.on('finish', resolve);
+    res.on('close', resolve);
+    stream.pipe(res);
+  });
+}
+
+/*
+ * Expose
+ */
+
+module.exports = ContentServer;
@@ -15,3 +15,4 @@ exports.Wallet = require('./wallet');
 exports.Base = require('./base');
 exports.RPC = require('./rpc');
 exports.Server = require('./server');
+exports.ContentServer = require('./contentserver');
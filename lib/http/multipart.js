@@ -0,0 +1,215 @@
+/*!
+ * multipart.js - streaming multipart/form-data parser for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Transform = require('stream').Transform;
+var util = require('../utils/util');
+
+/*
+ * Parser states
+ */
+
+var SKIP = 0;
+var DELIMITER = 1;
+var HEADERS = 2;
+var BODY = 3;
+var DONE = 4;
+
+/**
+ * Max size of a part's headers.
+ * @const {Number}
+ */
+
+var MAX_HEADERS = 8 << 10;
+
+/**
+ * Extracts a single file from a multipart/form-data
+ * body as it arrives: the first part with a filename,
+ * or the first part named `content`. Other parts are
+ * skipped, and nothing but a small lookbehind for
+ * the boundary is buffered.
+ * @exports MultipartStream
+ * @constructor
+ * @extends Transform
+ * @param {String} boundary
+ */
+
+function MultipartStream(boundary) {
+  if (!(this instanceof MultipartStream))
+    return new MultipartStream(boundary);
+
+  Transform.call(this);
+
+  assert(typeof boundary === 'string' && boundary.length > 0,
+    'Multipart boundary required.');
+
+  this.delimiter = new Buffer('\r\n--' + boundary, 'ascii');
+  this.state = SKIP;
+  this.found = false;
+
+  // The first delimiter may open the body
+  // without a preceding line break.
+  this.buffer = new Buffer('\r\n', 'ascii');
+}
+
+util.inherits(MultipartStream, Transform);
+
+/**
+ * Get the boundary of a multipart/form-data request.
+ * @param {String?} type - Content-Type header.
+ * @returns {String|null}
+ */
+
+MultipartStream.getBoundary = function getBoundary(type) {
+  var match;
+
+  if (!type || !/^multipart\/form-data/i.test(type))
+    return null;
+
+  match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(type);
+
+  if (!match)
+    return null;
+
+  return match[1] || match[2];
+};
+
+MultipartStream.prototype._transform = function _transform(chunk, enc, callback) {
+  this.buffer = Buffer.concat([this.buffer, chunk]);
+
+  try {
+    this.parse();
+  } catch (e) {
+    callback(e);
+    return;
+  }
+
+  callback();
+};
+
+MultipartStream.prototype._flush = function _flush(callback) {
+  if (!this.found || this.state === BODY) {
+    callback(malformed('No content in multipart body.'));
+    return;
+  }
+
+  callback();
+};
+
+/**
+ * Consume as much of the buffer as possible.
+ * @private
+ */
+
+MultipartStream.prototype.parse = function parse() {
+  var index, tail, headers;
+
+  for (;;) {
+    switch (this.state) {
+      case SKIP:
+      case BODY:
+        index = this.buffer.indexOf(this.delimiter);
+
+        if (index === -1) {
+          tail = Math.max(0, this.buffer.length - this.delimiter.length + 1);
+          if (this.state === BODY && tail > 0)
+            this.push(this.buffer.slice(0, tail));
+          this.buffer = this.buffer.slice(tail);
+          return;
+        }
+
+        if (this.state === BODY && index > 0)
+          this.push(this.buffer.slice(0, index));
+
+        this.buffer = this.buffer.slice(index + this.delimiter.length);
+        this.state = DELIMITER;
+
+        break;
+
+      case DELIMITER:
+        if (this.buffer.length < 2)
+          return;
+
+        if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+          this.state = DONE;
+          break;
+        }
+
+        index = this.buffer.indexOf('\r\n');
+
+        if (index === -1) {
+          if (this.buffer.length > MAX_HEADERS)
+            throw malformed('Malformed multipart delimiter.');
+          return;
+        }
+
+        // Transport padding may follow the delimiter.
+        if (this.buffer.slice(0, index).toString('ascii').trim() !== '')
+          throw malformed('Malformed multipart delimiter.');
+
+        this.buffer = this.buffer.slice(index + 2);
+        this.state = HEADERS;
+
+        break;
+
+      case HEADERS:
+        index = this.buffer.indexOf('\r\n\r\n');
+
+        if (index === -1) {
+          if (this.buffer.length > MAX_HEADERS)
+            throw malformed('Multipart headers too large.');
+          return;
+        }
+
+        headers = this.buffer.slice(0, index).toString('utf8');
+
+        this.buffer = this.buffer.slice(index + 4);
+        this.state = SKIP;
+
+        if (!this.found && isContentPart(headers)) {
+          this.found = true;
+          this.state = BODY;
+        }
+
+        break;
+
+      case DONE:
+        this.buffer = new Buffer(0);
+        return;
+    }
+  }
+};
+
+/*
+ * Helpers
+ */
+
+function isContentPart(headers) {
+  var match = /^content-disposition:(.*)$/im.exec(headers);
+
+  if (!match)
+    return false;
+
+  if (/\bfilename\*?=/i.test(match[1]))
+    return true;
+
+  return /\bname="?content"?(;|\s|$)/i.test(match[1]);
+}
+
+function malformed(msg) {
+  var err = new Error(msg);
+  err.statusCode = 400;
+  return err;
+}
+
+/*
+ * Expose
+ */
+
+module.exports = MultipartStream;
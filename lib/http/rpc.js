@@ -27,6 +27,8 @@ var Input = require('../primitives/input');
 var KeyRing = require('../primitives/keyring');
 var Locker = require('../utils/locker');
 var MerkleBlock = require('../primitives/merkleblock');
+var TileProof = require('../blockchain/tileproof');
+var TileTree = require('../blockchain/tiletree');
 var MTX = require('../primitives/mtx');
 var Network = require('../protocol/network');
 var Outpoint = require('../primitives/outpoint');
@@ -34,6 +36,15 @@ var Output = require('../primitives/output');
 var TX = require('../primitives/tx');
 var Logger = require('../node/logger');
 var IP = require('../utils/ip');
+var SwapOffer = require('../wallet/swapoffer');
+
+/*
+ * Constants
+ */
+
+// Every column of the square around
+// the point is scanned separately.
+var MAX_TILES_RADIUS = 1000;
 
 /**
  * RPC
@@ -110,6 +121,8 @@ RPC.prototype.execute = function execute(json) {
       return this.gettxoutsetinfo(json.params);
     case 'verifychain':
       return this.verifychain(json.params);
+    case 'dumpworldstate':
+      return this.dumpworldstate(json.params);
 
     case 'invalidateblock':
       return this.invalidateblock(json.params);
@@ -130,6 +143,8 @@ RPC.prototype.execute = function execute(json) {
       return this.getblocktemplate(json.params);
     case 'submitblock':
       return this.submitblock(json.params);
+    case 'testblockvalidity':
+      return this.testblockvalidity(json.params);
 
     case 'setgenerate':
       return this.setgenerate(json.params);
@@ -146,6 +161,10 @@ RPC.prototype.execute = function execute(json) {
       return this.getminerinfo(json.params);
     case 'stopmining':
       return this.stopmining(json.params);
+    case 'setminetarget':
+      return this.setminetarget(json.params);
+    case 'getminetarget':
+      return this.getminetarget(json.params);
 
     case 'estimatefee':
       return this.estimatefee(json.params);
@@ -327,6 +346,60 @@ RPC.prototype.execute = function execute(json) {
       return this.transfertile(json.params);
     case 'dumpblockchain':
       return this.dumpblockchain(json.params);
+    case 'gettilesinrect':
+      return this.gettilesinrect(json.params);
+    case 'gettilesnear':
+      return this.gettilesnear(json.params);
+    case 'getfrontier':
+      return this.getfrontier(json.params);
+    case 'listwallettiles':
+      return this.listwallettiles(json.params);
+    case 'settiles':
+      return this.settiles(json.params);
+    case 'transfertiles':
+      return this.transfertiles(json.params);
+    case 'createswapoffer':
+      return this.createswapoffer(json.params);
+    case 'inspectswapoffer':
+      return this.inspectswapoffer(json.params);
+    case 'acceptswapoffer':
+      return this.acceptswapoffer(json.params);
+    case 'createestate':
+      return this.createestate(json.params);
+    case 'getestate':
+      return this.getestate(json.params);
+    case 'listestates':
+      return this.listestates(json.params);
+    case 'addestatetile':
+      return this.addestatetile(json.params);
+    case 'removeestatetile':
+      return this.removeestatetile(json.params);
+    case 'renameestate':
+      return this.renameestate(json.params);
+    case 'removeestate':
+      return this.removeestate(json.params);
+    case 'checkestates':
+      return this.checkestates(json.params);
+    case 'setestatecontent':
+      return this.setestatecontent(json.params);
+    case 'transferestate':
+      return this.transferestate(json.params);
+    case 'gettilehistory':
+      return this.gettilehistory(json.params);
+    case 'gettileproof':
+      return this.gettileproof(json.params);
+    case 'verifytileproof':
+      return this.verifytileproof(json.params);
+    case 'getcontentstatus':
+      return this.getcontentstatus(json.params);
+    case 'getcontentqueue':
+      return this.getcontentqueue(json.params);
+    case 'retrycontent':
+      return this.retrycontent(json.params);
+    case 'prunecontent':
+      return this.prunecontent(json.params);
+    case 'verifycontent':
+      return this.verifycontent(json.params);
 
     default:
       return Promise.reject(new Error('Not found: ' + json.method + '.'));
@@ -349,7 +422,7 @@ RPC.prototype.getinfo = co(function* getinfo(args) {
     version: constants.USER_VERSION,
     protocolversion: constants.VERSION,
     walletversion: 0,
-    balance: Amount.btc(balance.unconfirmed, true),
+    balance: balance.unconfirmed,
     blocks: this.chain.height,
     timeoffset: this.network.time.offset,
     connections: this.pool.peers.size(),
@@ -789,52 +862,72 @@ RPC.prototype.isowntile = co(function* isowntile(args) {
     throw new RPCError(`isowntile "${x}", "${y}" - no landbase in that position`);
   }
 
-  const tile = yield this.chain.getTile(x, y);
-  const script = tile.script;
-  const hash = Address.fromScript(script).getHash();
-  const key = yield this.wallet.getPrivateKey(hash);
+  const owned = yield this.wallet.hasTile(x, y);
 
-  return key ? 'true' : 'false';
+  return owned ? 'true' : 'false';
 });
 
 
 RPC.prototype.settile = co(function* settile(args) {
-  if (args.help || args.length !== 3)
-    throw new RPCError('settile "x", "y", "base64-encoded content"');
+  if (args.help || args.length !== 3) {
+    throw new RPCError('settile "x", "y", "base64-encoded content"'
+      + ' or {"files":[{"path":"path","content":"base64"},...]}');
+  }
 
   const x = parseInt(args[0], 10);
   const y = parseInt(args[1], 10);
   var path = args[2];
-
-  const coin = yield this.chain.db.getTileAsCoin(x, y);
-  if (!coin) {
-    throw new RPCError('settile "x", "y" - no landbase in that position');
+  var files = null;
+
+  if (path && typeof path === 'object') {
+    files = toFiles(path.files);
+    if (!files)
+      throw new RPCError('Invalid files.');
+  } else if (typeof path !== 'string') {
+    throw new RPCError('Invalid content.');
   }
 
-  const tile = yield this.chain.getTile(x, y);
-  const script = tile.script;
-  const hash = Address.fromScript(script).getHash();
-  const key = yield this.wallet.getPrivateKey(hash);
+  const coin = yield this._getOwnTile('settile', x, y);
+  const key = yield this.wallet.getPrivateKey(coin.getAddress());
   if (!key) {
     throw new RPCError('settile "x", "y" - no control of key for tile');
   }
 
-  var content = yield this.chain.setTile(x, y, path);
+  var content, tx;
+
+  try {
+    if (files)
+      content = yield this.chain.hashTileFiles(files);
+    else
+      content = yield this.chain.hashTile(path);
+  } catch (e) {
+    if (e.type === 'ContentError')
+      throw new RPCError(e.message);
+    throw e;
+  }
 
   content = new Buffer(content, 'hex');
 
   try {
-    const tx = yield this.wallet.createSimpleTX({
+    tx = yield this.wallet.createSimpleTX({
       x, y, content, coin, key
     });
-    this.node.sendTX(tx).catch(e => {
-      console.log('Could not broadcast tx', e);
-    });
-    return tx.toRaw().toString('hex');
   } catch (e) {
     console.log(e, e.stack);
     throw new RPCError('settile "x", "y" - no control of key for tile');
   }
+
+  // Only publish content the tile can commit to.
+  if (files)
+    yield this.chain.setTileFiles(x, y, files);
+  else
+    yield this.chain.setTile(x, y, path);
+
+  this.node.sendTX(tx).catch(e => {
+    console.log('Could not broadcast tx', e);
+  });
+
+  return tx.toRaw().toString('hex');
 });
 
 RPC.prototype.transfertile = co(function* transfertile(args) {
@@ -845,22 +938,15 @@ RPC.prototype.transfertile = co(function* transfertile(args) {
   const y = parseInt(args[1], 10);
   const address = args[2];
 
-  const coin = yield this.chain.db.getTileAsCoin(x, y);
-  if (!coin) {
-    throw new RPCError('settile "x", "y" - no landbase in that position');
-  }
-
-  const tile = yield this.chain.getTile(x, y);
-  const script = tile.script;
-  const hash = Address.fromScript(script).getHash();
-  const key = yield this.wallet.getPrivateKey(hash);
+  const coin = yield this._getOwnTile('transfertile', x, y);
+  const key = yield this.wallet.getPrivateKey(coin.getAddress());
   if (!key) {
-    throw new RPCError('settile "x", "y" - no control of key for tile');
+    throw new RPCError('transfertile "x", "y" - no control of key for tile');
   }
 
   try {
     const tx = yield this.wallet.createTransferTX({
-      tile, coin, address, key
+      tile: coin, coin, address, key
     });
     this.node.sendTX(tx).catch(e => {
       console.log('Could not broadcast tx', e);
@@ -868,44 +954,659 @@ RPC.prototype.transfertile = co(function* transfertile(args) {
     return tx.toRaw().toString('hex');
   } catch (e) {
     console.log(e, e.stack);
-    throw new RPCError('settile "x", "y" - no control of key for tile');
+    throw new RPCError('transfertile "x", "y" - no control of key for tile');
   }
 });
 
+RPC.prototype._getOwnTile = co(function* _getOwnTile(method, x, y) {
+  const coin = yield this.wallet.getTile(x, y);
+
+  if (coin)
+    return coin;
+
+  if (!(yield this.chain.db.getTileAsCoin(x, y)))
+    throw new RPCError(`${method} "x", "y" - no landbase in that position`);
+
+  throw new RPCError(`${method} "x", "y" - no control of key for tile`);
+});
+
 RPC.prototype.dumpblockchain = co(function* (args) {
   if (args.help || args.length > 1)
     throw new RPCError('dumpblockchain (only-controlled)')
 
   const onlyControlled = args.length === 1;
 
-  const tiles = yield this.chain.getAllTiles();
+  const owned = yield this.wallet.getTiles();
+  const controlled = {};
   const result = [];
-  const self = this;
-
-  for (let i in tiles) {
-    const { x, y, content } = tiles[i];
-    const coin = yield this.chain.db.getTileAsCoin(x, y);
-    const tile = yield this.chain.getTile(x, y);
-    const script = tile.script;
-    const address = Address.fromScript(script);
-    const addrHash = address && address.getHash();
-    const controlled = address && addrHash && !!(yield self.wallet.getPrivateKey(addrHash));
-
-    if (!onlyControlled || onlyControlled && controlled) {
-      result.push({
-        x, y,
-        content: content.toString('hex'),
-        controlled,
-        address: address.toString(),
-        hash: tile && tile.hash,
-        index: tile && tile.index
-      });
-    }
+
+  for (let i = 0; i < owned.length; i++)
+    controlled[owned[i].x + ',' + owned[i].y] = true;
+
+  const tiles = onlyControlled ? owned : yield this.chain.getAllTiles();
+
+  for (let i = 0; i < tiles.length; i++) {
+    const tile = tiles[i];
+    const address = tile.getAddress();
+
+    result.push({
+      x: tile.x,
+      y: tile.y,
+      content: tile.content.toString('hex'),
+      controlled: !!controlled[tile.x + ',' + tile.y],
+      address: address ? address.toString() : null,
+      hash: tile.hash,
+      index: tile.index
+    });
   }
 
   return JSON.stringify(result)
 })
 
+RPC.prototype.listwallettiles = co(function* listwallettiles(args) {
+  var account, tiles;
+
+  if (args.help || args.length > 1)
+    throw new RPCError('listwallettiles ( "account" )');
+
+  if (args.length === 1)
+    account = toString(args[0]);
+
+  tiles = yield this.wallet.getTiles(account);
+
+  return tiles.map(function(tile) {
+    return tile.getJSON(this.network);
+  }, this);
+});
+
+
+RPC.prototype.settiles = co(function* settiles(args) {
+  var i, tiles, tile, hash, tx;
+
+  if (args.help || args.length !== 1)
+    throw new RPCError('settiles [{"x":x,"y":y,"content":"base64"},...]');
+
+  tiles = toTiles(args[0]);
+
+  if (!tiles)
+    throw new RPCError('Invalid tiles.');
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+
+    if (typeof tile.data !== 'string')
+      throw new RPCError('Invalid content.');
+
+    if (!(yield this.wallet.hasTile(tile.x, tile.y)))
+      throw new RPCError('Tile not owned: ' + tile.x + ',' + tile.y + '.');
+
+    try {
+      hash = yield this.chain.hashTile(tile.data);
+    } catch (e) {
+      if (e.type === 'ContentError')
+        throw new RPCError(tile.x + ',' + tile.y + ': ' + e.message);
+      throw e;
+    }
+
+    tile.content = new Buffer(hash, 'hex');
+  }
+
+  tx = yield this.wallet.sendTiles(tiles);
+
+  // Only publish once the tx is out.
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+    yield this.chain.setTile(tile.x, tile.y, tile.data);
+  }
+
+  return tx.txid();
+});
+
+RPC.prototype.transfertiles = co(function* transfertiles(args) {
+  var i, tiles, address, tx;
+
+  if (args.help || args.length !== 2)
+    throw new RPCError('transfertiles [{"x":x,"y":y},...] "address"');
+
+  tiles = toTiles(args[0]);
+
+  if (!tiles)
+    throw new RPCError('Invalid tiles.');
+
+  try {
+    address = Address.fromBase58(toString(args[1]));
+  } catch (e) {
+    throw new RPCError('Invalid address.');
+  }
+
+  for (i = 0; i < tiles.length; i++)
+    tiles[i].address = address;
+
+  tx = yield this.wallet.sendTiles(tiles);
+
+  return tx.txid();
+});
+
+RPC.prototype.createswapoffer = co(function* createswapoffer(args) {
+  var x, y, wx, wy, address, record, offer;
+
+  if (args.help || args.length !== 5)
+    throw new RPCError('createswapoffer "x" "y" "wantx" "wanty" "address"');
+
+  x = toCoord(args[0]);
+  y = toCoord(args[1]);
+  wx = toCoord(args[2]);
+  wy = toCoord(args[3]);
+
+  if (x == null || y == null || wx == null || wy == null)
+    throw new RPCError('Invalid coordinates.');
+
+  try {
+    address = Address.fromBase58(toString(args[4]));
+  } catch (e) {
+    throw new RPCError('Invalid address.');
+  }
+
+  if (!(yield this.wallet.hasTile(x, y)))
+    throw new RPCError('Tile not owned: ' + x + ',' + y + '.');
+
+  record = yield this.chain.db.getTileRecord(wx, wy);
+
+  if (!record)
+    throw new RPCError('Tile not found: ' + wx + ',' + wy + '.');
+
+  offer = yield this.wallet.createSwapOffer({
+    x: x,
+    y: y,
+    want: { x: wx, y: wy, content: record.content },
+    address: address
+  });
+
+  return offer.toRaw().toString('hex');
+});
+
+RPC.prototype.inspectswapoffer = co(function* inspectswapoffer(args) {
+  var offer;
+
+  if (args.help || args.length !== 1)
+    throw new RPCError('inspectswapoffer "hex"');
+
+  offer = toSwapOffer(args[0]);
+
+  return offer.getJSON(this.network);
+});
+
+RPC.prototype.acceptswapoffer = co(function* acceptswapoffer(args) {
+  var offer, wanted, coin, tx;
+
+  if (args.help || args.length !== 1)
+    throw new RPCError('acceptswapoffer "hex"');
+
+  offer = toSwapOffer(args[0]);
+  wanted = offer.getWanted();
+
+  if (!this.node.getCoin)
+    throw new RPCError('Cannot check offers in SPV mode.');
+
+  coin = yield this.node.getCoin(offer.coin.hash, offer.coin.index);
+
+  if (!coin)
+    throw new RPCError('Offered tile is not unspent.');
+
+  offer.setCoin(coin);
+
+  if (!offer.verify())
+    throw new RPCError('Offer is not validly signed.');
+
+  if (!(yield this.wallet.hasAddress(offer.getOffered().getAddress())))
+    throw new RPCError('Offered tile is not paid to this wallet.');
+
+  if (!(yield this.wallet.hasTile(wanted.x, wanted.y)))
+    throw new RPCError('Tile not owned: ' + wanted.x + ',' + wanted.y + '.');
+
+  tx = yield this.wallet.acceptSwapOffer(offer);
+
+  return tx.txid();
+});
+
+RPC.prototype.createestate = co(function* createestate(args) {
+  var name, tiles, estate;
+
+  if (args.help || args.length !== 2)
+    throw new RPCError('createestate "name" [{"x":x,"y":y},...]');
+
+  name = toString(args[0]);
+  tiles = toTiles(args[1]);
+
+  if (!tiles)
+    throw new RPCError('Invalid tiles.');
+
+  estate = yield this.wallet.createEstate(name, tiles);
+
+  return estate.toJSON();
+});
+
+RPC.prototype.getestate = co(function* getestate(args) {
+  var estate;
+
+  if (args.help || args.length !== 1)
+    throw new RPCError('getestate "name"');
+
+  estate = yield this.wallet.getEstate(toString(args[0]));
+
+  if (!estate)
+    throw new RPCError('Estate not found.');
+
+  return estate.toJSON();
+});
+
+RPC.prototype.listestates = co(function* listestates(args) {
+  var estates;
+
+  if (args.help || args.length !== 0)
+    throw new RPCError('listestates');
+
+  estates = yield this.wallet.getEstates();
+
+  return estates.map(function(estate) {
+    return estate.toJSON();
+  });
+});
+
+RPC.prototype.addestatetile = co(function* addestatetile(args) {
+  var x, y, estate;
+
+  if (args.help || args.length !== 3)
+    throw new RPCError('addestatetile "name" "x" "y"');
+
+  x = toCoord(args[1]);
+  y = toCoord(args[2]);
+
+  if (x == null || y == null)
+    throw new RPCError('Invalid coordinates.');
+
+  estate = yield this.wallet.addEstateTile(toString(args[0]), x, y);
+
+  return estate.toJSON();
+});
+
+RPC.prototype.removeestatetile = co(function* removeestatetile(args) {
+  var x, y, estate;
+
+  if (args.help || args.length !== 3)
+    throw new RPCError('removeestatetile "name" "x" "y"');
+
+  x = toCoord(args[1]);
+  y = toCoord(args[2]);
+
+  if (x == null || y == null)
+    throw new RPCError('Invalid coordinates.');
+
+  estate = yield this.wallet.removeEstateTile(toString(args[0]), x, y);
+
+  return estate.toJSON();
+});
+
+RPC.prototype.renameestate = co(function* renameestate(args) {
+  var estate;
+
+  if (args.help || args.length !== 2)
+    throw new RPCError('renameestate "name" "newname"');
+
+  estate = yield this.wallet.renameEstate(
+    toString(args[0]),
+    toString(args[1]));
+
+  return estate.toJSON();
+});
+
+RPC.prototype.removeestate = co(function* removeestate(args) {
+  if (args.help || args.length !== 1)
+    throw new RPCError('removeestate "name"');
+
+  if (!(yield this.wallet.removeEstate(toString(args[0]))))
+    throw new RPCError('Estate not found.');
+
+  return null;
+});
+
+RPC.prototype.checkestates = co(function* checkestates(args) {
+  var result;
+
+  if (args.help || args.length !== 0)
+    throw new RPCError('checkestates');
+
+  result = yield this.wallet.checkEstates();
+
+  return result.map(function(item) {
+    return {
+      name: item.estate.name,
+      missing: item.missing
+    };
+  });
+});
+
+RPC.prototype.setestatecontent = co(function* setestatecontent(args) {
+  var i, name, data, files, estate, tile, hash, tx;
+
+  if (args.help || args.length !== 2) {
+    throw new RPCError('setestatecontent "name" "base64-encoded content"'
+      + ' or {"files":[{"path":"path","content":"base64"},...]}');
+  }
+
+  name = toString(args[0]);
+  data = args[1];
+  files = null;
+
+  if (data && typeof data === 'object') {
+    files = toFiles(data.files);
+    if (!files)
+      throw new RPCError('Invalid files.');
+  } else if (typeof data !== 'string') {
+    throw new RPCError('Invalid content.');
+  }
+
+  estate = yield this.wallet.getEstate(name);
+
+  if (!estate)
+    throw new RPCError('Estate not found.');
+
+  for (i = 0; i < estate.tiles.length; i++) {
+    tile = estate.tiles[i];
+    if (!(yield this.wallet.hasTile(tile.x, tile.y)))
+      throw new RPCError('Tile not owned: ' + tile.x + ',' + tile.y + '.');
+  }
+
+  try {
+    if (files)
+      hash = yield this.chain.hashTileFiles(files);
+    else
+      hash = yield this.chain.hashTile(data);
+  } catch (e) {
+    if (e.type === 'ContentError')
+      throw new RPCError(e.message);
+    throw e;
+  }
+
+  tx = yield this.wallet.sendEstateContent(name, new Buffer(hash, 'hex'));
+
+  // Only publish once the tx is out.
+  for (i = 0; i < estate.tiles.length; i++) {
+    tile = estate.tiles[i];
+    if (files)
+      yield this.chain.setTileFiles(tile.x, tile.y, files);
+    else
+      yield this.chain.setTile(tile.x, tile.y, data);
+  }
+
+  return tx.txid();
+});
+
+RPC.prototype.transferestate = co(function* transferestate(args) {
+  var address, tx;
+
+  if (args.help || args.length !== 2)
+    throw new RPCError('transferestate "name" "address"');
+
+  try {
+    address = Address.fromBase58(toString(args[1]));
+  } catch (e) {
+    throw new RPCError('Invalid address.');
+  }
+
+  tx = yield this.wallet.transferEstate(toString(args[0]), address);
+
+  return tx.txid();
+});
+
+RPC.prototype.gettilesinrect = co(function* gettilesinrect(args) {
+  var x0, y0, x1, y1, tiles;
+
+  if (args.help || args.length !== 4)
+    throw new RPCError('gettilesinrect "x0" "y0" "x1" "y1"');
+
+  x0 = toCoord(args[0]);
+  y0 = toCoord(args[1]);
+  x1 = toCoord(args[2]);
+  y1 = toCoord(args[3]);
+
+  if (x0 == null || y0 == null || x1 == null || y1 == null)
+    throw new RPCError('Invalid coordinates.');
+
+  if (x0 > x1 || y0 > y1)
+    throw new RPCError('Invalid rectangle.');
+
+  tiles = yield this.chain.getTilesInRect(x0, y0, x1, y1);
+
+  return tiles.map(function(tile) {
+    return tile.getJSON(this.network);
+  }, this);
+});
+
+RPC.prototype.gettilesnear = co(function* gettilesnear(args) {
+  var x, y, radius, tiles;
+
+  if (args.help || args.length !== 3)
+    throw new RPCError('gettilesnear "x" "y" "radius"');
+
+  x = toCoord(args[0]);
+  y = toCoord(args[1]);
+  radius = toCoord(args[2]);
+
+  if (x == null || y == null)
+    throw new RPCError('Invalid coordinates.');
+
+  if (radius == null || radius < 0)
+    throw new RPCError('Invalid radius.');
+
+  if (radius > MAX_TILES_RADIUS)
+    throw new RPCError('Radius too large.');
+
+  tiles = yield this.chain.getTilesNear(x, y, radius);
+
+  return tiles.map(function(tile) {
+    return tile.getJSON(this.network);
+  }, this);
+});
+
+RPC.prototype.getfrontier = co(function* getfrontier(args) {
+  if (args.help || args.length !== 0)
+    throw new RPCError('getfrontier');
+
+  if (this.chain.options.spv)
+    throw new RPCError('Cannot get frontier in SPV mode.');
+
+  return yield this.chain.getFrontier();
+});
+
+RPC.prototype.gettilehistory = co(function* gettilehistory(args) {
+  var x, y, limit, history;
+
+  if (args.help || args.length < 2 || args.length > 3)
+    throw new RPCError('gettilehistory "x" "y" ( limit )');
+
+  x = toCoord(args[0]);
+  y = toCoord(args[1]);
+
+  if (x == null || y == null)
+    throw new RPCError('Invalid coordinates.');
+
+  if (args.length > 2) {
+    limit = toNumber(args[2]);
+    if (!util.isUInt32(limit) || limit === 0)
+      throw new RPCError('Invalid limit.');
+  }
+
+  history = yield this.chain.getTileHistory(x, y, limit);
+
+  return history.map(function(update) {
+    return update.getJSON(this.network);
+  }, this);
+});
+
+RPC.prototype.gettileproof = co(function* gettileproof(args) {
+  var x, y, proof;
+
+  if (args.help || args.length !== 2)
+    throw new RPCError('gettileproof "x" "y"');
+
+  if (this.chain.db.options.spv)
+    throw new RPCError('Cannot get tiles in SPV mode.');
+
+  x = toCoord(args[0]);
+  y = toCoord(args[1]);
+
+  if (x == null || y == null)
+    throw new RPCError('Invalid coordinates.');
+
+  proof = yield this.chain.getTileProof(x, y);
+
+  return proof.toRaw().toString('hex');
+});
+
+RPC.prototype.verifytileproof = co(function* verifytileproof(args) {
+  var proof, entry, prev, record, json;
+
+  if (args.help || args.length !== 1)
+    throw new RPCError('verifytileproof "proof"');
+
+  if (!util.isHex(args[0]))
+    throw new RPCError('Invalid parameter.');
+
+  proof = TileProof.fromRaw(args[0], 'hex');
+
+  if (!proof.verify())
+    throw new RPCError('Invalid tile proof.');
+
+  entry = yield this.chain.db.getEntry(proof.block.hash('hex'));
+
+  if (!entry || !(yield entry.isMainChain()))
+    throw new RPCError('Block not found in chain.');
+
+  if (proof.isUpdate()) {
+    // Only proves the tile was in this
+    // state as of the block, not since.
+    record = proof.getRecord();
+    record.height = entry.height;
+    json = record.getJSON(this.network);
+    json.mined = true;
+    json.type = 'update';
+    json.block = entry.rhash();
+    json.stateHeight = entry.height;
+    json.confirmations = this.chain.height - entry.height + 1;
+    return json;
+  }
+
+  prev = yield entry.getPrevious();
+
+  if (!prev || !(yield this.chain.hasTileCommitment(prev)))
+    throw new RPCError('Block does not commit to the tile state.');
+
+  record = proof.getRecord();
+
+  if (record) {
+    json = record.getJSON(this.network);
+    json.mined = true;
+  } else {
+    json = { x: proof.x, y: proof.y, mined: false };
+  }
+
+  json.type = 'state';
+  json.block = entry.rhash();
+  json.stateHeight = prev.height;
+  json.confirmations = this.chain.height - entry.height + 1;
+
+  return json;
+});
+
+RPC.prototype.getcontentstatus = co(function* getcontentstatus(args) {
+  var x, y, record, quarantined;
+
+  if (args.help || (args.length !== 0 && args.length !== 2))
+    throw new RPCError('getcontentstatus ( "x" "y" )');
+
+  if (args.length === 0) {
+    quarantined = yield this.chain.content.getQuarantined();
+    return {
+      quarantined: quarantined
+    };
+  }
+
+  x = toCoord(args[0]);
+  y = toCoord(args[1]);
+
+  if (x == null || y == null)
+    throw new RPCError('Invalid coordinates.');
+
+  record = yield this.chain.getTileRecord(x, y);
+
+  if (!record)
+    throw new RPCError('Tile not found.');
+
+  return yield this.chain.content.getStatus(x, y, record.content);
+});
+
+RPC.prototype.getcontentqueue = co(function* getcontentqueue(args) {
+  if (args.help || args.length !== 0)
+    throw new RPCError('getcontentqueue');
+
+  return this.chain.content.queue.toJSON();
+});
+
+RPC.prototype.retrycontent = co(function* retrycontent(args) {
+  var x, y, record, jobs;
+
+  if (args.help || args.length !== 2)
+    throw new RPCError('retrycontent "x" "y"');
+
+  x = toCoord(args[0]);
+  y = toCoord(args[1]);
+
+  if (x == null || y == null)
+    throw new RPCError('Invalid coordinates.');
+
+  record = yield this.chain.getTileRecord(x, y);
+
+  if (!record)
+    throw new RPCError('Tile not found.');
+
+  jobs = this.chain.content.retry(x, y, record.content);
+
+  return jobs.map(function(job) {
+    return job.toJSON();
+  });
+});
+
+RPC.prototype.prunecontent = co(function* prunecontent(args) {
+  var result;
+
+  if (args.help || args.length !== 0)
+    throw new RPCError('prunecontent');
+
+  result = yield this.chain.content.prune();
+
+  return {
+    files: result.files,
+    bytes: result.bytes,
+    size: result.size
+  };
+});
+
+RPC.prototype.verifycontent = co(function* verifycontent(args) {
+  var rebuild = false;
+  var result;
+
+  if (args.help || args.length > 1)
+    throw new RPCError('verifycontent ( rebuild )');
+
+  if (args.length === 1)
+    rebuild = toBool(args[0]);
+
+  if (this.chain.options.spv)
+    throw new RPCError('Cannot verify content in SPV mode.');
+
+  return yield this.chain.content.verify(rebuild);
+});
 
 RPC.prototype.getblock = co(function* getblock(args) {
   var hash, verbose, entry, block;
@@ -1490,6 +2191,29 @@ RPC.prototype.verifychain = co(function* verifychain(args) {
   return null;
 });
 
+RPC.prototype.dumpworldstate = co(function* dumpworldstate(args) {
+  var file, snapshot;
+
+  if (args.help || args.length !== 1)
+    throw new RPCError('dumpworldstate "filename"');
+
+  if (!args[0] || typeof args[0] !== 'string')
+    throw new RPCError('Invalid parameter.');
+
+  if (this.chain.db.options.spv)
+    throw new RPCError('Chainstate not available (SPV mode).');
+
+  if (fs.unsupported)
+    throw new RPCError('FS not available.');
+
+  file = toString(args[0]);
+  snapshot = yield this.chain.getSnapshot();
+
+  yield writeFile(file, snapshot.toRaw());
+
+  return snapshot.toJSON();
+});
+
 /*
  * Mining
  */
@@ -1621,7 +2345,11 @@ RPC.prototype.submitblock = co(function* submitblock(args) {
   if (args.help || args.length < 1 || args.length > 2)
     throw new RPCError('submitblock "hexdata" ( "jsonparametersobject" )');
 
-  block = Block.fromRaw(toString(args[0]), 'hex');
+  try {
+    block = Block.fromRaw(toString(args[0]), 'hex');
+  } catch (e) {
+    throw new RPCError('Block decode failed.');
+  }
 
   // Fix eloipool bug (witness nonce is not present).
   if (block.getCommitmentHash()) {
@@ -1668,6 +2396,32 @@ RPC.prototype.__submitblock = co(function* submitblock(block) {
   return null;
 });
 
+RPC.prototype.testblockvalidity = co(function* testblockvalidity(args) {
+  var block;
+
+  if (args.help || args.length !== 1)
+    throw new RPCError('testblockvalidity "hexdata"');
+
+  if (!util.isHex(args[0]))
+    throw new RPCError('Invalid parameter.');
+
+  try {
+    block = Block.fromRaw(args[0], 'hex');
+  } catch (e) {
+    throw new RPCError('Block decode failed.');
+  }
+
+  try {
+    yield this.chain.checkLandbase(block);
+  } catch (err) {
+    if (err.type === 'VerifyError')
+      return 'rejected: ' + err.reason;
+    throw err;
+  }
+
+  return null;
+});
+
 RPC.prototype.getblocktemplate = co(function* getblocktemplate(args) {
   var mode = 'template';
   var version = -1;
@@ -1853,9 +2607,16 @@ RPC.prototype.__template = co(function* _template(version, coinbase, rules) {
     coinbasevalue: attempt.coinbase.getOutputValue(),
     coinbasetxn: undefined,
     default_witness_commitment: undefined,
+    default_tilestate_commitment: undefined,
     transactions: txs
   };
 
+  // Push data for the coinbase input script.
+  if (attempt.tileRoot) {
+    json.default_tilestate_commitment =
+      TileTree.createCommitment(attempt.tileRoot).toString('hex');
+  }
+
   if (coinbase) {
     tx = attempt.coinbase;
 
@@ -2195,6 +2956,30 @@ RPC.prototype.getminerinfo = function getminerinfo(args) {
   };
 };
 
+RPC.prototype.setminetarget = function setminetarget(args) {
+  if (args.help || args.length < 1 || args.length > 3)
+    throw new RPCError('setminetarget "strategy" ( "x,y" "x0,y0,x1,y1" )');
+
+  try {
+    this.miner.setTarget({
+      strategy: toString(args[0]),
+      near: args.length > 1 ? toString(args[1]) : null,
+      region: args.length > 2 ? toString(args[2]) : null
+    });
+  } catch (e) {
+    throw new RPCError(e.message);
+  }
+
+  return this.miner.getTarget();
+};
+
+RPC.prototype.getminetarget = function getminetarget(args) {
+  if (args.help || args.length !== 0)
+    throw new RPCError('getminetarget');
+
+  return this.miner.getTarget();
+};
+
 RPC.prototype.stopmining = co(function* stopmining(args) {
   if (!this.miner.running || this.miner.stopping) {
     return { running: false }
@@ -3100,7 +3885,7 @@ RPC.prototype.getbalance = co(function* getbalance(args) {
   else
     value = balance.unconfirmed;
 
-  return Amount.btc(value, true);
+  return value;
 });
 
 RPC.prototype.getnewaddress = co(function* getnewaddress(args) {
@@ -3341,7 +4126,7 @@ RPC.prototype.getunconfirmedbalance = co(function* getunconfirmedbalance(args) {
 
   balance = yield wallet.getBalance();
 
-  return Amount.btc(balance.unconfirmed, true);
+  return balance.unconfirmed;
 });
 
 RPC.prototype.getwalletinfo = co(function* getwalletinfo(args) {
@@ -3355,9 +4140,9 @@ RPC.prototype.getwalletinfo = co(function* getwalletinfo(args) {
 
   return {
     walletid: wallet.id,
-    walletversion: 6,
-    balance: Amount.btc(balance.unconfirmed, true),
-    unconfirmed_balance: Amount.btc(balance.unconfirmed, true),
+    walletversion: 7,
+    balance: balance.confirmed,
+    unconfirmed_balance: balance.unconfirmed,
     txcount: wallet.txdb.state.tx,
     keypoololdest: 0,
     keypoolsize: 0,
@@ -3538,7 +4323,7 @@ RPC.prototype.listaccounts = co(function* listaccounts(args) {
   for (i = 0; i < accounts.length; i++) {
     account = accounts[i];
     balance = yield wallet.getBalance(account);
-    map[account] = Amount.btc(balance.unconfirmed, true);
+    map[account] = balance.unconfirmed;
   }
 
   return map;
@@ -4389,6 +5174,77 @@ function toObject(obj, def) {
   return def != null ? def : null;
 }
 
+function toCoord(obj) {
+  if (typeof obj === 'string' && /^-?\d+$/.test(obj))
+    obj = parseInt(obj, 10);
+
+  if (!util.isInt32(obj))
+    return null;
+
+  return obj;
+}
+
+function toTiles(obj) {
+  var tiles = [];
+  var i, item, x, y;
+
+  if (!Array.isArray(obj) || obj.length === 0)
+    return null;
+
+  for (i = 0; i < obj.length; i++) {
+    item = obj[i];
+
+    if (Array.isArray(item))
+      item = { x: item[0], y: item[1] };
+
+    if (!item || typeof item !== 'object')
+      return null;
+
+    x = toCoord(item.x);
+    y = toCoord(item.y);
+
+    if (x == null || y == null)
+      return null;
+
+    tiles.push({ x: x, y: y, data: item.content });
+  }
+
+  return tiles;
+}
+
+function toFiles(obj) {
+  var files = [];
+  var i, item;
+
+  if (!Array.isArray(obj) || obj.length === 0)
+    return null;
+
+  for (i = 0; i < obj.length; i++) {
+    item = obj[i];
+
+    if (!item || typeof item !== 'object')
+      return null;
+
+    if (typeof item.path !== 'string' || typeof item.content !== 'string')
+      return null;
+
+    files.push({ path: item.path, data: new Buffer(item.content, 'base64') });
+  }
+
+  return files;
+}
+
+function toSwapOffer(obj) {
+  if (!util.isHex(obj))
+    throw new RPCError('Invalid offer.');
+
+  try {
+    return SwapOffer.fromRaw(obj, 'hex');
+  } catch (e) {
+    throw new RPCError('Invalid offer.');
+  }
+}
+
 function toHash(obj) {
   if (!isHash(obj))
     return null;
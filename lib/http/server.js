@@ -27,9 +27,15 @@ var Outpoint = require('../primitives/outpoint');
 var HD = require('../hd/hd');
 var Script = require('../script/script');
 var crypto = require('../crypto/crypto');
+var SwapOffer = require('../wallet/swapoffer');
+var MultipartStream = require('./multipart');
 var con = co.con;
 var RPC;
 
+// Same bound as the radius of gettilesnear:
+// every column of the box is scanned.
+var MAX_BBOX_SIZE = 2 * 1000 + 1;
+
 /**
  * HTTPServer
  * @exports HTTPServer
@@ -202,7 +208,7 @@ HTTPServer.prototype._init = function _init() {
   });
 
   this.use(function(req, res, send, next) {
-    var i, params, options, censored, output, address;
+    var i, params, options, censored, output, address, tile;
 
     if (req.method === 'POST' && req.pathname === '/') {
       req.options = {};
@@ -292,6 +298,50 @@ HTTPServer.prototype._init = function _init() {
       enforce(util.isUInt32(options.limit), 'Limit must be a number.');
     }
 
+    if (params.x != null) {
+      options.x = Number(params.x);
+      enforce(util.isInt32(options.x), 'X must be a number.');
+    }
+
+    if (params.y != null) {
+      options.y = Number(params.y);
+      enforce(util.isInt32(options.y), 'Y must be a number.');
+    }
+
+    if (params.bbox) {
+      enforce(typeof params.bbox === 'string', 'Bbox must be a string.');
+      options.bbox = params.bbox.split(',').map(Number);
+      enforce(options.bbox.length === 4
+        && options.bbox.every(util.isInt32),
+        'Bbox must be four numbers.');
+      enforce(options.bbox[0] <= options.bbox[2]
+        && options.bbox[1] <= options.bbox[3],
+        'Invalid bbox.');
+      enforce(options.bbox[2] - options.bbox[0] < MAX_BBOX_SIZE
+        && options.bbox[3] - options.bbox[1] < MAX_BBOX_SIZE,
+        'Bbox too large.');
+    }
+
+    if (params.tiles) {
+      enforce(Array.isArray(params.tiles), 'Tiles must be an array.');
+      options.tiles = [];
+      for (i = 0; i < params.tiles.length; i++) {
+        tile = params.tiles[i];
+        enforce(tile && typeof tile === 'object', 'Tile must be an object.');
+        enforce(util.isInt32(tile.x) && util.isInt32(tile.y),
+          'Tile coordinates must be numbers.');
+        enforce(tile.content == null || typeof tile.content === 'string',
+          'Content must be a string.');
+        options.tiles.push({ x: tile.x, y: tile.y, data: tile.content });
+      }
+    }
+
+    if (params.send != null) {
+      options.send = params.send === true
+        || params.send === 'true'
+        || params.send === '1';
+    }
+
     if (params.age != null) {
       options.age = Number(params.age);
       enforce(util.isUInt32(options.age), 'Age must be a number.');
@@ -422,6 +472,20 @@ HTTPServer.prototype._init = function _init() {
       }
     }
 
+    if (params.offer) {
+      enforce(typeof params.offer === 'string',
+        'Offer must be a hex string.');
+      options.offer = SwapOffer.fromRaw(params.offer, 'hex');
+    }
+
+    if (params.want) {
+      enforce(params.want && typeof params.want === 'object',
+        'Want must be an object.');
+      enforce(util.isInt32(params.want.x) && util.isInt32(params.want.y),
+        'Want coordinates must be numbers.');
+      options.want = { x: params.want.x, y: params.want.y };
+    }
+
     if (params.account != null) {
       if (typeof params.account === 'number') {
         options.account = params.account;
@@ -770,6 +834,68 @@ HTTPServer.prototype._init = function _init() {
     send(200, block.getJSON(this.network, view, height));
   }));
 
+  // Tile by coordinates
+  this.get('/tile/:x/:y', con(function* (req, res, send, next) {
+    var options = req.options;
+    var tile;
+
+    enforce(options.x != null && options.y != null, 'Coordinates required.');
+
+    tile = yield this.chain.getTileRecord(options.x, options.y);
+
+    if (!tile)
+      return send(404);
+
+    send(200, tile.getJSON(this.network));
+  }));
+
+  // Tiles within a bounding box
+  this.get('/tiles', con(function* (req, res, send, next) {
+    var bbox = req.options.bbox;
+    var tiles;
+
+    enforce(bbox, 'Bbox is required.');
+
+    tiles = yield this.chain.getTilesInRect(bbox[0], bbox[1], bbox[2], bbox[3]);
+
+    send(200, tiles.map(function(tile) {
+      return tile.getJSON(this.network);
+    }, this));
+  }));
+
+  // Tiles by owner
+  this.get('/address/:address/tiles', con(function* (req, res, send, next) {
+    var tiles;
+
+    enforce(req.options.address, 'Address is required.');
+    enforce(this.chain.options.indexAddress, 'Address index is required.');
+
+    tiles = yield this.chain.getTilesByAddress(req.options.address);
+
+    send(200, tiles.map(function(tile) {
+      return tile.getJSON(this.network);
+    }, this));
+  }));
+
+  // Tile history
+  this.get('/tile/:x/:y/history', con(function* (req, res, send, next) {
+    var options = req.options;
+    var history;
+
+    enforce(options.x != null && options.y != null, 'Coordinates required.');
+    enforce(this.chain.options.indexTX, 'TX index is required.');
+
+    history = yield this.chain.getTileHistory(options.x, options.y,
+      options.limit);
+
+    if (history.length === 0)
+      return send(404);
+
+    send(200, history.map(function(update) {
+      return update.getJSON(this.network);
+    }, this));
+  }));
+
   // Mempool snapshot
   this.get('/mempool', con(function* (req, res, send, next) {
     var txs;
@@ -1182,6 +1308,163 @@ HTTPServer.prototype._init = function _init() {
     send(200, coin.getJSON(this.network));
   }));
 
+  // Wallet tiles
+  this.get('/wallet/:id/tile', con(function* (req, res, send, next) {
+    var options = req.options;
+    var acct = options.name || options.account;
+    var tiles = yield req.wallet.getTiles(acct);
+
+    send(200, tiles.map(function(tile) {
+      return tile.getJSON(this.network);
+    }, this));
+  }));
+
+  // Wallet tile
+  this.get('/wallet/:id/tile/:x/:y', con(function* (req, res, send, next) {
+    var options = req.options;
+    var tile;
+
+    enforce(options.x != null && options.y != null, 'Coordinates required.');
+
+    tile = yield req.wallet.getTile(options.x, options.y);
+
+    if (!tile)
+      return send(404);
+
+    send(200, tile.getJSON(this.network));
+  }));
+
+  // Update tile contents
+  this.post('/wallet/:id/tile/content', con(function* (req, res, send, next) {
+    var options = req.options;
+    var tiles = options.tiles;
+    var i, tile, hash, tx, details;
+
+    enforce(tiles && tiles.length > 0, 'Tiles are required.');
+
+    for (i = 0; i < tiles.length; i++) {
+      tile = tiles[i];
+      enforce(tile.data, 'Content is required.');
+      enforce(yield req.wallet.hasTile(tile.x, tile.y),
+        'Tile not owned: ' + tile.x + ',' + tile.y + '.');
+      hash = yield this.chain.hashTile(tile.data);
+      tile.content = new Buffer(hash, 'hex');
+    }
+
+    tx = yield req.wallet.sendTiles(tiles, options.passphrase);
+
+    // Only publish once the tx is out.
+    for (i = 0; i < tiles.length; i++) {
+      tile = tiles[i];
+      yield this.chain.setTile(tile.x, tile.y, tile.data);
+    }
+    details = yield req.wallet.getDetails(tx.hash('hex'));
+
+    send(200, details.toJSON());
+  }));
+
+  // Upload tile content
+  this.upload('/wallet/:id/tile/:x/:y/content', con(function* (req, res, send, next) {
+    var options = req.options;
+    var body, hash, tx;
+
+    enforce(options.x != null && options.y != null, 'Coordinates required.');
+    enforce(!this.chain.options.spv, 'Content is not stored in SPV mode.');
+
+    // Only the owner may replace the tile's file.
+    enforce(yield req.wallet.hasTile(options.x, options.y),
+      'Tile not owned: ' + options.x + ',' + options.y + '.');
+
+    body = getUpload(req);
+    hash = yield this.chain.content.putStream(options.x, options.y, body);
+
+    if (options.send) {
+      tx = yield req.wallet.sendTiles([{
+        x: options.x,
+        y: options.y,
+        content: hash
+      }], options.passphrase);
+    }
+
+    send(200, {
+      x: options.x,
+      y: options.y,
+      hash: base58.encode(hash),
+      content: hash.toString('hex'),
+      tx: tx ? tx.txid() : null
+    });
+  }));
+
+  // Transfer tiles
+  this.post('/wallet/:id/tile/transfer', con(function* (req, res, send, next) {
+    var options = req.options;
+    var tiles = options.tiles;
+    var i, tx, details;
+
+    enforce(tiles && tiles.length > 0, 'Tiles are required.');
+    enforce(options.address, 'Address is required.');
+
+    for (i = 0; i < tiles.length; i++)
+      tiles[i].address = options.address;
+
+    tx = yield req.wallet.sendTiles(tiles, options.passphrase);
+    details = yield req.wallet.getDetails(tx.hash('hex'));
+
+    send(200, details.toJSON());
+  }));
+
+  // Create swap offer
+  this.post('/wallet/:id/swap', con(function* (req, res, send, next) {
+    var options = req.options;
+    var want = options.want;
+    var record, offer;
+
+    enforce(options.x != null && options.y != null, 'Coordinates required.');
+    enforce(want, 'Requested tile is required.');
+    enforce(options.address, 'Address is required.');
+
+    record = yield this.chain.db.getTileRecord(want.x, want.y);
+
+    if (!record)
+      return send(404);
+
+    want.content = record.content;
+
+    offer = yield req.wallet.createSwapOffer(options, options.passphrase);
+
+    send(200, offer.getJSON(this.network));
+  }));
+
+  // Inspect swap offer
+  this.post('/wallet/:id/swap/inspect', con(function* (req, res, send, next) {
+    var offer = req.options.offer;
+
+    enforce(offer, 'Offer is required.');
+
+    send(200, offer.getJSON(this.network));
+  }));
+
+  // Accept swap offer
+  this.post('/wallet/:id/swap/accept', con(function* (req, res, send, next) {
+    var options = req.options;
+    var offer = options.offer;
+    var coin, tx, details;
+
+    enforce(offer, 'Offer is required.');
+    enforce(this.node.getCoin, 'Cannot check offers in SPV mode.');
+
+    coin = yield this.node.getCoin(offer.coin.hash, offer.coin.index);
+
+    enforce(coin, 'Offered tile is not unspent.');
+
+    offer.setCoin(coin);
+
+    tx = yield req.wallet.acceptSwapOffer(offer, options.passphrase);
+    details = yield req.wallet.getDetails(tx.hash('hex'));
+
+    send(200, details.toJSON());
+  }));
+
   // Wallet TXs
   this.get('/wallet/:id/tx/history', con(function* (req, res, send, next) {
     var options = req.options;
@@ -1577,6 +1860,12 @@ HTTPServer.prototype._initIO = function _initIO() {
     self.server.io.to('!all').emit('wallet balance', id, json);
   });
 
+  this.walletdb.on('tile', function(id, change) {
+    var json = change.getJSON(self.network);
+    self.server.io.to(id).emit('wallet tile', json);
+    self.server.io.to('!all').emit('wallet tile', id, json);
+  });
+
   this.walletdb.on('address', function(id, receive) {
     receive = receive.map(function(address) {
       return address.toJSON();
@@ -1649,6 +1938,14 @@ HTTPServer.prototype.put = function put(path, callback) {
   return this.server.put(path, callback, this);
 };
 
+/**
+ * @see HTTPBase#upload
+ */
+
+HTTPServer.prototype.upload = function upload(path, callback) {
+  return this.server.upload(path, callback, this);
+};
+
 /**
  * @see HTTPBase#del
  */
@@ -1828,6 +2125,14 @@ ClientSocket.prototype.watchChain = function watchChain() {
     self.emit('chain reset', self.frameEntry(tip));
   });
 
+  this.bind(this.chain, 'tile connect', function(change) {
+    self.emit('tile connect', change.getJSON(self.network));
+  });
+
+  this.bind(this.chain, 'tile disconnect', function(change) {
+    self.emit('tile disconnect', change.getJSON(self.network));
+  });
+
   this.bind(pool, 'tx', function(tx) {
     self.sendTX(tx);
   });
@@ -1849,6 +2154,8 @@ ClientSocket.prototype.unwatchChain = function unwatchChain() {
   this.unbind(this.chain, 'connect');
   this.unbind(this.chain, 'disconnect');
   this.unbind(this.chain, 'reset');
+  this.unbind(this.chain, 'tile connect');
+  this.unbind(this.chain, 'tile disconnect');
   this.unbind(pool, 'tx');
 };
 
@@ -2057,6 +2364,30 @@ function sortCoins(coins) {
   });
 }
 
+function getUpload(req) {
+  var type = req.headers['content-type'] || '';
+  var boundary = MultipartStream.getBoundary(type);
+  var body;
+
+  if (/^application\/octet-stream/i.test(type))
+    return req;
+
+  enforce(boundary,
+    'Content must be application/octet-stream or multipart/form-data.');
+
+  body = new MultipartStream(boundary);
+
+  req.on('error', function(err) {
+    body.emit('error', err);
+  });
+
+  req.on('aborted', function() {
+    body.emit('error', new Error('Upload aborted.'));
+  });
+
+  return req.pipe(body);
+}
+
 function isWalletPath(req) {
   if (req.path.length >= 1 && req.path[0] === 'wallet')
     return true;
@@ -265,6 +265,46 @@ HTTPWallet.prototype.send = function send(options) {
   return this.client.send(this.id, options);
 };
 
+/**
+ * @see HTTPClient#setTiles
+ */
+
+HTTPWallet.prototype.setTiles = function setTiles(tiles, passphrase) {
+  return this.client.setTiles(this.id, tiles, passphrase);
+};
+
+/**
+ * @see HTTPClient#transferTiles
+ */
+
+HTTPWallet.prototype.transferTiles = function transferTiles(tiles, address, passphrase) {
+  return this.client.transferTiles(this.id, tiles, address, passphrase);
+};
+
+/**
+ * @see HTTPClient#createSwapOffer
+ */
+
+HTTPWallet.prototype.createSwapOffer = function createSwapOffer(options) {
+  return this.client.createSwapOffer(this.id, options);
+};
+
+/**
+ * @see HTTPClient#inspectSwapOffer
+ */
+
+HTTPWallet.prototype.inspectSwapOffer = function inspectSwapOffer(offer) {
+  return this.client.inspectSwapOffer(this.id, offer);
+};
+
+/**
+ * @see HTTPClient#acceptSwapOffer
+ */
+
+HTTPWallet.prototype.acceptSwapOffer = function acceptSwapOffer(offer, passphrase) {
+  return this.client.acceptSwapOffer(this.id, offer, passphrase);
+};
+
 /**
  * @see Wallet#sign
  */
@@ -17,6 +17,15 @@ var Address = require('../primitives/address');
 var MinerBlock = require('./minerblock');
 var BlockEntry = MinerBlock.BlockEntry;
 
+/*
+ * Constants
+ */
+
+var MIN_COORD = -0x80000000;
+var MAX_COORD = 0x7fffffff;
+var DX = [0, 1, 0, -1];
+var DY = [1, 0, -1, 0];
+
 /**
  * A bitcoin miner (supports mining witness blocks).
  * @exports Miner
@@ -60,12 +69,41 @@ function Miner(options) {
   this.priorityWeight = 50000 * constants.WITNESS_SCALE_FACTOR;
   this.minPriority = constants.tx.FREE_THRESHOLD;
 
+  this.strategy = Miner.strategies.RANDOM;
+  this.near = null;
+  this.region = null;
+
+  // Tiles owned by each payout address (by hash),
+  // kept up to date with the chain once loaded.
+  this.owned = {};
+
   this._initOptions(options);
   this._init();
 }
 
 util.inherits(Miner, AsyncObject);
 
+/**
+ * Landbase target strategies.
+ * @enum {String}
+ */
+
+Miner.strategies = {
+  RANDOM: 'random',
+  NEAREST: 'nearest',
+  ADJACENT: 'adjacent'
+};
+
+/**
+ * Time to wait before building a new block
+ * template after failing to (ms), unless
+ * the tip changes first.
+ * @const {Number}
+ * @default
+ */
+
+Miner.RETRY_INTERVAL = 10 * 1000;
+
 /**
  * Initialize the miner options.
  * @private
@@ -121,6 +159,14 @@ Miner.prototype._initOptions = function _initOptions(options) {
     assert(util.isNumber(options.minPriority));
     this.minPriority = options.minPriority;
   }
+
+  if (options.mineStrategy || options.mineNear || options.mineRegion) {
+    this.setTarget({
+      strategy: options.mineStrategy,
+      near: options.mineNear,
+      region: options.mineRegion
+    });
+  }
 };
 
 /**
@@ -139,6 +185,14 @@ Miner.prototype._init = function _init() {
       self.attempt.destroy();
   });
 
+  this.chain.on('tile connect', function(change) {
+    self.updateOwned(change);
+  });
+
+  this.chain.on('tile disconnect', function(change) {
+    self.updateOwned(change);
+  });
+
   this.on('block', function(block, entry) {
     // Emit the block hex as a failsafe (in case we can't send it)
     const {x, y} = block.getCoinbaseCoords();
@@ -221,6 +275,11 @@ Miner.prototype.start = co(function* start() {
       if (this.stopping)
         break;
       this.emit('error', e);
+      // Errors here tend to persist (e.g. no free
+      // tile left to mine): wait before retrying.
+      yield this._onRetry();
+      if (this.stopping)
+        break;
       continue;
     }
 
@@ -274,6 +333,8 @@ Miner.prototype.stop = co(function* stop() {
 
   this.stopping = true;
 
+  this.emit('wake');
+
   if (this.attempt)
     this.attempt.destroy();
 
@@ -297,6 +358,29 @@ Miner.prototype._onDone = function _onDone() {
   });
 };
 
+/**
+ * Wait for a new tip, a `wake` event
+ * or the retry interval to pass.
+ */
+
+Miner.prototype._onRetry = function _onRetry() {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    var timer;
+
+    function done() {
+      clearTimeout(timer);
+      self.chain.removeListener('tip', done);
+      self.removeListener('wake', done);
+      resolve();
+    }
+
+    timer = setTimeout(done, Miner.RETRY_INTERVAL);
+    self.chain.on('tip', done);
+    self.on('wake', done);
+  });
+};
+
 /**
  * Wait for `stop` event.
  */
@@ -308,10 +392,335 @@ Miner.prototype._onStop = function _onStop() {
   });
 };
 
-Miner.prototype.getBoundaryTile = co(function* () {
+/**
+ * Set the landbase target policy.
+ * @param {Object} options
+ * @param {String?} options.strategy - `random`, `nearest` or
+ * `adjacent` (to tiles owned by one of our addresses). Defaults
+ * to `nearest` when a point is given and `random` otherwise.
+ * @param {(String|Number[]|Object)?} options.near - Point to mine
+ * toward, as `"x,y"`, `[x, y]` or `{x, y}`.
+ * @param {(String|Number[]|Object)?} options.region - Rectangle to
+ * mine in, as `"x0,y0,x1,y1"`, `[x0, y0, x1, y1]` or `{x0, y0, x1, y1}`.
+ */
+
+Miner.prototype.setTarget = function setTarget(options) {
+  var near = parseCoords(options.near, ['x', 'y']);
+  var region = parseCoords(options.region, ['x0', 'y0', 'x1', 'y1']);
+  var strategy = options.strategy;
+
+  if (!strategy)
+    strategy = near ? Miner.strategies.NEAREST : Miner.strategies.RANDOM;
+
+  assert(isStrategy(strategy), 'Unknown strategy: ' + strategy + '.');
+
+  if (region) {
+    assert(region.x0 <= region.x1 && region.y0 <= region.y1,
+      'Invalid region.');
+  }
+
+  this.strategy = strategy;
+  this.near = near;
+  this.region = region;
+
+  this.logger.info('Miner target: strategy=%s near=%s region=%s.',
+    strategy,
+    near ? near.x + ',' + near.y : 'none',
+    region
+      ? [region.x0, region.y0, region.x1, region.y1].join(',')
+      : 'none');
+};
+
+/**
+ * Get the landbase target policy.
+ * @returns {Object}
+ */
+
+Miner.prototype.getTarget = function getTarget() {
+  return {
+    strategy: this.strategy,
+    near: this.near,
+    region: this.region
+  };
+};
+
+/**
+ * Pick the free frontier tile which best fits the
+ * target policy, or any free frontier tile if the
+ * policy has nothing left to offer.
+ * @returns {Promise} - Returns Object ({x, y}).
+ */
+
+Miner.prototype.getBoundaryTile = co(function* getBoundaryTile() {
+  var tile = yield this.selectTile();
+
+  if (tile)
+    return tile;
+
+  if (this.region)
+    this.logger.debug('Miner region is full, picking any frontier tile.');
+
   return yield this.chain.getBoundaryTile();
 });
 
+/**
+ * Apply the target policy to the frontier.
+ * @private
+ * @returns {Promise} - Returns Object ({x, y}).
+ */
+
+Miner.prototype.selectTile = co(function* selectTile() {
+  var region = this.region;
+  var point = this.getTargetPoint();
+  var tiles, owned;
+
+  if (region) {
+    tiles = yield this.chain.getFrontierInRect(
+      region.x0, region.y0, region.x1, region.y1);
+  } else {
+    switch (this.strategy) {
+      case Miner.strategies.RANDOM:
+        return;
+      case Miner.strategies.NEAREST:
+        return yield this.findNearest(point.x, point.y);
+      case Miner.strategies.ADJACENT:
+        tiles = yield this.getOwnedFrontier();
+        if (tiles.length === 0)
+          return yield this.findNearest(point.x, point.y);
+        break;
+    }
+  }
+
+  if (region && this.strategy === Miner.strategies.ADJACENT) {
+    owned = yield this.filterOwned(tiles);
+    if (owned.length > 0)
+      tiles = owned;
+  }
+
+  if (tiles.length === 0)
+    return;
+
+  if (this.strategy === Miner.strategies.RANDOM)
+    return tiles[Math.random() * tiles.length | 0];
+
+  return nearest(tiles, point.x, point.y);
+});
+
+/**
+ * Get the point the target policy measures distance
+ * from: the configured point, the center of the
+ * region, or the origin.
+ * @private
+ * @returns {Object} {x, y}
+ */
+
+Miner.prototype.getTargetPoint = function getTargetPoint() {
+  var region = this.region;
+
+  if (this.near)
+    return this.near;
+
+  if (region) {
+    return {
+      x: Math.floor((region.x0 + region.x1) / 2),
+      y: Math.floor((region.y0 + region.y1) / 2)
+    };
+  }
+
+  return { x: 0, y: 0 };
+};
+
+/**
+ * Find the free frontier tile nearest to a point by
+ * scanning squares of doubling size around it.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns Object ({x, y}).
+ */
+
+Miner.prototype.findNearest = co(function* findNearest(x, y) {
+  var radius = 16;
+  var tiles, tile, dist;
+
+  for (;;) {
+    tiles = yield this.getFrontierAround(x, y, radius);
+
+    if (tiles.length > 0)
+      break;
+
+    if (radius > MAX_COORD - MIN_COORD)
+      return;
+
+    radius *= 2;
+  }
+
+  tile = nearest(tiles, x, y);
+  dist = Math.ceil(Math.sqrt(distance(tile, x, y)));
+
+  // A tile in a corner of the square can be further
+  // away than one just outside of it. Widen the
+  // search to the distance of the best candidate.
+  if (dist > radius) {
+    tiles = yield this.getFrontierAround(x, y, dist);
+    tile = nearest(tiles, x, y);
+  }
+
+  return tile;
+});
+
+/**
+ * Get the free frontier tiles within a square.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} radius
+ * @returns {Promise} - Returns Object[] ({x, y}).
+ */
+
+Miner.prototype.getFrontierAround = function getFrontierAround(x, y, radius) {
+  return this.chain.getFrontierInRect(
+    Math.max(x - radius, MIN_COORD),
+    Math.max(y - radius, MIN_COORD),
+    Math.min(x + radius, MAX_COORD),
+    Math.min(y + radius, MAX_COORD));
+};
+
+/**
+ * Get the tiles owned by the payout addresses. Addresses
+ * seen for the first time are looked up in a single scan
+ * of the tile index, the rest come from the cache.
+ * @private
+ * @returns {Promise} - Returns Object ({"x,y": {x, y}}).
+ */
+
+Miner.prototype.getOwned = co(function* getOwned() {
+  var owned = {};
+  var missing = {};
+  var load = false;
+  var i, hash, records, record, tiles, key;
+
+  for (i = 0; i < this.addresses.length; i++) {
+    hash = this.addresses[i].getHash('hex');
+    if (!this.owned[hash]) {
+      missing[hash] = {};
+      load = true;
+    }
+  }
+
+  if (load) {
+    records = yield this.chain.getAllTiles();
+
+    for (i = 0; i < records.length; i++) {
+      record = records[i];
+      tiles = missing[record.getHash('hex')];
+      if (tiles)
+        tiles[record.x + ',' + record.y] = { x: record.x, y: record.y };
+    }
+
+    for (hash in missing)
+      this.owned[hash] = missing[hash];
+  }
+
+  for (i = 0; i < this.addresses.length; i++) {
+    tiles = this.owned[this.addresses[i].getHash('hex')];
+    for (key in tiles)
+      owned[key] = tiles[key];
+  }
+
+  return owned;
+});
+
+/**
+ * Apply a tile change to the cached owned tiles.
+ * @private
+ * @param {TileChange} change
+ */
+
+Miner.prototype.updateOwned = function updateOwned(change) {
+  var key = change.x + ',' + change.y;
+  var tiles;
+
+  if (change.prevOwner) {
+    tiles = this.owned[change.prevOwner.getHash('hex')];
+    if (tiles)
+      delete tiles[key];
+  }
+
+  if (change.owner) {
+    tiles = this.owned[change.owner.getHash('hex')];
+    if (tiles)
+      tiles[key] = { x: change.x, y: change.y };
+  }
+};
+
+/**
+ * Get the free tiles bordering a tile owned
+ * by one of the payout addresses.
+ * @private
+ * @returns {Promise} - Returns Object[] ({x, y}).
+ */
+
+Miner.prototype.getOwnedFrontier = co(function* getOwnedFrontier() {
+  var owned = yield this.getOwned();
+  var seen = {};
+  var result = [];
+  var j, key, next, tile, x, y;
+
+  for (key in owned) {
+    tile = owned[key];
+
+    for (j = 0; j < 4; j++) {
+      x = tile.x + DX[j];
+      y = tile.y + DY[j];
+      next = x + ',' + y;
+
+      if (x < MIN_COORD || x > MAX_COORD || y < MIN_COORD || y > MAX_COORD)
+        continue;
+
+      if (seen[next] || owned[next])
+        continue;
+
+      seen[next] = true;
+
+      if (!(yield this.chain.getTileRecord(x, y)))
+        result.push({ x: x, y: y });
+    }
+  }
+
+  return result;
+});
+
+/**
+ * Keep the frontier tiles bordering a tile
+ * owned by one of the payout addresses.
+ * @private
+ * @param {Object[]} tiles
+ * @returns {Promise} - Returns Object[] ({x, y}).
+ */
+
+Miner.prototype.filterOwned = co(function* filterOwned(tiles) {
+  var owned = yield this.getOwned();
+  var result = [];
+  var i, j, tile, x, y;
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+
+    for (j = 0; j < 4; j++) {
+      x = tile.x + DX[j];
+      y = tile.y + DY[j];
+
+      if (owned[x + ',' + y]) {
+        result.push(tile);
+        break;
+      }
+    }
+  }
+
+  return result;
+});
+
 /**
  * Create a block "attempt".
  * @param {ChainEntry} tip
@@ -320,7 +729,7 @@ Miner.prototype.getBoundaryTile = co(function* () {
 
 Miner.prototype.createBlock = co(function* createBlock(tip, address) {
   var version = this.version;
-  var ts, locktime, target, attempt;
+  var ts, locktime, target, tile, attempt, root;
 
   if (!tip)
     tip = this.chain.tip;
@@ -341,12 +750,20 @@ Miner.prototype.createBlock = co(function* createBlock(tip, address) {
   if (!address)
     address = this.getAddress();
 
-  const {x, y} = yield this.getBoundaryTile();
-  assert(x !== undefined);
-  assert(y !== undefined);
+  tile = yield this.getBoundaryTile();
+
+  if (!tile)
+    throw new Error('No free tile to mine.');
+
+  // The tile state is only known for the tip.
+  if (tip.hash === this.chain.tip.hash) {
+    if (yield this.chain.hasTileCommitment(tip))
+      root = yield this.chain.getTileRoot();
+  }
 
   attempt = new MinerBlock({
-    x, y,
+    x: tile.x,
+    y: tile.y,
     tip: tip,
     version: version,
     bits: target,
@@ -354,12 +771,18 @@ Miner.prototype.createBlock = co(function* createBlock(tip, address) {
     flags: this.chain.state.flags,
     address: address,
     coinbaseFlags: this.coinbaseFlags,
+    tileRoot: root,
     witness: this.chain.state.hasWitness(),
     network: this.network
   });
 
   this.build(attempt);
 
+  // Reject templates with a bad landbase (the
+  // tile state only describes the current tip).
+  if (tip.hash === this.chain.tip.hash)
+    yield this.chain.checkLandbase(attempt.block, tip);
+
   return attempt;
 });
 
@@ -556,6 +979,73 @@ function cmpRate(a, b) {
   return a.rate - b.rate;
 }
 
+function isStrategy(strategy) {
+  var keys = Object.keys(Miner.strategies);
+  var i;
+
+  for (i = 0; i < keys.length; i++) {
+    if (Miner.strategies[keys[i]] === strategy)
+      return true;
+  }
+
+  return false;
+}
+
+function parseCoords(value, names) {
+  var result = {};
+  var i, coord;
+
+  if (value == null || value === '')
+    return null;
+
+  if (typeof value === 'string')
+    value = value.split(',');
+
+  if (!Array.isArray(value)) {
+    value = names.map(function(name) {
+      return value[name];
+    });
+  }
+
+  assert(value.length === names.length,
+    'Expected ' + names.length + ' coordinates.');
+
+  for (i = 0; i < names.length; i++) {
+    coord = value[i];
+
+    if (typeof coord === 'string')
+      coord = coord.trim().length > 0 ? +coord : NaN;
+
+    assert(util.isInt32(coord), 'Coordinates must be int32s.');
+
+    result[names[i]] = coord;
+  }
+
+  return result;
+}
+
+function distance(tile, x, y) {
+  var dx = tile.x - x;
+  var dy = tile.y - y;
+  return dx * dx + dy * dy;
+}
+
+function nearest(tiles, x, y) {
+  var best = null;
+  var min = -1;
+  var i, dist;
+
+  for (i = 0; i < tiles.length; i++) {
+    dist = distance(tiles[i], x, y);
+    if (min === -1 || dist < min) {
+      best = tiles[i];
+      min = dist;
+    }
+  }
+
+  return best;
+}
+
 /*
  * Expose
  */
@@ -21,6 +21,7 @@ var TX = require('../primitives/tx');
 var Block = require('../primitives/block');
 var Input = require('../primitives/input');
 var Output = require('../primitives/output');
+var TileTree = require('../blockchain/tiletree');
 var mine = require('./mine');
 var workerPool = require('../workers/workerpool').pool;
 
@@ -36,6 +37,8 @@ var workerPool = require('../workers/workerpool').pool;
  * @param {Boolean} options.witness - Allow witness
  * transactions, mine a witness block.
  * @param {String} options.coinbaseFlags
+ * @param {Buffer?} options.tileRoot - Tile state root
+ * to commit to in the landbase.
  * @property {Block} block
  * @property {TX} coinbase
  * @property {BN} hashes - Number of hashes attempted.
@@ -62,6 +65,7 @@ function MinerBlock(options) {
   this.coinbaseFlags = options.coinbaseFlags;
   this.witness = options.witness;
   this.address = options.address;
+  this.tileRoot = options.tileRoot || null;
   this.network = Network.get(options.network);
   this.reward = btcutils.getReward(this.height, this.network.halvingInterval);
 
@@ -148,6 +152,10 @@ MinerBlock.prototype._init = function _init() {
   // the nonce overflows.
   input.script.set(3, this.extraNonce());
 
+  // Commit to the tile state of the tip.
+  if (this.tileRoot)
+    input.script.set(4, TileTree.createCommitment(this.tileRoot));
+
   input.script.compile();
 
   // TODO: remove unused input variable
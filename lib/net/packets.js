@@ -71,7 +71,10 @@ exports.types = {
   AUTHCHALLENGE: 31,
   AUTHREPLY: 32,
   AUTHPROPOSE: 33,
-  UNKNOWN: 34
+  GETCONTENT: 34,
+  CONTENT: 35,
+  CONTENTINV: 36,
+  UNKNOWN: 37
 };
 
 /**
@@ -309,6 +312,15 @@ VersionPacket.prototype.hasWitness = function hasWitness() {
   return (this.services & constants.services.WITNESS) !== 0;
 };
 
+/**
+ * Test whether the CONTENT service bit is set.
+ * @returns {Boolean}
+ */
+
+VersionPacket.prototype.hasContent = function hasContent() {
+  return (this.services & constants.services.CONTENT) !== 0;
+};
+
 /**
  * Test whether required services are available.
  * @param {Number} services
@@ -3800,6 +3812,438 @@ AuthProposePacket.fromRaw = function fromRaw(data, enc) {
   return new AuthProposePacket().fromRaw(data);
 };
 
+/**
+ * Represents a `getcontent` packet. Requests one
+ * chunk of tile content, by multihash, starting
+ * at `offset`.
+ * @exports GetContentPacket
+ * @constructor
+ * @param {Buffer?} hash - Content multihash.
+ * @param {Number?} offset
+ * @property {Buffer} hash
+ * @property {Number} offset
+ */
+
+function GetContentPacket(hash, offset) {
+  if (!(this instanceof GetContentPacket))
+    return new GetContentPacket(hash, offset);
+
+  Packet.call(this);
+
+  this.hash = hash || DUMMY;
+  this.offset = offset || 0;
+}
+
+util.inherits(GetContentPacket, Packet);
+
+GetContentPacket.prototype.cmd = 'getcontent';
+GetContentPacket.prototype.type = exports.types.GETCONTENT;
+
+/**
+ * Get serialization size.
+ * @returns {Number}
+ */
+
+GetContentPacket.prototype.getSize = function getSize() {
+  return encoding.sizeVarBytes(this.hash) + 4;
+};
+
+/**
+ * Serialize getcontent packet to writer.
+ * @param {BufferWriter} bw
+ */
+
+GetContentPacket.prototype.toWriter = function toWriter(bw) {
+  bw.writeVarBytes(this.hash);
+  bw.writeU32(this.offset);
+  return bw;
+};
+
+/**
+ * Serialize getcontent packet.
+ * @returns {Buffer}
+ */
+
+GetContentPacket.prototype.toRaw = function toRaw() {
+  var size = this.getSize();
+  return this.toWriter(new StaticWriter(size)).render();
+};
+
+/**
+ * Inject properties from buffer reader.
+ * @private
+ * @param {BufferReader} br
+ */
+
+GetContentPacket.prototype.fromReader = function fromReader(br) {
+  this.hash = br.readVarBytes();
+  this.offset = br.readU32();
+  assert(this.hash.length <= ContentPacket.MAX_HASH, 'Content hash too long.');
+  return this;
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ */
+
+GetContentPacket.prototype.fromRaw = function fromRaw(data) {
+  return this.fromReader(new BufferReader(data));
+};
+
+/**
+ * Instantiate getcontent packet from buffer reader.
+ * @param {BufferReader} br
+ * @returns {GetContentPacket}
+ */
+
+GetContentPacket.fromReader = function fromReader(br) {
+  return new GetContentPacket().fromReader(br);
+};
+
+/**
+ * Instantiate getcontent packet from serialized data.
+ * @param {Buffer} data
+ * @param {String?} enc
+ * @returns {GetContentPacket}
+ */
+
+GetContentPacket.fromRaw = function fromRaw(data, enc) {
+  if (typeof data === 'string')
+    data = new Buffer(data, enc);
+  return new GetContentPacket().fromRaw(data);
+};
+
+/**
+ * Represents a `content` packet: one chunk of
+ * tile content in reply to `getcontent`. A
+ * `total` of zero means the content is not
+ * available from the peer.
+ * @exports ContentPacket
+ * @constructor
+ * @param {Object?} options
+ * @param {Buffer} options.hash - Content multihash.
+ * @param {Number} options.total - Size of the whole content.
+ * @param {Number} options.offset - Offset of this chunk.
+ * @param {Buffer} options.data - Chunk data.
+ * @property {Buffer} hash
+ * @property {Number} total
+ * @property {Number} offset
+ * @property {Buffer} data
+ */
+
+function ContentPacket(options) {
+  if (!(this instanceof ContentPacket))
+    return new ContentPacket(options);
+
+  Packet.call(this);
+
+  this.hash = DUMMY;
+  this.total = 0;
+  this.offset = 0;
+  this.data = DUMMY;
+
+  if (options)
+    this.fromOptions(options);
+}
+
+util.inherits(ContentPacket, Packet);
+
+ContentPacket.prototype.cmd = 'content';
+ContentPacket.prototype.type = exports.types.CONTENT;
+
+/**
+ * Maximum chunk size.
+ * @const {Number}
+ * @default
+ */
+
+ContentPacket.MAX_CHUNK = 256 << 10;
+
+/**
+ * Maximum size of a whole content file.
+ * @const {Number}
+ * @default
+ */
+
+ContentPacket.MAX_TOTAL = 64 << 20;
+
+/**
+ * Maximum multihash size.
+ * @const {Number}
+ * @default
+ */
+
+ContentPacket.MAX_HASH = 64;
+
+/**
+ * Inject properties from options.
+ * @private
+ * @param {Object} options
+ */
+
+ContentPacket.prototype.fromOptions = function fromOptions(options) {
+  assert(Buffer.isBuffer(options.hash));
+  this.hash = options.hash;
+
+  if (options.total != null) {
+    assert(util.isUInt32(options.total));
+    this.total = options.total;
+  }
+
+  if (options.offset != null) {
+    assert(util.isUInt32(options.offset));
+    this.offset = options.offset;
+  }
+
+  if (options.data) {
+    assert(Buffer.isBuffer(options.data));
+    this.data = options.data;
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate content packet from options.
+ * @param {Object} options
+ * @returns {ContentPacket}
+ */
+
+ContentPacket.fromOptions = function fromOptions(options) {
+  return new ContentPacket().fromOptions(options);
+};
+
+/**
+ * Test whether the peer reported the content as unavailable.
+ * @returns {Boolean}
+ */
+
+ContentPacket.prototype.isNotFound = function isNotFound() {
+  return this.total === 0;
+};
+
+/**
+ * Get serialization size.
+ * @returns {Number}
+ */
+
+ContentPacket.prototype.getSize = function getSize() {
+  var size = 0;
+  size += encoding.sizeVarBytes(this.hash);
+  size += 8;
+  size += encoding.sizeVarBytes(this.data);
+  return size;
+};
+
+/**
+ * Serialize content packet to writer.
+ * @param {BufferWriter} bw
+ */
+
+ContentPacket.prototype.toWriter = function toWriter(bw) {
+  bw.writeVarBytes(this.hash);
+  bw.writeU32(this.total);
+  bw.writeU32(this.offset);
+  bw.writeVarBytes(this.data);
+  return bw;
+};
+
+/**
+ * Serialize content packet.
+ * @returns {Buffer}
+ */
+
+ContentPacket.prototype.toRaw = function toRaw() {
+  var size = this.getSize();
+  return this.toWriter(new StaticWriter(size)).render();
+};
+
+/**
+ * Inject properties from buffer reader.
+ * @private
+ * @param {BufferReader} br
+ */
+
+ContentPacket.prototype.fromReader = function fromReader(br) {
+  this.hash = br.readVarBytes();
+  this.total = br.readU32();
+  this.offset = br.readU32();
+  this.data = br.readVarBytes();
+
+  assert(this.hash.length <= ContentPacket.MAX_HASH, 'Content hash too long.');
+  assert(this.data.length <= ContentPacket.MAX_CHUNK, 'Content chunk too large.');
+  assert(this.total <= ContentPacket.MAX_TOTAL, 'Content too large.');
+  assert(this.offset + this.data.length <= this.total
+    || (this.total === 0 && this.data.length === 0),
+    'Content chunk out of range.');
+
+  return this;
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ */
+
+ContentPacket.prototype.fromRaw = function fromRaw(data) {
+  return this.fromReader(new BufferReader(data));
+};
+
+/**
+ * Instantiate content packet from buffer reader.
+ * @param {BufferReader} br
+ * @returns {ContentPacket}
+ */
+
+ContentPacket.fromReader = function fromReader(br) {
+  return new ContentPacket().fromReader(br);
+};
+
+/**
+ * Instantiate content packet from serialized data.
+ * @param {Buffer} data
+ * @param {String?} enc
+ * @returns {ContentPacket}
+ */
+
+ContentPacket.fromRaw = function fromRaw(data, enc) {
+  if (typeof data === 'string')
+    data = new Buffer(data, enc);
+  return new ContentPacket().fromRaw(data);
+};
+
+/**
+ * Represents a `contentinv` packet, announcing
+ * tile content the sender can serve.
+ * @exports ContentInvPacket
+ * @constructor
+ * @param {(Buffer[])?} hashes - Content multihashes.
+ * @property {Buffer[]} hashes
+ */
+
+function ContentInvPacket(hashes) {
+  if (!(this instanceof ContentInvPacket))
+    return new ContentInvPacket(hashes);
+
+  Packet.call(this);
+
+  this.hashes = hashes || [];
+}
+
+util.inherits(ContentInvPacket, Packet);
+
+ContentInvPacket.prototype.cmd = 'contentinv';
+ContentInvPacket.prototype.type = exports.types.CONTENTINV;
+
+/**
+ * Maximum number of announced hashes.
+ * @const {Number}
+ * @default
+ */
+
+ContentInvPacket.MAX_ITEMS = 1000;
+
+/**
+ * Get serialization size.
+ * @returns {Number}
+ */
+
+ContentInvPacket.prototype.getSize = function getSize() {
+  var size = encoding.sizeVarint(this.hashes.length);
+  var i;
+
+  for (i = 0; i < this.hashes.length; i++)
+    size += encoding.sizeVarBytes(this.hashes[i]);
+
+  return size;
+};
+
+/**
+ * Serialize contentinv packet to writer.
+ * @param {BufferWriter} bw
+ */
+
+ContentInvPacket.prototype.toWriter = function toWriter(bw) {
+  var i;
+
+  assert(this.hashes.length <= ContentInvPacket.MAX_ITEMS);
+
+  bw.writeVarint(this.hashes.length);
+
+  for (i = 0; i < this.hashes.length; i++)
+    bw.writeVarBytes(this.hashes[i]);
+
+  return bw;
+};
+
+/**
+ * Serialize contentinv packet.
+ * @returns {Buffer}
+ */
+
+ContentInvPacket.prototype.toRaw = function toRaw() {
+  var size = this.getSize();
+  return this.toWriter(new StaticWriter(size)).render();
+};
+
+/**
+ * Inject properties from buffer reader.
+ * @private
+ * @param {BufferReader} br
+ */
+
+ContentInvPacket.prototype.fromReader = function fromReader(br) {
+  var i, count, hash;
+
+  count = br.readVarint();
+
+  assert(count <= ContentInvPacket.MAX_ITEMS, 'Content inv count too high.');
+
+  for (i = 0; i < count; i++) {
+    hash = br.readVarBytes();
+    assert(hash.length <= ContentPacket.MAX_HASH, 'Content hash too long.');
+    this.hashes.push(hash);
+  }
+
+  return this;
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ */
+
+ContentInvPacket.prototype.fromRaw = function fromRaw(data) {
+  return this.fromReader(new BufferReader(data));
+};
+
+/**
+ * Instantiate contentinv packet from buffer reader.
+ * @param {BufferReader} br
+ * @returns {ContentInvPacket}
+ */
+
+ContentInvPacket.fromReader = function fromReader(br) {
+  return new ContentInvPacket().fromReader(br);
+};
+
+/**
+ * Instantiate contentinv packet from serialized data.
+ * @param {Buffer} data
+ * @param {String?} enc
+ * @returns {ContentInvPacket}
+ */
+
+ContentInvPacket.fromRaw = function fromRaw(data, enc) {
+  if (typeof data === 'string')
+    data = new Buffer(data, enc);
+  return new ContentInvPacket().fromRaw(data);
+};
+
 /**
  * Represents an unknown packet.
  * @exports UnknownPacket
@@ -3955,6 +4399,12 @@ exports.fromRaw = function fromRaw(cmd, data) {
       return AuthReplyPacket.fromRaw(data);
     case 'authpropose':
       return AuthProposePacket.fromRaw(data);
+    case 'getcontent':
+      return GetContentPacket.fromRaw(data);
+    case 'content':
+      return ContentPacket.fromRaw(data);
+    case 'contentinv':
+      return ContentInvPacket.fromRaw(data);
     default:
       return UnknownPacket.fromRaw(cmd, data);
   }
@@ -4000,4 +4450,7 @@ exports.EncackPacket = EncackPacket;
 exports.AuthChallengePacket = AuthChallengePacket;
 exports.AuthReplyPacket = AuthReplyPacket;
 exports.AuthProposePacket = AuthProposePacket;
+exports.GetContentPacket = GetContentPacket;
+exports.ContentPacket = ContentPacket;
+exports.ContentInvPacket = ContentInvPacket;
 exports.UnknownPacket = UnknownPacket;
@@ -56,6 +56,7 @@ var VerifyResult = errors.VerifyResult;
  * requested getheaders.
  * @property {Boolean} haveWitness - Whether the peer supports segwit,
  * either notified via service bits or deprecated `havewitness` packet.
+ * @property {Boolean} haveContent - Whether the peer serves tile content.
  * @property {Hash?} hashContinue - The block hash at which to continue
  * the sync for the peer.
  * @property {Bloom?} spvFilter - The _peer's_ bloom spvFilter.
@@ -68,6 +69,8 @@ var VerifyResult = errors.VerifyResult;
  * sent (unix time).
  * @property {Number} minPing - Lowest ping time seen.
  * @property {Number} banScore
+ * @property {Bloom} contentFilter - Content hashes the peer
+ * announced or was told about.
  * @emits Peer#ack
  */
 
@@ -104,6 +107,7 @@ function Peer(pool) {
   this.version = null;
   this.preferHeaders = false;
   this.haveWitness = false;
+  this.haveContent = false;
   this.hashContinue = null;
   this.spvFilter = null;
   this.relay = true;
@@ -135,6 +139,12 @@ function Peer(pool) {
   this.requestTimeout = 10000;
   this.requestMap = {};
 
+  this.contentFilter = new Bloom.Rolling(10000, 0.0001);
+  this.contentRequests = {};
+  this.contentServing = 0;
+  this.contentAllowance = 0;
+  this.contentLastServe = 0;
+
   this.queueBlock = new List();
   this.queueTX = new List();
 
@@ -159,6 +169,15 @@ function Peer(pool) {
 
 util.inherits(Peer, EventEmitter);
 
+/**
+ * Maximum number of content requests
+ * served to a single peer at once.
+ * @const {Number}
+ * @default
+ */
+
+Peer.MAX_CONTENT_SERVING = 4;
+
 Peer.prototype.__defineGetter__('host', function() {
   return this.address.host;
 });
@@ -537,6 +556,8 @@ Peer.prototype.initVersion = co(function* initVersion() {
     }
   }
 
+  this.haveContent = this.version.hasContent();
+
   if (this.outbound) {
     if (!this.version.hasNetwork())
       throw new Error('Peer does not support network services.');
@@ -792,6 +813,107 @@ Peer.prototype.sendInv = function sendInv(items) {
   }
 };
 
+/**
+ * Announce tile content to a peer, skipping
+ * hashes the peer already knows about.
+ * @param {Buffer[]} hashes - Content multihashes.
+ */
+
+Peer.prototype.announceContent = function announceContent(hashes) {
+  var items = [];
+  var i, hash;
+
+  if (!this.ack)
+    return;
+
+  if (!this.haveContent)
+    return;
+
+  if (this.destroyed)
+    return;
+
+  for (i = 0; i < hashes.length; i++) {
+    hash = hashes[i];
+
+    if (this.contentFilter.added(hash))
+      items.push(hash);
+  }
+
+  if (items.length === 0)
+    return;
+
+  this.logger.spam('Announcing %d content hashes to %s.',
+    items.length, this.hostname);
+
+  for (i = 0; i < items.length; i += packets.ContentInvPacket.MAX_ITEMS) {
+    this.send(new packets.ContentInvPacket(
+      items.slice(i, i + packets.ContentInvPacket.MAX_ITEMS)));
+  }
+};
+
+/**
+ * Request one chunk of tile content from the peer.
+ * @param {Buffer} hash - Content multihash.
+ * @param {Number?} offset
+ * @returns {Promise} - Returns {@link ContentPacket}.
+ */
+
+Peer.prototype.getContent = function getContent(hash, offset) {
+  var self = this;
+  var key = hash.toString('hex');
+
+  return new Promise(function(resolve, reject) {
+    var entry;
+
+    if (self.destroyed)
+      return reject(new Error('Request destroyed.'));
+
+    if (!self.haveContent)
+      return reject(new Error('Peer does not serve content.'));
+
+    if (self.contentRequests[key])
+      return reject(new Error('Content already requested.'));
+
+    entry = {
+      offset: offset || 0,
+      resolve: resolve,
+      reject: reject,
+      timer: setTimeout(function() {
+        delete self.contentRequests[key];
+        reject(new Error('Content request timed out.'));
+      }, self.requestTimeout)
+    };
+
+    self.contentRequests[key] = entry;
+    self.send(new packets.GetContentPacket(hash, entry.offset));
+  });
+};
+
+/**
+ * Wait until serving `size` more bytes of content
+ * stays within the pool's per-peer upload rate.
+ * @private
+ * @param {Number} size
+ * @returns {Promise}
+ */
+
+Peer.prototype.throttleContent = co(function* throttleContent(size) {
+  var rate = this.pool.contentRate;
+  var now = util.ms();
+
+  if (!rate)
+    return;
+
+  // Token bucket allowing one second of burst.
+  this.contentAllowance += (now - this.contentLastServe) * rate / 1000;
+  this.contentAllowance = Math.min(this.contentAllowance, rate);
+  this.contentLastServe = now;
+  this.contentAllowance -= size;
+
+  if (this.contentAllowance < 0)
+    yield co.timeout(Math.ceil(-this.contentAllowance * 1000 / rate));
+});
+
 /**
  * Send headers to a peer.
  * @param {Headers[]} items
@@ -955,6 +1077,16 @@ Peer.prototype.destroy = function destroy() {
     delete this.requestMap[cmd];
   }
 
+  keys = Object.keys(this.contentRequests);
+
+  for (i = 0; i < keys.length; i++) {
+    hash = keys[i];
+    entry = this.contentRequests[hash];
+    clearTimeout(entry.timer);
+    entry.reject(new Error('Peer destroyed.'));
+    delete this.contentRequests[hash];
+  }
+
   keys = Object.keys(this.compactBlocks);
 
   for (i = 0; i < keys.length; i++) {
@@ -1344,6 +1476,12 @@ Peer.prototype.onPacket = co(function* onPacket(packet) {
       return yield this.handleAuthReply(packet);
     case packetTypes.AUTHPROPOSE:
       return yield this.handleAuthPropose(packet);
+    case packetTypes.GETCONTENT:
+      return yield this.handleGetContent(packet);
+    case packetTypes.CONTENT:
+      return yield this.handleContent(packet);
+    case packetTypes.CONTENTINV:
+      return yield this.handleContentInv(packet);
     case packetTypes.UNKNOWN:
       return yield this.handleUnknown(packet);
     default:
@@ -1623,6 +1761,9 @@ Peer.prototype.handleGetBlocks = co(function* handleGetBlocks(packet) {
   if (this.chain.db.options.prune)
     return;
 
+  if (this.chain.db.snapshotHeight !== -1)
+    return;
+
   hash = yield this.chain.findLocator(packet.locator);
 
   if (hash)
@@ -2371,6 +2512,106 @@ Peer.prototype.handleUnknown = co(function* handleUnknown(packet) {
   this.fire('unknown', packet);
 });
 
+/**
+ * Handle `getcontent` packet.
+ * @private
+ * @param {GetContentPacket}
+ */
+
+Peer.prototype.handleGetContent = co(function* handleGetContent(packet) {
+  var reply = new packets.ContentPacket({ hash: packet.hash });
+  var content;
+
+  if (!this.pool.hasContent()) {
+    this.logger.debug('Peer requested content we do not serve (%s).',
+      this.hostname);
+    this.increaseBan(10);
+    return;
+  }
+
+  if (this.contentServing >= Peer.MAX_CONTENT_SERVING) {
+    this.logger.debug('Peer is requesting too much content (%s).',
+      this.hostname);
+    this.send(reply);
+    return;
+  }
+
+  this.contentServing++;
+
+  try {
+    content = yield this.chain.content.readContent(packet.hash,
+      packet.offset, packets.ContentPacket.MAX_CHUNK);
+
+    if (content && content.total <= packets.ContentPacket.MAX_TOTAL
+        && packet.offset < content.total && content.data.length > 0) {
+      reply.total = content.total;
+      reply.offset = packet.offset;
+      reply.data = content.data;
+      yield this.throttleContent(reply.data.length);
+    }
+  } finally {
+    this.contentServing--;
+  }
+
+  if (this.destroyed)
+    return;
+
+  this.contentFilter.add(packet.hash);
+  this.send(reply);
+});
+
+/**
+ * Handle `content` packet.
+ * @private
+ * @param {ContentPacket}
+ */
+
+Peer.prototype.handleContent = co(function* handleContent(packet) {
+  var key = packet.hash.toString('hex');
+  var entry = this.contentRequests[key];
+
+  if (!entry) {
+    this.logger.debug('Peer sent unsolicited content (%s).', this.hostname);
+    this.increaseBan(10);
+    return;
+  }
+
+  delete this.contentRequests[key];
+  clearTimeout(entry.timer);
+
+  if (!packet.isNotFound() && packet.offset !== entry.offset) {
+    this.increaseBan(100);
+    entry.reject(new Error('Peer sent content at the wrong offset.'));
+    return;
+  }
+
+  entry.resolve(packet);
+});
+
+/**
+ * Handle `contentinv` packet.
+ * @private
+ * @param {ContentInvPacket}
+ */
+
+Peer.prototype.handleContentInv = co(function* handleContentInv(packet) {
+  var i;
+
+  if (!this.haveContent) {
+    this.logger.debug('Peer announced content it does not serve (%s).',
+      this.hostname);
+    return;
+  }
+
+  for (i = 0; i < packet.hashes.length; i++)
+    this.contentFilter.add(packet.hashes[i]);
+
+  this.logger.debug('Received contentinv packet with %d items (%s).',
+    packet.hashes.length, this.hostname);
+
+  this.fire('contentinv', packet.hashes);
+});
+
 /**
  * Handle `sendcmpct` packet.
  * @private
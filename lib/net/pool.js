@@ -31,6 +31,10 @@ var tcp = require('./tcp');
 var dns = require('./dns');
 var murmur3 = require('../utils/murmur3');
 var StaticWriter = require('../utils/staticwriter');
+var base58 = require('../utils/base58');
+var multihash = require('../content/multihash');
+var packets = require('./packets');
+var contentStates = require('../blockchain/contentqueue').states;
 var invTypes = constants.inv;
 var VerifyError = errors.VerifyError;
 var VerifyResult = errors.VerifyResult;
@@ -73,6 +77,8 @@ var ifaces = os.networkInterfaces();
  * Must accept (port, host) and return a node-like socket.
  * @param {Function?} options.createServer - Custom function to create a server.
  * Must return a node-like server.
+ * @param {Number?} [options.contentRate=1048576] - Maximum bytes per second
+ * of tile content served to a single peer (0 for no limit).
  * @emits Pool#block
  * @emits Pool#block
  * @emits Pool#tx
@@ -135,6 +141,9 @@ function Pool(options) {
 
   this.feeRate = -1;
 
+  this.contentRate = 1 << 20;
+  this.contentPeers = 3;
+
   this.address = new NetAddress();
   this.address.ts = this.network.now();
   this.address.services = constants.LOCAL_SERVICES;
@@ -280,6 +289,10 @@ Pool.prototype._initOptions = function _initOptions() {
     this.needed |= constants.services.BLOOM;
   }
 
+  // Only full nodes keep tile content to serve.
+  if (this.options.spv || this.options.selfish)
+    this.address.services &= ~constants.services.CONTENT;
+
   if (!this.options.mempool)
     this.txFilter = new Bloom.Rolling(50000, 0.000001);
 
@@ -292,6 +305,11 @@ Pool.prototype._initOptions = function _initOptions() {
     assert(typeof this.options.invTimeout === 'number');
     this.invTimeout = this.options.invTimeout;
   }
+
+  if (this.options.contentRate != null) {
+    assert(typeof this.options.contentRate === 'number');
+    this.contentRate = this.options.contentRate;
+  }
 };
 
 /**
@@ -356,7 +374,14 @@ Pool.prototype._init = function _init() {
         return;
       self.announceBlock(block);
     });
+
+    this.chain.content.on('available', function(hash) {
+      self.announceContent([hash]);
+    });
   }
+
+  if (!this.options.spv)
+    this.chain.content.addSource(this);
 };
 
 /**
@@ -373,6 +398,10 @@ Pool.prototype._open = co(function* _open() {
   else
     yield this.chain.open();
 
+  // Blocks below a snapshot can't be served.
+  if (this.chain.db.snapshotHeight !== -1)
+    this.address.services &= ~constants.services.NETWORK;
+
   this.logger.info('Pool loaded (maxpeers=%d).', this.maxOutbound);
 
   if (this.identityKey) {
@@ -952,6 +981,10 @@ Pool.prototype.bindPeer = function bindPeer(peer) {
   peer.on('alert', function(alert) {
     self.handleAlert(alert, peer);
   });
+
+  peer.on('contentinv', function(hashes) {
+    self.handleContentInv(hashes, peer);
+  });
 };
 
 /**
@@ -1481,6 +1514,39 @@ Pool.prototype.handleNotFound = function handleNotFound(items, peer) {
   }
 };
 
+/**
+ * Handle a content announcement. Downloads of
+ * the announced content that are waiting to be
+ * retried are retried right away.
+ * @private
+ * @param {Buffer[]} hashes
+ * @param {Peer} peer
+ */
+
+Pool.prototype.handleContentInv = function handleContentInv(hashes, peer) {
+  var queue = this.chain.content.queue;
+  var i, job;
+
+  for (i = 0; i < hashes.length; i++) {
+    job = queue.jobs[hashes[i].toString('hex')];
+
+    if (!job)
+      continue;
+
+    if (job.state !== contentStates.RETRYING
+        && job.state !== contentStates.FAILED) {
+      continue;
+    }
+
+    this.logger.debug('Peer announced content %s (%s).',
+      job.id(), peer.hostname);
+
+    queue.retry(job);
+  }
+
+  this.emit('contentinv', hashes, peer);
+};
+
 /**
  * Handle an alert packet.
  * @private
@@ -2038,6 +2104,121 @@ Pool.prototype.announceTX = function announceTX(msg) {
     peer.announceTX(msg);
 };
 
+/**
+ * Announce tile content to all peers.
+ * @param {Buffer[]} hashes - Content multihashes.
+ */
+
+Pool.prototype.announceContent = function announceContent(hashes) {
+  var peer;
+
+  for (peer = this.peers.head(); peer; peer = peer.next)
+    peer.announceContent(hashes);
+};
+
+/**
+ * Test whether we serve tile content to peers.
+ * @returns {Boolean}
+ */
+
+Pool.prototype.hasContent = function hasContent() {
+  return (this.address.services & constants.services.CONTENT) !== 0;
+};
+
+/**
+ * Download tile content from peers. Peers which
+ * announced the content are asked first, and at
+ * most `contentPeers` peers are tried. Content
+ * that does not match its hash gets the sender
+ * banned.
+ * @param {Buffer} hash - Content multihash.
+ * @returns {Promise} - Returns Buffer, or null if not found.
+ */
+
+Pool.prototype.getContent = co(function* getContent(hash) {
+  var peers = [];
+  var others = [];
+  var i, peer, data;
+
+  for (peer = this.peers.head(); peer; peer = peer.next) {
+    if (!peer.ack || !peer.haveContent)
+      continue;
+
+    if (peer.contentFilter.test(hash))
+      peers.push(peer);
+    else
+      others.push(peer);
+  }
+
+  peers = peers.concat(others).slice(0, this.contentPeers);
+
+  for (i = 0; i < peers.length; i++) {
+    peer = peers[i];
+
+    try {
+      data = yield this.getPeerContent(peer, hash);
+    } catch (e) {
+      this.logger.debug('Could not get content %s: %s.',
+        base58.encode(hash), e.message);
+      continue;
+    }
+
+    if (data)
+      return data;
+  }
+
+  return null;
+});
+
+/**
+ * Download tile content from a single peer, chunk by chunk.
+ * @private
+ * @param {Peer} peer
+ * @param {Buffer} hash - Content multihash.
+ * @returns {Promise} - Returns Buffer, or null if not found.
+ */
+
+Pool.prototype.getPeerContent = co(function* getPeerContent(peer, hash) {
+  var chunks = [];
+  var offset = 0;
+  var total = -1;
+  var packet, data;
+
+  while (offset !== total) {
+    packet = yield peer.getContent(hash, offset);
+
+    if (packet.isNotFound())
+      return null;
+
+    if (total === -1)
+      total = packet.total;
+
+    if (packet.total !== total
+        || packet.total > packets.ContentPacket.MAX_TOTAL
+        || packet.data.length === 0
+        || offset + packet.data.length > total) {
+      peer.increaseBan(100);
+      throw new Error('Peer sent malformed content.');
+    }
+
+    chunks.push(packet.data);
+    offset += packet.data.length;
+  }
+
+  data = Buffer.concat(chunks);
+
+  if (!multihash.verify(data, hash)) {
+    this.logger.warning('Peer sent content not matching %s (%s).',
+      base58.encode(hash), peer.hostname);
+    peer.increaseBan(100);
+    return null;
+  }
+
+  peer.contentFilter.add(hash);
+
+  return data;
+});
+
 /**
  * Set a fee rate filter for all peers.
  * @param {Rate} rate
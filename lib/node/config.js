@@ -177,6 +177,17 @@ config.parseData = function parseData(data, prefix, dirname) {
   options.coinCache = mul(data.coincache, 1024 * 1024);
   options.indexTX = bool(data.indextx);
   options.indexAddress = bool(data.indexaddress);
+  options.contentBackend = str(data.contentbackend);
+  options.contentGateway = str(data.contentgateway);
+  options.contentFetches = num(data.contentfetches);
+  options.contentKeepVersions = num(data.contentkeepversions);
+  options.contentKeepDepth = num(data.contentkeepdepth);
+  options.contentMaxSize = num(data.contentmaxsize);
+  options.contentReorgDepth = num(data.contentreorgdepth);
+  options.maxTileContent = num(data.maxtilecontent);
+  options.contentValidator = str(data.contentvalidator);
+  options.loadSnapshot = path(data.loadsnapshot, prefix, dirname);
+  options.snapshotHash = hash(data.snapshothash);
 
   // Mempool
   options.limitFree = bool(data.limitfree);
@@ -197,6 +208,7 @@ config.parseData = function parseData(data, prefix, dirname) {
   options.maxOutbound = num(data.maxoutbound);
   options.maxInbound = num(data.maxinbound);
   options.ignoreDiscovery = bool(data.ignorediscovery);
+  options.contentRate = num(data.contentrate);
   options.port = num(data.port);
   options.listen = bool(data.listen);
   options.knownPeers = file(data.knownpeers, prefix, dirname, 'utf8');
@@ -206,6 +218,9 @@ config.parseData = function parseData(data, prefix, dirname) {
   options.payoutAddress = str(data.payoutaddress);
   options.coinbaseFlags = str(data.coinbaseflags);
   options.startMiner = bool(data.startminer);
+  options.mineStrategy = str(data.minestrategy);
+  options.mineNear = str(data.minenear);
+  options.mineRegion = str(data.mineregion);
 
   // HTTP
   options.sslCert = file(data.sslcert, prefix, dirname);
@@ -217,6 +232,8 @@ config.parseData = function parseData(data, prefix, dirname) {
   options.walletAuth = bool(data.walletauth);
   options.noAuth = bool(data.noauth);
   options.contentPort = num(data.contentport);
+  options.contentHost = str(data.contenthost);
+  options.noContentServer = bool(data.nocontentserver);
 
   // Wallet
   options.startHeight = num(data.startheight);
@@ -645,6 +662,19 @@ function key(value) {
   return key;
 }
 
+function hash(value) {
+  if (!value)
+    return null;
+
+  if (typeof value !== 'string')
+    return null;
+
+  if (!/^[0-9a-f]{64}$/i.test(value))
+    throw new Error('Invalid hash: ' + value);
+
+  return util.revHex(value.toLowerCase());
+}
+
 function path(value, prefix, dirname) {
   if (!value)
     return null;
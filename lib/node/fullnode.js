@@ -19,6 +19,7 @@ var Pool = require('../net/pool');
 var Miner = require('../mining/miner');
 var WalletDB = require('../wallet/walletdb');
 var HTTPServer = require('../http/server');
+var ContentServer = require('../http/contentserver');
 
 /**
  * Create a fullnode complete with a chain,
@@ -39,6 +40,19 @@ var HTTPServer = require('../http/server');
  * @param {Buffer?} options.sslCert
  * @param {Number?} options.httpPort
  * @param {String?} options.httpHost
+ * @param {Number?} options.contentPort
+ * @param {String?} options.contentHost
+ * @param {Boolean?} options.noContentServer
+ * @param {String?} options.contentBackend
+ * @param {String?} options.contentGateway
+ * @param {Number?} options.contentFetches
+ * @param {Number?} options.contentKeepVersions
+ * @param {Number?} options.contentKeepDepth
+ * @param {Number?} options.contentMaxSize
+ * @param {Number?} options.contentReorgDepth
+ * @param {Number?} options.maxTileContent
+ * @param {String?} options.contentValidator - Scene validator module.
+ * @param {Number?} options.contentRate - Per-peer content upload limit.
  * @param {Object?} options.wallet - Primary {@link Wallet} options.
  * @property {Boolean} loaded
  * @property {Chain} chain
@@ -48,6 +62,7 @@ var HTTPServer = require('../http/server');
  * @property {Miner} miner
  * @property {WalletDB} walletdb
  * @property {HTTPServer} http
+ * @property {ContentServer} content
  * @emits FullNode#block
  * @emits FullNode#tx
  * @emits FullNode#alert
@@ -79,6 +94,17 @@ function FullNode(options) {
     cacheSize: this.options.cacheSize,
     bootstrapNetwork: this.options.bootstrapNetwork,
     prefix: this.location(''),
+    contentBackend: this.options.contentBackend,
+    contentGateway: this.options.contentGateway,
+    contentFetches: this.options.contentFetches,
+    contentKeepVersions: this.options.contentKeepVersions,
+    contentKeepDepth: this.options.contentKeepDepth,
+    contentMaxSize: this.options.contentMaxSize,
+    contentReorgDepth: this.options.contentReorgDepth,
+    maxTileContent: this.options.maxTileContent,
+    contentValidator: this.options.contentValidator,
+    loadSnapshot: this.options.loadSnapshot,
+    snapshotHash: this.options.snapshotHash
   });
 
   // Fee estimation.
@@ -121,6 +147,7 @@ function FullNode(options) {
     proxyServer: this.options.proxyServer,
     preferredSeed: this.options.preferredSeed,
     ignoreDiscovery: this.options.ignoreDiscovery,
+    contentRate: this.options.contentRate,
     port: this.options.port,
     spv: false,
     bootstrapNetwork: this.options.bootstrapNetwork,
@@ -134,7 +161,10 @@ function FullNode(options) {
     mempool: this.mempool,
     fees: this.fees,
     address: this.options.payoutAddress,
-    coinbaseFlags: this.options.coinbaseFlags
+    coinbaseFlags: this.options.coinbaseFlags,
+    mineStrategy: this.options.mineStrategy,
+    mineNear: this.options.mineNear,
+    mineRegion: this.options.mineRegion
   });
 
   // Wallet database needs access to fees.
@@ -171,6 +201,16 @@ function FullNode(options) {
     });
   }
 
+  // Tile content is served on its own port.
+  if (!HTTPServer.unsupported && !this.options.noContentServer) {
+    this.content = new ContentServer({
+      logger: this.logger,
+      chain: this.chain,
+      port: this.options.contentPort || this.network.contentPort,
+      host: this.options.contentHost || '0.0.0.0'
+    });
+  }
+
   this._init();
 }
 
@@ -195,6 +235,9 @@ FullNode.prototype._init = function _init() {
   if (this.http)
     this.http.on('error', onError);
 
+  if (this.content)
+    this.content.on('error', onError);
+
   this.pool.on('alert', function(alert) {
     self.emit('alert', alert);
   });
@@ -227,6 +270,14 @@ FullNode.prototype._init = function _init() {
     self.emit('disconnect', entry, block);
   }));
 
+  this.chain.on('tile connect', function(change) {
+    self.emit('tile connect', change);
+  });
+
+  this.chain.on('tile disconnect', function(change) {
+    self.emit('tile disconnect', change);
+  });
+
   this.chain.on('reset', co(function* (tip) {
     try {
       yield self.mempool.reset();
@@ -253,6 +304,9 @@ FullNode.prototype._open = co(function* open() {
   if (this.http)
     yield this.http.open();
 
+  if (this.content)
+    yield this.content.open();
+
   yield this.walletdb.open();
 
   // Ensure primary wallet.
@@ -274,6 +328,9 @@ FullNode.prototype._close = co(function* close() {
   if (this.http)
     yield this.http.close();
 
+  if (this.content)
+    yield this.content.close();
+
   yield this.wallet.destroy();
 
   this.wallet = null;
@@ -56,6 +56,20 @@ NodeClient.prototype._init = function init() {
     self.emit('block disconnect', entry);
   });
 
+  this.node.on('tile connect', function(change) {
+    if (!self.listen)
+      return;
+
+    self.emit('tile connect', change);
+  });
+
+  this.node.on('tile disconnect', function(change) {
+    if (!self.listen)
+      return;
+
+    self.emit('tile disconnect', change);
+  });
+
   this.node.on('tx', function(tx) {
     if (!self.listen)
       return;
@@ -120,6 +120,15 @@ NetAddress.prototype.hasWitness = function hasWitness() {
   return (this.services & constants.services.WITNESS) !== 0;
 };
 
+/**
+ * Test whether the CONTENT service bit is set.
+ * @returns {Boolean}
+ */
+
+NetAddress.prototype.hasContent = function hasContent() {
+  return (this.services & constants.services.CONTENT) !== 0;
+};
+
 /**
  * Test whether required services are available.
  * @param {Number} services
@@ -1231,6 +1231,13 @@ TX.prototype.isSane = function isSane(ret) {
       return false;
     }
 
+    // Tile keys only cover int32 coordinates.
+    if (!util.isInt32(output.x) || !util.isInt32(output.y)) {
+      ret.reason = this.isCoinbase() ? 'bad-cb-coords' : 'bad-txns-coords';
+      ret.score = 100;
+      return false;
+    }
+
     total += output.value;
 
     if (total < 0 || total > constants.MAX_MONEY) {
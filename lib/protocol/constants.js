@@ -67,7 +67,14 @@ exports.services = {
    * Whether the peer supports segregated witness.
    */
 
-  WITNESS: (1 << 3)
+  WITNESS: (1 << 3),
+
+  /**
+   * Whether the peer serves tile content
+   * (the getcontent and contentinv packets).
+   */
+
+  CONTENT: (1 << 4)
 };
 
 /**
@@ -80,7 +87,8 @@ exports.LOCAL_SERVICES = 0
   | exports.services.NETWORK
   | exports.services.GETUTXO
   | exports.services.BLOOM
-  | exports.services.WITNESS;
+  | exports.services.WITNESS
+  | exports.services.CONTENT;
 
 /**
  * Inv types.
@@ -49,6 +49,7 @@ function Network(options) {
   this.addressPrefix = options.addressPrefix;
   this.requireStandard = options.requireStandard;
   this.rpcPort = options.rpcPort;
+  this.contentPort = options.contentPort;
   this.minRelay = options.minRelay;
   this.feeRate = options.feeRate;
   this.maxFeeRate = options.maxFeeRate;
@@ -359,6 +359,13 @@ main.deployments = {
     startTime: 0xffffffff, // Far in the future
     timeout: 0xffffffff,
     force: false
+  },
+  tilestate: {
+    name: 'tilestate',
+    bit: 3,
+    startTime: 0xffffffff, // Not scheduled yet
+    timeout: 0xffffffff,
+    force: false
   }
 };
 
@@ -372,6 +379,7 @@ main.deploys = [
   main.deployments.csv,
   main.deployments.segwit,
   main.deployments.mast,
+  main.deployments.tilestate,
   main.deployments.testdummy
 ];
 
@@ -419,6 +427,14 @@ main.requireStandard = true;
 
 main.rpcPort = 8301;
 
+/**
+ * Default tile content server port.
+ * @const {Number}
+ * @default
+ */
+
+main.contentPort = 9301;
+
 /**
  * Default min relay rate.
  * @const {Rate}
@@ -576,6 +592,13 @@ testnet.deployments = {
     startTime: 0xffffffff, // Far in the future
     timeout: 0xffffffff,
     force: false
+  },
+  tilestate: {
+    name: 'tilestate',
+    bit: 3,
+    startTime: 0xffffffff, // Not scheduled yet
+    timeout: 0xffffffff,
+    force: false
   }
 };
 
@@ -583,6 +606,7 @@ testnet.deploys = [
   testnet.deployments.csv,
   testnet.deployments.segwit,
   testnet.deployments.mast,
+  testnet.deployments.tilestate,
   testnet.deployments.testdummy
 ];
 
@@ -730,6 +754,13 @@ regtest.deployments = {
     startTime: 0xffffffff, // Far in the future
     timeout: 0xffffffff,
     force: false
+  },
+  tilestate: {
+    name: 'tilestate',
+    bit: 3,
+    startTime: 0,
+    timeout: 0xffffffff,
+    force: false
   }
 };
 
@@ -737,6 +768,7 @@ regtest.deploys = [
   regtest.deployments.csv,
   regtest.deployments.segwit,
   regtest.deployments.mast,
+  regtest.deployments.tilestate,
   regtest.deployments.testdummy
 ];
 
@@ -760,6 +792,8 @@ regtest.requireStandard = false;
 
 regtest.rpcPort = 48332;
 
+regtest.contentPort = 48334;
+
 regtest.minRelay = 1000;
 
 regtest.feeRate = 20000;
@@ -866,9 +900,19 @@ segnet3.activationThreshold = 108;
 
 segnet3.minerWindow = 144;
 
-segnet3.deployments = {};
+segnet3.deployments = {
+  tilestate: {
+    name: 'tilestate',
+    bit: 3,
+    startTime: 0xffffffff, // Not scheduled yet
+    timeout: 0xffffffff,
+    force: false
+  }
+};
 
-segnet3.deploys = [];
+segnet3.deploys = [
+  segnet3.deployments.tilestate
+];
 
 segnet3.keyPrefix = {
   privkey: 0x9e,
@@ -890,6 +934,8 @@ segnet3.requireStandard = false;
 
 segnet3.rpcPort = 28332;
 
+segnet3.contentPort = 28334;
+
 segnet3.minRelay = 1000;
 
 segnet3.feeRate = 20000;
@@ -1010,12 +1056,20 @@ segnet4.deployments = {
     startTime: 0,
     timeout: 999999999999,
     force: false
+  },
+  tilestate: {
+    name: 'tilestate',
+    bit: 3,
+    startTime: 0xffffffff, // Not scheduled yet
+    timeout: 0xffffffff,
+    force: false
   }
 };
 
 segnet4.deploys = [
   segnet4.deployments.csv,
   segnet4.deployments.segwit,
+  segnet4.deployments.tilestate,
   segnet4.deployments.testdummy
 ];
 
@@ -1039,6 +1093,8 @@ segnet4.requireStandard = false;
 
 segnet4.rpcPort = 28902;
 
+segnet4.contentPort = 28903;
+
 segnet4.minRelay = 1000;
 
 segnet4.feeRate = 20000;
@@ -1168,6 +1224,13 @@ simnet.deployments = {
     startTime: 0xffffffff, // Far in the future
     timeout: 0xffffffff,
     force: false
+  },
+  tilestate: {
+    name: 'tilestate',
+    bit: 3,
+    startTime: 0xffffffff, // Not scheduled yet
+    timeout: 0xffffffff,
+    force: false
   }
 };
 
@@ -1175,6 +1238,7 @@ simnet.deploys = [
   simnet.deployments.csv,
   simnet.deployments.segwit,
   simnet.deployments.mast,
+  simnet.deployments.tilestate,
   simnet.deployments.testdummy
 ];
 
@@ -1198,6 +1262,8 @@ simnet.requireStandard = false;
 
 simnet.rpcPort = 18556;
 
+simnet.contentPort = 18557;
+
 simnet.minRelay = 1000;
 
 simnet.feeRate = 20000;
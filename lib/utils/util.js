@@ -323,7 +323,7 @@ util.isInt = function isInt(value) {
  */
 
 util.isInt32 = function isInt32(value) {
-  return util.isInt(value) && Math.abs(value) <= 0x7fffffff;
+  return util.isInt(value) && value >= -0x80000000 && value <= 0x7fffffff;
 };
 
 /**
@@ -13,6 +13,7 @@ var AsyncObject = require('../utils/async');
 var TX = require('../primitives/tx');
 var BlockMeta = require('./records').BlockMeta;
 var Headers = require('../primitives/headers');
+var TileChange = require('../blockchain/tilechange');
 var Amount = require('../btc/amount');
 var util = require('../utils/util');
 var BufferReader = require('../utils/reader');
@@ -135,6 +136,26 @@ WalletClient.prototype._open = co(function* _open() {
     self.emit('tx', tx);
   });
 
+  this.socket.on('tile connect', function(change) {
+    try {
+      change = TileChange.fromJSON(change);
+    } catch (e) {
+      self.emit('error', e);
+      return;
+    }
+    self.emit('tile connect', change);
+  });
+
+  this.socket.on('tile disconnect', function(change) {
+    try {
+      change = TileChange.fromJSON(change);
+    } catch (e) {
+      self.emit('error', e);
+      return;
+    }
+    self.emit('tile disconnect', change);
+  });
+
   yield this.onConnect();
   yield this.sendAuth();
   yield this.sendOptions({ raw: true });
@@ -7,6 +7,7 @@ exports.layout = require('./layout');
 exports.MasterKey = require('./masterkey');
 exports.Path = require('./path');
 exports.records = require('./records');
+exports.SwapOffer = require('./swapoffer');
 exports.TXDB = require('./txdb');
 exports.WalletDB = require('./walletdb');
 exports.Wallet = require('./wallet');
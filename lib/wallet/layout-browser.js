@@ -54,6 +54,12 @@ layouts.walletdb = {
   n: function n(wid, index) {
     return 'n' + pad32(wid) + pad32(index);
   },
+  e: function e(wid, name) {
+    return 'e' + pad32(wid) + name;
+  },
+  ee: function ee(key) {
+    return [+key.slice(1, 11), key.slice(11)];
+  },
   R: 'R',
   h: function c(height) {
     return 'h' + pad32(height);
@@ -193,6 +199,19 @@ layouts.txdb = {
   Cc: function Cc(key) {
     return this.ihii(key);
   },
+  x: function x(x, y, hash, index) {
+    return 'x' + pad32((x ^ 0x80000000) >>> 0)
+      + pad32((y ^ 0x80000000) >>> 0) + hash + pad32(index);
+  },
+  xx: function xx(key) {
+    key = key.slice(12);
+    return [
+      (+key.slice(0, 10) ^ 0x80000000) | 0,
+      (+key.slice(10, 20) ^ 0x80000000) | 0,
+      key.slice(20, 84),
+      +key.slice(84)
+    ];
+  },
   r: function r(hash) {
     return this.ha('r', hash);
   },
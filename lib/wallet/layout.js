@@ -19,6 +19,7 @@ var layouts = exports;
  *  a[wid][index] -> account
  *  i[wid][name] -> account index
  *  n[wid][index] -> account name
+ *  e[wid][name] -> estate
  *  t[wid]* -> txdb
  *  R -> chain sync state
  *  h[height] -> recent block hash
@@ -103,6 +104,18 @@ layouts.walletdb = {
     key.writeUInt32BE(index, 5, true);
     return key;
   },
+  e: function e(wid, name) {
+    var len = Buffer.byteLength(name, 'ascii');
+    var key = new Buffer(5 + len);
+    key[0] = 0x65;
+    key.writeUInt32BE(wid, 1, true);
+    if (len > 0)
+      key.write(name, 5, 'ascii');
+    return key;
+  },
+  ee: function ee(key) {
+    return [key.readUInt32BE(1, true), key.toString('ascii', 5)];
+  },
   R: new Buffer([0x52]),
   h: function h(height) {
     var key = new Buffer(5);
@@ -146,6 +159,7 @@ layouts.walletdb = {
  *   M[account][time][hash] -> dummy (tx by time + account)
  *   H[account][height][hash] -> dummy (tx by height + account)
  *   C[account][hash][index] -> dummy (coin by account)
+ *   x[x][y][hash][index] -> dummy (coin by tile)
  *   r[hash] -> dummy (replace by fee chain)
  */
 
@@ -297,6 +311,24 @@ layouts.txdb = {
   Cc: function Cc(key) {
     return this.ihii(key);
   },
+  x: function x(x, y, hash, index) {
+    var key = new Buffer(45);
+    key[0] = 0x78;
+    key.writeUInt32BE((x ^ 0x80000000) >>> 0, 1, true);
+    key.writeUInt32BE((y ^ 0x80000000) >>> 0, 5, true);
+    key.write(hash, 9, 'hex');
+    key.writeUInt32BE(index, 41, true);
+    return key;
+  },
+  xx: function xx(key) {
+    key = key.slice(6);
+    return [
+      (key.readUInt32BE(0, true) ^ 0x80000000) | 0,
+      (key.readUInt32BE(4, true) ^ 0x80000000) | 0,
+      key.toString('hex', 8, 40),
+      key.readUInt32BE(40, true)
+    ];
+  },
   r: function r(hash) {
     return this.ha(0x72, hash);
   },
@@ -12,6 +12,7 @@ var util = require('../utils/util');
 var constants = require('../protocol/constants');
 var BufferReader = require('../utils/reader');
 var StaticWriter = require('../utils/staticwriter');
+var encoding = require('../utils/encoding');
 var TX = require('../primitives/tx');
 
 /**
@@ -700,6 +701,203 @@ TXRecord.fromRaw = function fromRaw(data) {
   return new TXRecord().fromRaw(data);
 };
 
+/**
+ * Estate Record: a named group of tiles
+ * managed as one unit.
+ * @constructor
+ * @param {WalletID} wid
+ * @param {String} name
+ * @param {Object[]?} tiles - `{x, y}`.
+ */
+
+function EstateRecord(wid, name, tiles) {
+  if (!(this instanceof EstateRecord))
+    return new EstateRecord(wid, name, tiles);
+
+  this.wid = wid != null ? wid : -1;
+  this.name = name || '';
+  this.tiles = tiles || [];
+}
+
+/**
+ * Neighbor offsets (4-connectivity).
+ * @const {Number[][]}
+ */
+
+EstateRecord.NEIGHBORS = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+
+/**
+ * Test whether the estate has a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Boolean}
+ */
+
+EstateRecord.prototype.hasTile = function hasTile(x, y) {
+  var i;
+
+  for (i = 0; i < this.tiles.length; i++) {
+    if (this.tiles[i].x === x && this.tiles[i].y === y)
+      return true;
+  }
+
+  return false;
+};
+
+/**
+ * Add a tile to the estate.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Boolean} Whether the tile was added.
+ */
+
+EstateRecord.prototype.addTile = function addTile(x, y) {
+  if (this.hasTile(x, y))
+    return false;
+
+  this.tiles.push({ x: x, y: y });
+
+  return true;
+};
+
+/**
+ * Remove a tile from the estate.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Boolean} Whether the tile was removed.
+ */
+
+EstateRecord.prototype.removeTile = function removeTile(x, y) {
+  var i;
+
+  for (i = 0; i < this.tiles.length; i++) {
+    if (this.tiles[i].x === x && this.tiles[i].y === y) {
+      this.tiles.splice(i, 1);
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Test whether every tile of the estate can be reached
+ * from any other through adjacent (4-connected) tiles.
+ * @returns {Boolean}
+ */
+
+EstateRecord.prototype.isContiguous = function isContiguous() {
+  var index = {};
+  var queue = [];
+  var seen = 0;
+  var i, tile, key, next;
+
+  if (this.tiles.length === 0)
+    return true;
+
+  for (i = 0; i < this.tiles.length; i++) {
+    tile = this.tiles[i];
+    index[tile.x + ',' + tile.y] = true;
+  }
+
+  tile = this.tiles[0];
+  queue.push(tile);
+  index[tile.x + ',' + tile.y] = false;
+
+  while (queue.length > 0) {
+    tile = queue.shift();
+    seen++;
+
+    for (i = 0; i < EstateRecord.NEIGHBORS.length; i++) {
+      next = EstateRecord.NEIGHBORS[i];
+      key = (tile.x + next[0]) + ',' + (tile.y + next[1]);
+
+      if (!index[key])
+        continue;
+
+      index[key] = false;
+      queue.push({ x: tile.x + next[0], y: tile.y + next[1] });
+    }
+  }
+
+  return seen === this.tiles.length;
+};
+
+/**
+ * Calculate serialization size.
+ * @returns {Number}
+ */
+
+EstateRecord.prototype.getSize = function getSize() {
+  return encoding.sizeVarint(this.tiles.length) + this.tiles.length * 8;
+};
+
+/**
+ * Serialize the estate tiles.
+ * @returns {Buffer}
+ */
+
+EstateRecord.prototype.toRaw = function toRaw() {
+  var bw = new StaticWriter(this.getSize());
+  var i, tile;
+
+  bw.writeVarint(this.tiles.length);
+
+  for (i = 0; i < this.tiles.length; i++) {
+    tile = this.tiles[i];
+    bw.write32(tile.x);
+    bw.write32(tile.y);
+  }
+
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ * @returns {EstateRecord}
+ */
+
+EstateRecord.prototype.fromRaw = function fromRaw(data) {
+  var br = new BufferReader(data);
+  var count = br.readVarint();
+  var i;
+
+  for (i = 0; i < count; i++)
+    this.tiles.push({ x: br.read32(), y: br.read32() });
+
+  return this;
+};
+
+/**
+ * Instantiate an estate from serialized data.
+ * @param {WalletID} wid
+ * @param {String} name
+ * @param {Buffer} data
+ * @returns {EstateRecord}
+ */
+
+EstateRecord.fromRaw = function fromRaw(wid, name, data) {
+  return new EstateRecord(wid, name).fromRaw(data);
+};
+
+/**
+ * Convert the estate to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+EstateRecord.prototype.toJSON = function toJSON() {
+  return {
+    name: this.name,
+    tiles: this.tiles.map(function(tile) {
+      return { x: tile.x, y: tile.y };
+    }),
+    contiguous: this.isContiguous()
+  };
+};
+
 /*
  * Helpers
  */
@@ -751,5 +949,6 @@ exports.TXMapRecord = TXMapRecord;
 exports.OutpointMapRecord = OutpointMapRecord;
 exports.PathMapRecord = PathMapRecord;
 exports.TXRecord = TXRecord;
+exports.EstateRecord = EstateRecord;
 
 module.exports = exports;
@@ -0,0 +1,271 @@
+/*!
+ * swapoffer.js - tile-for-tile swap offers for decentraland
+ * Copyright (c) 2016-2017, Manuel Araoz (MIT License).
+ * Copyright (c) 2016-2017, The Decentraland Development Team (MIT License).
+ * https://github.com/decentraland/decentraland-node
+ */
+
+'use strict';
+
+var assert = require('assert');
+var util = require('../utils/util');
+var constants = require('../protocol/constants');
+var Network = require('../protocol/network');
+var MTX = require('../primitives/mtx');
+var Tile = require('../primitives/coin');
+var BufferReader = require('../utils/reader');
+var StaticWriter = require('../utils/staticwriter');
+
+/**
+ * A partially signed tile-for-tile swap.
+ *
+ * The maker spends their tile in input 0, pays it to the
+ * taker in output 0, and asks for the taker's tile in
+ * output 1. Consensus pairs every input with the output
+ * at the same index and coordinates, so SIGHASH_SINGLE
+ * would only cover the tile being given away. The maker
+ * signs with ALL|ANYONECANPAY instead: both outputs are
+ * committed to, and the taker can only complete the
+ * transaction by adding the requested tile as input 1.
+ * @exports SwapOffer
+ * @constructor
+ * @param {Object?} options
+ * @property {MTX} tx
+ * @property {Tile} coin - The offered tile.
+ */
+
+function SwapOffer(options) {
+  if (!(this instanceof SwapOffer))
+    return new SwapOffer(options);
+
+  this.tx = new MTX();
+  this.coin = new Tile();
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Signature hash type used by the maker.
+ * @const {SighashType}
+ * @default
+ */
+
+SwapOffer.HASH_TYPE = constants.hashType.ALL
+  | constants.hashType.ANYONECANPAY;
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ */
+
+SwapOffer.prototype.fromOptions = function fromOptions(options) {
+  assert(options.tx, 'Offer transaction is required.');
+  assert(options.coin, 'Offered tile is required.');
+
+  this.tx = options.tx;
+  this.coin = options.coin;
+
+  return this.init();
+};
+
+/**
+ * Instantiate swap offer from options.
+ * @param {Object} options
+ * @returns {SwapOffer}
+ */
+
+SwapOffer.fromOptions = function fromOptions(options) {
+  return new SwapOffer().fromOptions(options);
+};
+
+/**
+ * Sanity check the offer layout and make
+ * the offered tile available to the view.
+ * @private
+ */
+
+SwapOffer.prototype.init = function init() {
+  var input = this.tx.inputs[0];
+  var output = this.tx.outputs[0];
+
+  if (this.tx.inputs.length !== 1 || this.tx.outputs.length !== 2)
+    throw new Error('Offer must have one input and two outputs.');
+
+  this.coin.hash = input.prevout.hash;
+  this.coin.index = input.prevout.index;
+
+  if (this.coin.x !== output.x || this.coin.y !== output.y)
+    throw new Error('Offered tile does not match its output.');
+
+  this.tx.view.addCoin(this.coin);
+
+  return this;
+};
+
+/**
+ * Replace the offered tile carried by the offer with
+ * a trusted copy (e.g. from the chain), so that the
+ * signature is verified against the real coin.
+ * @param {Coin} coin
+ * @returns {SwapOffer}
+ */
+
+SwapOffer.prototype.setCoin = function setCoin(coin) {
+  this.tx = MTX.fromRaw(this.tx.toRaw());
+  this.coin = coin;
+  return this.init();
+};
+
+/**
+ * Get the output paying the offered tile to the taker.
+ * @returns {Output}
+ */
+
+SwapOffer.prototype.getOffered = function getOffered() {
+  return this.tx.outputs[0];
+};
+
+/**
+ * Get the output paying the requested tile to the maker.
+ * @returns {Output}
+ */
+
+SwapOffer.prototype.getWanted = function getWanted() {
+  return this.tx.outputs[1];
+};
+
+/**
+ * Test whether the maker's signature is valid.
+ * @returns {Boolean}
+ */
+
+SwapOffer.prototype.verify = function verify() {
+  var input = this.tx.inputs[0];
+  var sig;
+
+  if (!this.tx.verifyInput(0, this.coin))
+    return false;
+
+  sig = input.script.get(0);
+
+  if (!Buffer.isBuffer(sig) || sig.length === 0)
+    return false;
+
+  return sig[sig.length - 1] === SwapOffer.HASH_TYPE;
+};
+
+/**
+ * Convert the offer to a more user-friendly object.
+ * @returns {Object}
+ */
+
+SwapOffer.prototype.inspect = function inspect() {
+  return {
+    offered: this.getOffered(),
+    wanted: this.getWanted(),
+    coin: this.coin,
+    tx: this.tx
+  };
+};
+
+/**
+ * Convert the offer to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+SwapOffer.prototype.toJSON = function toJSON() {
+  return this.getJSON();
+};
+
+/**
+ * Convert the offer to an object suitable
+ * for JSON serialization.
+ * @param {Network?} network
+ * @returns {Object}
+ */
+
+SwapOffer.prototype.getJSON = function getJSON(network) {
+  network = Network.get(network);
+  return {
+    offered: outputJSON(this.getOffered(), network),
+    wanted: outputJSON(this.getWanted(), network),
+    maker: this.coin.getJSON(network).address,
+    prevout: {
+      hash: util.revHex(this.coin.hash),
+      index: this.coin.index
+    },
+    valid: this.verify(),
+    hex: this.toRaw().toString('hex')
+  };
+};
+
+/**
+ * Calculate serialization size.
+ * @returns {Number}
+ */
+
+SwapOffer.prototype.getSize = function getSize() {
+  return this.tx.getSize() + this.coin.getSize();
+};
+
+/**
+ * Serialize the offer: the transaction
+ * followed by the offered tile.
+ * @returns {Buffer}
+ */
+
+SwapOffer.prototype.toRaw = function toRaw() {
+  var bw = new StaticWriter(this.getSize());
+  bw.writeBytes(this.tx.toRaw());
+  this.coin.toWriter(bw);
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ */
+
+SwapOffer.prototype.fromRaw = function fromRaw(data) {
+  var br = new BufferReader(data);
+  this.tx = MTX.fromReader(br);
+  this.coin = Tile.fromReader(br);
+  return this.init();
+};
+
+/**
+ * Instantiate a swap offer from serialized data.
+ * @param {Buffer|String} data
+ * @param {String?} enc
+ * @returns {SwapOffer}
+ */
+
+SwapOffer.fromRaw = function fromRaw(data, enc) {
+  if (typeof data === 'string')
+    data = new Buffer(data, enc);
+  return new SwapOffer().fromRaw(data);
+};
+
+/*
+ * Helpers
+ */
+
+function outputJSON(output, network) {
+  var address = output.getAddress();
+  return {
+    x: output.x,
+    y: output.y,
+    content: output.content.toString('hex'),
+    address: address ? address.toBase58(network) : null
+  };
+}
+
+/*
+ * Expose
+ */
+
+module.exports = SwapOffer;
@@ -83,9 +83,9 @@ TXDB.prototype.open = co(function* open() {
     this.state.tx, this.state.coin);
 
   this.logger.info(
-    'Balance: unconfirmed=%s confirmed=%s.',
-    Amount.btc(this.state.unconfirmed),
-    Amount.btc(this.state.confirmed));
+    'Balance: unconfirmed=%d confirmed=%d tiles.',
+    this.state.unconfirmed,
+    this.state.confirmed);
 });
 
 /**
@@ -303,6 +303,12 @@ TXDB.prototype.saveCredit = co(function* saveCredit(credit, path) {
   this.put(layout.c(coin.hash, coin.index), raw);
   this.put(layout.C(path.account, coin.hash, coin.index), DUMMY);
 
+  // Only tiles we can still spend are ours.
+  if (credit.spent)
+    this.del(layout.x(coin.x, coin.y, coin.hash, coin.index));
+  else
+    this.put(layout.x(coin.x, coin.y, coin.hash, coin.index), DUMMY);
+
   this.coinCache.push(key, raw);
 });
 
@@ -320,6 +326,7 @@ TXDB.prototype.removeCredit = co(function* removeCredit(credit, path) {
 
   this.del(layout.c(coin.hash, coin.index));
   this.del(layout.C(path.account, coin.hash, coin.index));
+  this.del(layout.x(coin.x, coin.y, coin.hash, coin.index));
 
   this.coinCache.unpush(key);
 });
@@ -416,7 +423,7 @@ TXDB.prototype.resolveInput = co(function* resolveInput(tx, index, height, path)
     credit.spent = true;
     yield this.saveCredit(credit, path);
     if (height !== -1)
-      this.pending.confirmed += credit.coin.value || 1;
+      this.pending.confirmed += tileCount(credit.coin);
   }
 
   return true;
@@ -856,7 +863,7 @@ TXDB.prototype.insert = co(function* insert(wtx, block) {
       // balance _and_ mempool balance assuming
       // everything in the mempool were to confirm.
       this.pending.coin--;
-      this.pending.unconfirmed -= coin.value || 1;
+      this.pending.unconfirmed -= tileCount(coin);
 
       if (!block) {
         // If the tx is not mined, we do not
@@ -875,7 +882,7 @@ TXDB.prototype.insert = co(function* insert(wtx, block) {
         // coin will be indexed as an undo
         // coin so it can be reconnected
         // later during a reorg.
-        this.pending.confirmed -= coin.value || 1;
+        this.pending.confirmed -= tileCount(coin);
         yield this.removeCredit(credit, path);
       }
 
@@ -903,10 +910,10 @@ TXDB.prototype.insert = co(function* insert(wtx, block) {
     credit = Credit.fromTX(tx, i, height);
 
     this.pending.coin++;
-    this.pending.unconfirmed += output.value || 1;
+    this.pending.unconfirmed += tileCount(output);
 
     if (block)
-      this.pending.confirmed += output.value || 1;
+      this.pending.confirmed += tileCount(output);
 
     yield this.saveCredit(credit, path);
 
@@ -921,6 +928,10 @@ TXDB.prototype.insert = co(function* insert(wtx, block) {
     return;
   }
 
+  // Estates moved away by a mined tx are gone.
+  if (block)
+    yield this.removeEstates(tx, details);
+
   // Save and index the transaction record.
   this.put(layout.t(hash), wtx.toRaw());
   this.put(layout.m(wtx.ps, hash), DUMMY);
@@ -1052,7 +1063,7 @@ TXDB.prototype._confirm = co(function* confirm(wtx, block) {
         this.spendCredit(credit, tx, i);
 
         this.pending.coin--;
-        this.pending.unconfirmed -= credit.coin.value || 1;
+        this.pending.unconfirmed -= tileCount(credit.coin);
       }
 
       coin = credit.coin;
@@ -1067,7 +1078,7 @@ TXDB.prototype._confirm = co(function* confirm(wtx, block) {
       // We can now safely remove the credit
       // entirely, now that we know it's also
       // been removed on-chain.
-      this.pending.confirmed -= coin.value || 1;
+      this.pending.confirmed -= tileCount(coin);
 
       yield this.removeCredit(credit, path);
     }
@@ -1098,11 +1109,14 @@ TXDB.prototype._confirm = co(function* confirm(wtx, block) {
     coin = credit.coin;
     coin.height = height;
 
-    this.pending.confirmed += output.value || 1;
+    this.pending.confirmed += tileCount(output);
 
     yield this.saveCredit(credit, path);
   }
 
+  // Estates moved away by the tx are gone.
+  yield this.removeEstates(tx, details);
+
   // Remove the RBF index if we have one.
   this.del(layout.r(hash));
 
@@ -1136,6 +1150,55 @@ TXDB.prototype._confirm = co(function* confirm(wtx, block) {
   return details;
 });
 
+/**
+ * Remove the estates whose tiles all leave the wallet
+ * in a mined transaction. Estates are kept while the
+ * transaction is unconfirmed, so that a transfer which
+ * never makes it into a block leaves them in place.
+ * @private
+ * @param {TX} tx
+ * @param {Details} details
+ * @returns {Promise}
+ */
+
+TXDB.prototype.removeEstates = co(function* removeEstates(tx, details) {
+  var moved = {};
+  var spends = false;
+  var i, j, output, estates, estate, tile, gone;
+
+  for (i = 0; i < details.inputs.length; i++) {
+    if (details.inputs[i].path)
+      spends = true;
+  }
+
+  if (!spends)
+    return;
+
+  for (i = 0; i < tx.outputs.length; i++) {
+    output = tx.outputs[i];
+    if (!details.outputs[i].path)
+      moved[output.x + ',' + output.y] = true;
+  }
+
+  estates = yield this.walletdb.getEstates(this.wallet.wid);
+
+  for (i = 0; i < estates.length; i++) {
+    estate = estates[i];
+    gone = true;
+
+    for (j = 0; j < estate.tiles.length; j++) {
+      tile = estate.tiles[j];
+      if (!moved[tile.x + ',' + tile.y]) {
+        gone = false;
+        break;
+      }
+    }
+
+    if (gone)
+      this.walletdb.removeEstate(this.wallet, estate.name);
+  }
+});
+
 /**
  * Recursively remove a transaction
  * from the database.
@@ -1196,10 +1259,10 @@ TXDB.prototype.erase = co(function* erase(wtx, block) {
       // from stxo set, remove the undo
       // coin, and resave the credit.
       this.pending.coin++;
-      this.pending.unconfirmed += coin.value || 1;
+      this.pending.unconfirmed += tileCount(coin);
 
       if (block)
-        this.pending.confirmed += coin.value || 1;
+        this.pending.confirmed += tileCount(coin);
 
       this.unspendCredit(tx, i);
       yield this.saveCredit(credit, path);
@@ -1220,10 +1283,10 @@ TXDB.prototype.erase = co(function* erase(wtx, block) {
     credit = Credit.fromTX(tx, i, height);
 
     this.pending.coin--;
-    this.pending.unconfirmed -= output.value || 1;
+    this.pending.unconfirmed -= tileCount(output);
 
     if (block)
-      this.pending.confirmed -= output.value || 1;
+      this.pending.confirmed -= tileCount(output);
 
     yield this.removeCredit(credit, path);
   }
@@ -1390,7 +1453,7 @@ TXDB.prototype.disconnect = co(function* disconnect(wtx, block) {
 
       details.setInput(i, path, coin);
 
-      this.pending.confirmed += coin.value || 1;
+      this.pending.confirmed += tileCount(coin);
 
       // Resave the credit and mark it
       // as spent in the mempool instead.
@@ -1426,7 +1489,7 @@ TXDB.prototype.disconnect = co(function* disconnect(wtx, block) {
     coin = credit.coin;
     coin.height = -1;
 
-    this.pending.confirmed -= output.value || 1;
+    this.pending.confirmed -= tileCount(output);
 
     yield this.saveCredit(credit, path);
   }
@@ -2162,6 +2225,91 @@ TXDB.prototype.getAccountCoins = co(function* getAccountCoins(account) {
   return coins;
 });
 
+/**
+ * Get outpoints of unspent coins on tiles within a
+ * range, ordered by x then y.
+ * @private
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @returns {Promise} - Returns {@link Outpoint}[].
+ */
+
+TXDB.prototype.getTileOutpoints = function getTileOutpoints(x0, y0, x1, y1) {
+  return this.keys({
+    gte: layout.x(x0, y0, constants.NULL_HASH, 0x00000000),
+    lte: layout.x(x1, y1, constants.HIGH_HASH, 0xffffffff),
+    parse: function(key) {
+      var parts = layout.xx(key);
+      return new Outpoint(parts[2], parts[3]);
+    }
+  });
+};
+
+/**
+ * Get all tiles owned by the wallet, ordered by x then y.
+ * @param {Number?} account
+ * @returns {Promise} - Returns {@link Coin}[].
+ */
+
+TXDB.prototype.getTiles = co(function* getTiles(account) {
+  var outpoints = yield this.getTileOutpoints(
+    -0x80000000, -0x80000000,
+    0x7fffffff, 0x7fffffff);
+  var tiles = [];
+  var i, prevout, coin, path;
+
+  for (i = 0; i < outpoints.length; i++) {
+    prevout = outpoints[i];
+    coin = yield this.getCoin(prevout.hash, prevout.index);
+
+    if (!coin)
+      continue;
+
+    if (account != null) {
+      path = yield this.getPath(coin);
+      if (!path || path.account !== account)
+        continue;
+    }
+
+    tiles.push(coin);
+  }
+
+  return tiles;
+});
+
+/**
+ * Get the coin for a tile owned by the wallet.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link Coin}.
+ */
+
+TXDB.prototype.getTile = co(function* getTile(x, y) {
+  var outpoints = yield this.getTileOutpoints(x, y, x, y);
+  var i, prevout, coin;
+
+  for (i = 0; i < outpoints.length; i++) {
+    prevout = outpoints[i];
+    coin = yield this.getCoin(prevout.hash, prevout.index);
+    if (coin)
+      return coin;
+  }
+});
+
+/**
+ * Test whether the wallet owns a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns Boolean.
+ */
+
+TXDB.prototype.hasTile = co(function* hasTile(x, y) {
+  var outpoints = yield this.getTileOutpoints(x, y, x, y);
+  return outpoints.length > 0;
+});
+
 /**
  * Get historical coins for a transaction.
  * @param {TX} tx
@@ -2510,10 +2658,10 @@ TXDB.prototype.getWalletBalance = co(function* getWalletBalance() {
     coin = credit.coin;
 
     if (coin.height !== -1)
-      balance.confirmed += coin.value || 1;
+      balance.confirmed += tileCount(coin);
 
     if (!credit.spent)
-      balance.unconfirmed += coin.value || 1;
+      balance.unconfirmed += tileCount(coin);
   }
 
   return balance;
@@ -2535,10 +2683,10 @@ TXDB.prototype.getAccountBalance = co(function* getAccountBalance(account) {
     coin = credit.coin;
 
     if (coin.height !== -1)
-      balance.confirmed += coin.value || 1;
+      balance.confirmed += tileCount(coin);
 
     if (!credit.spent)
-      balance.unconfirmed += coin.value || 1;
+      balance.unconfirmed += tileCount(coin);
   }
 
   return balance;
@@ -2603,6 +2751,8 @@ TXDB.prototype.abandon = co(function* abandon(hash) {
  * @param {WalletID} wid
  * @param {String} id
  * @param {Number} account
+ * @property {Number} unconfirmed - Tiles owned, including mempool.
+ * @property {Number} confirmed - Tiles owned on chain.
  */
 
 function Balance(wid, id, account) {
@@ -2639,8 +2789,8 @@ Balance.prototype.toJSON = function toJSON(minimal) {
     wid: !minimal ? this.wid : undefined,
     id: !minimal ? this.id : undefined,
     account: !minimal ? this.account : undefined,
-    unconfirmed: Amount.btc(this.unconfirmed),
-    confirmed: Amount.btc(this.confirmed)
+    unconfirmed: this.unconfirmed,
+    confirmed: this.confirmed
   };
 };
 
@@ -2651,8 +2801,8 @@ Balance.prototype.toJSON = function toJSON(minimal) {
 
 Balance.prototype.toString = function toString() {
   return '<Balance'
-    + ' unconfirmed=' + Amount.btc(this.unconfirmed)
-    + ' confirmed=' + Amount.btc(this.confirmed)
+    + ' unconfirmed=' + this.unconfirmed
+    + ' confirmed=' + this.confirmed
     + '>';
 };
 
@@ -2772,8 +2922,8 @@ TXDBState.prototype.toJSON = function toJSON(minimal) {
     id: !minimal ? this.id : undefined,
     tx: this.tx,
     coin: this.coin,
-    unconfirmed: Amount.btc(this.unconfirmed),
-    confirmed: Amount.btc(this.confirmed)
+    unconfirmed: this.unconfirmed,
+    confirmed: this.confirmed
   };
 };
 
@@ -2933,7 +3083,7 @@ Details.prototype.init = function init() {
   for (i = 0; i < this.tx.outputs.length; i++) {
     output = this.tx.outputs[i];
     member = new DetailsMember();
-    member.value = output.value || 1;
+    member.value = tileCount(output);
     member.address = output.getAddress();
     this.outputs.push(member);
   }
@@ -2950,7 +3100,7 @@ Details.prototype.setInput = function setInput(i, path, coin) {
   var member = this.inputs[i];
 
   if (coin) {
-    member.value = coin.value || 1;
+    member.value = tileCount(coin);
     member.address = coin.getAddress();
   }
 
@@ -3011,12 +3161,12 @@ Details.prototype.getFee = function getFee() {
     if (!input.path)
       return 0;
 
-    inputValue += input.value || 1;
+    inputValue += tileCount(input);
   }
 
   for (i = 0; i < this.outputs.length; i++) {
     output = this.outputs[i];
-    outputValue += output.value || 1;
+    outputValue += tileCount(output);
   }
 
   return inputValue - outputValue;
@@ -3291,6 +3441,16 @@ function cmp(a, b) {
   return a - b;
 }
 
+/*
+ * Balances count tiles rather than amounts. Tile
+ * outputs carry no value, so each one counts as
+ * a single tile (see migrate/walletdb6to7.js).
+ */
+
+function tileCount(item) {
+  return item.value || 1;
+}
+
 /*
  * Expose
  */
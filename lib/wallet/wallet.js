@@ -33,6 +33,8 @@ var Output = require('../primitives/output');
 var Account = require('./account');
 var MasterKey = require('./masterkey');
 var LRU = require('../utils/lru');
+var SwapOffer = require('./swapoffer');
+var EstateRecord = require('./records').EstateRecord;
 
 /**
  * BIP44 Wallet
@@ -1597,6 +1599,236 @@ Wallet.prototype.createTransferTX = co(function* createTX(options, force) {
   return tx.toTX();
 });
 
+/**
+ * Build a transaction spending several owned tiles
+ * at once. Every tile gets one input and a matching
+ * output, which can carry new content, a new owner,
+ * or both.
+ * @param {Object[]} tiles
+ * @param {Number} tiles.x
+ * @param {Number} tiles.y
+ * @param {Buffer?} tiles.content - New content hash.
+ * @param {(Address|Base58Address)?} tiles.address - New owner.
+ * @returns {Promise} - Returns {@link MTX}.
+ */
+
+Wallet.prototype.createTileTX = co(function* createTileTX(tiles) {
+  var seen = {};
+  var i, mtx, tile, key, coin, output;
+
+  assert(Array.isArray(tiles), 'Tiles must be an array.');
+
+  if (tiles.length === 0)
+    throw new Error('No tiles provided.');
+
+  mtx = new MTX();
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+    key = tile.x + ',' + tile.y;
+
+    assert(util.isInt32(tile.x) && util.isInt32(tile.y),
+      'Coordinates must be int32s.');
+
+    if (seen[key])
+      throw new Error('Duplicate tile: ' + key + '.');
+
+    seen[key] = true;
+
+    coin = yield this.getTile(tile.x, tile.y);
+
+    if (!coin)
+      throw new Error('Tile not owned: ' + key + '.');
+
+    output = new Output();
+    output.x = coin.x;
+    output.y = coin.y;
+    output.content = tile.content || coin.content;
+
+    if (tile.address)
+      output.script.fromAddress(tile.address);
+    else
+      output.script = coin.script;
+
+    mtx.addInput(coin);
+    mtx.outputs.push(output);
+  }
+
+  return mtx;
+});
+
+/**
+ * Build, sign and send a transaction spending
+ * several owned tiles at once.
+ * @param {Object[]} tiles - See {@link Wallet#createTileTX}.
+ * @param {(String|Buffer)?} passphrase
+ * @returns {Promise} - Returns {@link TX}.
+ */
+
+Wallet.prototype.sendTiles = co(function* sendTiles(tiles, passphrase) {
+  var unlock = yield this.fundLock.lock();
+  try {
+    return yield this._sendTiles(tiles, passphrase);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Build, sign and send a tile transaction without a lock.
+ * @private
+ * @param {Object[]} tiles
+ * @param {(String|Buffer)?} passphrase
+ * @returns {Promise} - Returns {@link TX}.
+ */
+
+Wallet.prototype._sendTiles = co(function* sendTiles(tiles, passphrase) {
+  var mtx = yield this.createTileTX(tiles);
+  var tx;
+
+  yield this.sign(mtx, passphrase);
+
+  if (!mtx.isSigned())
+    throw new Error('TX could not be fully signed.');
+
+  tx = mtx.toTX();
+
+  if (tx.getWeight() > constants.tx.MAX_WEIGHT)
+    throw new Error('TX exceeds policy weight.');
+
+  yield this.db.addTX(tx);
+
+  this.logger.debug('Sending wallet tile tx (%s): %s', this.id, tx.txid());
+
+  yield this.db.send(tx);
+
+  return tx;
+});
+
+/**
+ * Offer one of our tiles in exchange for someone
+ * else's. The offered tile is paid to the taker and
+ * the requested one to our receive address. Only our
+ * own input is signed, see {@link SwapOffer}.
+ * @param {Object} options
+ * @param {Number} options.x - Offered tile.
+ * @param {Number} options.y - Offered tile.
+ * @param {Object} options.want - Requested tile.
+ * @param {Number} options.want.x
+ * @param {Number} options.want.y
+ * @param {Buffer?} options.want.content - Content hash the
+ * requested tile should carry after the swap.
+ * @param {Address|Base58Address} options.address - Taker.
+ * @param {(String|Buffer)?} passphrase
+ * @returns {Promise} - Returns {@link SwapOffer}.
+ */
+
+Wallet.prototype.createSwapOffer = co(function* createSwapOffer(options, passphrase) {
+  var want = options.want;
+  var mtx, coin, output;
+
+  assert(want, 'Requested tile is required.');
+  assert(util.isInt32(want.x) && util.isInt32(want.y),
+    'Coordinates must be int32s.');
+  assert(options.address, 'Taker address is required.');
+
+  if (want.x === options.x && want.y === options.y)
+    throw new Error('Cannot swap a tile for itself.');
+
+  if (yield this.hasTile(want.x, want.y))
+    throw new Error('Requested tile is already owned.');
+
+  mtx = yield this.createTileTX([{
+    x: options.x,
+    y: options.y,
+    address: options.address
+  }]);
+
+  coin = mtx.view.getCoin(mtx.inputs[0]);
+
+  output = new Output();
+  output.x = want.x;
+  output.y = want.y;
+  output.content = want.content || new Buffer(constants.IPFS_NULL_HASH, 'hex');
+  output.script.fromAddress(this.getReceive());
+  mtx.outputs.push(output);
+
+  yield this.sign(mtx, passphrase, SwapOffer.HASH_TYPE);
+
+  if (!mtx.isSigned())
+    throw new Error('Offer could not be signed.');
+
+  return new SwapOffer({ tx: mtx, coin: coin });
+});
+
+/**
+ * Complete a swap offer with the requested tile,
+ * sign our input and broadcast the transaction.
+ * The offered tile must be paid to this wallet. The
+ * wallet can't see other people's coins: callers with
+ * a chain should first replace the offered coin with
+ * the unspent one (see {@link SwapOffer#setCoin}).
+ * @param {SwapOffer} offer
+ * @param {(String|Buffer)?} passphrase
+ * @returns {Promise} - Returns {@link TX}.
+ */
+
+Wallet.prototype.acceptSwapOffer = co(function* acceptSwapOffer(offer, passphrase) {
+  var unlock = yield this.fundLock.lock();
+  try {
+    return yield this._acceptSwapOffer(offer, passphrase);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Complete a swap offer without a lock.
+ * @private
+ * @param {SwapOffer} offer
+ * @param {(String|Buffer)?} passphrase
+ * @returns {Promise} - Returns {@link TX}.
+ */
+
+Wallet.prototype._acceptSwapOffer = co(function* acceptSwapOffer(offer, passphrase) {
+  var offered = offer.getOffered();
+  var wanted = offer.getWanted();
+  var mtx = MTX.fromRaw(offer.tx.toRaw());
+  var coin, tx;
+
+  if (!offer.verify())
+    throw new Error('Offer is not validly signed.');
+
+  if (!(yield this.hasAddress(offered.getAddress())))
+    throw new Error('Offered tile is not paid to this wallet.');
+
+  coin = yield this.getTile(wanted.x, wanted.y);
+
+  if (!coin)
+    throw new Error('Tile not owned: ' + wanted.x + ',' + wanted.y + '.');
+
+  mtx.view.addCoin(offer.coin);
+  mtx.addInput(coin);
+
+  yield this.sign(mtx, passphrase);
+
+  if (!mtx.isSigned())
+    throw new Error('TX could not be fully signed.');
+
+  tx = mtx.toTX();
+
+  if (tx.getWeight() > constants.tx.MAX_WEIGHT)
+    throw new Error('TX exceeds policy weight.');
+
+  yield this.db.addTX(tx);
+
+  this.logger.debug('Sending wallet swap tx (%s): %s', this.id, tx.txid());
+
+  yield this.db.send(tx);
+
+  return tx;
+});
+
 /**
  * Build a transaction, fill it with outputs and inputs,
  * sort the members according to BIP69, set locktime,
@@ -2131,11 +2363,12 @@ Wallet.prototype.template = co(function* template(tx) {
  * to build/sign inputs that are redeemable by this wallet.
  * @param {MTX} tx
  * @param {Object|String|Buffer} options - Options or passphrase.
+ * @param {SighashType?} type
  * @returns {Promise} - Returns Number (total number
  * of inputs scripts built and signed).
  */
 
-Wallet.prototype.sign = co(function* sign(tx, passphrase) {
+Wallet.prototype.sign = co(function* sign(tx, passphrase, type) {
   var rings;
 
   if (this.watchOnly)
@@ -2145,7 +2378,7 @@ Wallet.prototype.sign = co(function* sign(tx, passphrase) {
 
   rings = yield this.deriveInputs(tx);
 
-  return yield tx.signAsync(rings);
+  return yield tx.signAsync(rings, type);
 });
 
 /**
@@ -2417,6 +2650,407 @@ Wallet.prototype.getCoins = co(function* getCoins(acct) {
   return yield this.txdb.getCoins(account);
 });
 
+/**
+ * Get all tiles owned by the wallet.
+ * @param {(String|Number)?} account
+ * @returns {Promise} - Returns {@link Coin}[].
+ */
+
+Wallet.prototype.getTiles = co(function* getTiles(acct) {
+  var account = yield this.ensureIndex(acct);
+  return yield this.txdb.getTiles(account);
+});
+
+/**
+ * Get the coin of a tile owned by the wallet.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link Coin}.
+ */
+
+Wallet.prototype.getTile = function getTile(x, y) {
+  return this.txdb.getTile(x, y);
+};
+
+/**
+ * Test whether the wallet owns a tile.
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns Boolean.
+ */
+
+Wallet.prototype.hasTile = function hasTile(x, y) {
+  return this.txdb.hasTile(x, y);
+};
+
+/**
+ * Get an estate.
+ * @param {String} name
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype.getEstate = function getEstate(name) {
+  return this.db.getEstate(this.wid, name);
+};
+
+/**
+ * Get all estates of the wallet.
+ * @returns {Promise} - Returns {@link EstateRecord}[].
+ */
+
+Wallet.prototype.getEstates = function getEstates() {
+  return this.db.getEstates(this.wid);
+};
+
+/**
+ * Create an estate: a named group of contiguous
+ * tiles owned by the wallet, managed as one unit.
+ * A tile belongs to at most one estate.
+ * @param {String} name
+ * @param {Object[]} tiles - `{x, y}`.
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype.createEstate = co(function* createEstate(name, tiles) {
+  var unlock = yield this.writeLock.lock();
+  try {
+    return yield this._createEstate(name, tiles);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Create an estate without a lock.
+ * @private
+ * @param {String} name
+ * @param {Object[]} tiles
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype._createEstate = co(function* createEstate(name, tiles) {
+  var estate, i, tile;
+
+  if (!common.isName(name))
+    throw new Error('Bad estate name.');
+
+  assert(Array.isArray(tiles), 'Tiles must be an array.');
+
+  if (tiles.length === 0)
+    throw new Error('No tiles provided.');
+
+  if (yield this.getEstate(name))
+    throw new Error('Estate name not available.');
+
+  estate = new EstateRecord(this.wid, name);
+
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+
+    assert(util.isInt32(tile.x) && util.isInt32(tile.y),
+      'Coordinates must be int32s.');
+
+    if (!estate.addTile(tile.x, tile.y))
+      throw new Error('Duplicate tile: ' + tile.x + ',' + tile.y + '.');
+
+    yield this.checkEstateTile(tile.x, tile.y);
+  }
+
+  if (!estate.isContiguous())
+    throw new Error('Estate tiles are not contiguous.');
+
+  this.start();
+
+  this.db.saveEstate(this, estate);
+
+  yield this.commit();
+
+  return estate;
+});
+
+/**
+ * Add a tile to an estate. The tile must be owned by
+ * the wallet, adjacent to the estate, and not already
+ * part of another estate.
+ * @param {String} name
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype.addEstateTile = co(function* addEstateTile(name, x, y) {
+  var unlock = yield this.writeLock.lock();
+  try {
+    return yield this._addEstateTile(name, x, y);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Add a tile to an estate without a lock.
+ * @private
+ * @param {String} name
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype._addEstateTile = co(function* addEstateTile(name, x, y) {
+  var estate = yield this.getEstate(name);
+
+  if (!estate)
+    throw new Error('Estate not found.');
+
+  assert(util.isInt32(x) && util.isInt32(y), 'Coordinates must be int32s.');
+
+  yield this.checkEstateTile(x, y);
+
+  estate.addTile(x, y);
+
+  if (!estate.isContiguous())
+    throw new Error('Tile is not adjacent to the estate.');
+
+  this.start();
+
+  this.db.saveEstate(this, estate);
+
+  yield this.commit();
+
+  return estate;
+});
+
+/**
+ * Remove a tile from an estate. The remaining
+ * tiles must still be contiguous.
+ * @param {String} name
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype.removeEstateTile = co(function* removeEstateTile(name, x, y) {
+  var unlock = yield this.writeLock.lock();
+  try {
+    return yield this._removeEstateTile(name, x, y);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Remove a tile from an estate without a lock.
+ * @private
+ * @param {String} name
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype._removeEstateTile = co(function* removeEstateTile(name, x, y) {
+  var estate = yield this.getEstate(name);
+
+  if (!estate)
+    throw new Error('Estate not found.');
+
+  if (!estate.removeTile(x, y))
+    throw new Error('Tile not in estate: ' + x + ',' + y + '.');
+
+  if (estate.tiles.length === 0)
+    throw new Error('Cannot remove the last tile of an estate.');
+
+  if (!estate.isContiguous())
+    throw new Error('Removing the tile would split the estate.');
+
+  this.start();
+
+  this.db.saveEstate(this, estate);
+
+  yield this.commit();
+
+  return estate;
+});
+
+/**
+ * Rename an estate.
+ * @param {String} name
+ * @param {String} newName
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype.renameEstate = co(function* renameEstate(name, newName) {
+  var unlock = yield this.writeLock.lock();
+  try {
+    return yield this._renameEstate(name, newName);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Rename an estate without a lock.
+ * @private
+ * @param {String} name
+ * @param {String} newName
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+Wallet.prototype._renameEstate = co(function* renameEstate(name, newName) {
+  var estate;
+
+  if (!common.isName(newName))
+    throw new Error('Bad estate name.');
+
+  estate = yield this.getEstate(name);
+
+  if (!estate)
+    throw new Error('Estate not found.');
+
+  if (yield this.getEstate(newName))
+    throw new Error('Estate name not available.');
+
+  this.start();
+
+  this.db.removeEstate(this, estate.name);
+  estate.name = newName;
+  this.db.saveEstate(this, estate);
+
+  yield this.commit();
+
+  return estate;
+});
+
+/**
+ * Remove an estate. Its tiles are left untouched.
+ * @param {String} name
+ * @returns {Promise} - Returns Boolean.
+ */
+
+Wallet.prototype.removeEstate = co(function* removeEstate(name) {
+  var unlock = yield this.writeLock.lock();
+  try {
+    return yield this._removeEstate(name);
+  } finally {
+    unlock();
+  }
+});
+
+/**
+ * Remove an estate without a lock.
+ * @private
+ * @param {String} name
+ * @returns {Promise} - Returns Boolean.
+ */
+
+Wallet.prototype._removeEstate = co(function* removeEstate(name) {
+  if (!(yield this.getEstate(name)))
+    return false;
+
+  this.start();
+
+  this.db.removeEstate(this, name);
+
+  yield this.commit();
+
+  return true;
+});
+
+/**
+ * Ensure a tile can join an estate: it must be owned
+ * by the wallet and not belong to another estate.
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Promise}
+ */
+
+Wallet.prototype.checkEstateTile = co(function* checkEstateTile(x, y) {
+  var estates, i;
+
+  if (!(yield this.hasTile(x, y)))
+    throw new Error('Tile not owned: ' + x + ',' + y + '.');
+
+  estates = yield this.getEstates();
+
+  for (i = 0; i < estates.length; i++) {
+    if (estates[i].hasTile(x, y)) {
+      throw new Error(util.fmt('Tile %d,%d already belongs to estate %s.',
+        x, y, estates[i].name));
+    }
+  }
+});
+
+/**
+ * Find the estates whose tiles are no longer all
+ * owned by the wallet, for example after one of
+ * them was transferred on its own.
+ * @returns {Promise} - Returns Object[] (`{estate, missing}`,
+ * where `missing` lists the tiles the wallet lost).
+ */
+
+Wallet.prototype.checkEstates = co(function* checkEstates() {
+  var estates = yield this.getEstates();
+  var result = [];
+  var i, j, estate, tile, missing;
+
+  for (i = 0; i < estates.length; i++) {
+    estate = estates[i];
+    missing = [];
+
+    for (j = 0; j < estate.tiles.length; j++) {
+      tile = estate.tiles[j];
+      if (!(yield this.hasTile(tile.x, tile.y)))
+        missing.push({ x: tile.x, y: tile.y });
+    }
+
+    if (missing.length > 0)
+      result.push({ estate: estate, missing: missing });
+  }
+
+  return result;
+});
+
+/**
+ * Point every tile of an estate to the same
+ * content, in a single transaction.
+ * @param {String} name
+ * @param {Buffer} content - Content hash.
+ * @param {(String|Buffer)?} passphrase
+ * @returns {Promise} - Returns {@link TX}.
+ */
+
+Wallet.prototype.sendEstateContent = co(function* sendEstateContent(name, content, passphrase) {
+  var estate = yield this.getEstate(name);
+
+  if (!estate)
+    throw new Error('Estate not found.');
+
+  return yield this.sendTiles(estate.tiles.map(function(tile) {
+    return { x: tile.x, y: tile.y, content: content };
+  }), passphrase);
+});
+
+/**
+ * Transfer every tile of an estate to an address,
+ * in a single transaction. The estate is removed
+ * from the wallet once the transaction confirms.
+ * @param {String} name
+ * @param {Address|Base58Address} address
+ * @param {(String|Buffer)?} passphrase
+ * @returns {Promise} - Returns {@link TX}.
+ */
+
+Wallet.prototype.transferEstate = co(function* transferEstate(name, address, passphrase) {
+  var estate = yield this.getEstate(name);
+
+  if (!estate)
+    throw new Error('Estate not found.');
+
+  return yield this.sendTiles(estate.tiles.map(function(tile) {
+    return { x: tile.x, y: tile.y, address: address };
+  }), passphrase);
+});
+
 /**
  * Get all pending/unconfirmed transactions.
  * @param {(String|Number)?} acct
@@ -36,6 +36,7 @@ var BlockMeta = records.BlockMeta;
 var PathMapRecord = records.PathMapRecord;
 var OutpointMapRecord = records.OutpointMapRecord;
 var TXRecord = records.TXRecord;
+var EstateRecord = records.EstateRecord;
 var U32 = encoding.U32;
 var cob = co.cob;
 var DUMMY = new Buffer([0]);
@@ -120,7 +121,7 @@ WalletDB.layout = layout;
 
 WalletDB.prototype._open = co(function* open() {
   yield this.db.open();
-  yield this.db.checkVersion('V', 6);
+  yield this.db.checkVersion('V', 7);
 
   this.depth = yield this.getDepth();
 
@@ -224,6 +225,14 @@ WalletDB.prototype.bind = function bind() {
   this.client.on('chain reset', function(tip) {
     self.resetChain(tip).catch(self.onError);
   });
+
+  this.client.on('tile connect', function(change) {
+    self.notifyTile(change).catch(self.onError);
+  });
+
+  this.client.on('tile disconnect', function(change) {
+    self.notifyTile(change).catch(self.onError);
+  });
 };
 
 /**
@@ -1124,6 +1133,61 @@ WalletDB.prototype.hasAccount = function hasAccount(wid, index) {
   return this.db.has(layout.a(wid, index));
 };
 
+/**
+ * Get an estate from the database.
+ * @param {WalletID} wid
+ * @param {String} name
+ * @returns {Promise} - Returns {@link EstateRecord}.
+ */
+
+WalletDB.prototype.getEstate = co(function* getEstate(wid, name) {
+  var data = yield this.db.get(layout.e(wid, name));
+
+  if (!data)
+    return;
+
+  return EstateRecord.fromRaw(wid, name, data);
+});
+
+/**
+ * List the estates of a wallet.
+ * @param {WalletID} wid
+ * @returns {Promise} - Returns {@link EstateRecord}[].
+ */
+
+WalletDB.prototype.getEstates = function getEstates(wid) {
+  return this.db.range({
+    gte: layout.e(wid, ''),
+    lte: layout.e(wid, '\x7f'),
+    parse: function(key, value) {
+      var name = layout.ee(key)[1];
+      return EstateRecord.fromRaw(wid, name, value);
+    }
+  });
+};
+
+/**
+ * Save an estate to the database.
+ * @param {Wallet} wallet
+ * @param {EstateRecord} estate
+ */
+
+WalletDB.prototype.saveEstate = function saveEstate(wallet, estate) {
+  var batch = this.batch(wallet);
+  batch.put(layout.e(estate.wid, estate.name), estate.toRaw());
+};
+
+/**
+ * Remove an estate from the database.
+ * @param {Wallet} wallet
+ * @param {String} name
+ */
+
+WalletDB.prototype.removeEstate = function removeEstate(wallet, name) {
+  var batch = this.batch(wallet);
+  batch.del(layout.e(wallet.wid, name));
+};
+
 /**
  * Lookup the corresponding account name's index.
  * @param {WalletID} wid
@@ -1499,6 +1563,46 @@ WalletDB.prototype.resend = co(function* resend() {
     yield this.send(txs[i]);
 });
 
+/**
+ * Emit a `tile` event for each wallet owning
+ * a tile before or after it changed.
+ * @param {TileChange} change
+ * @returns {Promise}
+ */
+
+WalletDB.prototype.notifyTile = co(function* notifyTile(change) {
+  var owners = [change.prevOwner, change.owner];
+  var result = [];
+  var i, j, hash, map, wallet;
+
+  for (i = 0; i < owners.length; i++) {
+    if (!owners[i])
+      continue;
+
+    hash = owners[i].getHash('hex');
+
+    if (!this.testFilter(hash))
+      continue;
+
+    map = yield this.getPathMap(hash);
+
+    if (!map)
+      continue;
+
+    for (j = 0; j < map.wids.length; j++)
+      util.binaryInsert(result, map.wids[j], cmp, true);
+  }
+
+  for (i = 0; i < result.length; i++) {
+    wallet = yield this.get(result[i]);
+
+    if (!wallet)
+      continue;
+
+    this.emit('tile', wallet.id, change);
+  }
+});
+
 /**
  * Get all wallet ids by output addresses and outpoints.
  * @param {Hash[]} hashes
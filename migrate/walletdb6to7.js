@@ -0,0 +1,154 @@
+var assert = require('assert');
+var decentraland = require('../');
+var Coin = require('../lib/primitives/coin');
+var BufferReader = require('../lib/utils/reader');
+var util = require('../lib/utils/util');
+var encoding = require('../lib/utils/encoding');
+var layout = require('../lib/wallet/layout').txdb;
+var co = decentraland.co;
+var file = process.argv[2];
+var db, batch;
+
+assert(typeof file === 'string', 'Please pass in a database path.');
+
+file = file.replace(/\.ldb\/?$/, '');
+
+db = decentraland.ldb({
+  location: file,
+  db: 'leveldb',
+  compression: true,
+  cacheSize: 32 << 20,
+  createIfMissing: false,
+  bufferKeys: true
+});
+
+var updateVersion = co(function* updateVersion() {
+  var bak = process.env.HOME + '/walletdb-bak-' + Date.now() + '.ldb';
+  var data, ver;
+
+  console.log('Checking version.');
+
+  data = yield db.get('V');
+  assert(data, 'No version.');
+
+  ver = data.readUInt32LE(0, true);
+
+  if (ver !== 6)
+    throw Error('DB is version ' + ver + '.');
+
+  console.log('Backing up DB to: %s.', bak);
+
+  yield db.backup(bak);
+
+  ver = new Buffer(4);
+  ver.writeUInt32LE(7, 0, true);
+  batch.put('V', ver);
+});
+
+var indexTiles = co(function* indexTiles() {
+  var total = 0;
+  var i, items, item, wid, parts, br, coin, spent;
+
+  items = yield db.range({
+    gte: new Buffer('740000000063', 'hex'), // t[wid]c
+    lte: new Buffer('74ffffffff63ff', 'hex')
+  });
+
+  for (i = 0; i < items.length; i++) {
+    item = items[i];
+
+    if (item.key.length !== 42 || item.key[5] !== 0x63)
+      continue;
+
+    wid = layout.pre(item.key);
+    parts = layout.cc(item.key);
+
+    br = new BufferReader(item.value);
+    coin = Coin.fromReader(br);
+    spent = br.readU8() === 1;
+
+    if (spent)
+      continue;
+
+    console.log('x[%d][%d] -> %s/%d (wallet %d)',
+      coin.x, coin.y, parts[0], parts[1], wid);
+
+    batch.put(
+      layout.prefix(wid, layout.x(coin.x, coin.y, parts[0], parts[1])),
+      new Buffer([0]));
+
+    total++;
+  }
+
+  console.log('Indexed %d tiles.', total);
+});
+
+var updateBalances = co(function* updateBalances() {
+  var balances = {};
+  var i, items, item, wid, br, coin, spent, balance, key, data;
+
+  items = yield db.range({
+    gte: new Buffer('740000000063', 'hex'), // t[wid]c
+    lte: new Buffer('74ffffffff63ff', 'hex')
+  });
+
+  for (i = 0; i < items.length; i++) {
+    item = items[i];
+
+    if (item.key.length !== 42 || item.key[5] !== 0x63)
+      continue;
+
+    wid = layout.pre(item.key);
+
+    br = new BufferReader(item.value);
+    coin = Coin.fromReader(br);
+    spent = br.readU8() === 1;
+
+    balance = balances[wid];
+
+    if (!balance) {
+      balance = { unconfirmed: 0, confirmed: 0 };
+      balances[wid] = balance;
+    }
+
+    // Balances count tiles: a coin without
+    // a value is a single tile, as in TXDB.
+    if (coin.height !== -1)
+      balance.confirmed += coin.value || 1;
+
+    if (!spent)
+      balance.unconfirmed += coin.value || 1;
+  }
+
+  for (wid in balances) {
+    balance = balances[wid];
+    key = layout.prefix(+wid, layout.R);
+    data = yield db.get(key);
+
+    if (!data)
+      continue;
+
+    data = util.copy(data);
+    encoding.writeU64(data, balance.unconfirmed, 16);
+    encoding.writeU64(data, balance.confirmed, 24);
+
+    console.log('Wallet %d: %d unconfirmed, %d confirmed tiles.',
+      wid, balance.unconfirmed, balance.confirmed);
+
+    batch.put(key, data);
+  }
+});
+
+co.spawn(function* () {
+  yield db.open();
+  batch = db.batch();
+  console.log('Opened %s.', file);
+  yield updateVersion();
+  yield indexTiles();
+  yield updateBalances();
+  yield batch.write();
+  yield db.close();
+}).then(function() {
+  console.log('Migration complete.');
+  process.exit(0);
+});
@@ -1,13 +1,20 @@
 'use strict';
 
 var assert = require('assert');
+var fs = require('fs');
 var BN = require('bn.js');
+var EventEmitter = require('events').EventEmitter;
 var constants = require('../lib/protocol/constants');
+var crypto = require('../lib/crypto/crypto');
 var co = require('../lib/utils/co');
 var Coin = require('../lib/primitives/coin');
 var Script = require('../lib/script/script');
 var FullNode = require('../lib/node/fullnode');
 var MTX = require('../lib/primitives/mtx');
+var TileProof = require('../lib/blockchain/tileproof');
+var TileTree = require('../lib/blockchain/tiletree');
+var ChainDB = require('../lib/blockchain/chaindb');
+var Snapshot = require('../lib/blockchain/snapshot');
 // var Client = require('../lib/wallet/client');
 var cob = co.cob;
 
@@ -73,6 +80,218 @@ describe('Chain', function() {
     yield chain.add(block);
   }));
 
+  it('should enforce tile state commitments', cob(function* () {
+    var hasTileCommitment = chain.hasTileCommitment;
+    var tip = chain.tip;
+    var attempt, block, root, script, err;
+
+    chain.hasTileCommitment = co(function* () {
+      return true;
+    });
+
+    try {
+      root = yield chain.getTileRoot();
+
+      attempt = yield miner.createBlock();
+      script = attempt.coinbase.inputs[0].script;
+      script.set(4, TileTree.createCommitment(crypto.randomBytes(32)));
+      script.compile();
+      attempt.updateMerkle();
+      block = yield attempt.mineAsync();
+
+      try {
+        yield chain.add(block);
+      } catch (e) {
+        err = e;
+      }
+
+      assert(err);
+      assert.equal(err.reason, 'bad-tilestate-root');
+      assert(chain.tip === tip);
+
+      attempt = yield miner.createBlock();
+      script = attempt.coinbase.inputs[0].script;
+      script.code.length = 4;
+      script.compile();
+      attempt.updateMerkle();
+      block = yield attempt.mineAsync();
+      err = null;
+
+      try {
+        yield chain.checkLandbase(block);
+      } catch (e) {
+        err = e;
+      }
+
+      assert(err);
+      assert.equal(err.reason, 'bad-tilestate-missing');
+
+      attempt = yield miner.createBlock();
+      block = yield attempt.mineAsync();
+      assert(TileTree.getCommitment(block.txs[0]).equals(root));
+
+      yield chain.add(block);
+      assert(chain.tip.hash === block.hash('hex'));
+      assert(!(yield chain.getTileRoot()).equals(root));
+    } finally {
+      chain.hasTileCommitment = hasTileCommitment;
+    }
+  }));
+
+  it('should prove the state of a tile', cob(function* () {
+    var hasTileCommitment = chain.hasTileCommitment;
+    var block = yield chain.db.getBlock(chain.tip.hash);
+    var prev = yield chain.db.getBlock(chain.tip.prevBlock);
+    var coords = prev.getCoinbaseCoords();
+    var proof, record, err;
+
+    // Without a commitment, the last
+    // update of the tile is proven.
+    proof = yield chain.getTileProof(coords.x, coords.y);
+    proof = TileProof.fromRaw(proof.toRaw());
+
+    assert(proof.isUpdate());
+    assert(proof.verify());
+    assert.equal(proof.block.hash('hex'), prev.hash('hex'));
+    assert.equal(proof.tx.hash('hex'), prev.txs[0].hash('hex'));
+
+    record = proof.getRecord();
+    assert.equal(record.x, coords.x);
+    assert.equal(record.y, coords.y);
+
+    proof.x += 1;
+    assert(!proof.verify());
+
+    try {
+      yield chain.getTileProof(1000, 1000);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+
+    chain.hasTileCommitment = co(function* () {
+      return true;
+    });
+
+    try {
+      proof = yield chain.getTileProof(coords.x, coords.y);
+      proof = TileProof.fromRaw(proof.toRaw());
+
+      assert(!proof.isUpdate());
+      assert(proof.verify());
+      assert.equal(proof.block.hash('hex'), block.hash('hex'));
+      assert.equal(proof.coinbase.hash('hex'), block.txs[0].hash('hex'));
+
+      record = proof.getRecord();
+      assert.equal(record.x, coords.x);
+      assert.equal(record.y, coords.y);
+      assert.equal(record.getHash('hex'),
+        prev.txs[0].outputs[0].getAddress().getHash('hex'));
+
+      proof.x += 1;
+      assert(!proof.verify());
+
+      // The tip's own landbase is only
+      // committed to by the next block.
+      coords = block.getCoinbaseCoords();
+      proof = yield chain.getTileProof(coords.x, coords.y);
+      assert(proof.verify());
+      assert.equal(proof.getRecord(), null);
+
+      proof = yield chain.getTileProof(1000, 1000);
+      assert(proof.verify());
+      assert.equal(proof.getRecord(), null);
+    } finally {
+      chain.hasTileCommitment = hasTileCommitment;
+    }
+  }));
+
+  it('should bootstrap from a world state snapshot', cob(function* () {
+    var file = '/tmp/decentraland-snapshot-' + Date.now();
+    var content = new EventEmitter();
+    var snapshot = yield chain.getSnapshot();
+    var raw = snapshot.toRaw();
+    var db, tip, loaded, tampered, block, coins;
+
+    content.fetch = function() {};
+
+    db = new ChainDB({
+      logger: chain.logger,
+      network: chain.network,
+      content: content,
+      options: {
+        db: 'memory',
+        location: '/tmp/snapshot',
+        network: chain.network,
+        loadSnapshot: file,
+        snapshotHash: chain.tip.hash
+      },
+      getTarget: chain.getTarget.bind(chain)
+    });
+
+    db.on('snapshot', function(entry, tiles) {
+      loaded = entry;
+      assert.equal(tiles.length, snapshot.tiles.length);
+    });
+
+    fs.writeFileSync(file, raw);
+
+    try {
+      yield db.open();
+    } finally {
+      fs.unlinkSync(file);
+    }
+
+    tip = yield db.getTip();
+    assert.equal(tip.hash, chain.tip.hash);
+    assert.equal(tip.height, chain.height);
+    assert.equal(loaded.hash, chain.tip.hash);
+    assert.deepEqual(yield db.getFrontier(), yield chain.db.getFrontier());
+    assert((yield db.getTileRoot()).equals(yield chain.getTileRoot()));
+    assert.equal(db.state.coin, chain.db.state.coin);
+
+    block = yield chain.db.getBlock(chain.tip.hash);
+    coins = yield db.getCoins(block.txs[0].hash('hex'));
+    assert(coins.toRaw().equals(
+      (yield chain.db.getCoins(block.txs[0].hash('hex'))).toRaw()));
+    assert(!(yield db.getBlock(chain.tip.hash)));
+    assert.equal(db.snapshotHeight, chain.height);
+    assert.equal(yield db.getSnapshotHeight(), chain.height);
+
+    db.chain.options.snapshotHash = null;
+    assert.throws(function() {
+      db.verifySnapshot(snapshot);
+    }, /neither trusted nor a checkpoint/);
+    db.chain.options.snapshotHash = chain.tip.hash;
+
+    raw[raw.length - 10] ^= 1;
+    assert.throws(function() {
+      Snapshot.fromRaw(raw);
+    }, /checksum/);
+
+    tampered = Snapshot.fromRaw(snapshot.toRaw());
+    tampered.entries[1].nonce++;
+    tampered = Snapshot.fromRaw(tampered.toRaw());
+    assert.throws(function() {
+      db.verifySnapshot(tampered);
+    }, /broken|work/);
+
+    tampered = Snapshot.fromRaw(snapshot.toRaw());
+    tampered.tiles[tampered.tiles.length - 1].content =
+      crypto.randomBytes(constants.CONTENT_LENGHT);
+    assert.throws(function() {
+      Snapshot.fromRaw(tampered.toRaw());
+    }, /tile root/);
+    tampered.root = null;
+    tampered = Snapshot.fromRaw(tampered.toRaw());
+    assert.throws(function() {
+      db.verifySnapshot(tampered);
+    }, /not unspent/);
+
+    yield db.close();
+  }));
+
   it('should mine competing chains', cob(function* () {
     var i, block1, block2;
 
@@ -455,3 +674,151 @@ describe('Chain', function() {
     yield node.close();
   }));
 });
+
+describe('Landbase', function() {
+  var node = new FullNode({ db: 'memory', apiKey: 'foo', network: 'regtest' });
+  var chain = node.chain;
+  var walletdb = node.walletdb;
+  var miner = node.miner;
+
+  walletdb.options.resolution = false;
+
+  node.on('error', function() {});
+
+  this.timeout(5000);
+
+  it('should open chain and miner', cob(function* () {
+    var wallet;
+
+    miner.mempool = null;
+    yield node.open();
+
+    wallet = yield walletdb.create();
+    miner.addresses.length = 0;
+    miner.addAddress(wallet.getReceive());
+
+    yield chain.add(yield miner.mineBlock());
+  }));
+
+  it('should mine an adjacent landbase', cob(function* () {
+    var attempt = yield miner.createBlock();
+    var block = yield attempt.mineAsync();
+    var coords = block.getCoinbaseCoords();
+
+    yield chain.checkLandbase(block);
+    yield chain.add(block);
+
+    assert(chain.tip.hash === block.hash('hex'));
+    assert(yield chain.getTile(coords.x, coords.y));
+  }));
+
+  it('should reject a non-adjacent landbase', cob(function* () {
+    var attempt = yield miner.createBlock();
+    var tip = chain.tip;
+    var block, err;
+
+    attempt.coinbase.outputs[0].x = 1000;
+    attempt.coinbase.outputs[0].y = -1000;
+    attempt.updateMerkle();
+
+    block = yield attempt.mineAsync();
+
+    try {
+      yield chain.checkLandbase(block);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.reason, 'bad-cb-position');
+
+    err = null;
+
+    try {
+      yield chain.add(block);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.reason, 'bad-cb-position');
+    assert(chain.tip === tip);
+  }));
+
+  it('should reject an overwriting landbase', cob(function* () {
+    var attempt = yield miner.createBlock();
+    var tip = chain.tip;
+    var prev = yield chain.db.getBlock(tip.hash);
+    var coords = prev.getCoinbaseCoords();
+    var block, err;
+
+    attempt.coinbase.outputs[0].x = coords.x;
+    attempt.coinbase.outputs[0].y = coords.y;
+    attempt.updateMerkle();
+
+    block = yield attempt.mineAsync();
+
+    try {
+      yield chain.checkLandbase(block, tip);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.reason, 'bad-cb-overwrite');
+
+    err = null;
+
+    try {
+      yield chain.add(block);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.reason, 'bad-cb-overwrite');
+    assert(chain.tip === tip);
+  }));
+
+  it('should not create templates with a bad landbase', cob(function* () {
+    var getBoundaryTile = miner.getBoundaryTile;
+    var err;
+
+    miner.getBoundaryTile = co(function* () {
+      return { x: 0, y: 0 };
+    });
+
+    try {
+      yield miner.createBlock();
+    } catch (e) {
+      err = e;
+    }
+
+    miner.getBoundaryTile = getBoundaryTile;
+
+    assert(err);
+    assert.equal(err.reason, 'bad-cb-overwrite');
+  }));
+
+  it('should not check a landbase off the tip', cob(function* () {
+    var attempt = yield miner.createBlock();
+    var block = yield attempt.mineAsync();
+    var err;
+
+    yield chain.add(yield miner.mineBlock());
+
+    try {
+      yield chain.checkLandbase(block);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.type, 'VerifyError');
+    assert.equal(err.reason, 'inconclusive-not-best-prevblk');
+  }));
+
+  it('should cleanup', cob(function* () {
+    yield node.close();
+  }));
+});
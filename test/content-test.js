@@ -0,0 +1,1203 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var EventEmitter = require('events').EventEmitter;
+var co = require('../lib/utils/co');
+var crypto = require('../lib/crypto/crypto');
+var base58 = require('../lib/utils/base58');
+var constants = require('../lib/protocol/constants');
+var Network = require('../lib/protocol/network');
+var Logger = require('../lib/node/logger');
+var TileRecord = require('../lib/blockchain/tilerecord');
+var ContentServer = require('../lib/http/contentserver');
+var ContentDB = require('../lib/blockchain/contentdb');
+var LocalStore = require('../lib/content/localstore');
+var HTTPStore = require('../lib/content/httpstore');
+var multihash = require('../lib/content/multihash');
+var Bloom = require('../lib/utils/bloom');
+var Pool = require('../lib/net/pool');
+var packets = require('../lib/net/packets');
+var MultipartStream = require('../lib/http/multipart');
+var HTTPBase = require('../lib/http/base');
+var Manifest = require('../lib/content/manifest');
+var archive = require('../lib/content/archive');
+var zlib = require('zlib');
+var PassThrough = require('stream').PassThrough;
+var cob = co.cob;
+
+function request(port, method, uri, headers) {
+  return new Promise(function(resolve, reject) {
+    var req = http.request({
+      host: '127.0.0.1',
+      port: port,
+      method: method,
+      path: uri,
+      headers: headers || {}
+    }, function(res) {
+      var chunks = [];
+      res.on('data', function(data) {
+        chunks.push(data);
+      });
+      res.on('end', function() {
+        res.body = Buffer.concat(chunks);
+        resolve(res);
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('Content Server', function() {
+  var dir = path.join(os.tmpdir(), 'dcl-content-' + Date.now());
+  var oldData = crypto.randomBytes(100);
+  var newData = crypto.randomBytes(200);
+  var oldHash = base58.encode(crypto.sha256(oldData));
+  var newHash = Buffer.concat([
+    new Buffer([0x12, 0x20]),
+    crypto.sha256(newData)
+  ]);
+  var texture = crypto.randomBytes(80);
+  var manifest = Manifest.fromFiles([
+    { path: 'scene.lnd', data: newData },
+    { path: 'textures/wall.png', data: texture }
+  ]);
+  var manifestHash = multihash.hash(manifest.toRaw());
+  var chain = new EventEmitter();
+  var server, port;
+
+  chain.network = Network.get('regtest');
+  chain.logger = Logger.global;
+  chain.content = {
+    getPath: function(x, y, hash) {
+      return path.join(dir, x + '.' + y + (hash ? '.' + hash : '') + '.lnd');
+    },
+    getVersions: function(x, y) {
+      return Promise.resolve([
+        { hash: base58.encode(newHash), size: 200, time: 2 },
+        { hash: oldHash, size: 100, time: 1 }
+      ]);
+    },
+    getManifest: function(x, y, id) {
+      if (id !== base58.encode(manifestHash))
+        return Promise.resolve(null);
+      return Promise.resolve(manifest);
+    },
+    getFilePath: function(id) {
+      return path.join(dir, id);
+    }
+  };
+  chain.getTileRecord = function(x, y) {
+    if (x === 5 && y === 5) {
+      return Promise.resolve(new TileRecord({
+        x: x,
+        y: y,
+        hash: crypto.hash256(newData).toString('hex'),
+        index: 0,
+        content: manifestHash
+      }));
+    }
+    if (x !== 3 || y !== -4)
+      return Promise.resolve();
+    return Promise.resolve(new TileRecord({
+      x: x,
+      y: y,
+      hash: crypto.hash256(newData).toString('hex'),
+      index: 0,
+      content: newHash
+    }));
+  };
+
+  it('should open', cob(function* () {
+    fs.mkdirSync(dir);
+    fs.writeFileSync(chain.content.getPath(3, -4, oldHash), oldData);
+    fs.writeFileSync(
+      chain.content.getPath(3, -4, base58.encode(newHash)), newData);
+
+    server = new ContentServer({ chain: chain, port: 0, host: '127.0.0.1' });
+    yield server.open();
+    port = server.address().port;
+  }));
+
+  it('should serve the current version', cob(function* () {
+    var res = yield request(port, 'GET', '/tile/3.-4.lnd');
+    var etag = '"' + base58.encode(newHash) + '"';
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, newData);
+    assert.equal(res.headers['etag'], etag);
+    assert(res.headers['cache-control'].indexOf('immutable') === -1);
+
+    res = yield request(port, 'GET', '/tile/3.-4.lnd', {
+      'If-None-Match': etag
+    });
+
+    assert.equal(res.statusCode, 304);
+    assert.equal(res.body.length, 0);
+  }));
+
+  it('should serve a historical version', cob(function* () {
+    var res = yield request(port, 'GET', '/tile/3.-4/' + oldHash + '.lnd');
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, oldData);
+    assert.equal(res.headers['etag'], '"' + oldHash + '"');
+    assert(res.headers['cache-control'].indexOf('immutable') !== -1);
+
+    res = yield request(port, 'GET', '/tile/3.-4/' + base58.encode(
+      crypto.randomBytes(34)) + '.lnd');
+
+    assert.equal(res.statusCode, 404);
+  }));
+
+  it('should answer HEAD and range requests', cob(function* () {
+    var uri = '/tile/3.-4/' + oldHash + '.lnd';
+    var res = yield request(port, 'HEAD', uri);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-length'], '100');
+    assert.equal(res.body.length, 0);
+
+    res = yield request(port, 'GET', uri, { Range: 'bytes=10-19' });
+    assert.equal(res.statusCode, 206);
+    assert.equal(res.headers['content-range'], 'bytes 10-19/100');
+    assert.deepEqual(res.body, oldData.slice(10, 20));
+
+    res = yield request(port, 'GET', uri, { Range: 'bytes=-5' });
+    assert.equal(res.statusCode, 206);
+    assert.deepEqual(res.body, oldData.slice(95));
+
+    res = yield request(port, 'GET', uri, { Range: 'bytes=100-' });
+    assert.equal(res.statusCode, 416);
+  }));
+
+  it('should list versions', cob(function* () {
+    var res = yield request(port, 'GET', '/tile/3.-4');
+    var json = JSON.parse(res.body.toString('utf8'));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(json.current, base58.encode(newHash));
+    assert.equal(json.versions.length, 2);
+    assert(json.versions[0].current);
+    assert.equal(json.versions[1].url, '/tile/3.-4/' + oldHash + '.lnd');
+
+    res = yield request(port, 'GET', '/tile/1.1.lnd');
+    assert.equal(res.statusCode, 404);
+  }));
+
+  it('should serve manifest files', cob(function* () {
+    var id = base58.encode(multihash.hash(texture));
+    var res;
+
+    fs.writeFileSync(chain.content.getFilePath(id), texture);
+
+    res = yield request(port, 'GET', '/tile/5.5/textures/wall.png');
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, texture);
+    assert.equal(res.headers['etag'], '"' + id + '"');
+
+    // Listed but not stored.
+    res = yield request(port, 'GET', '/tile/5.5/scene.lnd');
+    assert.equal(res.statusCode, 404);
+
+    res = yield request(port, 'GET', '/tile/5.5/textures/roof.png');
+    assert.equal(res.statusCode, 404);
+
+    res = yield request(port, 'GET', '/tile/3.-4/textures/wall.png');
+    assert.equal(res.statusCode, 404);
+  }));
+
+  it('should close', cob(function* () {
+    var files = fs.readdirSync(dir);
+    var i;
+
+    yield server.close();
+
+    for (i = 0; i < files.length; i++)
+      fs.unlinkSync(path.join(dir, files[i]));
+
+    fs.rmdirSync(dir);
+  }));
+});
+
+describe('Content DB', function() {
+  var dir = path.join(os.tmpdir(), 'dcl-contentdb-' + Date.now());
+  var remote = new LocalStore({ location: path.join(dir, 'remote') });
+  var data = crypto.randomBytes(300);
+  var hash, gateway, url;
+
+  function createDB(name, store, options) {
+    var chain = new EventEmitter();
+    var keys = options ? Object.keys(options) : [];
+    var i;
+
+    chain.logger = Logger.global;
+    chain.network = Network.get('regtest');
+    chain.height = 0;
+    chain.tiles = {};
+    chain.options = {
+      prefix: path.join(dir, name) + path.sep,
+      contentStore: store
+    };
+
+    for (i = 0; i < keys.length; i++)
+      chain.options[keys[i]] = options[keys[i]];
+
+    chain.getTileRecord = function(x, y) {
+      return Promise.resolve(this.tiles[x + ',' + y] || null);
+    };
+
+    chain.db = {
+      getTiles: function() {
+        return Promise.resolve(Object.keys(chain.tiles).map(function(key) {
+          return chain.tiles[key];
+        }));
+      }
+    };
+
+    return new ContentDB(chain);
+  }
+
+  function connect(db, height, x, y, hash) {
+    var block = { txs: [{ outputs: [{ x: x, y: y, content: hash }] }] };
+    db.chain.height = height;
+    db.chain.tiles[x + ',' + y] = { x: x, y: y, content: hash };
+    return db.connectBlock({ height: height }, block);
+  }
+
+  function waitJob(db) {
+    return new Promise(function(resolve, reject) {
+      db.queue.once('finish', resolve);
+    });
+  }
+
+  function createStore(get) {
+    return {
+      gets: 0,
+      open: function() {
+        return Promise.resolve();
+      },
+      close: function() {
+        return Promise.resolve();
+      },
+      get: function(hash) {
+        this.gets++;
+        return Promise.resolve(get(hash, this.gets));
+      },
+      put: function(data) {
+        return Promise.resolve(multihash.hash(data));
+      }
+    };
+  }
+
+  function waitContent(db) {
+    return new Promise(function(resolve, reject) {
+      db.once('content', function(x, y, data, hash) {
+        resolve({ x: x, y: y, data: data, hash: hash });
+      });
+    });
+  }
+
+  it('should select a local store on regtest', function() {
+    var db = createDB('default');
+    assert(db.store instanceof LocalStore);
+  });
+
+  it('should store content by hash', cob(function* () {
+    fs.mkdirSync(dir);
+    yield remote.open();
+
+    hash = yield remote.put(data);
+
+    assert.deepEqual(hash, multihash.hash(data));
+    assert(yield remote.has(hash));
+    assert.deepEqual(yield remote.get(hash), data);
+    assert.equal(yield remote.get(multihash.hash(new Buffer(0))), null);
+  }));
+
+  it('should fetch content published by another node', cob(function* () {
+    var alice = createDB('alice', remote);
+    var bob = createDB('bob', remote);
+    var scene = crypto.randomBytes(200);
+    var id = multihash.hash(scene);
+    var hex, result;
+
+    yield alice.open();
+    yield bob.open();
+
+    hex = yield alice.putFile(5, 6, scene.toString('base64'));
+    assert.equal(hex, id.toString('hex'));
+    assert.deepEqual(fs.readFileSync(alice.getPath(5, 6)), scene);
+
+    // Seeding happens in the background.
+    while (!(yield remote.has(id)))
+      yield co.timeout(10);
+
+    bob.fetch(5, 6, hex);
+    result = yield waitContent(bob);
+
+    assert.equal(result.x, 5);
+    assert.equal(result.y, 6);
+    assert.equal(result.hash, base58.encode(id));
+    assert.deepEqual(result.data, scene);
+
+    yield alice.close();
+    yield bob.close();
+  }));
+
+  it('should fetch content through a gateway', cob(function* () {
+    var db, store, result;
+
+    // Minimal writable gateway backed by the local store.
+    gateway = http.createServer(co(function* (req, res) {
+      var chunks = [];
+      var hash = base58.decode(req.url.substring(1));
+      var blob;
+
+      if (req.method === 'PUT') {
+        req.on('data', function(data) {
+          chunks.push(data);
+        });
+        yield new Promise(function(resolve) {
+          req.on('end', resolve);
+        });
+        blob = Buffer.concat(chunks);
+        res.statusCode = multihash.verify(blob, hash) ? 201 : 400;
+        if (res.statusCode === 201)
+          yield remote.put(blob);
+        return res.end();
+      }
+
+      blob = yield remote.get(hash);
+
+      if (!blob) {
+        res.statusCode = 404;
+        return res.end();
+      }
+
+      res.statusCode = 200;
+      res.end(req.method === 'HEAD' ? null : blob);
+    }));
+
+    yield new Promise(function(resolve) {
+      gateway.listen(0, '127.0.0.1', resolve);
+    });
+
+    url = 'http://127.0.0.1:' + gateway.address().port;
+    store = new HTTPStore({ url: url });
+    db = createDB('carol', store);
+
+    yield db.open();
+
+    assert(yield store.has(hash));
+    assert(!(yield store.has(multihash.hash(new Buffer(0)))));
+    assert.deepEqual(yield store.put(new Buffer('scene')),
+      multihash.hash(new Buffer('scene')));
+
+    db.fetch(5, 6, hash.toString('hex'));
+    result = yield waitContent(db);
+
+    assert.deepEqual(result.data, yield remote.get(hash));
+
+    yield db.close();
+  }));
+
+  it('should quarantine mismatched content', cob(function* () {
+    var bad = crypto.randomBytes(50);
+    var expected = multihash.hash(crypto.randomBytes(50));
+    var db, status, items;
+
+    db = createDB('dave', createStore(function() {
+      return bad;
+    }));
+
+    db.on('content', function() {
+      assert(false, 'Mismatched content was emitted.');
+    });
+
+    yield db.open();
+    db.fetch(-2, 9, expected.toString('hex'));
+    assert.equal((yield waitJob(db)).state, 'quarantined');
+
+    items = yield db.getQuarantined();
+    assert.equal(items.length, 1);
+    assert.equal(items[0].x, -2);
+    assert.equal(items[0].y, 9);
+    assert.equal(items[0].expected, base58.encode(expected));
+    assert.equal(items[0].actual, base58.encode(multihash.hash(bad)));
+    assert.equal(items[0].size, 50);
+
+    status = yield db.getStatus(-2, 9, expected);
+    assert.equal(status.status, 'quarantined');
+    assert.equal(status.quarantined.length, 1);
+
+    assert(!fs.existsSync(db.getPath(-2, 9, base58.encode(expected))));
+    assert(!fs.existsSync(db.getPath(-2, 9)));
+
+    status = yield db.getStatus(-2, 9, multihash.hash(bad));
+    assert.equal(status.status, 'missing');
+
+    yield db.close();
+  }));
+
+  it('should hash content locally on put', cob(function* () {
+    var db = createDB('erin', remote);
+    var data = new Buffer('local scene');
+    var hex, status;
+
+    yield db.open();
+
+    // Hashing alone publishes nothing.
+    hex = yield db.hashFile(data.toString('base64'));
+    assert.equal(hex, multihash.hash(data).toString('hex'));
+    assert(!fs.existsSync(db.getPath(1, 2)));
+
+    hex = yield db.putFile(1, 2, data.toString('base64'));
+    assert.equal(hex, multihash.hash(data).toString('hex'));
+
+    status = yield db.getStatus(1, 2, new Buffer(hex, 'hex'));
+    assert.equal(status.status, 'verified');
+    assert.deepEqual(fs.readFileSync(db.getPath(1, 2)), data);
+
+    status = yield db.getStatus(1, 2,
+      new Buffer(constants.IPFS_NULL_HASH, 'hex'));
+    assert.equal(status.status, 'empty');
+
+    yield db.close();
+  }));
+
+  it('should reject content over the size limit', cob(function* () {
+    var db = createDB('gwen', remote, { maxTileContent: 64 });
+    var err;
+
+    yield db.open();
+
+    yield db.validate(crypto.randomBytes(64));
+
+    try {
+      yield db.putFile(4, 4, crypto.randomBytes(65).toString('base64'));
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.type, 'ContentError');
+    assert.equal(err.statusCode, 400);
+    assert(/too large/.test(err.message));
+    assert(!fs.existsSync(db.getPath(4, 4)));
+
+    yield db.close();
+  }));
+
+  it('should reject scenes failing the validator', cob(function* () {
+    var good = new Buffer('{"scene":"good"}');
+    var bad = new Buffer('not a scene');
+    var store = createStore(function() {
+      return bad;
+    });
+    var db, err, invalid;
+
+    db = createDB('hank', store, {
+      contentValidator: function(data) {
+        JSON.parse(data.toString('utf8'));
+      }
+    });
+
+    db.on('content', function() {
+      assert(false, 'Invalid content was emitted.');
+    });
+
+    db.on('invalid', function(hash, reason) {
+      invalid = reason;
+    });
+
+    yield db.open();
+
+    yield db.putFile(8, 8, good.toString('base64'));
+
+    try {
+      yield db.putFile(8, 8, bad.toString('base64'));
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.type, 'ContentError');
+    assert(/bad scene/.test(err.message));
+    assert.deepEqual(fs.readFileSync(db.getPath(8, 8)), good);
+
+    db.fetch(8, 9, multihash.hash(bad).toString('hex'));
+    assert.equal((yield waitJob(db)).state, 'invalid');
+    assert(/bad scene/.test(invalid));
+    assert(!fs.existsSync(db.getPath(8, 9)));
+    assert.equal(yield db.getContent(multihash.hash(bad)), null);
+
+    yield db.close();
+  }));
+
+  it('should store streamed content', cob(function* () {
+    var db = createDB('kate', remote, { maxTileContent: 1000 });
+    var scene = crypto.randomBytes(700);
+    var stream = new PassThrough();
+    var promise, hash, err, i;
+
+    yield db.open();
+
+    promise = db.putStream(2, 3, stream);
+
+    for (i = 0; i < scene.length; i += 100) {
+      stream.write(scene.slice(i, i + 100));
+      yield co.timeout(1);
+    }
+
+    stream.end();
+
+    hash = yield promise;
+    assert.deepEqual(hash, multihash.hash(scene));
+    assert.deepEqual(fs.readFileSync(db.getPath(2, 3)), scene);
+    assert.deepEqual(yield db.getContent(hash), scene);
+
+    stream = new PassThrough();
+    promise = db.putStream(2, 3, stream);
+    stream.write(crypto.randomBytes(600));
+    stream.write(crypto.randomBytes(600));
+
+    try {
+      yield promise;
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.type, 'ContentError');
+    assert.deepEqual(fs.readFileSync(db.getPath(2, 3)), scene);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'kate', 'tiles')).sort(),
+      ['2.3.' + base58.encode(hash) + '.lnd', '2.3.lnd']);
+
+    yield db.close();
+  }));
+
+  it('should parse multipart uploads', cob(function* () {
+    var db = createDB('liam', remote);
+    var scene = crypto.randomBytes(500);
+    var boundary = '----scene' + Date.now();
+    var type = 'multipart/form-data; boundary=' + boundary;
+    var body = Buffer.concat([
+      new Buffer('--' + boundary + '\r\n'
+        + 'Content-Disposition: form-data; name="send"\r\n\r\n'
+        + 'false\r\n'
+        + '--' + boundary + '\r\n'
+        + 'Content-Disposition: form-data; name="file"; filename="a.lnd"\r\n'
+        + 'Content-Type: application/octet-stream\r\n\r\n'),
+      scene,
+      new Buffer('\r\n--' + boundary + '--\r\n')
+    ]);
+    var stream = new PassThrough();
+    var parser = new MultipartStream(MultipartStream.getBoundary(type));
+    var promise, err, i;
+
+    assert.equal(MultipartStream.getBoundary('application/json'), null);
+
+    yield db.open();
+
+    promise = db.putStream(7, 7, stream.pipe(parser));
+
+    // Split the body so the boundary straddles chunks.
+    for (i = 0; i < body.length; i += 7)
+      stream.write(body.slice(i, i + 7));
+
+    stream.end();
+
+    assert.deepEqual(yield promise, multihash.hash(scene));
+    assert.deepEqual(fs.readFileSync(db.getPath(7, 7)), scene);
+
+    stream = new PassThrough();
+    parser = new MultipartStream(boundary);
+    promise = db.putStream(7, 8, stream.pipe(parser));
+    stream.end(new Buffer('--' + boundary + '--\r\n'));
+
+    try {
+      yield promise;
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.statusCode, 400);
+    assert(!fs.existsSync(db.getPath(7, 8)));
+
+    yield db.close();
+  }));
+
+  it('should only stream the bodies of upload routes', function() {
+    var server = new HTTPBase();
+    var req = {
+      method: 'PUT',
+      pathname: '/wallet/primary/tile/1/-2/content',
+      headers: { 'content-type': 'application/octet-stream' }
+    };
+
+    server.upload('/wallet/:id/tile/:x/:y/content', function() {});
+    server.put('/wallet/:id', function() {});
+
+    assert(server.isUpload(req));
+
+    req.headers['content-type'] = 'multipart/form-data; boundary=x';
+    assert(server.isUpload(req));
+
+    req.pathname = '/wallet/primary';
+    assert(!server.isUpload(req));
+
+    req.pathname = '/wallet/primary/tile/1/-2/content';
+    req.method = 'POST';
+    assert(!server.isUpload(req));
+
+    req.method = 'PUT';
+    req.headers['content-type'] = 'application/json';
+    assert(!server.isUpload(req));
+  });
+
+  it('should publish and fetch multi-file scenes', cob(function* () {
+    var alice = createDB('mike', remote);
+    var bob = createDB('nora', remote);
+    var texture = crypto.randomBytes(120);
+    var scene1 = crypto.randomBytes(60);
+    var scene2 = crypto.randomBytes(60);
+    var hex1, hex2, manifest, result, job, err;
+
+    yield alice.open();
+    yield bob.open();
+
+    hex1 = yield alice.hashFiles([
+      { path: 'scene.lnd', data: scene1 },
+      { path: 'textures/wall.png', data: texture }
+    ]);
+    assert(!fs.existsSync(alice.getPath(1, 0)));
+
+    assert.equal(yield alice.putFiles(1, 0, [
+      { path: 'scene.lnd', data: scene1 },
+      { path: 'textures/wall.png', data: texture }
+    ]), hex1);
+
+    hex2 = yield alice.putFiles(2, 0, [
+      { path: 'scene.lnd', data: scene2 },
+      { path: 'textures/wall.png', data: texture }
+    ]);
+
+    manifest = yield alice.getManifest(1, 0,
+      base58.encode(new Buffer(hex1, 'hex')));
+    assert.equal(manifest.files.length, 2);
+    assert.deepEqual(manifest.getFile('textures/wall.png').hash,
+      multihash.hash(texture));
+    assert.equal(manifest.getSize(), 180);
+
+    // Shared files are stored once.
+    assert.equal(fs.readdirSync(path.join(dir, 'mike', 'files')).length, 3);
+
+    try {
+      yield alice.putFiles(3, 0, [{ path: '../escape.lnd', data: scene1 }]);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert.equal(err.type, 'ContentError');
+
+    // Seeding happens in the background.
+    while (!(yield remote.has(multihash.hash(texture))))
+      yield co.timeout(10);
+
+    bob.fetch(1, 0, hex1);
+    result = yield waitContent(bob);
+    assert.deepEqual(result.data, manifest.toRaw());
+
+    while (bob.queue.active > 0 || bob.queue.pending.length > 0)
+      yield waitJob(bob);
+
+    assert.deepEqual(
+      fs.readFileSync(bob.getFilePath(base58.encode(multihash.hash(texture)))),
+      texture);
+    assert.deepEqual(yield bob.getContent(multihash.hash(scene1)), scene1);
+
+    // The second tile only needs its own scene.
+    bob.fetch(2, 0, hex2);
+    yield waitContent(bob);
+    job = yield waitJob(bob);
+    assert.equal(job.state, 'done');
+    job = yield waitJob(bob);
+    assert(job.file);
+    assert.deepEqual(job.hash, multihash.hash(scene2));
+    assert.equal(Object.keys(bob.queue.jobs).length, 0);
+
+    yield alice.close();
+    yield bob.close();
+  }));
+
+  it('should read scenes from directories and tarballs', function() {
+    var root = path.join(dir, 'scene');
+    var tar, files;
+
+    fs.mkdirSync(root);
+    fs.mkdirSync(path.join(root, 'models'));
+    fs.writeFileSync(path.join(root, 'scene.lnd'), 'scene');
+    fs.writeFileSync(path.join(root, 'models', 'tree.obj'), 'tree');
+    fs.writeFileSync(path.join(root, '.DS_Store'), 'junk');
+
+    files = archive.read(root);
+    assert.deepEqual(files.map(function(file) {
+      return file.path + '=' + file.data.toString('utf8');
+    }), ['models/tree.obj=tree', 'scene.lnd=scene']);
+
+    tar = Buffer.concat([
+      tarEntry('scene/', '', '5'),
+      tarEntry('scene/scene.lnd', 'scene'),
+      tarEntry('scene/models/tree.obj', 'tree'),
+      new Buffer(1024).fill(0)
+    ]);
+
+    files = archive.readTar(zlib.gzipSync(tar));
+    assert.deepEqual(files.map(function(file) {
+      return file.path + '=' + file.data.toString('utf8');
+    }), ['scene.lnd=scene', 'models/tree.obj=tree']);
+
+    assert.equal(archive.read(path.join(root, 'scene.lnd')), null);
+  });
+
+  it('should reject unsafe tarball paths', function() {
+    var names = ['/etc/passwd', 'scene/../../evil.lnd', '../evil.lnd'];
+
+    names.forEach(function(name) {
+      var tar = Buffer.concat([
+        tarEntry('scene/scene.lnd', 'scene'),
+        tarEntry(name, 'evil'),
+        new Buffer(1024).fill(0)
+      ]);
+
+      assert.throws(function() {
+        archive.readTar(tar);
+      }, /Unsafe path/);
+    });
+  });
+
+  it('should dedupe downloads by hash', cob(function* () {
+    var scene = crypto.randomBytes(64);
+    var hex = multihash.hash(scene).toString('hex');
+    var store = createStore(function() {
+      return scene;
+    });
+    var db = createDB('frank', store);
+    var tiles = [];
+    var job;
+
+    db.on('content', function(x, y) {
+      tiles.push(x + ',' + y);
+    });
+
+    yield db.open();
+
+    job = db.fetch(1, 1, hex);
+    assert.strictEqual(db.fetch(1, 2, hex), job);
+    assert.strictEqual(db.fetch(1, 1, hex), job);
+
+    job = yield waitJob(db);
+
+    assert.equal(job.state, 'done');
+    assert.equal(store.gets, 1);
+    assert.deepEqual(tiles, ['1,1', '1,2']);
+    assert.equal(db.queue.toJSON().completed[0].hash, job.id());
+
+    yield db.close();
+  }));
+
+  it('should skip superseded content', cob(function* () {
+    var v1 = crypto.randomBytes(64);
+    var v2 = crypto.randomBytes(64);
+    var v3 = crypto.randomBytes(64);
+    var store = createStore(function(hash) {
+      if (multihash.verify(v1, hash))
+        return v1;
+      if (multihash.verify(v2, hash))
+        return v2;
+      return v3;
+    });
+    var db = createDB('grace', store);
+    var queue = db.queue;
+    var finished = [];
+    var received = [];
+
+    queue.maxActive = 1;
+
+    queue.on('finish', function(job) {
+      finished.push(job.state);
+    });
+
+    db.on('content', function(x, y, data) {
+      received.push(data);
+    });
+
+    yield db.open();
+
+    // The first job starts immediately, the
+    // second is replaced before its turn.
+    db.fetch(0, 1, multihash.hash(v1).toString('hex'));
+    db.fetch(7, 7, multihash.hash(v2).toString('hex'));
+    db.fetch(7, 7, multihash.hash(v3).toString('hex'));
+
+    while (finished.length < 3)
+      yield co.timeout(10);
+
+    assert.deepEqual(finished.sort(), ['done', 'done', 'superseded']);
+    assert.equal(store.gets, 2);
+    assert.equal(received.length, 2);
+    assert.deepEqual(received[1], v3);
+
+    yield db.close();
+  }));
+
+  it('should retry failed downloads with backoff', cob(function* () {
+    var scene = crypto.randomBytes(64);
+    var hash = multihash.hash(scene);
+    var store = createStore(function(hash, gets) {
+      if (gets < 3)
+        return null;
+      return scene;
+    });
+    var db = createDB('heidi', store);
+    var job, json;
+
+    db.queue.retryDelay = 10;
+    db.queue.maxAttempts = 2;
+
+    yield db.open();
+
+    job = db.fetch(3, 3, hash.toString('hex'));
+
+    while (job.state !== 'failed')
+      yield co.timeout(10);
+
+    json = db.queue.toJSON();
+    assert.equal(json.failed.length, 1);
+    assert.equal(json.failed[0].attempts, 2);
+    assert.equal(json.failed[0].error, 'Content not found.');
+
+    assert.equal((yield db.getStatus(3, 3, hash)).status, 'failed');
+
+    assert.deepEqual(db.retry(3, 3, hash), [job]);
+    job = yield waitJob(db);
+
+    assert.equal(job.state, 'done');
+    assert.equal(store.gets, 3);
+    assert.equal(db.queue.toJSON().failed.length, 0);
+
+    yield db.close();
+  }));
+
+  it('should prune historical content', cob(function* () {
+    var db = createDB('ivan', remote, {
+      contentKeepVersions: 2,
+      contentReorgDepth: 2
+    });
+    var scenes = [];
+    var hashes = [];
+    var i, hex, result, version;
+
+    function has(i) {
+      return fs.existsSync(db.getPath(4, 4, base58.encode(hashes[i])));
+    }
+
+    yield db.open();
+
+    for (i = 0; i < 4; i++) {
+      scenes.push(crypto.randomBytes(100));
+      hex = yield db.putFile(4, 4, scenes[i].toString('base64'));
+      hashes.push(new Buffer(hex, 'hex'));
+      yield connect(db, i + 1, 4, 4, hashes[i]);
+    }
+
+    version = yield db.getCurrentVersion(4, 4);
+    assert.deepEqual(version.hash, hashes[3]);
+    assert.equal(version.height, 4);
+
+    // Versions replaced within the reorg depth survive.
+    result = yield db.prune();
+    assert.equal(result.files, 1);
+    assert.equal(result.bytes, 100);
+    assert(!has(0));
+    assert(has(1) && has(2) && has(3));
+
+    db.chain.height = 10;
+    result = yield db.prune();
+    assert.equal(result.files, 1);
+    assert(!has(1));
+    assert(has(2) && has(3));
+
+    // The byte budget never touches the current version.
+    result = yield db.prune(new ContentDB.PrunePolicy({
+      contentMaxSize: 0,
+      contentReorgDepth: 0
+    }, db.network));
+    assert.equal(result.files, 1);
+    assert.equal(result.size, 200);
+    assert(!has(2));
+    assert(has(3));
+    assert.deepEqual(fs.readFileSync(db.getPath(4, 4)), scenes[3]);
+
+    // Content waiting for its tx to confirm is kept.
+    hex = yield db.putFile(4, 4, crypto.randomBytes(100).toString('base64'));
+    hashes.push(new Buffer(hex, 'hex'));
+    result = yield db.prune();
+    assert.equal(result.files, 0);
+    assert(has(4));
+
+    result = yield db.prune(new ContentDB.PrunePolicy({
+      contentKeepVersions: 1,
+      contentReorgDepth: 0
+    }, db.network));
+    assert.equal(result.files, 1);
+    assert(!has(4));
+
+    yield db.close();
+  }));
+
+  it('should restore replaced versions on disconnect', cob(function* () {
+    var db = createDB('judy', remote);
+    var a = multihash.hash(new Buffer('a'));
+    var b = multihash.hash(new Buffer('b'));
+    var block = { txs: [{ outputs: [{ x: 0, y: 0, content: b }] }] };
+    var versions;
+
+    yield db.open();
+
+    db.chain.emit('connect', { height: 1 },
+      { txs: [{ outputs: [{ x: 0, y: 0, content: a }] }] });
+
+    while (!(yield db.getCurrentVersion(0, 0)))
+      yield co.timeout(10);
+
+    yield db.connectBlock({ height: 2 }, block);
+    assert.deepEqual((yield db.getCurrentVersion(0, 0)).hash, b);
+
+    yield db.disconnectBlock({ height: 2 }, block);
+
+    versions = yield db.getIndexedVersions(0, 0);
+    assert.equal(versions.length, 1);
+    assert.deepEqual(versions[0].hash, a);
+    assert(versions[0].isCurrent());
+
+    yield db.close();
+  }));
+
+  it('should verify and rebuild tile content', cob(function* () {
+    var db = createDB('mallory', remote);
+    var scenes = [];
+    var hashes = [];
+    var i, hex, result;
+
+    function ids(items) {
+      return items.map(function(item) {
+        return item.x + ',' + item.y;
+      });
+    }
+
+    yield db.open();
+
+    for (i = 0; i < 4; i++) {
+      scenes.push(crypto.randomBytes(80));
+      hex = yield db.putFile(i, 0, scenes[i].toString('base64'));
+      hashes.push(new Buffer(hex, 'hex'));
+      yield connect(db, i + 1, i, 0, hashes[i]);
+    }
+
+    yield remote.put(scenes[3]);
+
+    // (1, 0) lost its pointer copy, (2, 0) has a
+    // corrupt version file and (3, 0) was wiped.
+    fs.unlinkSync(db.getPath(1, 0));
+    fs.writeFileSync(db.getPath(2, 0, base58.encode(hashes[2])), 'bad');
+    fs.writeFileSync(db.getPath(2, 0), 'bad');
+    fs.unlinkSync(db.getPath(3, 0));
+    fs.unlinkSync(db.getPath(3, 0, base58.encode(hashes[3])));
+
+    result = yield db.verify();
+    assert.equal(result.checked, 4);
+    assert.equal(result.ok, 1);
+    assert.deepEqual(ids(result.stale), ['1,0']);
+    assert.deepEqual(ids(result.corrupt), ['2,0']);
+    assert.deepEqual(ids(result.missing), ['3,0']);
+    assert.equal(result.queued, 0);
+    assert(!fs.existsSync(db.getPath(1, 0)));
+
+    result = yield db.verify(true);
+    assert.equal(result.queued, 2);
+    assert.deepEqual(fs.readFileSync(db.getPath(1, 0)), scenes[1]);
+    assert(!fs.existsSync(db.getPath(2, 0, base58.encode(hashes[2]))));
+    assert.equal((yield db.getQuarantined(2, 0)).length, 1);
+
+    while (db.queue.completed.length < 2)
+      yield co.timeout(10);
+
+    db.queue.completed.forEach(function(job) {
+      assert.equal(job.state, 'done');
+    });
+
+    yield db.close();
+  }));
+
+  it('should exchange content with peers', cob(function* () {
+    var scene = crypto.randomBytes(600 << 10);
+    var hash = multihash.hash(scene);
+    var server = createDB('niaj', remote);
+    var client = createDB('olivia', createStore(function() {
+      return null;
+    }));
+    var pool = Object.create(Pool.prototype);
+    var evil, overflow, legacy, honest, result, content;
+
+    function createPeer(read) {
+      return {
+        ack: true,
+        haveContent: true,
+        banScore: 0,
+        requests: 0,
+        next: null,
+        contentFilter: new Bloom.Rolling(1000, 0.0001),
+        increaseBan: function(score) {
+          this.banScore += score;
+        },
+        getContent: co(function* (hash, offset) {
+          var packet = new packets.ContentPacket({ hash: hash });
+          var content = yield read(offset);
+          this.requests++;
+          if (!content)
+            return packet;
+          packet.total = content.total;
+          packet.offset = offset;
+          packet.data = content.data;
+          return packet;
+        })
+      };
+    }
+
+    function chunk(data, offset) {
+      return {
+        total: data.length,
+        data: data.slice(offset, offset + packets.ContentPacket.MAX_CHUNK)
+      };
+    }
+
+    yield server.open();
+    yield client.open();
+
+    yield server.putFile(8, 8, scene.toString('base64'));
+    assert.deepEqual(yield server.getContent(hash), scene);
+    assert.equal(yield server.getContent(multihash.hash(scene.slice(1))), null);
+
+    // Served ranges are read from disk once the file is verified.
+    content = yield server.readContent(hash, 1000, 10);
+    assert.equal(content.total, scene.length);
+    assert.deepEqual(content.data, scene.slice(1000, 1010));
+    content = yield server.readContent(hash, scene.length - 5, 10);
+    assert.deepEqual(content.data, scene.slice(-5));
+    assert.equal(yield server.readContent(multihash.hash(scene.slice(1)), 0, 10),
+      null);
+
+    evil = createPeer(function(offset) {
+      return Promise.resolve(chunk(crypto.randomBytes(scene.length), offset));
+    });
+    overflow = createPeer(function(offset) {
+      var content = chunk(scene, offset);
+      content.total--;
+      return Promise.resolve(content);
+    });
+    legacy = createPeer(function(offset) {
+      return Promise.resolve(chunk(scene, offset));
+    });
+    honest = createPeer(function(offset) {
+      return server.readContent(hash, offset, packets.ContentPacket.MAX_CHUNK);
+    });
+
+    // The evil peers announced the content, so they are asked first.
+    // The legacy peer does not serve content at all.
+    evil.contentFilter.add(hash);
+    overflow.contentFilter.add(hash);
+    legacy.haveContent = false;
+    honest.next = evil;
+    evil.next = overflow;
+    overflow.next = legacy;
+
+    pool.logger = Logger.global;
+    pool.contentPeers = 3;
+    pool.peers = {
+      head: function() {
+        return honest;
+      }
+    };
+
+    client.addSource(pool);
+    client.fetch(8, 8, hash.toString('hex'));
+    result = yield waitContent(client);
+
+    assert.deepEqual(result.data, scene);
+    assert.equal(evil.requests, 3);
+    assert.equal(evil.banScore, 100);
+    assert.equal(overflow.requests, 3);
+    assert.equal(overflow.banScore, 100);
+    assert.equal(legacy.requests, 0);
+    assert.equal(honest.requests, 3);
+    assert.equal(honest.banScore, 0);
+    assert(honest.contentFilter.test(hash));
+
+    yield server.close();
+    yield client.close();
+  }));
+
+  it('should clean up', cob(function* () {
+    yield new Promise(function(resolve) {
+      gateway.close(resolve);
+    });
+    yield remote.close();
+    rimraf(dir);
+  }));
+});
+
+function tarEntry(name, body, type) {
+  var header = new Buffer(512);
+  var data = new Buffer(body, 'utf8');
+  var padding = new Buffer((512 - data.length % 512) % 512);
+  var sum = 0;
+  var i;
+
+  header.fill(0);
+  padding.fill(0);
+  header.write(name, 0);
+  header.write('0000644\0', 100);
+  header.write(('00000000000' + data.length.toString(8)).slice(-11) + '\0', 124);
+  header.write(type || '0', 156);
+  header.write('ustar\0' + '00', 257);
+  header.write('        ', 148);
+
+  for (i = 0; i < 512; i++)
+    sum += header[i];
+
+  header.write(('000000' + sum.toString(8)).slice(-6) + '\0 ', 148);
+
+  return Buffer.concat([header, data, padding]);
+}
+
+function rimraf(file) {
+  var files, i;
+
+  if (fs.statSync(file).isDirectory()) {
+    files = fs.readdirSync(file);
+    for (i = 0; i < files.length; i++)
+      rimraf(path.join(file, files[i]));
+    fs.rmdirSync(file);
+    return;
+  }
+
+  fs.unlinkSync(file);
+}
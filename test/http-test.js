@@ -54,6 +54,18 @@ describe('HTTP', function() {
     assert.equal(info.chain.height, 0);
   }));
 
+  it('should get tiles', cob(function* () {
+    var tile = yield wallet.client.getTile(0, 0);
+    var tiles = yield wallet.client.getTilesInRect(-1, -1, 1, 1);
+
+    assert.equal(tile.x, 0);
+    assert.equal(tile.y, 0);
+    assert.equal(tile.height, 0);
+    assert.equal(tiles.length, 1);
+    assert.deepEqual(tiles[0], tile);
+    assert(!(yield wallet.client.getTile(1, 0)));
+  }));
+
   it('should get wallet info', cob(function* () {
     var info = yield wallet.getInfo();
     assert.equal(info.id, 'test');
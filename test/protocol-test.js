@@ -108,6 +108,54 @@ describe('Protocol', function() {
     assert.equal(payload.items[1].port, hosts[1].port);
   });
 
+  packetTest('getcontent',
+    new packets.GetContentPacket(new Buffer('1220aabb', 'hex'), 262144),
+    function(payload) {
+      assert.equal(payload.hash.toString('hex'), '1220aabb');
+      assert.equal(payload.offset, 262144);
+    });
+
+  packetTest('content', new packets.ContentPacket({
+    hash: new Buffer('1220aabb', 'hex'),
+    total: 10,
+    offset: 4,
+    data: new Buffer('scene!')
+  }), function(payload) {
+    assert.equal(payload.hash.toString('hex'), '1220aabb');
+    assert.equal(payload.total, 10);
+    assert.equal(payload.offset, 4);
+    assert.equal(payload.data.toString(), 'scene!');
+    assert(!payload.isNotFound());
+  });
+
+  packetTest('content', new packets.ContentPacket({
+    hash: new Buffer('1220aabb', 'hex')
+  }), function(payload) {
+    assert(payload.isNotFound());
+    assert.equal(payload.data.length, 0);
+  });
+
+  packetTest('contentinv', new packets.ContentInvPacket([
+    new Buffer('1220aabb', 'hex'),
+    new Buffer('1220ccdd', 'hex')
+  ]), function(payload) {
+    assert.equal(payload.hashes.length, 2);
+    assert.equal(payload.hashes[1].toString('hex'), '1220ccdd');
+  });
+
+  it('should reject content chunks out of range', function() {
+    var raw = new packets.ContentPacket({
+      hash: new Buffer('1220aabb', 'hex'),
+      total: 4,
+      offset: 2,
+      data: new Buffer('scene!')
+    }).toRaw();
+
+    assert.throws(function() {
+      packets.ContentPacket.fromRaw(raw);
+    });
+  });
+
   it('should include the raw data of only one transaction in a ' +
      'parsed transaction', function() {
     var tx, rawTwoTxs, rawFirstTx;
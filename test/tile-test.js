@@ -0,0 +1,633 @@
+'use strict';
+
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+var co = require('../lib/utils/co');
+var crypto = require('../lib/crypto/crypto');
+var constants = require('../lib/protocol/constants');
+var Network = require('../lib/protocol/network');
+var Logger = require('../lib/node/logger');
+var ChainDB = require('../lib/blockchain/chaindb');
+var ChainEntry = require('../lib/blockchain/chainentry');
+var Miner = require('../lib/mining/miner');
+var TileRecord = require('../lib/blockchain/tilerecord');
+var TileChange = require('../lib/blockchain/tilechange');
+var TileTree = require('../lib/blockchain/tiletree');
+var TileBranch = require('../lib/blockchain/tilebranch');
+var layout = require('../lib/blockchain/layout');
+var layoutBrowser = require('../lib/blockchain/layout-browser');
+var CoinView = require('../lib/coins/coinview');
+var Block = require('../lib/primitives/block');
+var MTX = require('../lib/primitives/mtx');
+var Input = require('../lib/primitives/input');
+var Output = require('../lib/primitives/output');
+var Address = require('../lib/primitives/address');
+var cob = co.cob;
+
+describe('Tile', function() {
+  var network = Network.get('regtest');
+  var address = Address.fromHash(crypto.randomBytes(20), 'pubkeyhash');
+  var content = new EventEmitter();
+  var db, entries;
+
+  content.fetch = function() {};
+
+  db = new ChainDB({
+    logger: Logger.global,
+    network: network,
+    content: content,
+    options: {
+      db: 'memory',
+      location: '/tmp/tiles',
+      network: network,
+      indexTX: true
+    }
+  });
+
+  function createUpdate(tx, owner, data) {
+    var mtx = new MTX();
+    var input = new Input();
+    var output = new Output();
+    var prev = tx.outputs[0];
+
+    input.prevout.hash = tx.hash('hex');
+    input.prevout.index = 0;
+    mtx.inputs.push(input);
+
+    output.x = prev.x;
+    output.y = prev.y;
+    output.content = data || prev.content;
+    output.script.fromAddress(owner);
+    mtx.outputs.push(output);
+
+    return mtx.toTX();
+  }
+
+  function createBlock(prev, x, y, txs) {
+    var block = new Block();
+    var cb = new MTX();
+    var input = new Input();
+    var output = new Output();
+
+    input.script.set(0, new Buffer([prev.height + 1]));
+    input.script.compile();
+    cb.inputs.push(input);
+
+    output.x = x;
+    output.y = y;
+    output.content = crypto.randomBytes(constants.CONTENT_LENGHT);
+    output.script.fromAddress(address);
+    cb.outputs.push(output);
+
+    block.version = 1;
+    block.prevBlock = prev.hash;
+    block.ts = prev.ts + 1;
+    block.bits = prev.bits;
+    block.txs.push(cb.toTX());
+    block.txs = block.txs.concat(txs || []);
+    block.merkleRoot = block.createMerkleRoot('hex');
+
+    return block;
+  }
+
+  var mine = co(function* mine(x, y, txs) {
+    var prev = entries[entries.length - 1];
+    var block = createBlock(prev, x, y, txs);
+    var entry = ChainEntry.fromBlock(db.chain, block, prev);
+    var view = new CoinView();
+    var i, tx;
+
+    for (i = 0; i < block.txs.length; i++) {
+      tx = block.txs[i];
+      if (i > 0)
+        assert(yield view.spendInputs(db, tx));
+      view.addTX(tx, entry.height);
+    }
+
+    yield db.save(entry, block, view);
+    entries.push(entry);
+
+    return block;
+  });
+
+  var unmine = co(function* unmine() {
+    var entry = entries.pop();
+    var block = yield db.getBlock(entry.hash);
+    yield db.disconnect(entry, block);
+  });
+
+  it('should order spatial keys by x, then y', function() {
+    var keys = [
+      [-0x80000000, 0x7fffffff],
+      [-5, 3], [-1, 7], [0, -9], [0, 0], [2, -1], [2, 4],
+      [0x7fffffff, -0x80000000]
+    ];
+    var i;
+
+    for (i = 1; i < keys.length; i++) {
+      assert(layout.G(keys[i - 1][0], keys[i - 1][1])
+        .compare(layout.G(keys[i][0], keys[i][1])) < 0);
+      assert(layoutBrowser.G(keys[i - 1][0], keys[i - 1][1])
+        < layoutBrowser.G(keys[i][0], keys[i][1]));
+    }
+
+    assert.deepEqual(layout.Gg(layout.G(-3, 7)), [-3, 7]);
+    assert.deepEqual(layout.Gg(layout.G(-0x80000000, 0x7fffffff)),
+      [-0x80000000, 0x7fffffff]);
+    assert.deepEqual(layoutBrowser.Gg(layoutBrowser.G(-3, 7)), [-3, 7]);
+    assert.deepEqual(layoutBrowser.Ff(layoutBrowser.F(-0x80000000, 0)),
+      [-0x80000000, 0]);
+  });
+
+  it('should serialize a tile record', function() {
+    var record = new TileRecord({
+      x: -4,
+      y: 12,
+      hash: constants.NULL_HASH,
+      index: 1,
+      height: 50,
+      content: crypto.randomBytes(constants.CONTENT_LENGHT),
+      script: { raw: new Buffer('76a914' + '00'.repeat(20) + '88ac', 'hex') }
+    });
+    var raw = record.toRaw();
+    var other = TileRecord.fromRaw(raw);
+
+    assert.equal(raw.length, record.getSize());
+    assert.equal(other.x, -4);
+    assert.equal(other.y, 12);
+    assert.equal(other.index, 1);
+    assert.equal(other.height, 50);
+    assert.deepEqual(other.content, record.content);
+    assert.deepEqual(other.script.toRaw(), record.script.toRaw());
+  });
+
+  it('should open chaindb', cob(function* () {
+    yield db.open();
+    entries = [yield db.getEntry(0)];
+  }));
+
+  it('should index mined tiles', cob(function* () {
+    var tiles;
+
+    yield mine(1, 0);
+    yield mine(1, 1);
+    yield mine(-1, 0);
+    yield mine(5, 5);
+
+    tiles = yield db.getTiles();
+    assert.equal(tiles.length, 5);
+
+    tiles = yield db.getTilesInRect(-1, 0, 1, 1);
+    assert.deepEqual(tiles.map(function(tile) {
+      return [tile.x, tile.y];
+    }), [[-1, 0], [0, 0], [1, 0], [1, 1]]);
+
+    tiles = yield db.getTilesNear(5, 4, 1);
+    assert.equal(tiles.length, 1);
+    assert.equal(tiles[0].height, 4);
+    assert.equal(tiles[0].getJSON(network).owner, address.toBase58(network));
+  }));
+
+  it('should reject coordinates outside the map', cob(function* () {
+    var prev = entries[entries.length - 1];
+    var block = createBlock(prev, 0x80000000, 0);
+    var ret = {};
+
+    assert(!block.txs[0].isSane(ret));
+    assert.equal(ret.reason, 'bad-cb-coords');
+
+    ret = {};
+    block = createBlock(prev, 0x7fffffff, 0);
+    block.txs[0].isSane(ret);
+    assert.notEqual(ret.reason, 'bad-cb-coords');
+
+    assert(!(yield db.getTileRecord(0x80000000, 0)));
+    assert(!(yield db.getTileRecord(0, -0x80000001)));
+  }));
+
+  it('should track the frontier', cob(function* () {
+    var frontier = yield db.getFrontier();
+
+    assert.deepEqual(frontier, [
+      { x: -2, y: 0 },
+      { x: -1, y: -1 },
+      { x: -1, y: 1 },
+      { x: 0, y: -1 },
+      { x: 0, y: 1 },
+      { x: 1, y: -1 },
+      { x: 1, y: 2 },
+      { x: 2, y: 0 },
+      { x: 2, y: 1 },
+      { x: 4, y: 5 },
+      { x: 5, y: 4 },
+      { x: 5, y: 6 },
+      { x: 6, y: 5 }
+    ]);
+  }));
+
+  it('should pick a frontier tile', cob(function* () {
+    var frontier = yield db.getFrontier();
+    var i, tile;
+
+    for (i = 0; i < 20; i++) {
+      tile = yield db.getFrontierTile();
+      assert(frontier.some(function(item) {
+        return item.x === tile.x && item.y === tile.y;
+      }));
+    }
+  }));
+
+  it('should pick a landbase tile by target policy', cob(function* () {
+    var chain = new EventEmitter();
+    var other = Address.fromHash(crypto.randomBytes(20), 'pubkeyhash');
+    var miner, tile, tiles, frontier;
+
+    chain.network = network;
+    chain.logger = Logger.global;
+    chain.getFrontier = db.getFrontier.bind(db);
+    chain.getFrontierInRect = db.getFrontierInRect.bind(db);
+    chain.getTileRecord = db.getTileRecord.bind(db);
+    chain.getAllTiles = db.getTiles.bind(db);
+    chain.getBoundaryTile = db.getFrontierTile.bind(db);
+
+    miner = new Miner({
+      chain: chain,
+      address: address,
+      mineNear: '6,9'
+    });
+
+    assert.equal(miner.strategy, 'nearest');
+    assert.deepEqual(yield miner.getBoundaryTile(), { x: 5, y: 6 });
+
+    miner.setTarget({ strategy: 'nearest', region: [-3, -3, -1, 3] });
+    assert.deepEqual(yield miner.getBoundaryTile(), { x: -2, y: 0 });
+
+    miner.setTarget({ strategy: 'random', region: '-3,-3,-1,3' });
+    tile = yield miner.getBoundaryTile();
+    assert(tile.x < 0);
+
+    // Full region: fall back to the whole frontier.
+    miner.setTarget({ region: { x0: 100, y0: 100, x1: 110, y1: 110 } });
+    frontier = yield db.getFrontier();
+    tile = yield miner.getBoundaryTile();
+    assert(frontier.some(function(item) {
+      return item.x === tile.x && item.y === tile.y;
+    }));
+
+    miner.setTarget({ strategy: 'adjacent', near: [6, 9] });
+    assert.deepEqual(yield miner.getBoundaryTile(), { x: 5, y: 6 });
+    assert.equal((yield miner.getOwnedFrontier()).length, frontier.length - 1);
+
+    // (0, -1) only borders the genesis tile.
+    tiles = yield miner.filterOwned(frontier);
+    assert.equal(tiles.length, frontier.length - 1);
+    assert(!tiles.some(function(item) {
+      return item.x === 0 && item.y === -1;
+    }));
+
+    miner.addresses = [other];
+    assert.equal((yield miner.filterOwned(frontier)).length, 0);
+
+    // The cache follows tile changes.
+    chain.emit('tile connect', TileChange.fromOptions({
+      type: 'connect',
+      x: 5,
+      y: 5,
+      prevOwner: address,
+      owner: other
+    }));
+    assert.equal((yield miner.filterOwned(frontier)).length, 4);
+    miner.addresses = [address];
+    assert.equal((yield miner.getOwnedFrontier()).length, frontier.length - 5);
+
+    assert.throws(function() {
+      miner.setTarget({ strategy: 'closest' });
+    });
+
+    assert.throws(function() {
+      miner.setTarget({ region: '5,5,1,1' });
+    });
+  }));
+
+  it('should wait for a new tip when no tile can be mined', cob(function* () {
+    var chain = new EventEmitter();
+    var calls = 0;
+    var errors = 0;
+    var miner;
+
+    chain.network = network;
+    chain.logger = Logger.global;
+
+    miner = new Miner({
+      chain: chain,
+      address: address
+    });
+
+    miner.createBlock = co(function* () {
+      calls++;
+      throw new Error('No free tile to mine.');
+    });
+
+    miner.on('error', function() {
+      errors++;
+    });
+
+    miner.start();
+
+    yield co.wait();
+    assert.equal(calls, 1);
+    assert.equal(errors, 1);
+
+    chain.emit('tip', entries[0]);
+    yield co.wait();
+    assert.equal(calls, 2);
+
+    yield miner.stop();
+    assert.equal(calls, 2);
+    assert.equal(chain.listenerCount('tip'), 1);
+  }));
+
+  it('should unindex disconnected tiles', cob(function* () {
+    var frontier;
+
+    yield unmine();
+
+    assert.equal((yield db.getTilesInRect(5, 5, 5, 5)).length, 0);
+    assert.equal((yield db.getTiles()).length, 4);
+
+    frontier = yield db.getFrontier();
+    assert.equal(frontier.length, 9);
+    assert(!frontier.some(function(tile) {
+      return tile.x > 2;
+    }));
+
+    yield unmine();
+
+    frontier = yield db.getFrontier();
+    assert.deepEqual(frontier, [
+      { x: -1, y: 0 },
+      { x: 0, y: -1 },
+      { x: 0, y: 1 },
+      { x: 1, y: -1 },
+      { x: 1, y: 2 },
+      { x: 2, y: 0 },
+      { x: 2, y: 1 }
+    ]);
+  }));
+
+  it('should walk the tile history', cob(function* () {
+    var owner = Address.fromHash(crypto.randomBytes(20), 'pubkeyhash');
+    var data = crypto.randomBytes(constants.CONTENT_LENGHT);
+    var landbase = (yield mine(3, 3)).txs[0];
+    var transfer = createUpdate(landbase, owner);
+    var update = createUpdate(transfer, owner, data);
+    var history;
+
+    yield mine(3, 4, [transfer]);
+    yield mine(3, 5, [update]);
+
+    history = yield db.getTileHistory(3, 3);
+
+    assert.deepEqual(history.map(function(item) {
+      return item.type;
+    }), ['update', 'transfer', 'landbase']);
+
+    assert.equal(history[0].record.hash, update.hash('hex'));
+    assert(history[0].contentChanged);
+    assert(!history[0].ownerChanged);
+    assert.deepEqual(history[0].record.content, data);
+    assert(history[1].ownerChanged);
+    assert(!history[1].contentChanged);
+    assert.equal(history[2].record.height, entries[entries.length - 3].height);
+
+    history = yield db.getTileHistory(3, 3, 1);
+    assert.equal(history.length, 1);
+
+    yield unmine();
+    yield unmine();
+    yield unmine();
+
+    assert.equal((yield db.getTileHistory(3, 3)).length, 0);
+  }));
+
+  it('should emit tile changes', cob(function* () {
+    var owner = Address.fromHash(crypto.randomBytes(20), 'pubkeyhash');
+    var data = crypto.randomBytes(constants.CONTENT_LENGHT);
+    var changes = [];
+    var landbase, transfer, entry, change, json;
+
+    function onChange(change) {
+      changes.push(change);
+    }
+
+    db.on('tile connect', onChange);
+    db.on('tile disconnect', onChange);
+
+    landbase = (yield mine(3, 3)).txs[0];
+    transfer = createUpdate(landbase, owner, data);
+    yield mine(3, 4, [transfer]);
+    entry = entries[entries.length - 1];
+
+    yield unmine();
+    yield unmine();
+
+    db.removeListener('tile connect', onChange);
+    db.removeListener('tile disconnect', onChange);
+
+    assert.deepEqual(changes.map(function(change) {
+      return [change.type, change.x, change.y];
+    }), [
+      ['connect', 3, 3],
+      ['connect', 3, 4],
+      ['connect', 3, 3],
+      ['disconnect', 3, 3],
+      ['disconnect', 3, 4],
+      ['disconnect', 3, 3]
+    ]);
+
+    change = changes[0];
+    assert(!change.prevOwner);
+    assert.equal(change.owner.toBase58(), address.toBase58());
+    assert.deepEqual(change.content, landbase.outputs[0].content);
+
+    change = changes[2];
+    assert.equal(change.hash, transfer.hash('hex'));
+    assert.equal(change.block, entry.hash);
+    assert.equal(change.height, entry.height);
+    assert.equal(change.prevOwner.toBase58(), address.toBase58());
+    assert.equal(change.owner.toBase58(), owner.toBase58());
+    assert.deepEqual(change.prevContent, landbase.outputs[0].content);
+    assert.deepEqual(change.content, data);
+    assert(change.ownerChanged());
+    assert(change.contentChanged());
+
+    json = change.getJSON(network);
+    assert.deepEqual(TileChange.fromJSON(json).getJSON(network), json);
+
+    // Undo the transfer.
+    change = changes[3];
+    assert.equal(change.prevOwner.toBase58(), owner.toBase58());
+    assert.equal(change.owner.toBase58(), address.toBase58());
+    assert.deepEqual(change.content, landbase.outputs[0].content);
+
+    // Undo the landbase.
+    change = changes[5];
+    assert.equal(change.prevOwner.toBase58(), address.toBase58());
+    assert(!change.owner);
+    assert(!change.content);
+  }));
+
+  it('should track tile state without the tx index', cob(function* () {
+    var owner = Address.fromHash(crypto.randomBytes(20), 'pubkeyhash');
+    var landbase, transfer, tile, coin, history;
+
+    db.options.indexTX = false;
+
+    try {
+      landbase = (yield mine(4, 4)).txs[0];
+      transfer = createUpdate(landbase, owner);
+      yield mine(4, 5, [transfer]);
+
+      tile = yield db.getTile(4, 4);
+      assert.equal(tile.hash, transfer.hash('hex'));
+      assert.equal(tile.getAddress().toBase58(), owner.toBase58());
+
+      coin = yield db.getTileAsCoin(4, 4);
+      assert.equal(coin.hash, transfer.hash('hex'));
+      assert.equal(coin.index, 0);
+
+      history = yield db.getTileHistory(4, 4);
+      assert.deepEqual(history.map(function(item) {
+        return item.type;
+      }), ['transfer', 'landbase']);
+      assert(!history[0].block);
+
+      yield unmine();
+
+      tile = yield db.getTile(4, 4);
+      assert.equal(tile.hash, landbase.hash('hex'));
+      assert.equal(tile.getAddress().toBase58(), address.toBase58());
+
+      yield unmine();
+
+      assert(!(yield db.getTile(4, 4)));
+    } finally {
+      db.options.indexTX = true;
+    }
+  }));
+
+  it('should commit to the tile state', cob(function* () {
+    var owner = Address.fromHash(crypto.randomBytes(20), 'pubkeyhash');
+    var before = yield db.getTileRoot();
+    var landbase, transfer, records, root, cb, input;
+
+    var check = co(function* check() {
+      var root = yield db.getTileRoot();
+      var records = yield db.getTiles();
+      assert(root.equals(TileTree.fromRecords(records).getRoot()));
+      assert(root.equals(TileTree.fromRecords(records.reverse()).getRoot()));
+      return root;
+    });
+
+    assert(before.equals(yield check()));
+
+    landbase = (yield mine(7, 7)).txs[0];
+    root = yield check();
+    assert(!root.equals(before));
+
+    transfer = createUpdate(landbase, owner);
+    yield mine(7, 8, [transfer]);
+    assert(!(yield check()).equals(root));
+
+    yield unmine();
+    assert((yield check()).equals(root));
+
+    yield unmine();
+    assert((yield check()).equals(before));
+
+    records = yield db.getTiles();
+    records[0].height++;
+    assert(!TileTree.fromRecords(records).getRoot().equals(before));
+
+    cb = new MTX();
+    input = new Input();
+    input.script.set(0, new Buffer([1]));
+    input.script.set(1, TileTree.createCommitment(before));
+    input.script.compile();
+    cb.inputs.push(input);
+
+    assert(TileTree.getCommitment(cb.toTX()).equals(before));
+    assert(!TileTree.getCommitment(landbase));
+  }));
+
+  it('should prove tile positions against the state root', function() {
+    var coords = [[0, 0], [0, 2], [0, 5], [3, 1], [7, -4]];
+    var records, tree, root, branch;
+
+    records = coords.map(function(xy) {
+      return new TileRecord({
+        x: xy[0],
+        y: xy[1],
+        hash: crypto.randomBytes(32).toString('hex'),
+        index: 0,
+        height: 1
+      });
+    });
+
+    tree = TileTree.fromRecords(records);
+    root = tree.getRoot();
+
+    function prove(x, y) {
+      var column = records.filter(function(record) {
+        return record.x === x;
+      });
+      var branch = TileBranch.fromTree(tree, x, y, column);
+      branch = TileBranch.fromRaw(branch.toRaw());
+      assert(branch.verify(root));
+      assert(!branch.verify(crypto.randomBytes(32)));
+      return branch.getRecord();
+    }
+
+    // Mined tiles.
+    assert.equal(prove(0, 2).hash, records[1].hash);
+    assert.equal(prove(7, -4).hash, records[4].hash);
+
+    // Between, before and after leaves.
+    assert.equal(prove(0, 3), null);
+    assert.equal(prove(0, -1), null);
+    assert.equal(prove(0, 6), null);
+
+    // Between, before and after columns.
+    assert.equal(prove(5, 1), null);
+    assert.equal(prove(-2, 0), null);
+    assert.equal(prove(9, 0), null);
+
+    // A leaf can't be passed off as its neighbour.
+    branch = TileBranch.fromTree(tree, 0, 2, records.slice(0, 3));
+    branch.leaves[0].record = records[0];
+    assert(!branch.verify(root));
+
+    // Nor can a gap be claimed between two leaves.
+    branch = TileBranch.fromTree(tree, 0, 3, records.slice(0, 3));
+    branch.y = 2;
+    assert(!branch.verify(root));
+
+    // Dropping a neighbour hides nothing.
+    branch = TileBranch.fromTree(tree, 0, 3, records.slice(0, 3));
+    branch.leaves.pop();
+    assert(!branch.verify(root));
+
+    branch = TileBranch.fromTree(new TileTree(), 1, 1, []);
+    assert(branch.verify(new TileTree().getRoot()));
+    assert.equal(branch.getRecord(), null);
+  });
+
+  it('should rebuild the tile index', cob(function* () {
+    var frontier = yield db.getFrontier();
+
+    yield db.reindexTiles();
+
+    assert.equal((yield db.getTiles()).length, 3);
+    assert.deepEqual(yield db.getFrontier(), frontier);
+  }));
+});
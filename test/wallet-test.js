@@ -9,10 +9,12 @@ var co = require('../lib/utils/co');
 var WalletDB = require('../lib/wallet/walletdb');
 var Address = require('../lib/primitives/address');
 var MTX = require('../lib/primitives/mtx');
+var Output = require('../lib/primitives/output');
 var Coin = require('../lib/primitives/coin');
 var KeyRing = require('../lib/primitives/keyring');
 var Address = require('../lib/primitives/address');
 var Script = require('../lib/script/script');
+var SwapOffer = require('../lib/wallet/swapoffer');
 var HD = require('../lib/hd');
 var scriptTypes = constants.scriptTypes;
 var cob = co.cob;
@@ -1344,6 +1346,263 @@ describe('Wallet', function() {
     assert.equal((yield bob.getBalance()).unconfirmed, 30000);
   }));
 
+  it('should index owned tiles', cob(function* () {
+    var w = yield walletdb.create();
+    var other = KeyRing.generate().getAddress();
+    var t1, t2, tiles, balance;
+
+    t1 = new MTX();
+    t1.addInput(dummy());
+    t1.outputs.push(new Output({ x: 2, y: -3, address: w.getAddress() }));
+    t1.outputs.push(new Output({ x: -1, y: 4, address: w.getAddress() }));
+    t1.outputs.push(new Output({ x: 5, y: 5, address: other }));
+
+    yield walletdb.addTX(t1.toTX());
+
+    tiles = yield w.getTiles();
+    assert.deepEqual(tiles.map(function(tile) {
+      return [tile.x, tile.y];
+    }), [[-1, 4], [2, -3]]);
+
+    assert(yield w.hasTile(2, -3));
+    assert(!(yield w.hasTile(5, 5)));
+
+    balance = yield w.getBalance();
+    assert.equal(balance.unconfirmed, 2);
+
+    t2 = new MTX();
+    t2.addInput(t1, 0);
+    t2.outputs.push(new Output({ x: 2, y: -3, address: other }));
+    yield w.sign(t2);
+
+    yield walletdb.addTX(t2.toTX());
+
+    assert(!(yield w.hasTile(2, -3)));
+    assert.equal((yield w.getTiles()).length, 1);
+    assert.equal((yield w.getBalance()).unconfirmed, 1);
+  }));
+
+  it('should build a multi-tile transaction', cob(function* () {
+    var w = yield walletdb.create();
+    var other = KeyRing.generate().getAddress();
+    var content = crypto.randomBytes(constants.CONTENT_LENGHT);
+    var t1, mtx, err;
+
+    t1 = new MTX();
+    t1.addInput(dummy());
+    t1.outputs.push(new Output({ x: 7, y: 0, address: w.getAddress() }));
+    t1.outputs.push(new Output({ x: 7, y: 1, address: w.getAddress() }));
+
+    yield walletdb.addTX(t1.toTX());
+
+    mtx = yield w.createTileTX([
+      { x: 7, y: 0, content: content },
+      { x: 7, y: 1, address: other }
+    ]);
+
+    yield w.sign(mtx);
+
+    assert(mtx.isSigned());
+    assert.equal(mtx.inputs.length, 2);
+    assert.equal(mtx.outputs.length, 2);
+    assert.deepEqual(mtx.outputs[0].content, content);
+    assert.equal(mtx.outputs[0].getAddress().toBase58(),
+      mtx.view.getOutput(mtx.inputs[0]).getAddress().toBase58());
+    assert.equal(mtx.outputs[1].getAddress().toBase58(), other.toBase58());
+
+    try {
+      yield w.createTileTX([{ x: 7, y: 2 }]);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+  }));
+
+  it('should swap tiles through an offer', cob(function* () {
+    var alice = yield walletdb.create();
+    var bob = yield walletdb.create();
+    var t1, offer, stolen, tx, err;
+
+    t1 = new MTX();
+    t1.addInput(dummy());
+    t1.outputs.push(new Output({ x: 9, y: 0, address: alice.getAddress() }));
+    t1.outputs.push(new Output({ x: 9, y: 1, address: bob.getAddress() }));
+
+    yield walletdb.addTX(t1.toTX());
+
+    offer = yield alice.createSwapOffer({
+      x: 9,
+      y: 0,
+      want: { x: 9, y: 1 },
+      address: bob.getAddress()
+    });
+
+    offer = SwapOffer.fromRaw(offer.toRaw());
+
+    assert(offer.verify());
+    assert.equal(offer.getOffered().getAddress().toBase58(),
+      bob.getAddress().toBase58());
+    assert.equal(offer.getWanted().x, 9);
+    assert.equal(offer.getWanted().y, 1);
+    assert.equal(offer.getWanted().getAddress().toBase58(),
+      alice.getReceive().toBase58());
+
+    // The maker's signature commits to both outputs.
+    stolen = SwapOffer.fromRaw(offer.toRaw());
+    stolen.tx.outputs[1].script.fromAddress(bob.getAddress());
+    assert(!stolen.verify());
+
+    try {
+      yield alice.acceptSwapOffer(offer);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+
+    tx = yield bob.acceptSwapOffer(offer);
+
+    assert.equal(tx.inputs.length, 2);
+    offer.tx.view.addCoin(Coin.fromTX(t1, 1, -1));
+    assert(tx.verify(offer.tx.view));
+    assert(!(yield alice.hasTile(9, 0)));
+    assert(yield alice.hasTile(9, 1));
+    assert(yield bob.hasTile(9, 0));
+    assert(!(yield bob.hasTile(9, 1)));
+  }));
+
+  it('should not accept an offer paying someone else', cob(function* () {
+    var alice = yield walletdb.create();
+    var bob = yield walletdb.create();
+    var t1, offer, err;
+
+    t1 = new MTX();
+    t1.addInput(dummy());
+    t1.outputs.push(new Output({ x: 10, y: 0, address: alice.getAddress() }));
+    t1.outputs.push(new Output({ x: 10, y: 1, address: bob.getAddress() }));
+
+    yield walletdb.addTX(t1.toTX());
+
+    offer = yield alice.createSwapOffer({
+      x: 10,
+      y: 0,
+      want: { x: 10, y: 1 },
+      address: KeyRing.generate().getAddress()
+    });
+
+    offer = SwapOffer.fromRaw(offer.toRaw());
+    assert(offer.verify());
+
+    try {
+      yield bob.acceptSwapOffer(offer);
+    } catch (e) {
+      err = e;
+    }
+
+    assert(err);
+    assert(/not paid/.test(err.message));
+    assert(yield bob.hasTile(10, 1));
+  }));
+
+  it('should manage estates', cob(function* () {
+    var w = yield walletdb.create();
+    var other = KeyRing.generate().getAddress();
+    var t1, estate, estates, lost, tx, err;
+
+    t1 = new MTX();
+    t1.addInput(dummy());
+    t1.outputs.push(new Output({ x: 11, y: 0, address: w.getAddress() }));
+    t1.outputs.push(new Output({ x: 11, y: 1, address: w.getAddress() }));
+    t1.outputs.push(new Output({ x: 12, y: 1, address: w.getAddress() }));
+    t1.outputs.push(new Output({ x: 14, y: 0, address: w.getAddress() }));
+    t1.outputs.push(new Output({ x: 15, y: 0, address: other }));
+
+    yield walletdb.addTX(t1.toTX());
+
+    estate = yield w.createEstate('park', [{ x: 11, y: 0 }, { x: 11, y: 1 }]);
+    assert.equal(estate.tiles.length, 2);
+
+    // Not contiguous.
+    err = null;
+    try {
+      yield w.addEstateTile('park', 14, 0);
+    } catch (e) {
+      err = e;
+    }
+    assert(err);
+
+    // Not owned.
+    err = null;
+    try {
+      yield w.createEstate('lake', [{ x: 15, y: 0 }]);
+    } catch (e) {
+      err = e;
+    }
+    assert(err);
+
+    // Already part of another estate.
+    err = null;
+    try {
+      yield w.createEstate('lake', [{ x: 11, y: 1 }, { x: 12, y: 1 }]);
+    } catch (e) {
+      err = e;
+    }
+    assert(err);
+
+    yield w.addEstateTile('park', 12, 1);
+
+    // Would split the estate.
+    err = null;
+    try {
+      yield w.removeEstateTile('park', 11, 1);
+    } catch (e) {
+      err = e;
+    }
+    assert(err);
+
+    yield w.renameEstate('park', 'garden');
+    assert(!(yield w.getEstate('park')));
+
+    estate = yield w.getEstate('garden');
+    assert.deepEqual(estate.tiles, [
+      { x: 11, y: 0 },
+      { x: 11, y: 1 },
+      { x: 12, y: 1 }
+    ]);
+
+    yield w.createEstate('lake', [{ x: 14, y: 0 }]);
+
+    estates = yield w.getEstates();
+    assert.deepEqual(estates.map(function(estate) {
+      return estate.name;
+    }), ['garden', 'lake']);
+
+    assert.equal((yield w.checkEstates()).length, 0);
+
+    yield w.sendTiles([{ x: 12, y: 1, address: other }]);
+
+    lost = yield w.checkEstates();
+    assert.equal(lost.length, 1);
+    assert.equal(lost[0].estate.name, 'garden');
+    assert.deepEqual(lost[0].missing, [{ x: 12, y: 1 }]);
+
+    tx = yield w.transferEstate('lake', other);
+    assert.equal(tx.outputs.length, 1);
+    assert.equal(tx.outputs[0].getAddress().toBase58(), other.toBase58());
+    assert(!(yield w.hasTile(14, 0)));
+
+    // Kept until the transfer confirms.
+    assert(yield w.getEstate('lake'));
+
+    yield walletdb.addBlock(nextBlock(), [t1.toTX()]);
+    assert(yield w.getEstate('lake'));
+
+    yield walletdb.addBlock(nextBlock(), [tx]);
+    assert(!(yield w.getEstate('lake')));
+    assert(yield w.getEstate('garden'));
+  }));
+
   it('should cleanup', function() {
     constants.tx.COINBASE_MATURITY = 100;
   });